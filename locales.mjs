@@ -0,0 +1,1260 @@
+/**
+ * Golf Handicap – translations
+ * Languages the app can be shown in, with one message catalog per language. Messages are
+ * keyed by their English text, so English needs no catalog and a missing entry falls back
+ * to English. {name} placeholders are filled in by the app; {0}, {1}… stand for the numbers
+ * in messages from the WHS engine and storage, which report errors in English.
+ *
+ * - LANGUAGES[code]: { name, locale, dir } – native name for the selector, the locale used
+ *   for dates and numbers, and the text direction ("ltr" or "rtl")
+ * - MESSAGES[code]: { "English text": "translation" }
+ *
+ * US English only differs from British English in its date format and has no catalog.
+ */
+
+var LANGUAGES = {
+  "en": { name: "English", locale: "en-GB", dir: "ltr" },
+  "en-US": { name: "English (US)", locale: "en-US", dir: "ltr" },
+  "de": { name: "Deutsch", locale: "de-DE", dir: "ltr" },
+  "fr": { name: "Français", locale: "fr-FR", dir: "ltr" }
+};
+
+var MESSAGES = {};
+
+// ============================================================================
+// GERMAN
+// ============================================================================
+
+MESSAGES.de = {
+  // Page
+  "Golf Handicap – Score Differential": "Golf-Handicap – Score Differential",
+  "A new version is available.": "Eine neue Version ist verfügbar.",
+  "Reload": "Neu laden",
+  "Score Differential": "Score Differential",
+  "Calculate Golf Handicap": "Golf-Handicap berechnen",
+  "Player": "Spieler",
+  "Edit": "Bearbeiten",
+  "Add Player": "Spieler hinzufügen",
+  "Language": "Sprache",
+  "Name": "Name",
+  "e.g. Alex": "z. B. Alex",
+  "Tee Ratings": "Abschlag-Ratings",
+  "Standard ratings": "Standard-Ratings",
+  "Men's ratings": "Herren-Ratings",
+  "Women's ratings": "Damen-Ratings",
+  "Home Course": "Heimatplatz",
+  "Delete": "Löschen",
+  "Cancel": "Abbrechen",
+  "Save Player": "Spieler speichern",
+  "Date": "Datum",
+  "Course": "Platz",
+  "Enter ratings manually": "Ratings manuell eingeben",
+  "Tee": "Abschlag",
+  "Holes Played": "Gespielte Löcher",
+  "18 holes": "18 Löcher",
+  "9 holes": "9 Löcher",
+  "Gross Score": "Bruttoergebnis",
+  "e.g. 85": "z. B. 85",
+  "Enter hole-by-hole scores": "Ergebnisse Loch für Loch eingeben",
+  "Hole-by-hole scorecard": "Scorekarte Loch für Loch",
+  "Competition Format": "Spielform",
+  "None (handicap only)": "Keine (nur Handicap)",
+  "Course Rating": "Course Rating",
+  "e.g. 72.5": "z. B. 72,5",
+  "Slope Rating": "Slope Rating",
+  "e.g. 128": "z. B. 128",
+  "Playing Conditions (PCC)": "Spielbedingungen (PCC)",
+  "-1 (easier than normal)": "-1 (leichter als normal)",
+  "0 (normal conditions)": "0 (normale Bedingungen)",
+  "+3 (much harder than normal)": "+3 (viel schwerer als normal)",
+  "Calculate PCC from the field's scores": "PCC aus den Ergebnissen des Feldes berechnen",
+  "Field results: Handicap Index and adjusted gross score, one player per line": "Ergebnisse des Feldes: Handicap-Index und bereinigtes Bruttoergebnis, ein Spieler pro Zeile",
+  "Or load club results (CSV)": "Oder Clubergebnisse laden (CSV)",
+  "Calculate PCC": "PCC berechnen",
+  "Notes": "Notizen",
+  "Optional, e.g. windy, winter greens": "Optional, z. B. windig, Wintergrüns",
+  "Round Type": "Rundenart",
+  "Acceptable for handicap purposes": "Für das Handicap annehmbar",
+  "Calculate & Save": "Berechnen & speichern",
+  "Current Handicap": "Aktuelles Handicap",
+  "Handicap Index": "Handicap-Index",
+  "Best 8 out of the last 20 rounds": "Die besten 8 der letzten 20 Runden",
+  "Shared Handicap Record": "Geteilter Handicap-Nachweis",
+  "Differentials, newest first. The highlighted ones make up the index.": "Differentials, neueste zuerst. Die hervorgehobenen ergeben den Index.",
+  "Shared differentials": "Geteilte Differentials",
+  "Read-only: this record is not saved on this device.": "Nur zur Ansicht: Dieser Nachweis wird auf diesem Gerät nicht gespeichert.",
+  "Open My Own Record": "Eigene Daten öffnen",
+  "Share Handicap": "Handicap teilen",
+  "Link to your record": "Link zu Ihrem Nachweis",
+  "Copy Link": "Link kopieren",
+  "Handicap Certificate": "Handicap-Zertifikat",
+  "Print or Save as PDF": "Drucken oder als PDF speichern",
+  "Calculation": "Berechnung",
+  "Most Recent Scores": "Letzte Ergebnisse",
+  "Handicap secretary": "Handicap-Verantwortliche(r)",
+  "Playing Handicap Calculator": "Spielvorgabenrechner",
+  "e.g. 14.2": "z. B. 14,2",
+  "e.g. 36.2": "z. B. 36,2",
+  "Slope": "Slope",
+  "Par": "Par",
+  "Format": "Spielform",
+  "Opponent's Course Handicap": "Course Handicap des Gegners",
+  "Partner's Course Handicap": "Course Handicap des Partners",
+  "Group Round": "Gruppenrunde",
+  "Scoring": "Wertung",
+  "Match play (players 1 & 2 against 3 & 4)": "Lochspiel (Spieler 1 & 2 gegen 3 & 4)",
+  "Best ball stroke play": "Bestball-Zählspiel",
+  "Players": "Spieler",
+  "Player 1": "Spieler 1",
+  "Player 2": "Spieler 2",
+  "Player 3": "Spieler 3",
+  "Player 4": "Spieler 4",
+  "Start Scoring": "Zählen beginnen",
+  "Post Rounds": "Runden eintragen",
+  "Discard": "Verwerfen",
+  "Handicap History": "Handicap-Verlauf",
+  "Time range": "Zeitraum",
+  "3 months": "3 Monate",
+  "1 year": "1 Jahr",
+  "All": "Alle",
+  "Index": "Index",
+  "Differentials": "Differentials",
+  "What-If Simulator": "Was-wäre-wenn-Rechner",
+  "Next round at": "Nächste Runde auf",
+  "Hypothetical gross score at this tee": "Angenommenes Bruttoergebnis von diesem Abschlag",
+  "e.g. 84": "z. B. 84",
+  "Add Hypothetical Round": "Angenommene Runde hinzufügen",
+  "Hypothetical rounds": "Angenommene Runden",
+  "Statistics": "Statistik",
+  "Consistency": "Beständigkeit",
+  "Hole Results": "Lochergebnisse",
+  "By Course and Tee": "Nach Platz und Abschlag",
+  "By Month": "Nach Monat",
+  "By Season": "Nach Saison",
+  "Records Needing Attention": "Einträge mit Problemen",
+  "Download": "Herunterladen",
+  "These saved records failed validation and are not used for your index. Download them to fix and re-import, or discard them.": "Diese gespeicherten Einträge sind ungültig und zählen nicht für Ihren Index. Laden Sie sie herunter, um sie zu korrigieren und erneut zu importieren, oder verwerfen Sie sie.",
+  "List of quarantined records": "Liste der zurückgehaltenen Einträge",
+  "My Recent Rounds": "Meine letzten Runden",
+  "Delete all rounds": "Alle Runden löschen",
+  "Delete all saved rounds": "Alle gespeicherten Runden löschen",
+  "Delete All": "Alle löschen",
+  "Search course and notes": "Platz und Notizen durchsuchen",
+  "e.g. Old Course, windy": "z. B. Old Course, windig",
+  "From": "Von",
+  "To": "Bis",
+  "Round type": "Rundenart",
+  "Sort by": "Sortieren nach",
+  "Only rounds counting in my current index": "Nur Runden, die für meinen aktuellen Index zählen",
+  "List of saved golf rounds": "Liste der gespeicherten Golfrunden",
+  "No rounds saved yet.": "Noch keine Runden gespeichert.",
+  "Show more": "Mehr anzeigen",
+  "My Courses": "Meine Plätze",
+  "Add Course": "Platz hinzufügen",
+  "List of saved courses": "Liste der gespeicherten Plätze",
+  "No courses saved yet.": "Noch keine Plätze gespeichert.",
+  "Course Name": "Name des Platzes",
+  "e.g. Old Course": "z. B. Old Course",
+  "+ Add Tee": "+ Abschlag hinzufügen",
+  "Save Course": "Platz speichern",
+  "Backup & Import": "Sicherung & Import",
+  "Export JSON": "JSON exportieren",
+  "Export CSV": "CSV exportieren",
+  "Import a JSON backup or CSV score history": "JSON-Sicherung oder CSV-Ergebnisliste importieren",
+  "Date format": "Datumsformat",
+  "Automatic (DD/MM/YYYY or YYYY-MM-DD)": "Automatisch (TT/MM/JJJJ oder JJJJ-MM-TT)",
+  "Merge": "Zusammenführen",
+  "Replace All": "Alles ersetzen",
+  "Sync Between Devices": "Zwischen Geräten synchronisieren",
+  "Keep this player's rounds the same on all your devices through a sync server you run yourself. Enter the same server and sync key on each device. While sync is off, nothing leaves this device.": "Halten Sie die Runden dieses Spielers auf all Ihren Geräten gleich – über einen Sync-Server, den Sie selbst betreiben. Geben Sie auf jedem Gerät denselben Server und denselben Sync-Schlüssel ein. Solange die Synchronisierung aus ist, verlässt nichts dieses Gerät.",
+  "Sync this player's rounds": "Runden dieses Spielers synchronisieren",
+  "Server Address": "Serveradresse",
+  "e.g. http://192.168.1.20:8787": "z. B. http://192.168.1.20:8787",
+  "Sync Key": "Sync-Schlüssel",
+  "Save Settings": "Einstellungen speichern",
+  "Sync Now": "Jetzt synchronisieren",
+  "Rounds changed on both sides": "Auf beiden Seiten geänderte Runden",
+  "Goals & Reminders": "Ziele & Erinnerungen",
+  "Target Handicap Index": "Ziel-Handicap-Index",
+  "e.g. 9.9": "z. B. 9,9",
+  "Target Date (optional)": "Zieldatum (optional)",
+  "Save Goal": "Ziel speichern",
+  "Remove Goal": "Ziel entfernen",
+  "Reminders": "Erinnerungen",
+  "When a counting round is about to drop out of the last 20 scores": "Wenn eine zählende Runde bald aus den letzten 20 Ergebnissen fällt",
+  "When no round has been posted for a while": "Wenn eine Weile keine Runde eingetragen wurde",
+  "Days without a round": "Tage ohne Runde",
+
+  // Labels of the app's settings
+  "Adjusted Gross Score": "Bereinigtes Bruttoergebnis",
+  "Holes": "Löcher",
+  "Score": "Ergebnis",
+  "Diff.": "Diff.",
+  "Individual stroke play": "Einzel-Zählspiel",
+  "Individual Stableford": "Einzel-Stableford",
+  "Individual par/bogey": "Einzel-Par/Bogey",
+  "Four-ball stroke play": "Vierball-Zählspiel",
+  "Four-ball match play": "Vierball-Lochspiel",
+  "Foursomes": "Vierer",
+  "Singles match play": "Einzel-Lochspiel",
+  "Net stroke play": "Netto-Zählspiel",
+  "Stableford": "Stableford",
+  "Par/bogey": "Par/Bogey",
+  "Eagle or better": "Eagle oder besser",
+  "Birdie": "Birdie",
+  "Bogey": "Bogey",
+  "Double bogey": "Doppelbogey",
+  "Triple or worse": "Triple oder schlechter",
+  "All rounds": "Alle Runden",
+  "Competition format": "Mit Spielform",
+  "General play": "Privatrunde",
+  "Competition": "Wettspiel",
+  "Practice": "Training",
+  "Penalty score": "Strafergebnis",
+  "Type": "Art",
+  "Acceptable": "Annehmbar",
+  "Competition rounds": "Wettspielrunden",
+  "Not counted": "Zählt nicht",
+  "Newest first": "Neueste zuerst",
+  "Oldest first": "Älteste zuerst",
+  "Best differential": "Bestes Differential",
+  "Worst differential": "Schlechtestes Differential",
+  "Lowest score": "Niedrigstes Ergebnis",
+  "Highest score": "Höchstes Ergebnis",
+  "Rounds": "Runden",
+  "Avg.": "Schnitt",
+  "Best": "Bestes",
+  "Worst": "Schlechtestes",
+  "Std. dev.": "Std.-abw.",
+  "Avg. gross": "Brutto-Schnitt",
+  "Hole": "Loch",
+  "Strokes": "Schläge",
+  "Course Handicap": "Course Handicap",
+  "Playing Handicap": "Spielvorgabe",
+  "Low Handicap Index": "Niedrigster Handicap-Index",
+  "Avg. differential": "Differential-Schnitt",
+  "Std. deviation": "Standardabweichung",
+  "Avg. gross (18 holes)": "Brutto-Schnitt (18 Löcher)",
+  "Men's": "Herren",
+  "Women's": "Damen",
+  "Men's Par": "Herren-Par",
+  "Men's CR": "Herren-CR",
+  "Men's Slope": "Herren-Slope",
+  "Women's Par": "Damen-Par",
+  "Women's CR": "Damen-CR",
+  "Women's Slope": "Damen-Slope",
+  "Par per hole, holes 1–18": "Par je Loch, Löcher 1–18",
+  "Stroke index per hole, holes 1–18": "Vorgabenverteilung je Loch, Löcher 1–18",
+
+  // Courses
+  "{name} tee": "Abschlag {name}",
+  "CR {rating} · Slope {slope}": "CR {rating} · Slope {slope}",
+  "Par {par}": "Par {par}",
+  "Edit {name}": "{name} bearbeiten",
+  "Delete course": "Platz löschen",
+  "Delete {name}": "{name} löschen",
+  "Edit Course": "Platz bearbeiten",
+  "e.g. White": "z. B. Weiß",
+  "Hole pars and stroke indexes (optional)": "Par und Vorgabenverteilung je Loch (optional)",
+  "e.g. 4, 4, 3, 5, …": "z. B. 4, 4, 3, 5, …",
+  "e.g. 7, 13, 17, 1, …": "z. B. 7, 13, 17, 1, …",
+  "Men's / women's ratings (optional)": "Herren-/Damen-Ratings (optional)",
+  "Remove tee": "Abschlag entfernen",
+  "Delete {name} from your courses? Saved rounds are kept.": "{name} aus Ihren Plätzen löschen? Gespeicherte Runden bleiben erhalten.",
+  "Choose a course": "Platz wählen",
+
+  // Playing handicap
+  "No strokes given or received": "Keine Vorgabeschläge",
+  "You receive {count} stroke": "Sie erhalten {count} Schlag",
+  "You receive {count} strokes": "Sie erhalten {count} Schläge",
+  "You give {count} stroke": "Sie geben {count} Schlag",
+  "You give {count} strokes": "Sie geben {count} Schläge",
+  "Team playing handicap ({percent}% of combined {total})": "Spielvorgabe des Teams ({percent} % von zusammen {total})",
+  "{percent}% of course handicap {handicap}": "{percent} % von Course Handicap {handicap}",
+  "Strokes per hole": "Vorgabeschläge je Loch",
+  "Strokes by stroke index": "Vorgabeschläge nach Vorgabenverteilung",
+  "Hole {number} par": "Loch {number} Par",
+  "Hole {number} stroke index": "Loch {number} Vorgabenverteilung",
+  "Hole {number} strokes": "Loch {number} Schläge",
+
+  // Group round
+  "Discard the scores of this group round?": "Die Ergebnisse dieser Gruppenrunde verwerfen?",
+  "Choose a player": "Spieler wählen",
+  "No player": "Kein Spieler",
+  "Please choose a course and a tee with a saved hole layout.": "Bitte wählen Sie einen Platz und einen Abschlag mit gespeicherten Lochdaten.",
+  "Each player can only be chosen once.": "Jeder Spieler kann nur einmal gewählt werden.",
+  "Please choose at least one player.": "Bitte wählen Sie mindestens einen Spieler.",
+  "Match play needs two players (singles) or four players (players 1 and 2 against 3 and 4).": "Lochspiel braucht zwei Spieler (Einzel) oder vier Spieler (Spieler 1 und 2 gegen 3 und 4).",
+  "no index": "kein Index",
+  "PH {handicap}": "SV {handicap}",
+  "{name}, hole {number}": "{name}, Loch {number}",
+  "Strokes received": "Vorgabeschläge",
+  "Strokes and match status need a Handicap Index for every player.": "Vorgabeschläge und Spielstand brauchen einen Handicap-Index für jeden Spieler.",
+  "Best ball: no holes completed yet": "Bestball: noch keine Löcher gespielt",
+  "Best ball net {score} ({toPar}) after {holes}": "Bestball netto {score} ({toPar}) nach {holes}",
+  "{side} v {other}: all square": "{side} gegen {other}: all square",
+  "Match halved": "Lochspiel geteilt",
+  "{name} wins {lead} UP": "{name} gewinnt {lead} auf",
+  "{name} wins {lead} & {remaining}": "{name} gewinnt {lead} & {remaining}",
+  "All square after {holes}": "All square nach {holes}",
+  "{name} {lead} UP after {holes} (dormie)": "{name} {lead} auf nach {holes} (dormie)",
+  "{name} {lead} UP after {holes}": "{name} {lead} auf nach {holes}",
+  "level par": "Par",
+  "9-hole differential {value}": "9-Loch-Differential {value}",
+  "differential {value}": "Differential {value}",
+  "Rounds posted: {rounds}.": "Eingetragene Runden: {rounds}.",
+  "Already posted: {rounds}.": "Bereits eingetragen: {rounds}.",
+
+  // History and statistics
+  "No rounds in this period.": "Keine Runden in diesem Zeitraum.",
+  "Handicap index and differentials over time. Use the arrow keys to move between rounds.": "Handicap-Index und Differentials im Zeitverlauf. Mit den Pfeiltasten wechseln Sie zwischen den Runden.",
+  "Index {value}": "Index {value}",
+  "Differential {value}": "Differential {value}",
+  "Course and tee": "Platz und Abschlag",
+  "Month": "Monat",
+  "Season": "Saison",
+  "The consistency trend needs at least {count} rounds.": "Der Beständigkeitsverlauf braucht mindestens {count} Runden.",
+  "Standard deviation of the last {count} differentials over time, from {first} to {last}.": "Standardabweichung der letzten {count} Differentials im Zeitverlauf, von {first} bis {last}.",
+  "Standard deviation of your last {count} differentials after each round. Lower means more consistent.": "Standardabweichung Ihrer letzten {count} Differentials nach jeder Runde. Niedriger heißt beständiger.",
+  "Enter rounds hole by hole to see how your holes are scored.": "Geben Sie Runden Loch für Loch ein, um Ihre Lochergebnisse zu sehen.",
+  "Hole results over {count} holes": "Lochergebnisse über {count} Löcher",
+  "par {par}s {average}": "Par-{par}-Löcher {average}",
+  "{holes} holes from {rounds} round.": "{holes} Löcher aus {rounds} Runde.",
+  "{holes} holes from {rounds} rounds.": "{holes} Löcher aus {rounds} Runden.",
+  "Average strokes: {averages}.": "Durchschnittliche Schläge: {averages}.",
+  "{count} hole was capped at net double bogey.": "{count} Loch wurde auf Netto-Doppelbogey begrenzt.",
+  "{count} holes were capped at net double bogey.": "{count} Löcher wurden auf Netto-Doppelbogey begrenzt.",
+  "No rounds yet.": "Noch keine Runden.",
+
+  // What-if simulator
+  "You have {count} of {max} scores, so no round drops out of your record yet.": "Sie haben {count} von {max} Ergebnissen, daher fällt noch keine Runde heraus.",
+  "Next to drop out: your round on {date} (differential {differential}), one of the rounds your index is based on.": "Als Nächstes fällt heraus: Ihre Runde vom {date} (Differential {differential}), eine der Runden, auf denen Ihr Index beruht.",
+  "Next to drop out: your round on {date} (differential {differential}), which does not count towards your index at the moment.": "Als Nächstes fällt heraus: Ihre Runde vom {date} (Differential {differential}), die derzeit nicht für Ihren Index zählt.",
+  "Post a round first: the simulator needs a Handicap Index to work from.": "Tragen Sie zuerst eine Runde ein: Der Rechner braucht einen Handicap-Index.",
+  "Lower than {index}": "Niedriger als {index}",
+  "Keep at {index}": "Bei {index} halten",
+  "Raise above {index}": "Über {index} anheben",
+  "Any": "Beliebig",
+  "Gross ≤ {score}": "Brutto ≤ {score}",
+  "Gross ≥ {score}": "Brutto ≥ {score}",
+  "No single score can lower your index next time.": "Kein einzelnes Ergebnis kann Ihren Index beim nächsten Mal senken.",
+  "No single score can raise your index next time.": "Kein einzelnes Ergebnis kann Ihren Index beim nächsten Mal erhöhen.",
+  "Choose a tee or enter its ratings to see the gross scores.": "Wählen Sie einen Abschlag oder geben Sie seine Ratings ein, um die Bruttoergebnisse zu sehen.",
+  "Round {number}: score {score} · CR {rating} · Slope {slope} · Diff. {differential}": "Runde {number}: Ergebnis {score} · CR {rating} · Slope {slope} · Diff. {differential}",
+  "Remove hypothetical round {number}": "Angenommene Runde {number} entfernen",
+  "Projected Handicap Index: {projected} (now {current}). Hypothetical rounds are not saved.": "Voraussichtlicher Handicap-Index: {projected} (jetzt {current}). Angenommene Runden werden nicht gespeichert.",
+
+  // Backup and import
+  "Adjusted score": "Bereinigtes Ergebnis",
+  "Choose a column for: {fields}.": "Wählen Sie eine Spalte für: {fields}.",
+  "Unreadable date \"{date}\".": "Unlesbares Datum „{date}“.",
+  "The file is not valid JSON.": "Die Datei ist kein gültiges JSON.",
+  "The file does not contain any rounds.": "Die Datei enthält keine Runden.",
+  "This backup was made by a newer version of the app (schema {version}).": "Diese Sicherung stammt von einer neueren Version der App (Schema {version}).",
+  "Course {number}": "Platz {number}",
+  "The CSV file has no data rows.": "Die CSV-Datei enthält keine Datenzeilen.",
+  "The file could not be read.": "Die Datei konnte nicht gelesen werden.",
+  "Choose a column": "Spalte wählen",
+  "Not imported": "Nicht importiert",
+  "Column {number}": "Spalte {number}",
+  "{count} round ready to import": "{count} Runde bereit zum Import",
+  "{count} rounds ready to import": "{count} Runden bereit zum Import",
+  "{count} already saved (skipped when merging)": "{count} bereits gespeichert (beim Zusammenführen übersprungen)",
+  "{count} course": "{count} Platz",
+  "{count} courses": "{count} Plätze",
+  "{count} row with errors": "{count} Zeile mit Fehlern",
+  "{count} rows with errors": "{count} Zeilen mit Fehlern",
+  "Row {number}": "Zeile {number}",
+  "Replace all {count} saved rounds with the imported data?": "Alle {count} gespeicherten Runden durch die importierten Daten ersetzen?",
+  "Imported {count} round.": "{count} Runde importiert.",
+  "Imported {count} rounds.": "{count} Runden importiert.",
+
+  // Records needing attention
+  "Discard record": "Eintrag verwerfen",
+  "Discard {record}": "{record} verwerfen",
+  "(found {date} while moving data from the previous storage)": "(gefunden am {date} beim Übertragen aus dem bisherigen Speicher)",
+  "(found {date})": "(gefunden am {date})",
+  "(received {date} from the sync server)": "(am {date} vom Sync-Server empfangen)",
+  "Unreadable course library": "Unlesbare Platzliste",
+  "Unreadable profiles": "Unlesbare Spielerprofile",
+  "Unreadable rounds": "Unlesbare Runden",
+  "Course {name}": "Platz {name}",
+  "Course without a name": "Platz ohne Namen",
+  "Player {name}": "Spieler {name}",
+  "Player without a name": "Spieler ohne Namen",
+  "Round": "Runde",
+  "Score {score}": "Ergebnis {score}",
+  "Permanently discard this record? Download it first if you may need it.": "Diesen Eintrag endgültig verwerfen? Laden Sie ihn vorher herunter, falls Sie ihn noch brauchen.",
+
+  // Players
+  "No home course": "Kein Heimatplatz",
+  "Edit Player": "Spieler bearbeiten",
+  "Delete {name} and all saved rounds? This cannot be undone.": "{name} und alle gespeicherten Runden löschen? Dies kann nicht rückgängig gemacht werden.",
+  "Delete {name} and {count} saved round? This cannot be undone.": "{name} und {count} gespeicherte Runde löschen? Dies kann nicht rückgängig gemacht werden.",
+  "Delete {name} and {count} saved rounds? This cannot be undone.": "{name} und {count} gespeicherte Runden löschen? Dies kann nicht rückgängig gemacht werden.",
+
+  // Sharing
+  "Post at least one round to get a Handicap Index you can share.": "Erfassen Sie mindestens eine Runde, um einen Handicap-Index zu erhalten, den Sie teilen können.",
+  "Show this code to the starter or send the link. It holds your name, your index of {index} and the {count} differentials it is based on, so anyone can check the calculation. Nothing is uploaded.": "Zeigen Sie diesen Code dem Starter oder senden Sie den Link. Er enthält Ihren Namen, Ihren Index von {index} und die {count} Differentials, auf denen er beruht, sodass jeder die Berechnung prüfen kann. Es wird nichts hochgeladen.",
+  "QR code of the handicap record of {name}": "QR-Code des Handicap-Nachweises von {name}",
+  "Copy the selected link to share it.": "Kopieren Sie den markierten Link, um ihn zu teilen.",
+  "Link copied.": "Link kopiert.",
+  "This handicap record is damaged or incomplete. Ask the player to share it again.": "Dieser Handicap-Nachweis ist beschädigt oder unvollständig. Bitten Sie den Spieler, ihn erneut zu teilen.",
+  "This handicap record was shared by a newer version of the app.": "Dieser Handicap-Nachweis wurde mit einer neueren Version der App geteilt.",
+  "Calculated on {date}": "Berechnet am {date}",
+  "Verified: this differential gives this index.": "Bestätigt: Dieses Differential ergibt diesen Index.",
+  "Verified: the best {best} of these {total} differentials give this index.": "Bestätigt: Die besten {best} dieser {total} Differentials ergeben diesen Index.",
+  "Does not match: these differentials give an index of {index}.": "Stimmt nicht überein: Diese Differentials ergeben einen Index von {index}.",
+  "Hard cap applied: calculated {calculated}, limited by the Low Handicap Index of {low}.": "Hard Cap angewendet: berechnet {calculated}, begrenzt durch den niedrigsten Handicap-Index von {low}.",
+  "Soft cap applied: calculated {calculated}, limited by the Low Handicap Index of {low}.": "Soft Cap angewendet: berechnet {calculated}, begrenzt durch den niedrigsten Handicap-Index von {low}.",
+
+  // Certificate
+  "Issued on {date}": "Ausgestellt am {date}",
+  "Scores used": "Berücksichtigte Ergebnisse",
+  "Competition average": "Wettspieldurchschnitt",
+  "Differentials counted": "Gezählte Differentials",
+  "Best {best} of the most recent {total}": "Die besten {best} der letzten {total}",
+  "Adjustment for a short record": "Anpassung bei wenigen Ergebnissen",
+  "None": "Keine",
+  "Calculated index (before caps)": "Berechneter Index (vor Caps)",
+  "Cap": "Cap",
+  "Soft cap": "Soft Cap",
+  "Hard cap": "Hard Cap",
+  "{average} (1 round)": "{average} (1 Runde)",
+  "{average} ({count} rounds)": "{average} ({count} Runden)",
+  "PCC": "PCC",
+  "✓ marks the differentials the Handicap Index is based on. Differentials include any exceptional score reductions.": "✓ kennzeichnet die Differentials, auf denen der Handicap-Index beruht. Die Differentials enthalten etwaige Reduktionen für außergewöhnliche Ergebnisse.",
+
+  // Sync
+  "Enter the server address, starting with http:// or https://.": "Geben Sie die Serveradresse ein, beginnend mit http:// oder https://.",
+  "The sync key may only use letters, digits, - and _ (up to 64).": "Der Sync-Schlüssel darf nur Buchstaben, Ziffern, - und _ enthalten (bis zu 64).",
+  "The sync server cannot be reached.": "Der Sync-Server ist nicht erreichbar.",
+  "The sync server answered with status {status}.": "Der Sync-Server hat mit Status {status} geantwortet.",
+  "The sync server sent an unexpected answer.": "Der Sync-Server hat eine unerwartete Antwort gesendet.",
+  "Syncing…": "Synchronisiere …",
+  "You are offline. Your changes are queued and will be sent when the connection is back.": "Sie sind offline. Ihre Änderungen warten und werden gesendet, sobald die Verbindung wieder besteht.",
+  "The sync server cannot be reached. Sync resumes when the connection is back.": "Der Sync-Server ist nicht erreichbar. Die Synchronisierung wird fortgesetzt, sobald die Verbindung wieder besteht.",
+  "Sync failed: {error}": "Synchronisierung fehlgeschlagen: {error}",
+  "Sync is off. Your rounds stay on this device.": "Die Synchronisierung ist aus. Ihre Runden bleiben auf diesem Gerät.",
+  "Last synced {time}.": "Zuletzt synchronisiert: {time}.",
+  "Not synced yet.": "Noch nicht synchronisiert.",
+  "1 round was changed on this device and on another one. Choose the version to keep.": "1 Runde wurde auf diesem und auf einem anderen Gerät geändert. Wählen Sie die Fassung, die bleiben soll.",
+  "{count} rounds were changed on this device and on another one. Choose the versions to keep.": "{count} Runden wurden auf diesem und auf einem anderen Gerät geändert. Wählen Sie die Fassungen, die bleiben sollen.",
+  "This device": "Dieses Gerät",
+  "Server": "Server",
+  "Keep This Version": "Diese Fassung behalten",
+  "Use This Version": "Diese Fassung übernehmen",
+  "Deleted": "Gelöscht",
+  "The hole scores or other details differ.": "Die Lochergebnisse oder andere Angaben unterscheiden sich.",
+  "Changed {time}": "Geändert: {time}",
+
+  // Goals and reminders
+  "A strong round is about to drop out": "Eine starke Runde fällt bald heraus",
+  "{name}: your differential of {differential} from {date} counts towards your index and drops out of your last 20 scores with your next score.": "{name}: Ihr Differential von {differential} vom {date} zählt für Ihren Index und fällt mit Ihrem nächsten Ergebnis aus den letzten 20 Ergebnissen.",
+  "{name}: your differential of {differential} from {date} counts towards your index and drops out of your last 20 scores in {count} scores.": "{name}: Ihr Differential von {differential} vom {date} zählt für Ihren Index und fällt in {count} Ergebnissen aus den letzten 20 Ergebnissen.",
+  "Time for a round?": "Zeit für eine Runde?",
+  "{name} has not posted a score for {days} days. Post one to keep your Handicap Index current.": "{name} hat seit {days} Tagen kein Ergebnis eingetragen. Tragen Sie eines ein, damit Ihr Handicap-Index aktuell bleibt.",
+  "Set a target index, e.g. single figures by September, to follow your progress toward it.": "Legen Sie einen Ziel-Index fest, z. B. einstellig bis September, um Ihren Fortschritt dorthin zu verfolgen.",
+  "Post a round first: progress is measured from your Handicap Index.": "Tragen Sie zuerst eine Runde ein: Der Fortschritt wird an Ihrem Handicap-Index gemessen.",
+  "Current index": "Aktueller Index",
+  "Target": "Ziel",
+  "To go": "Noch",
+  "Progress toward the goal": "Fortschritt zum Ziel",
+  "{percent}% of the way from {start} when you set the goal.": "{percent} % des Wegs von {start}, als Sie das Ziel festgelegt haben.",
+  "Trend over the last 12 months: {change} per month.": "Trend der letzten 12 Monate: {change} pro Monat.",
+  "Goal reached: your index of {index} is at or below {target}.": "Ziel erreicht: Ihr Index von {index} liegt bei oder unter {target}.",
+  "At this rate you reach {target} around {date}.": "In diesem Tempo erreichen Sie {target} etwa am {date}.",
+  "At this rate you reach {target} around {date}, in time for {by}.": "In diesem Tempo erreichen Sie {target} etwa am {date}, rechtzeitig vor dem {by}.",
+  "At this rate you reach {target} around {date}, after your target date of {by}.": "In diesem Tempo erreichen Sie {target} etwa am {date}, nach Ihrem Zieldatum {by}.",
+  "Post rounds on a few more days for a projected date.": "Tragen Sie Runden an einigen weiteren Tagen ein, um ein voraussichtliches Datum zu sehen.",
+  "Your index is not improving at the moment, so there is no projected date.": "Ihr Index verbessert sich derzeit nicht, daher gibt es kein voraussichtliches Datum.",
+  "At this rate {target} is more than three years away.": "In diesem Tempo ist {target} mehr als drei Jahre entfernt.",
+  "Choose a target date in the future, or leave it empty.": "Wählen Sie ein Zieldatum in der Zukunft oder lassen Sie das Feld leer.",
+  "This browser cannot show notifications, so reminders are not available.": "Dieser Browser kann keine Benachrichtigungen anzeigen, daher sind Erinnerungen nicht verfügbar.",
+  "Reminders appear as notifications on this device. No data leaves it.": "Erinnerungen erscheinen als Benachrichtigungen auf diesem Gerät. Keine Daten verlassen es.",
+  "Notifications are not allowed for this app. Allow them in your browser settings to get reminders.": "Benachrichtigungen sind für diese App nicht erlaubt. Erlauben Sie sie in den Browsereinstellungen, um Erinnerungen zu erhalten.",
+
+  // Rounds
+  "An error occurred.": "Ein Fehler ist aufgetreten.",
+  "Ratings entered manually": "Ratings manuell eingegeben",
+  "Your saved rounds could not be opened: {error}": "Ihre gespeicherten Runden konnten nicht geöffnet werden: {error}",
+  "The rounds of this player could not be opened: {error}": "Die Runden dieses Spielers konnten nicht geöffnet werden: {error}",
+  "Enter the course rating and slope first.": "Geben Sie zuerst Course Rating und Slope ein.",
+  "{count} line skipped (first: line {row}: {error})": "{count} Zeile übersprungen (erste: Zeile {row}: {error})",
+  "{count} lines skipped (first: line {row}: {error})": "{count} Zeilen übersprungen (erste: Zeile {row}: {error})",
+  "PCC {pcc}: the field of {count} scored {excess} on average against expectation.": "PCC {pcc}: Das Feld von {count} Spielern lag im Schnitt {excess} gegenüber der Erwartung.",
+  "Updated Score Differential": "Aktualisiertes Score Differential",
+  "Updated 9-Hole Score Differential": "Aktualisiertes 9-Loch-Score-Differential",
+  "9-Hole Score Differential": "9-Loch-Score-Differential",
+  "Competition scoring needs a Handicap Index. Save this round without a format until you have one.": "Die Wertung einer Spielform braucht einen Handicap-Index. Speichern Sie diese Runde ohne Spielform, bis Sie einen haben.",
+  "Adjusted Gross Score {adjusted} (gross {gross}, max. par + {limit} per hole)": "Bereinigtes Bruttoergebnis {adjusted} (brutto {gross}, max. Par + {limit} je Loch)",
+  "Adjusted Gross Score {adjusted} (gross {gross}, course handicap {handicap})": "Bereinigtes Bruttoergebnis {adjusted} (brutto {gross}, Course Handicap {handicap})",
+  "PCC {pcc} applied": "PCC {pcc} angewendet",
+  "PCC {pcc} applied (calculated from the field's scores)": "PCC {pcc} angewendet (aus den Ergebnissen des Feldes berechnet)",
+  "No changes to save.": "Keine Änderungen zum Speichern.",
+  "Editing round from {date}": "Runde vom {date} wird bearbeitet",
+  "Save Changes": "Änderungen speichern",
+  "Calculate & Save for {name}": "Berechnen & für {name} speichern",
+  "Hole scores changed": "Lochergebnisse geändert",
+  "{points} pt": "{points} Pkt.",
+  "{points} pts": "{points} Pkt.",
+  "All square": "All square",
+  "{holes} up": "{holes} auf",
+  "{holes} down": "{holes} ab",
+  "Net {score}": "Netto {score}",
+  "(playing handicap {handicap})": "(Spielvorgabe {handicap})",
+  "9-hole differential {value} + expected {expected} for index {index}": "9-Loch-Differential {value} + erwartet {expected} für Index {index}",
+  "the 9 holes on {date}": "den 9 Löchern vom {date}",
+  "another 9-hole round": "einer weiteren 9-Loch-Runde",
+  "9-hole differential {value}, combined into {partner}": "9-Loch-Differential {value}, kombiniert mit {partner}",
+  "9-hole differential {value} combined with {partner}": "9-Loch-Differential {value} kombiniert mit {partner}",
+  "9-hole differential {value}, waiting for a second 9-hole round to combine with": "9-Loch-Differential {value}, wartet auf eine zweite 9-Loch-Runde zum Kombinieren",
+  "Exceptional score: {below} below your index of {index}, so {reduction} is applied to your last {count} differentials": "Außergewöhnliches Ergebnis: {below} unter Ihrem Index von {index}, daher wird {reduction} auf Ihre letzten {count} Differentials angewendet",
+  "Are you sure you want to delete all saved rounds of {name}?": "Möchten Sie wirklich alle gespeicherten Runden von {name} löschen?",
+  "Based on your best {best} out of {total} rounds": "Aus Ihren besten {best} von {total} Runden",
+  "At least 1 round required": "Mindestens 1 Runde erforderlich",
+  "Hard cap applied: calculated {calculated}, limited by your Low Handicap Index of {low}": "Hard Cap angewendet: berechnet {calculated}, begrenzt durch Ihren niedrigsten Handicap-Index von {low}",
+  "Soft cap applied: calculated {calculated}, limited by your Low Handicap Index of {low}": "Soft Cap angewendet: berechnet {calculated}, begrenzt durch Ihren niedrigsten Handicap-Index von {low}",
+  "Your round on {date} (differential {differential}) was {below} below your index of {index}, so an exceptional score reduction of {reduction} applies to that differential.": "Ihre Runde vom {date} (Differential {differential}) lag {below} unter Ihrem Index von {index}, daher gilt für dieses Differential eine Reduzierung für außergewöhnliche Ergebnisse von {reduction}.",
+  "Your round on {date} (differential {differential}) was {below} below your index of {index}, so an exceptional score reduction of {reduction} applies to your {count} most recent differentials.": "Ihre Runde vom {date} (Differential {differential}) lag {below} unter Ihrem Index von {index}, daher gilt für Ihre {count} letzten Differentials eine Reduzierung für außergewöhnliche Ergebnisse von {reduction}.",
+  "Counts": "Zählt",
+  "One of the differentials your current Handicap Index is based on": "Eines der Differentials, auf denen Ihr aktueller Handicap-Index beruht",
+  "9-hole {value}": "9 Loch {value}",
+  "Diff. {value}": "Diff. {value}",
+  "Exceptional score reduction applied": "Reduzierung für außergewöhnliches Ergebnis angewendet",
+  "Delete round": "Runde löschen",
+  "Delete round from {date}": "Runde vom {date} löschen",
+  "Edit round from {date}": "Runde vom {date} bearbeiten",
+  "(AGS {score})": "(bereinigt {score})",
+  "Hole-by-hole": "Loch für Loch",
+  "PCC {pcc}": "PCC {pcc}",
+  "Exceptional score ({reduction})": "Außergewöhnliches Ergebnis ({reduction})",
+  "Edited once": "Einmal bearbeitet",
+  "Edited {count} times": "{count}-mal bearbeitet",
+  "All courses": "Alle Plätze",
+  "No rounds match the filters.": "Keine Runden entsprechen den Filtern.",
+  "{count} round": "{count} Runde",
+  "{count} rounds": "{count} Runden",
+  "{matching} of {total} rounds match": "{matching} von {total} Runden entsprechen",
+  "showing {count}": "{count} angezeigt",
+  "Show {count} more": "{count} weitere anzeigen",
+  "Not counted towards your Handicap Index": "Zählt nicht für Ihren Handicap-Index",
+  "Yes": "Ja",
+  "No": "Nein",
+  "9-hole differential {value}, not combined because the round does not count": "9-Loch-Differential {value}, nicht kombiniert, weil die Runde nicht zählt",
+  "Competition average {average} (1 round)": "Wettspieldurchschnitt {average} (1 Runde)",
+  "Competition average {average} ({count} rounds)": "Wettspieldurchschnitt {average} ({count} Runden)",
+  "Not acceptable for handicap purposes, so this round is left out of your Handicap Index": "Nicht für das Handicap annehmbar, daher bleibt diese Runde bei Ihrem Handicap-Index unberücksichtigt",
+
+  // Engine and storage messages
+  "No active profile.": "Kein aktiver Spieler.",
+  "Saved rounds are not loaded yet.": "Die gespeicherten Runden sind noch nicht geladen.",
+  "Saved courses are not loaded yet.": "Die gespeicherten Plätze sind noch nicht geladen.",
+  "Courses must be an array.": "Plätze müssen eine Liste sein.",
+  "Rounds must be an array.": "Runden müssen eine Liste sein.",
+  "Storage space full. Please delete old rounds.": "Speicher voll. Bitte löschen Sie alte Runden.",
+  "Error saving": "Fehler beim Speichern",
+  "Error deleting": "Fehler beim Löschen",
+  "IndexedDB is not available in this browser.": "IndexedDB ist in diesem Browser nicht verfügbar.",
+  "Please close other tabs of this app to finish updating its storage.": "Bitte schließen Sie andere Tabs dieser App, um die Aktualisierung des Speichers abzuschließen.",
+  "Transaction aborted.": "Vorgang abgebrochen.",
+  "Hole {0}": "Loch {0}",
+  "Tee {0}": "Abschlag {0}",
+  "men's ratings": "Herren-Ratings",
+  "women's ratings": "Damen-Ratings",
+  "enter {0} pars and {1} stroke indexes.": "geben Sie {0} Par-Werte und {1} Werte der Vorgabenverteilung ein.",
+  "hole pars add up to {0} but the tee's par is {1}.": "die Par-Werte der Löcher ergeben {0}, das Par des Abschlags ist aber {1}.",
+  "Please provide a valid date.": "Bitte geben Sie ein gültiges Datum an.",
+  "Please provide a date.": "Bitte geben Sie ein Datum an.",
+  "Invalid date format. Please use YYYY-MM-DD.": "Ungültiges Datumsformat. Bitte verwenden Sie JJJJ-MM-TT.",
+  "Invalid date.": "Ungültiges Datum.",
+  "The date cannot be in the future.": "Das Datum darf nicht in der Zukunft liegen.",
+  "Please enter a gross score.": "Bitte geben Sie ein Bruttoergebnis ein.",
+  "Gross score must be a valid number.": "Das Bruttoergebnis muss eine gültige Zahl sein.",
+  "Gross score must be between {0} and {1}.": "Das Bruttoergebnis muss zwischen {0} und {1} liegen.",
+  "Gross score must be a whole number.": "Das Bruttoergebnis muss eine ganze Zahl sein.",
+  "Please enter a course rating.": "Bitte geben Sie ein Course Rating ein.",
+  "Course rating must be a valid number.": "Das Course Rating muss eine gültige Zahl sein.",
+  "{0}-hole course rating must be between {1} and {2}.": "Das {0}-Loch-Course-Rating muss zwischen {1} und {2} liegen.",
+  "Course rating must be between {0} and {1}.": "Das Course Rating muss zwischen {0} und {1} liegen.",
+  "A round must be {0} or {1} holes.": "Eine Runde muss {0} oder {1} Löcher haben.",
+  "Please enter a slope rating.": "Bitte geben Sie ein Slope Rating ein.",
+  "Slope rating must be a valid number.": "Das Slope Rating muss eine gültige Zahl sein.",
+  "Slope rating must be between {0} and {1}.": "Das Slope Rating muss zwischen {0} und {1} liegen.",
+  "Slope rating must be a whole number.": "Das Slope Rating muss eine ganze Zahl sein.",
+  "PCC must be a whole number between {0} and {1}.": "Die PCC muss eine ganze Zahl zwischen {0} und {1} sein.",
+  "Please enter the par.": "Bitte geben Sie das Par ein.",
+  "Par must be a valid number.": "Das Par muss eine gültige Zahl sein.",
+  "Par must be between {0} and {1}.": "Das Par muss zwischen {0} und {1} liegen.",
+  "Par must be a whole number.": "Das Par muss eine ganze Zahl sein.",
+  "Please enter a course name.": "Bitte geben Sie einen Namen für den Platz ein.",
+  "Please enter a tee name.": "Bitte geben Sie einen Namen für den Abschlag ein.",
+  "Please enter a player name.": "Bitte geben Sie einen Spielernamen ein.",
+  "Course name must be at most {0} characters.": "Der Name des Platzes darf höchstens {0} Zeichen lang sein.",
+  "Tee name must be at most {0} characters.": "Der Name des Abschlags darf höchstens {0} Zeichen lang sein.",
+  "Player name must be at most {0} characters.": "Der Spielername darf höchstens {0} Zeichen lang sein.",
+  "Invalid profile object.": "Ungültiges Spielerprofil.",
+  "Profile is missing an id.": "Dem Spielerprofil fehlt eine ID.",
+  "Invalid gender for tee ratings.": "Ungültige Ratings-Auswahl.",
+  "Invalid home course.": "Ungültiger Heimatplatz.",
+  "Invalid profile settings.": "Ungültige Profileinstellungen.",
+  "Invalid ratings.": "Ungültige Ratings.",
+  "Invalid course object.": "Ungültiger Platz.",
+  "Course object is missing a required field: id.": "Dem Platz fehlt ein Pflichtfeld: id.",
+  "A course needs at least one tee.": "Ein Platz braucht mindestens einen Abschlag.",
+  "Tee {0} is missing an id.": "Dem Abschlag {0} fehlt eine ID.",
+  "A scorecard must contain {0} holes.": "Eine Scorekarte muss {0} Löcher enthalten.",
+  "par must be a whole number between {0} and {1}.": "Das Par muss eine ganze Zahl zwischen {0} und {1} sein.",
+  "stroke index must be a whole number between {0} and {1}.": "Die Vorgabenverteilung muss eine ganze Zahl zwischen {0} und {1} sein.",
+  "stroke index {0} is used more than once.": "Vorgabenverteilung {0} wird mehrfach verwendet.",
+  "please enter the number of strokes.": "Bitte geben Sie die Anzahl der Schläge ein.",
+  "strokes must be a whole number between {0} and {1}.": "Die Schläge müssen eine ganze Zahl zwischen {0} und {1} sein.",
+  "Notes can be at most {0} characters.": "Notizen dürfen höchstens {0} Zeichen lang sein.",
+  "Please enter a Handicap Index.": "Bitte geben Sie einen Handicap-Index ein.",
+  "Handicap Index must be a valid number.": "Der Handicap-Index muss eine gültige Zahl sein.",
+  "Handicap Index must be between {0} and {1}.": "Der Handicap-Index muss zwischen {0} und {1} liegen.",
+  "Please enter the other player's course handicap.": "Bitte geben Sie das Course Handicap des anderen Spielers ein.",
+  "Course handicap must be a whole number.": "Das Course Handicap muss eine ganze Zahl sein.",
+  "Course handicap must be between {0} and {1}.": "Das Course Handicap muss zwischen {0} und {1} liegen.",
+  "Invalid round object.": "Ungültige Runde.",
+  "Round object is missing a required field": "Der Runde fehlt ein Pflichtfeld",
+  "Invalid round id.": "Ungültige Runden-ID.",
+  "Invalid round date.": "Ungültiges Rundendatum.",
+  "Invalid number of holes played.": "Ungültige Anzahl gespielter Löcher.",
+  "A 9-hole round without a differential must be pending, combined or excluded.": "Eine 9-Loch-Runde ohne Differential muss wartend, kombiniert oder ausgeschlossen sein.",
+  "Invalid differential value.": "Ungültiges Differential.",
+  "Invalid 9-hole differential value.": "Ungültiges 9-Loch-Differential.",
+  "Invalid PCC adjustment.": "Ungültige PCC-Anpassung.",
+  "Invalid edit history.": "Ungültiger Bearbeitungsverlauf.",
+  "Invalid modification time.": "Ungültiger Änderungszeitpunkt.",
+  "Invalid competition format.": "Ungültige Spielform.",
+  "Invalid competition result.": "Ungültiges Wettspielergebnis.",
+  "Invalid round notes.": "Ungültige Notizen.",
+  "Invalid round category.": "Ungültige Rundenart.",
+  "Invalid acceptability flag.": "Ungültige Angabe zur Annehmbarkeit.",
+  "Invalid adjusted gross score.": "Ungültiges bereinigtes Bruttoergebnis.",
+  "Invalid exceptional score reduction.": "Ungültige Reduzierung für außergewöhnliche Ergebnisse.",
+  "Invalid exceptional score adjustments.": "Ungültige Anpassungen für außergewöhnliche Ergebnisse.",
+  "Invalid exceptional score adjustment.": "Ungültige Anpassung für außergewöhnliche Ergebnisse.",
+  "At least {0} scores from players with an index up to {1} are needed ({2} found).": "Es werden mindestens {0} Ergebnisse von Spielern mit einem Index bis {1} benötigt ({2} gefunden)."
+};
+
+// ============================================================================
+// FRENCH
+// ============================================================================
+
+MESSAGES.fr = {
+  // Page
+  "Golf Handicap – Score Differential": "Handicap de golf – Score Differential",
+  "A new version is available.": "Une nouvelle version est disponible.",
+  "Reload": "Recharger",
+  "Score Differential": "Score Differential",
+  "Calculate Golf Handicap": "Calculer son handicap de golf",
+  "Player": "Joueur",
+  "Edit": "Modifier",
+  "Add Player": "Ajouter un joueur",
+  "Language": "Langue",
+  "Name": "Nom",
+  "e.g. Alex": "p. ex. Alex",
+  "Tee Ratings": "Évaluations des départs",
+  "Standard ratings": "Évaluations standard",
+  "Men's ratings": "Évaluations messieurs",
+  "Women's ratings": "Évaluations dames",
+  "Home Course": "Parcours habituel",
+  "Delete": "Supprimer",
+  "Cancel": "Annuler",
+  "Save Player": "Enregistrer le joueur",
+  "Date": "Date",
+  "Course": "Parcours",
+  "Enter ratings manually": "Saisir les évaluations manuellement",
+  "Tee": "Départ",
+  "Holes Played": "Trous joués",
+  "18 holes": "18 trous",
+  "9 holes": "9 trous",
+  "Gross Score": "Score brut",
+  "e.g. 85": "p. ex. 85",
+  "Enter hole-by-hole scores": "Saisir les scores trou par trou",
+  "Hole-by-hole scorecard": "Carte de score trou par trou",
+  "Competition Format": "Formule de jeu",
+  "None (handicap only)": "Aucune (handicap seulement)",
+  "Course Rating": "Course Rating",
+  "e.g. 72.5": "p. ex. 72,5",
+  "Slope Rating": "Slope Rating",
+  "e.g. 128": "p. ex. 128",
+  "Playing Conditions (PCC)": "Conditions de jeu (PCC)",
+  "-1 (easier than normal)": "-1 (plus facile que la normale)",
+  "0 (normal conditions)": "0 (conditions normales)",
+  "+3 (much harder than normal)": "+3 (beaucoup plus difficile que la normale)",
+  "Calculate PCC from the field's scores": "Calculer le PCC à partir des scores du champ",
+  "Field results: Handicap Index and adjusted gross score, one player per line": "Résultats du champ : index et score brut ajusté, un joueur par ligne",
+  "Or load club results (CSV)": "Ou charger les résultats du club (CSV)",
+  "Calculate PCC": "Calculer le PCC",
+  "Notes": "Notes",
+  "Optional, e.g. windy, winter greens": "Facultatif, p. ex. venteux, greens d’hiver",
+  "Round Type": "Type de partie",
+  "Acceptable for handicap purposes": "Recevable pour le handicap",
+  "Calculate & Save": "Calculer et enregistrer",
+  "Current Handicap": "Handicap actuel",
+  "Handicap Index": "Index",
+  "Best 8 out of the last 20 rounds": "Les 8 meilleures des 20 dernières parties",
+  "Shared Handicap Record": "Dossier de handicap partagé",
+  "Differentials, newest first. The highlighted ones make up the index.": "Differentials, du plus récent au plus ancien. Ceux mis en évidence constituent l'index.",
+  "Shared differentials": "Differentials partagés",
+  "Read-only: this record is not saved on this device.": "Lecture seule : ce dossier n'est pas enregistré sur cet appareil.",
+  "Open My Own Record": "Ouvrir mon propre dossier",
+  "Share Handicap": "Partager le handicap",
+  "Link to your record": "Lien vers votre dossier",
+  "Copy Link": "Copier le lien",
+  "Handicap Certificate": "Certificat de handicap",
+  "Print or Save as PDF": "Imprimer ou enregistrer en PDF",
+  "Calculation": "Calcul",
+  "Most Recent Scores": "Derniers scores",
+  "Handicap secretary": "Responsable des handicaps",
+  "Playing Handicap Calculator": "Calcul du handicap de jeu",
+  "e.g. 14.2": "p. ex. 14,2",
+  "e.g. 36.2": "p. ex. 36,2",
+  "Slope": "Slope",
+  "Par": "Par",
+  "Format": "Formule",
+  "Opponent's Course Handicap": "Handicap de parcours de l’adversaire",
+  "Partner's Course Handicap": "Handicap de parcours du partenaire",
+  "Group Round": "Partie en groupe",
+  "Scoring": "Décompte",
+  "Match play (players 1 & 2 against 3 & 4)": "Match play (joueurs 1 et 2 contre 3 et 4)",
+  "Best ball stroke play": "Meilleure balle en stroke play",
+  "Players": "Joueurs",
+  "Player 1": "Joueur 1",
+  "Player 2": "Joueur 2",
+  "Player 3": "Joueur 3",
+  "Player 4": "Joueur 4",
+  "Start Scoring": "Commencer le décompte",
+  "Post Rounds": "Enregistrer les parties",
+  "Discard": "Abandonner",
+  "Handicap History": "Historique de l’index",
+  "Time range": "Période",
+  "3 months": "3 mois",
+  "1 year": "1 an",
+  "All": "Tout",
+  "Index": "Index",
+  "Differentials": "Differentials",
+  "What-If Simulator": "Simulateur",
+  "Next round at": "Prochaine partie à",
+  "Hypothetical gross score at this tee": "Score brut hypothétique depuis ce départ",
+  "e.g. 84": "p. ex. 84",
+  "Add Hypothetical Round": "Ajouter une partie hypothétique",
+  "Hypothetical rounds": "Parties hypothétiques",
+  "Statistics": "Statistiques",
+  "Consistency": "Régularité",
+  "Hole Results": "Résultats par trou",
+  "By Course and Tee": "Par parcours et départ",
+  "By Month": "Par mois",
+  "By Season": "Par saison",
+  "Records Needing Attention": "Données à vérifier",
+  "Download": "Télécharger",
+  "These saved records failed validation and are not used for your index. Download them to fix and re-import, or discard them.": "Ces données enregistrées ne sont pas valides et ne comptent pas pour votre index. Téléchargez-les pour les corriger et les réimporter, ou abandonnez-les.",
+  "List of quarantined records": "Liste des données mises de côté",
+  "My Recent Rounds": "Mes dernières parties",
+  "Delete all rounds": "Supprimer toutes les parties",
+  "Delete all saved rounds": "Supprimer toutes les parties enregistrées",
+  "Delete All": "Tout supprimer",
+  "Search course and notes": "Rechercher parcours et notes",
+  "e.g. Old Course, windy": "p. ex. Old Course, venteux",
+  "From": "Du",
+  "To": "Au",
+  "Round type": "Type de partie",
+  "Sort by": "Trier par",
+  "Only rounds counting in my current index": "Seulement les parties comptant pour mon index actuel",
+  "List of saved golf rounds": "Liste des parties enregistrées",
+  "No rounds saved yet.": "Aucune partie enregistrée.",
+  "Show more": "Afficher plus",
+  "My Courses": "Mes parcours",
+  "Add Course": "Ajouter un parcours",
+  "List of saved courses": "Liste des parcours enregistrés",
+  "No courses saved yet.": "Aucun parcours enregistré.",
+  "Course Name": "Nom du parcours",
+  "e.g. Old Course": "p. ex. Old Course",
+  "+ Add Tee": "+ Ajouter un départ",
+  "Save Course": "Enregistrer le parcours",
+  "Backup & Import": "Sauvegarde et import",
+  "Export JSON": "Exporter en JSON",
+  "Export CSV": "Exporter en CSV",
+  "Import a JSON backup or CSV score history": "Importer une sauvegarde JSON ou un historique CSV",
+  "Date format": "Format de date",
+  "Automatic (DD/MM/YYYY or YYYY-MM-DD)": "Automatique (JJ/MM/AAAA ou AAAA-MM-JJ)",
+  "Merge": "Fusionner",
+  "Replace All": "Tout remplacer",
+  "Sync Between Devices": "Synchroniser entre appareils",
+  "Keep this player's rounds the same on all your devices through a sync server you run yourself. Enter the same server and sync key on each device. While sync is off, nothing leaves this device.": "Gardez les parties de ce joueur identiques sur tous vos appareils grâce à un serveur de synchronisation que vous hébergez vous-même. Saisissez le même serveur et la même clé de synchronisation sur chaque appareil. Tant que la synchronisation est désactivée, rien ne quitte cet appareil.",
+  "Sync this player's rounds": "Synchroniser les parties de ce joueur",
+  "Server Address": "Adresse du serveur",
+  "e.g. http://192.168.1.20:8787": "p. ex. http://192.168.1.20:8787",
+  "Sync Key": "Clé de synchronisation",
+  "Save Settings": "Enregistrer les réglages",
+  "Sync Now": "Synchroniser maintenant",
+  "Rounds changed on both sides": "Parties modifiées des deux côtés",
+  "Goals & Reminders": "Objectifs et rappels",
+  "Target Handicap Index": "Index visé",
+  "e.g. 9.9": "p. ex. 9,9",
+  "Target Date (optional)": "Date visée (facultative)",
+  "Save Goal": "Enregistrer l'objectif",
+  "Remove Goal": "Supprimer l'objectif",
+  "Reminders": "Rappels",
+  "When a counting round is about to drop out of the last 20 scores": "Quand une partie retenue va bientôt sortir des 20 derniers scores",
+  "When no round has been posted for a while": "Quand aucune partie n'a été saisie depuis un moment",
+  "Days without a round": "Jours sans partie",
+
+  // Labels of the app's settings
+  "Adjusted Gross Score": "Score brut ajusté",
+  "Holes": "Trous",
+  "Score": "Score",
+  "Diff.": "Diff.",
+  "Individual stroke play": "Stroke play individuel",
+  "Individual Stableford": "Stableford individuel",
+  "Individual par/bogey": "Contre le par individuel",
+  "Four-ball stroke play": "Quatre balles stroke play",
+  "Four-ball match play": "Quatre balles match play",
+  "Foursomes": "Foursome",
+  "Singles match play": "Match play simple",
+  "Net stroke play": "Stroke play net",
+  "Stableford": "Stableford",
+  "Par/bogey": "Contre le par",
+  "Eagle or better": "Eagle ou mieux",
+  "Birdie": "Birdie",
+  "Bogey": "Bogey",
+  "Double bogey": "Double bogey",
+  "Triple or worse": "Triple ou pire",
+  "All rounds": "Toutes les parties",
+  "Competition format": "Avec formule de jeu",
+  "General play": "Partie amicale",
+  "Competition": "Compétition",
+  "Practice": "Entraînement",
+  "Penalty score": "Score de pénalité",
+  "Type": "Type",
+  "Acceptable": "Recevable",
+  "Competition rounds": "Parties de compétition",
+  "Not counted": "Non comptée",
+  "Newest first": "Plus récentes d’abord",
+  "Oldest first": "Plus anciennes d’abord",
+  "Best differential": "Meilleur differential",
+  "Worst differential": "Moins bon differential",
+  "Lowest score": "Score le plus bas",
+  "Highest score": "Score le plus haut",
+  "Rounds": "Parties",
+  "Avg.": "Moy.",
+  "Best": "Meilleur",
+  "Worst": "Moins bon",
+  "Std. dev.": "Écart type",
+  "Avg. gross": "Brut moy.",
+  "Hole": "Trou",
+  "Strokes": "Coups",
+  "Course Handicap": "Handicap de parcours",
+  "Playing Handicap": "Handicap de jeu",
+  "Low Handicap Index": "Index le plus bas",
+  "Avg. differential": "Differential moyen",
+  "Std. deviation": "Écart type",
+  "Avg. gross (18 holes)": "Brut moyen (18 trous)",
+  "Men's": "Messieurs",
+  "Women's": "Dames",
+  "Men's Par": "Par messieurs",
+  "Men's CR": "CR messieurs",
+  "Men's Slope": "Slope messieurs",
+  "Women's Par": "Par dames",
+  "Women's CR": "CR dames",
+  "Women's Slope": "Slope dames",
+  "Par per hole, holes 1–18": "Par par trou, trous 1–18",
+  "Stroke index per hole, holes 1–18": "Handicap des trous, trous 1–18",
+
+  // Courses
+  "{name} tee": "Départ {name}",
+  "CR {rating} · Slope {slope}": "CR {rating} · Slope {slope}",
+  "Par {par}": "Par {par}",
+  "Edit {name}": "Modifier {name}",
+  "Delete course": "Supprimer le parcours",
+  "Delete {name}": "Supprimer {name}",
+  "Edit Course": "Modifier le parcours",
+  "e.g. White": "p. ex. Blanc",
+  "Hole pars and stroke indexes (optional)": "Par et handicap des trous (facultatif)",
+  "e.g. 4, 4, 3, 5, …": "p. ex. 4, 4, 3, 5, …",
+  "e.g. 7, 13, 17, 1, …": "p. ex. 7, 13, 17, 1, …",
+  "Men's / women's ratings (optional)": "Évaluations messieurs / dames (facultatif)",
+  "Remove tee": "Retirer le départ",
+  "Delete {name} from your courses? Saved rounds are kept.": "Supprimer {name} de vos parcours ? Les parties enregistrées sont conservées.",
+  "Choose a course": "Choisir un parcours",
+
+  // Playing handicap
+  "No strokes given or received": "Aucun coup rendu ni reçu",
+  "You receive {count} stroke": "Vous recevez {count} coup",
+  "You receive {count} strokes": "Vous recevez {count} coups",
+  "You give {count} stroke": "Vous rendez {count} coup",
+  "You give {count} strokes": "Vous rendez {count} coups",
+  "Team playing handicap ({percent}% of combined {total})": "Handicap de jeu de l’équipe ({percent} % du total {total})",
+  "{percent}% of course handicap {handicap}": "{percent} % du handicap de parcours {handicap}",
+  "Strokes per hole": "Coups reçus par trou",
+  "Strokes by stroke index": "Coups reçus par handicap de trou",
+  "Hole {number} par": "Trou {number}, par",
+  "Hole {number} stroke index": "Trou {number}, handicap du trou",
+  "Hole {number} strokes": "Trou {number}, coups",
+
+  // Group round
+  "Discard the scores of this group round?": "Abandonner les scores de cette partie en groupe ?",
+  "Choose a player": "Choisir un joueur",
+  "No player": "Aucun joueur",
+  "Please choose a course and a tee with a saved hole layout.": "Veuillez choisir un parcours et un départ dont les trous sont enregistrés.",
+  "Each player can only be chosen once.": "Chaque joueur ne peut être choisi qu’une fois.",
+  "Please choose at least one player.": "Veuillez choisir au moins un joueur.",
+  "Match play needs two players (singles) or four players (players 1 and 2 against 3 and 4).": "Le match play se joue à deux (simple) ou à quatre (joueurs 1 et 2 contre 3 et 4).",
+  "no index": "sans index",
+  "PH {handicap}": "HJ {handicap}",
+  "{name}, hole {number}": "{name}, trou {number}",
+  "Strokes received": "Coups reçus",
+  "Strokes and match status need a Handicap Index for every player.": "Les coups reçus et l’état du match nécessitent un index pour chaque joueur.",
+  "Best ball: no holes completed yet": "Meilleure balle : aucun trou terminé",
+  "Best ball net {score} ({toPar}) after {holes}": "Meilleure balle net {score} ({toPar}) après {holes}",
+  "{side} v {other}: all square": "{side} contre {other} : égalité",
+  "Match halved": "Match partagé",
+  "{name} wins {lead} UP": "{name} gagne {lead} up",
+  "{name} wins {lead} & {remaining}": "{name} gagne {lead} & {remaining}",
+  "All square after {holes}": "Égalité après {holes}",
+  "{name} {lead} UP after {holes} (dormie)": "{name} {lead} up après {holes} (dormie)",
+  "{name} {lead} UP after {holes}": "{name} {lead} up après {holes}",
+  "level par": "dans le par",
+  "9-hole differential {value}": "differential 9 trous {value}",
+  "differential {value}": "differential {value}",
+  "Rounds posted: {rounds}.": "Parties enregistrées : {rounds}.",
+  "Already posted: {rounds}.": "Déjà enregistrées : {rounds}.",
+
+  // History and statistics
+  "No rounds in this period.": "Aucune partie sur cette période.",
+  "Handicap index and differentials over time. Use the arrow keys to move between rounds.": "Évolution de l’index et des differentials. Utilisez les flèches pour passer d’une partie à l’autre.",
+  "Index {value}": "Index {value}",
+  "Differential {value}": "Differential {value}",
+  "Course and tee": "Parcours et départ",
+  "Month": "Mois",
+  "Season": "Saison",
+  "The consistency trend needs at least {count} rounds.": "L’évolution de la régularité nécessite au moins {count} parties.",
+  "Standard deviation of the last {count} differentials over time, from {first} to {last}.": "Écart type des {count} derniers differentials dans le temps, du {first} au {last}.",
+  "Standard deviation of your last {count} differentials after each round. Lower means more consistent.": "Écart type de vos {count} derniers differentials après chaque partie. Plus il est bas, plus vous êtes régulier.",
+  "Enter rounds hole by hole to see how your holes are scored.": "Saisissez vos parties trou par trou pour voir vos résultats par trou.",
+  "Hole results over {count} holes": "Résultats sur {count} trous",
+  "par {par}s {average}": "par {par} : {average}",
+  "{holes} holes from {rounds} round.": "{holes} trous sur {rounds} partie.",
+  "{holes} holes from {rounds} rounds.": "{holes} trous sur {rounds} parties.",
+  "Average strokes: {averages}.": "Coups en moyenne : {averages}.",
+  "{count} hole was capped at net double bogey.": "{count} trou a été limité au double bogey net.",
+  "{count} holes were capped at net double bogey.": "{count} trous ont été limités au double bogey net.",
+  "No rounds yet.": "Aucune partie pour l’instant.",
+
+  // What-if simulator
+  "You have {count} of {max} scores, so no round drops out of your record yet.": "Vous avez {count} scores sur {max} : aucune partie ne sort encore de votre historique.",
+  "Next to drop out: your round on {date} (differential {differential}), one of the rounds your index is based on.": "Prochaine à sortir : votre partie du {date} (differential {differential}), l’une des parties sur lesquelles repose votre index.",
+  "Next to drop out: your round on {date} (differential {differential}), which does not count towards your index at the moment.": "Prochaine à sortir : votre partie du {date} (differential {differential}), qui ne compte pas actuellement pour votre index.",
+  "Post a round first: the simulator needs a Handicap Index to work from.": "Enregistrez d’abord une partie : le simulateur a besoin d’un index.",
+  "Lower than {index}": "Moins de {index}",
+  "Keep at {index}": "Rester à {index}",
+  "Raise above {index}": "Plus de {index}",
+  "Any": "Quel que soit le score",
+  "Gross ≤ {score}": "Brut ≤ {score}",
+  "Gross ≥ {score}": "Brut ≥ {score}",
+  "No single score can lower your index next time.": "Aucun score ne peut faire baisser votre index la prochaine fois.",
+  "No single score can raise your index next time.": "Aucun score ne peut faire monter votre index la prochaine fois.",
+  "Choose a tee or enter its ratings to see the gross scores.": "Choisissez un départ ou saisissez ses évaluations pour voir les scores bruts.",
+  "Round {number}: score {score} · CR {rating} · Slope {slope} · Diff. {differential}": "Partie {number} : score {score} · CR {rating} · Slope {slope} · Diff. {differential}",
+  "Remove hypothetical round {number}": "Retirer la partie hypothétique {number}",
+  "Projected Handicap Index: {projected} (now {current}). Hypothetical rounds are not saved.": "Index prévu : {projected} (actuellement {current}). Les parties hypothétiques ne sont pas enregistrées.",
+
+  // Backup and import
+  "Adjusted score": "Score ajusté",
+  "Choose a column for: {fields}.": "Choisissez une colonne pour : {fields}.",
+  "Unreadable date \"{date}\".": "Date illisible « {date} ».",
+  "The file is not valid JSON.": "Le fichier n’est pas un JSON valide.",
+  "The file does not contain any rounds.": "Le fichier ne contient aucune partie.",
+  "This backup was made by a newer version of the app (schema {version}).": "Cette sauvegarde provient d’une version plus récente de l’application (schéma {version}).",
+  "Course {number}": "Parcours {number}",
+  "The CSV file has no data rows.": "Le fichier CSV ne contient aucune ligne de données.",
+  "The file could not be read.": "Le fichier n’a pas pu être lu.",
+  "Choose a column": "Choisir une colonne",
+  "Not imported": "Non importé",
+  "Column {number}": "Colonne {number}",
+  "{count} round ready to import": "{count} partie prête à importer",
+  "{count} rounds ready to import": "{count} parties prêtes à importer",
+  "{count} already saved (skipped when merging)": "{count} déjà enregistrée(s) (ignorée(s) lors de la fusion)",
+  "{count} course": "{count} parcours",
+  "{count} courses": "{count} parcours",
+  "{count} row with errors": "{count} ligne en erreur",
+  "{count} rows with errors": "{count} lignes en erreur",
+  "Row {number}": "Ligne {number}",
+  "Replace all {count} saved rounds with the imported data?": "Remplacer les {count} parties enregistrées par les données importées ?",
+  "Imported {count} round.": "{count} partie importée.",
+  "Imported {count} rounds.": "{count} parties importées.",
+
+  // Records needing attention
+  "Discard record": "Abandonner la donnée",
+  "Discard {record}": "Abandonner {record}",
+  "(found {date} while moving data from the previous storage)": "(trouvée le {date} lors du transfert depuis l’ancien stockage)",
+  "(found {date})": "(trouvée le {date})",
+  "(received {date} from the sync server)": "(reçue le {date} du serveur de synchronisation)",
+  "Unreadable course library": "Liste des parcours illisible",
+  "Unreadable profiles": "Profils illisibles",
+  "Unreadable rounds": "Parties illisibles",
+  "Course {name}": "Parcours {name}",
+  "Course without a name": "Parcours sans nom",
+  "Player {name}": "Joueur {name}",
+  "Player without a name": "Joueur sans nom",
+  "Round": "Partie",
+  "Score {score}": "Score {score}",
+  "Permanently discard this record? Download it first if you may need it.": "Abandonner définitivement cette donnée ? Téléchargez-la d’abord si vous pourriez en avoir besoin.",
+
+  // Players
+  "No home course": "Aucun parcours habituel",
+  "Edit Player": "Modifier le joueur",
+  "Delete {name} and all saved rounds? This cannot be undone.": "Supprimer {name} et toutes ses parties enregistrées ? Cette action est irréversible.",
+  "Delete {name} and {count} saved round? This cannot be undone.": "Supprimer {name} et {count} partie enregistrée ? Cette action est irréversible.",
+  "Delete {name} and {count} saved rounds? This cannot be undone.": "Supprimer {name} et {count} parties enregistrées ? Cette action est irréversible.",
+
+  // Sharing
+  "Post at least one round to get a Handicap Index you can share.": "Enregistrez au moins une partie pour obtenir un Handicap Index à partager.",
+  "Show this code to the starter or send the link. It holds your name, your index of {index} and the {count} differentials it is based on, so anyone can check the calculation. Nothing is uploaded.": "Montrez ce code au starter ou envoyez le lien. Il contient votre nom, votre index de {index} et les {count} differentials sur lesquels il repose, pour que chacun puisse vérifier le calcul. Rien n'est envoyé en ligne.",
+  "QR code of the handicap record of {name}": "Code QR du dossier de handicap de {name}",
+  "Copy the selected link to share it.": "Copiez le lien sélectionné pour le partager.",
+  "Link copied.": "Lien copié.",
+  "This handicap record is damaged or incomplete. Ask the player to share it again.": "Ce dossier de handicap est endommagé ou incomplet. Demandez au joueur de le partager à nouveau.",
+  "This handicap record was shared by a newer version of the app.": "Ce dossier de handicap a été partagé par une version plus récente de l'application.",
+  "Calculated on {date}": "Calculé le {date}",
+  "Verified: this differential gives this index.": "Vérifié : ce differential donne cet index.",
+  "Verified: the best {best} of these {total} differentials give this index.": "Vérifié : les {best} meilleurs de ces {total} differentials donnent cet index.",
+  "Does not match: these differentials give an index of {index}.": "Ne correspond pas : ces differentials donnent un index de {index}.",
+  "Hard cap applied: calculated {calculated}, limited by the Low Handicap Index of {low}.": "Plafond strict appliqué : {calculated} calculé, limité par l'index le plus bas de {low}.",
+  "Soft cap applied: calculated {calculated}, limited by the Low Handicap Index of {low}.": "Plafond souple appliqué : {calculated} calculé, limité par l'index le plus bas de {low}.",
+
+  // Certificate
+  "Issued on {date}": "Délivré le {date}",
+  "Scores used": "Scores pris en compte",
+  "Competition average": "Moyenne en compétition",
+  "Differentials counted": "Differentials retenus",
+  "Best {best} of the most recent {total}": "Les {best} meilleurs des {total} derniers",
+  "Adjustment for a short record": "Ajustement pour un historique réduit",
+  "None": "Aucun",
+  "Calculated index (before caps)": "Index calculé (avant plafonds)",
+  "Cap": "Plafond",
+  "Soft cap": "Plafond souple",
+  "Hard cap": "Plafond strict",
+  "{average} (1 round)": "{average} (1 partie)",
+  "{average} ({count} rounds)": "{average} ({count} parties)",
+  "PCC": "PCC",
+  "✓ marks the differentials the Handicap Index is based on. Differentials include any exceptional score reductions.": "✓ signale les differentials sur lesquels repose l'index. Les differentials incluent les éventuelles réductions pour score exceptionnel.",
+
+  // Sync
+  "Enter the server address, starting with http:// or https://.": "Saisissez l'adresse du serveur, en commençant par http:// ou https://.",
+  "The sync key may only use letters, digits, - and _ (up to 64).": "La clé de synchronisation ne peut contenir que des lettres, des chiffres, - et _ (64 au plus).",
+  "The sync server cannot be reached.": "Le serveur de synchronisation est injoignable.",
+  "The sync server answered with status {status}.": "Le serveur de synchronisation a répondu avec le statut {status}.",
+  "The sync server sent an unexpected answer.": "Le serveur de synchronisation a envoyé une réponse inattendue.",
+  "Syncing…": "Synchronisation…",
+  "You are offline. Your changes are queued and will be sent when the connection is back.": "Vous êtes hors ligne. Vos modifications sont mises en attente et seront envoyées dès le retour de la connexion.",
+  "The sync server cannot be reached. Sync resumes when the connection is back.": "Le serveur de synchronisation est injoignable. La synchronisation reprendra dès le retour de la connexion.",
+  "Sync failed: {error}": "Échec de la synchronisation : {error}",
+  "Sync is off. Your rounds stay on this device.": "La synchronisation est désactivée. Vos parties restent sur cet appareil.",
+  "Last synced {time}.": "Dernière synchronisation : {time}.",
+  "Not synced yet.": "Pas encore synchronisé.",
+  "1 round was changed on this device and on another one. Choose the version to keep.": "1 partie a été modifiée sur cet appareil et sur un autre. Choisissez la version à conserver.",
+  "{count} rounds were changed on this device and on another one. Choose the versions to keep.": "{count} parties ont été modifiées sur cet appareil et sur un autre. Choisissez les versions à conserver.",
+  "This device": "Cet appareil",
+  "Server": "Serveur",
+  "Keep This Version": "Garder cette version",
+  "Use This Version": "Utiliser cette version",
+  "Deleted": "Supprimée",
+  "The hole scores or other details differ.": "Les scores par trou ou d'autres détails diffèrent.",
+  "Changed {time}": "Modifiée : {time}",
+
+  // Goals and reminders
+  "A strong round is about to drop out": "Une bonne partie va bientôt sortir",
+  "{name}: your differential of {differential} from {date} counts towards your index and drops out of your last 20 scores with your next score.": "{name} : votre differential de {differential} du {date} compte pour votre index et sort de vos 20 derniers scores avec votre prochain score.",
+  "{name}: your differential of {differential} from {date} counts towards your index and drops out of your last 20 scores in {count} scores.": "{name} : votre differential de {differential} du {date} compte pour votre index et sort de vos 20 derniers scores dans {count} scores.",
+  "Time for a round?": "Et si vous jouiez une partie ?",
+  "{name} has not posted a score for {days} days. Post one to keep your Handicap Index current.": "{name} n'a saisi aucun score depuis {days} jours. Saisissez-en un pour garder votre index à jour.",
+  "Set a target index, e.g. single figures by September, to follow your progress toward it.": "Fixez un index visé, p. ex. un seul chiffre d'ici septembre, pour suivre vos progrès.",
+  "Post a round first: progress is measured from your Handicap Index.": "Saisissez d'abord une partie : les progrès se mesurent à votre index.",
+  "Current index": "Index actuel",
+  "Target": "Objectif",
+  "To go": "Reste",
+  "Progress toward the goal": "Progression vers l'objectif",
+  "{percent}% of the way from {start} when you set the goal.": "{percent} % du chemin depuis {start}, votre index quand vous avez fixé l'objectif.",
+  "Trend over the last 12 months: {change} per month.": "Tendance sur les 12 derniers mois : {change} par mois.",
+  "Goal reached: your index of {index} is at or below {target}.": "Objectif atteint : votre index de {index} est inférieur ou égal à {target}.",
+  "At this rate you reach {target} around {date}.": "À ce rythme, vous atteindrez {target} vers le {date}.",
+  "At this rate you reach {target} around {date}, in time for {by}.": "À ce rythme, vous atteindrez {target} vers le {date}, à temps pour le {by}.",
+  "At this rate you reach {target} around {date}, after your target date of {by}.": "À ce rythme, vous atteindrez {target} vers le {date}, après votre date visée du {by}.",
+  "Post rounds on a few more days for a projected date.": "Saisissez des parties sur quelques jours de plus pour obtenir une date prévue.",
+  "Your index is not improving at the moment, so there is no projected date.": "Votre index ne s'améliore pas en ce moment, il n'y a donc pas de date prévue.",
+  "At this rate {target} is more than three years away.": "À ce rythme, {target} est à plus de trois ans.",
+  "Choose a target date in the future, or leave it empty.": "Choisissez une date visée dans le futur, ou laissez le champ vide.",
+  "This browser cannot show notifications, so reminders are not available.": "Ce navigateur ne peut pas afficher de notifications, les rappels ne sont donc pas disponibles.",
+  "Reminders appear as notifications on this device. No data leaves it.": "Les rappels s'affichent en notifications sur cet appareil. Aucune donnée ne le quitte.",
+  "Notifications are not allowed for this app. Allow them in your browser settings to get reminders.": "Les notifications ne sont pas autorisées pour cette application. Autorisez-les dans les réglages du navigateur pour recevoir des rappels.",
+
+  // Rounds
+  "An error occurred.": "Une erreur s’est produite.",
+  "Ratings entered manually": "Évaluations saisies manuellement",
+  "Your saved rounds could not be opened: {error}": "Vos parties enregistrées n’ont pas pu être ouvertes : {error}",
+  "The rounds of this player could not be opened: {error}": "Les parties de ce joueur n’ont pas pu être ouvertes : {error}",
+  "Enter the course rating and slope first.": "Saisissez d’abord le course rating et le slope.",
+  "{count} line skipped (first: line {row}: {error})": "{count} ligne ignorée (première : ligne {row} : {error})",
+  "{count} lines skipped (first: line {row}: {error})": "{count} lignes ignorées (première : ligne {row} : {error})",
+  "PCC {pcc}: the field of {count} scored {excess} on average against expectation.": "PCC {pcc} : les {count} joueurs du champ ont joué en moyenne {excess} par rapport au score attendu.",
+  "Updated Score Differential": "Score Differential mis à jour",
+  "Updated 9-Hole Score Differential": "Score Differential 9 trous mis à jour",
+  "9-Hole Score Differential": "Score Differential 9 trous",
+  "Competition scoring needs a Handicap Index. Save this round without a format until you have one.": "Le décompte d’une formule de jeu nécessite un index. Enregistrez cette partie sans formule en attendant d’en avoir un.",
+  "Adjusted Gross Score {adjusted} (gross {gross}, max. par + {limit} per hole)": "Score brut ajusté {adjusted} (brut {gross}, max. par + {limit} par trou)",
+  "Adjusted Gross Score {adjusted} (gross {gross}, course handicap {handicap})": "Score brut ajusté {adjusted} (brut {gross}, handicap de parcours {handicap})",
+  "PCC {pcc} applied": "PCC {pcc} appliqué",
+  "PCC {pcc} applied (calculated from the field's scores)": "PCC {pcc} appliqué (calculé à partir des scores du champ)",
+  "No changes to save.": "Aucune modification à enregistrer.",
+  "Editing round from {date}": "Modification de la partie du {date}",
+  "Save Changes": "Enregistrer les modifications",
+  "Calculate & Save for {name}": "Calculer et enregistrer pour {name}",
+  "Hole scores changed": "Scores des trous modifiés",
+  "{points} pt": "{points} pt",
+  "{points} pts": "{points} pts",
+  "All square": "Égalité",
+  "{holes} up": "{holes} up",
+  "{holes} down": "{holes} down",
+  "Net {score}": "Net {score}",
+  "(playing handicap {handicap})": "(handicap de jeu {handicap})",
+  "9-hole differential {value} + expected {expected} for index {index}": "Differential 9 trous {value} + {expected} attendu pour l’index {index}",
+  "the 9 holes on {date}": "les 9 trous du {date}",
+  "another 9-hole round": "une autre partie de 9 trous",
+  "9-hole differential {value}, combined into {partner}": "Differential 9 trous {value}, combiné avec {partner}",
+  "9-hole differential {value} combined with {partner}": "Differential 9 trous {value} combiné avec {partner}",
+  "9-hole differential {value}, waiting for a second 9-hole round to combine with": "Differential 9 trous {value}, en attente d’une seconde partie de 9 trous à combiner",
+  "Exceptional score: {below} below your index of {index}, so {reduction} is applied to your last {count} differentials": "Score exceptionnel : {below} sous votre index de {index}, donc {reduction} s’applique à vos {count} derniers differentials",
+  "Are you sure you want to delete all saved rounds of {name}?": "Voulez-vous vraiment supprimer toutes les parties enregistrées de {name} ?",
+  "Based on your best {best} out of {total} rounds": "Selon vos {best} meilleures parties sur {total}",
+  "At least 1 round required": "Au moins 1 partie nécessaire",
+  "Hard cap applied: calculated {calculated}, limited by your Low Handicap Index of {low}": "Plafond strict appliqué : {calculated} calculé, limité par votre index le plus bas de {low}",
+  "Soft cap applied: calculated {calculated}, limited by your Low Handicap Index of {low}": "Plafond souple appliqué : {calculated} calculé, limité par votre index le plus bas de {low}",
+  "Your round on {date} (differential {differential}) was {below} below your index of {index}, so an exceptional score reduction of {reduction} applies to that differential.": "Votre partie du {date} (differential {differential}) était {below} sous votre index de {index} : une réduction pour score exceptionnel de {reduction} s’applique à ce differential.",
+  "Your round on {date} (differential {differential}) was {below} below your index of {index}, so an exceptional score reduction of {reduction} applies to your {count} most recent differentials.": "Votre partie du {date} (differential {differential}) était {below} sous votre index de {index} : une réduction pour score exceptionnel de {reduction} s’applique à vos {count} derniers differentials.",
+  "Counts": "Compte",
+  "One of the differentials your current Handicap Index is based on": "L’un des differentials sur lesquels repose votre index actuel",
+  "9-hole {value}": "9 trous {value}",
+  "Diff. {value}": "Diff. {value}",
+  "Exceptional score reduction applied": "Réduction pour score exceptionnel appliquée",
+  "Delete round": "Supprimer la partie",
+  "Delete round from {date}": "Supprimer la partie du {date}",
+  "Edit round from {date}": "Modifier la partie du {date}",
+  "(AGS {score})": "(ajusté {score})",
+  "Hole-by-hole": "Trou par trou",
+  "PCC {pcc}": "PCC {pcc}",
+  "Exceptional score ({reduction})": "Score exceptionnel ({reduction})",
+  "Edited once": "Modifiée une fois",
+  "Edited {count} times": "Modifiée {count} fois",
+  "All courses": "Tous les parcours",
+  "No rounds match the filters.": "Aucune partie ne correspond aux filtres.",
+  "{count} round": "{count} partie",
+  "{count} rounds": "{count} parties",
+  "{matching} of {total} rounds match": "{matching} parties sur {total} correspondent",
+  "showing {count}": "{count} affichées",
+  "Show {count} more": "Afficher {count} de plus",
+  "Not counted towards your Handicap Index": "Non comptée pour votre Handicap Index",
+  "Yes": "Oui",
+  "No": "Non",
+  "9-hole differential {value}, not combined because the round does not count": "Differential 9 trous {value}, non combiné car la partie ne compte pas",
+  "Competition average {average} (1 round)": "Moyenne en compétition {average} (1 partie)",
+  "Competition average {average} ({count} rounds)": "Moyenne en compétition {average} ({count} parties)",
+  "Not acceptable for handicap purposes, so this round is left out of your Handicap Index": "Non recevable pour le handicap, cette partie n'entre donc pas dans votre Handicap Index",
+
+  // Engine and storage messages
+  "No active profile.": "Aucun joueur actif.",
+  "Saved rounds are not loaded yet.": "Les parties enregistrées ne sont pas encore chargées.",
+  "Saved courses are not loaded yet.": "Les parcours enregistrés ne sont pas encore chargés.",
+  "Courses must be an array.": "Les parcours doivent être une liste.",
+  "Rounds must be an array.": "Les parties doivent être une liste.",
+  "Storage space full. Please delete old rounds.": "Espace de stockage plein. Veuillez supprimer d’anciennes parties.",
+  "Error saving": "Erreur d’enregistrement",
+  "Error deleting": "Erreur de suppression",
+  "IndexedDB is not available in this browser.": "IndexedDB n’est pas disponible dans ce navigateur.",
+  "Please close other tabs of this app to finish updating its storage.": "Veuillez fermer les autres onglets de cette application pour terminer la mise à jour de son stockage.",
+  "Transaction aborted.": "Opération interrompue.",
+  "Hole {0}": "Trou {0}",
+  "Tee {0}": "Départ {0}",
+  "men's ratings": "évaluations messieurs",
+  "women's ratings": "évaluations dames",
+  "enter {0} pars and {1} stroke indexes.": "saisissez {0} pars et {1} handicaps de trou.",
+  "hole pars add up to {0} but the tee's par is {1}.": "les pars des trous totalisent {0} mais le par du départ est {1}.",
+  "Please provide a valid date.": "Veuillez indiquer une date valide.",
+  "Please provide a date.": "Veuillez indiquer une date.",
+  "Invalid date format. Please use YYYY-MM-DD.": "Format de date non valide. Veuillez utiliser AAAA-MM-JJ.",
+  "Invalid date.": "Date non valide.",
+  "The date cannot be in the future.": "La date ne peut pas être dans le futur.",
+  "Please enter a gross score.": "Veuillez saisir un score brut.",
+  "Gross score must be a valid number.": "Le score brut doit être un nombre valide.",
+  "Gross score must be between {0} and {1}.": "Le score brut doit être compris entre {0} et {1}.",
+  "Gross score must be a whole number.": "Le score brut doit être un nombre entier.",
+  "Please enter a course rating.": "Veuillez saisir un course rating.",
+  "Course rating must be a valid number.": "Le course rating doit être un nombre valide.",
+  "{0}-hole course rating must be between {1} and {2}.": "Le course rating {0} trous doit être compris entre {1} et {2}.",
+  "Course rating must be between {0} and {1}.": "Le course rating doit être compris entre {0} et {1}.",
+  "A round must be {0} or {1} holes.": "Une partie doit compter {0} ou {1} trous.",
+  "Please enter a slope rating.": "Veuillez saisir un slope rating.",
+  "Slope rating must be a valid number.": "Le slope rating doit être un nombre valide.",
+  "Slope rating must be between {0} and {1}.": "Le slope rating doit être compris entre {0} et {1}.",
+  "Slope rating must be a whole number.": "Le slope rating doit être un nombre entier.",
+  "PCC must be a whole number between {0} and {1}.": "Le PCC doit être un nombre entier compris entre {0} et {1}.",
+  "Please enter the par.": "Veuillez saisir le par.",
+  "Par must be a valid number.": "Le par doit être un nombre valide.",
+  "Par must be between {0} and {1}.": "Le par doit être compris entre {0} et {1}.",
+  "Par must be a whole number.": "Le par doit être un nombre entier.",
+  "Please enter a course name.": "Veuillez saisir un nom de parcours.",
+  "Please enter a tee name.": "Veuillez saisir un nom de départ.",
+  "Please enter a player name.": "Veuillez saisir un nom de joueur.",
+  "Course name must be at most {0} characters.": "Le nom du parcours ne doit pas dépasser {0} caractères.",
+  "Tee name must be at most {0} characters.": "Le nom du départ ne doit pas dépasser {0} caractères.",
+  "Player name must be at most {0} characters.": "Le nom du joueur ne doit pas dépasser {0} caractères.",
+  "Invalid profile object.": "Profil non valide.",
+  "Profile is missing an id.": "Le profil n’a pas d’identifiant.",
+  "Invalid gender for tee ratings.": "Choix d’évaluations non valide.",
+  "Invalid home course.": "Parcours habituel non valide.",
+  "Invalid profile settings.": "Réglages du profil non valides.",
+  "Invalid ratings.": "Évaluations non valides.",
+  "Invalid course object.": "Parcours non valide.",
+  "Course object is missing a required field: id.": "Il manque un champ obligatoire au parcours : id.",
+  "A course needs at least one tee.": "Un parcours doit avoir au moins un départ.",
+  "Tee {0} is missing an id.": "Le départ {0} n’a pas d’identifiant.",
+  "A scorecard must contain {0} holes.": "Une carte de score doit contenir {0} trous.",
+  "par must be a whole number between {0} and {1}.": "le par doit être un nombre entier compris entre {0} et {1}.",
+  "stroke index must be a whole number between {0} and {1}.": "le handicap du trou doit être un nombre entier compris entre {0} et {1}.",
+  "stroke index {0} is used more than once.": "le handicap de trou {0} est utilisé plusieurs fois.",
+  "please enter the number of strokes.": "veuillez saisir le nombre de coups.",
+  "strokes must be a whole number between {0} and {1}.": "le nombre de coups doit être un nombre entier compris entre {0} et {1}.",
+  "Notes can be at most {0} characters.": "Les notes ne doivent pas dépasser {0} caractères.",
+  "Please enter a Handicap Index.": "Veuillez saisir un index.",
+  "Handicap Index must be a valid number.": "L’index doit être un nombre valide.",
+  "Handicap Index must be between {0} and {1}.": "L’index doit être compris entre {0} et {1}.",
+  "Please enter the other player's course handicap.": "Veuillez saisir le handicap de parcours de l’autre joueur.",
+  "Course handicap must be a whole number.": "Le handicap de parcours doit être un nombre entier.",
+  "Course handicap must be between {0} and {1}.": "Le handicap de parcours doit être compris entre {0} et {1}.",
+  "Invalid round object.": "Partie non valide.",
+  "Round object is missing a required field": "Il manque un champ obligatoire à la partie",
+  "Invalid round id.": "Identifiant de partie non valide.",
+  "Invalid round date.": "Date de partie non valide.",
+  "Invalid number of holes played.": "Nombre de trous joués non valide.",
+  "A 9-hole round without a differential must be pending, combined or excluded.": "Une partie de 9 trous sans differential doit être en attente, combinée ou exclue.",
+  "Invalid differential value.": "Differential non valide.",
+  "Invalid 9-hole differential value.": "Differential 9 trous non valide.",
+  "Invalid PCC adjustment.": "Ajustement PCC non valide.",
+  "Invalid edit history.": "Historique des modifications non valide.",
+  "Invalid modification time.": "Heure de modification non valide.",
+  "Invalid competition format.": "Formule de jeu non valide.",
+  "Invalid competition result.": "Résultat de compétition non valide.",
+  "Invalid round notes.": "Notes de partie non valides.",
+  "Invalid round category.": "Type de partie non valide.",
+  "Invalid acceptability flag.": "Indication de recevabilité non valide.",
+  "Invalid adjusted gross score.": "Score brut ajusté non valide.",
+  "Invalid exceptional score reduction.": "Réduction pour score exceptionnel non valide.",
+  "Invalid exceptional score adjustments.": "Ajustements pour score exceptionnel non valides.",
+  "Invalid exceptional score adjustment.": "Ajustement pour score exceptionnel non valide.",
+  "At least {0} scores from players with an index up to {1} are needed ({2} found).": "Il faut au moins {0} scores de joueurs ayant un index jusqu’à {1} ({2} trouvés)."
+};
+
+export { LANGUAGES, MESSAGES };
@@ -0,0 +1,495 @@
+/**
+ * Golf Handicap – QR codes
+ * Encodes text as a QR code (ISO/IEC 18004, byte mode, UTF-8) entirely on the device, so
+ * sharing a handicap record needs no server or third-party service. No DOM dependencies:
+ * the app draws the returned module matrix itself.
+ *
+ * - QRCode.encode(text, errorCorrection?): { size, modules } – modules[y][x] is true for a
+ *   dark module; errorCorrection is "L", "M" (default), "Q" or "H"
+ * - QRCode.toSvgPath(qr, border?): SVG path data drawing the dark modules, one unit each
+ *
+ * Text that does not fit in a version 40 symbol throws an Error.
+ *
+ * Tests: node --test test/
+ */
+
+// ============================================================================
+// TABLES
+// ============================================================================
+
+var QR_CONFIG = {
+  MIN_VERSION: 1,
+  MAX_VERSION: 40,
+  // Format information bits of each error correction level
+  FORMAT_BITS: { L: 1, M: 0, Q: 3, H: 2 },
+  LEVELS: ["L", "M", "Q", "H"],
+  // Error correction codewords per block, by level and version (index 0 unused)
+  ECC_CODEWORDS_PER_BLOCK: {
+    L: [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    M: [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+    Q: [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    H: [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+  },
+  // Error correction blocks, by level and version (index 0 unused)
+  ECC_BLOCKS: {
+    L: [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+    M: [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+    Q: [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+    H: [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+  },
+  // Penalty weights of the mask evaluation
+  PENALTY_RUN: 3,
+  PENALTY_BOX: 3,
+  PENALTY_FINDER_LIKE: 40,
+  PENALTY_BALANCE: 10
+};
+
+// ============================================================================
+// QR CODE
+// ============================================================================
+
+var QRCode = {
+  /**
+   * Encode text as a QR code in the smallest version that fits.
+   * @param {string} text - Text to encode (stored as UTF-8 bytes)
+   * @param {string} [errorCorrection] - "L", "M", "Q" or "H" (default "M")
+   * @returns {{size: number, version: number, modules: Array<Array<boolean>>}} Symbol, without the quiet zone
+   */
+  encode: function (text, errorCorrection) {
+    var level = errorCorrection || "M";
+    if (QR_CONFIG.LEVELS.indexOf(level) === -1) throw new Error("Unknown error correction level: " + level);
+    var bytes = this.toUtf8(String(text));
+    var version = this.chooseVersion(bytes.length, level);
+    var data = this.buildDataCodewords(bytes, version, level);
+    var codewords = this.addErrorCorrection(data, version, level);
+    var size = version * 4 + 17;
+    var modules = this.createGrid(size, false);
+    var reserved = this.createGrid(size, false);
+    this.drawFunctionPatterns(modules, reserved, version);
+    this.drawCodewords(modules, reserved, codewords);
+
+    var best = null;
+    for (var mask = 0; mask < 8; mask++) {
+      var candidate = modules.map(function (row) {
+        return row.slice();
+      });
+      this.applyMask(candidate, reserved, mask);
+      this.drawFormatBits(candidate, level, mask);
+      var penalty = this.getPenalty(candidate);
+      if (!best || penalty < best.penalty) best = { modules: candidate, penalty: penalty };
+    }
+    return { size: size, version: version, modules: best.modules };
+  },
+
+  /**
+   * SVG path data for the dark modules of a QR code, one unit per module.
+   * @param {{size: number, modules: Array<Array<boolean>>}} qr - QR code (see encode)
+   * @param {number} [border] - Quiet zone in modules (default 4)
+   * @returns {string} Path data for a viewBox of (size + 2 * border) units square
+   */
+  toSvgPath: function (qr, border) {
+    var offset = border === undefined ? 4 : border;
+    var parts = [];
+    for (var y = 0; y < qr.size; y++) {
+      for (var x = 0; x < qr.size; x++) {
+        if (qr.modules[y][x]) parts.push("M" + (x + offset) + "," + (y + offset) + "h1v1h-1z");
+      }
+    }
+    return parts.join("");
+  },
+
+  /**
+   * UTF-8 bytes of a string.
+   * @param {string} text - Text
+   * @returns {Array<number>} Bytes
+   */
+  toUtf8: function (text) {
+    return Array.prototype.slice.call(new TextEncoder().encode(text));
+  },
+
+  /**
+   * Number of data modules (data and error correction bits) in a symbol of a version.
+   * @param {number} version - Version 1 to 40
+   * @returns {number} Module count
+   */
+  getRawDataModules: function (version) {
+    var result = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+      var alignCount = Math.floor(version / 7) + 2;
+      result -= (25 * alignCount - 10) * alignCount - 55;
+      if (version >= 7) result -= 36;
+    }
+    return result;
+  },
+
+  /**
+   * Number of data codewords a version holds at an error correction level.
+   * @param {number} version - Version 1 to 40
+   * @param {string} level - Error correction level
+   * @returns {number} Codeword count
+   */
+  getDataCodewords: function (version, level) {
+    return Math.floor(this.getRawDataModules(version) / 8) -
+      QR_CONFIG.ECC_CODEWORDS_PER_BLOCK[level][version] * QR_CONFIG.ECC_BLOCKS[level][version];
+  },
+
+  /**
+   * Smallest version that holds a byte-mode segment.
+   * @param {number} byteCount - Number of bytes
+   * @param {string} level - Error correction level
+   * @returns {number} Version
+   */
+  chooseVersion: function (byteCount, level) {
+    for (var version = QR_CONFIG.MIN_VERSION; version <= QR_CONFIG.MAX_VERSION; version++) {
+      var countBits = version <= 9 ? 8 : 16;
+      if (4 + countBits + byteCount * 8 <= this.getDataCodewords(version, level) * 8 && byteCount < Math.pow(2, countBits)) {
+        return version;
+      }
+    }
+    throw new Error("Text is too long for a QR code.");
+  },
+
+  /**
+   * Data codewords: byte mode indicator, character count, data, terminator and padding.
+   * @param {Array<number>} bytes - Bytes to encode
+   * @param {number} version - Version
+   * @param {string} level - Error correction level
+   * @returns {Array<number>} Data codewords
+   */
+  buildDataCodewords: function (bytes, version, level) {
+    var bits = [];
+    var append = function (value, length) {
+      for (var i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+    append(4, 4);
+    append(bytes.length, version <= 9 ? 8 : 16);
+    bytes.forEach(function (b) {
+      append(b, 8);
+    });
+    var capacity = this.getDataCodewords(version, level) * 8;
+    append(0, Math.min(4, capacity - bits.length));
+    append(0, (8 - bits.length % 8) % 8);
+    for (var pad = 0xec; bits.length < capacity; pad ^= 0xec ^ 0x11) append(pad, 8);
+    var codewords = [];
+    for (var i = 0; i < bits.length; i += 8) {
+      var value = 0;
+      for (var j = 0; j < 8; j++) value = (value << 1) | bits[i + j];
+      codewords.push(value);
+    }
+    return codewords;
+  },
+
+  /**
+   * Split the data into blocks, add Reed-Solomon error correction and interleave.
+   * @param {Array<number>} data - Data codewords
+   * @param {number} version - Version
+   * @param {string} level - Error correction level
+   * @returns {Array<number>} All codewords in transmission order
+   */
+  addErrorCorrection: function (data, version, level) {
+    var blockCount = QR_CONFIG.ECC_BLOCKS[level][version];
+    var eccLength = QR_CONFIG.ECC_CODEWORDS_PER_BLOCK[level][version];
+    var rawCodewords = Math.floor(this.getRawDataModules(version) / 8);
+    var shortBlockCount = blockCount - rawCodewords % blockCount;
+    var shortBlockLength = Math.floor(rawCodewords / blockCount);
+    var divisor = this.getReedSolomonDivisor(eccLength);
+    var blocks = [];
+    for (var i = 0, k = 0; i < blockCount; i++) {
+      var length = shortBlockLength - eccLength + (i < shortBlockCount ? 0 : 1);
+      var blockData = data.slice(k, k + length);
+      k += length;
+      blocks.push({ data: blockData, ecc: this.getReedSolomonRemainder(blockData, divisor) });
+    }
+    var result = [];
+    for (var position = 0; position <= shortBlockLength - eccLength; position++) {
+      blocks.forEach(function (block) {
+        if (position < block.data.length) result.push(block.data[position]);
+      });
+    }
+    for (var e = 0; e < eccLength; e++) {
+      blocks.forEach(function (block) {
+        result.push(block.ecc[e]);
+      });
+    }
+    return result;
+  },
+
+  /**
+   * Multiply two elements of GF(2^8) modulo the QR polynomial x^8 + x^4 + x^3 + x^2 + 1.
+   * @param {number} x - Element
+   * @param {number} y - Element
+   * @returns {number} Product
+   */
+  multiply: function (x, y) {
+    var z = 0;
+    for (var i = 7; i >= 0; i--) {
+      z = (z << 1) ^ ((z >>> 7) * 0x11d);
+      z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+  },
+
+  /**
+   * Generator polynomial of a Reed-Solomon code, highest coefficient (always 1) omitted.
+   * @param {number} degree - Number of error correction codewords
+   * @returns {Array<number>} Coefficients
+   */
+  getReedSolomonDivisor: function (degree) {
+    var result = [];
+    for (var i = 0; i < degree - 1; i++) result.push(0);
+    result.push(1);
+    var root = 1;
+    for (var n = 0; n < degree; n++) {
+      for (var j = 0; j < result.length; j++) {
+        result[j] = this.multiply(result[j], root);
+        if (j + 1 < result.length) result[j] ^= result[j + 1];
+      }
+      root = this.multiply(root, 0x02);
+    }
+    return result;
+  },
+
+  /**
+   * Error correction codewords of a block.
+   * @param {Array<number>} data - Data codewords of the block
+   * @param {Array<number>} divisor - Generator polynomial (see getReedSolomonDivisor)
+   * @returns {Array<number>} Remainder codewords
+   */
+  getReedSolomonRemainder: function (data, divisor) {
+    var self = this;
+    var result = divisor.map(function () {
+      return 0;
+    });
+    data.forEach(function (b) {
+      var factor = b ^ result.shift();
+      result.push(0);
+      divisor.forEach(function (coefficient, i) {
+        result[i] ^= self.multiply(coefficient, factor);
+      });
+    });
+    return result;
+  },
+
+  /**
+   * Square grid filled with a value.
+   * @param {number} size - Width and height
+   * @param {boolean} value - Initial value
+   * @returns {Array<Array<boolean>>} Grid, indexed [y][x]
+   */
+  createGrid: function (size, value) {
+    var grid = [];
+    for (var y = 0; y < size; y++) {
+      var row = [];
+      for (var x = 0; x < size; x++) row.push(value);
+      grid.push(row);
+    }
+    return grid;
+  },
+
+  /**
+   * Centre positions of the alignment patterns of a version (same for rows and columns).
+   * @param {number} version - Version
+   * @returns {Array<number>} Positions, ascending
+   */
+  getAlignmentPositions: function (version) {
+    if (version === 1) return [];
+    var count = Math.floor(version / 7) + 2;
+    var step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2;
+    var positions = [6];
+    for (var pos = version * 4 + 10; positions.length < count; pos -= step) positions.splice(1, 0, pos);
+    return positions;
+  },
+
+  /**
+   * Draw finder, timing and alignment patterns, the dark module and version information,
+   * and reserve the format information areas.
+   * @param {Array<Array<boolean>>} modules - Symbol being built
+   * @param {Array<Array<boolean>>} reserved - Marks modules that hold no data
+   * @param {number} version - Version
+   */
+  drawFunctionPatterns: function (modules, reserved, version) {
+    var size = modules.length;
+    var set = function (x, y, dark) {
+      modules[y][x] = dark;
+      reserved[y][x] = true;
+    };
+    for (var i = 0; i < size; i++) {
+      set(6, i, i % 2 === 0);
+      set(i, 6, i % 2 === 0);
+    }
+    [[3, 3], [size - 4, 3], [3, size - 4]].forEach(function (centre) {
+      for (var dy = -4; dy <= 4; dy++) {
+        for (var dx = -4; dx <= 4; dx++) {
+          var x = centre[0] + dx;
+          var y = centre[1] + dy;
+          if (x < 0 || x >= size || y < 0 || y >= size) continue;
+          var distance = Math.max(Math.abs(dx), Math.abs(dy));
+          set(x, y, distance !== 2 && distance !== 4);
+        }
+      }
+    });
+    var positions = this.getAlignmentPositions(version);
+    positions.forEach(function (cy, row) {
+      positions.forEach(function (cx, column) {
+        var last = positions.length - 1;
+        // Alignment patterns never overlap the finder patterns
+        if ((row === 0 && column === 0) || (row === 0 && column === last) || (row === last && column === 0)) return;
+        for (var dy = -2; dy <= 2; dy++) {
+          for (var dx = -2; dx <= 2; dx++) {
+            set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+          }
+        }
+      });
+    });
+    // Format information is drawn per mask; reserve its modules now
+    for (var f = 0; f < 9; f++) {
+      reserved[8][f] = true;
+      reserved[f][8] = true;
+    }
+    for (var g = 0; g < 8; g++) {
+      reserved[8][size - 1 - g] = true;
+      reserved[size - 1 - g][8] = true;
+    }
+    set(8, size - 8, true);
+    if (version >= 7) {
+      var remainder = version;
+      for (var b = 0; b < 12; b++) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+      var bits = version << 12 | remainder;
+      for (var v = 0; v < 18; v++) {
+        var dark = ((bits >>> v) & 1) === 1;
+        var a = size - 11 + v % 3;
+        var c = Math.floor(v / 3);
+        set(a, c, dark);
+        set(c, a, dark);
+      }
+    }
+  },
+
+  /**
+   * Place the codewords in the zigzag order, skipping function patterns.
+   * @param {Array<Array<boolean>>} modules - Symbol being built
+   * @param {Array<Array<boolean>>} reserved - Marks modules that hold no data
+   * @param {Array<number>} codewords - All codewords
+   */
+  drawCodewords: function (modules, reserved, codewords) {
+    var size = modules.length;
+    var bitIndex = 0;
+    var totalBits = codewords.length * 8;
+    for (var right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5;
+      for (var vertical = 0; vertical < size; vertical++) {
+        for (var j = 0; j < 2; j++) {
+          var x = right - j;
+          var upward = ((right + 1) & 2) === 0;
+          var y = upward ? size - 1 - vertical : vertical;
+          if (reserved[y][x]) continue;
+          if (bitIndex < totalBits) {
+            modules[y][x] = ((codewords[bitIndex >>> 3] >>> (7 - (bitIndex & 7))) & 1) === 1;
+            bitIndex++;
+          }
+        }
+      }
+    }
+  },
+
+  /**
+   * Invert the data modules selected by a mask pattern.
+   * @param {Array<Array<boolean>>} modules - Symbol
+   * @param {Array<Array<boolean>>} reserved - Marks modules that hold no data
+   * @param {number} mask - Mask pattern 0 to 7
+   */
+  applyMask: function (modules, reserved, mask) {
+    var conditions = [
+      function (x, y) { return (x + y) % 2 === 0; },
+      function (x, y) { return y % 2 === 0; },
+      function (x) { return x % 3 === 0; },
+      function (x, y) { return (x + y) % 3 === 0; },
+      function (x, y) { return (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0; },
+      function (x, y) { return x * y % 2 + x * y % 3 === 0; },
+      function (x, y) { return (x * y % 2 + x * y % 3) % 2 === 0; },
+      function (x, y) { return ((x + y) % 2 + x * y % 3) % 2 === 0; }
+    ];
+    var size = modules.length;
+    for (var y = 0; y < size; y++) {
+      for (var x = 0; x < size; x++) {
+        if (!reserved[y][x] && conditions[mask](x, y)) modules[y][x] = !modules[y][x];
+      }
+    }
+  },
+
+  /**
+   * Draw both copies of the format information (error correction level and mask).
+   * @param {Array<Array<boolean>>} modules - Symbol
+   * @param {string} level - Error correction level
+   * @param {number} mask - Mask pattern 0 to 7
+   */
+  drawFormatBits: function (modules, level, mask) {
+    var size = modules.length;
+    var data = QR_CONFIG.FORMAT_BITS[level] << 3 | mask;
+    var remainder = data;
+    for (var i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    var bits = (data << 10 | remainder) ^ 0x5412;
+    var bit = function (n) {
+      return ((bits >>> n) & 1) === 1;
+    };
+    for (var a = 0; a <= 5; a++) modules[a][8] = bit(a);
+    modules[7][8] = bit(6);
+    modules[8][8] = bit(7);
+    modules[8][7] = bit(8);
+    for (var b = 9; b < 15; b++) modules[8][14 - b] = bit(b);
+    for (var c = 0; c < 8; c++) modules[8][size - 1 - c] = bit(c);
+    for (var d = 8; d < 15; d++) modules[size - 15 + d][8] = bit(d);
+  },
+
+  /**
+   * Penalty score of a masked symbol; the mask with the lowest score is used.
+   * @param {Array<Array<boolean>>} modules - Symbol
+   * @returns {number} Penalty
+   */
+  getPenalty: function (modules) {
+    var size = modules.length;
+    var penalty = 0;
+    var dark = 0;
+    var finderLike = [
+      [true, false, true, true, true, false, true, false, false, false, false],
+      [false, false, false, false, true, false, true, true, true, false, true]
+    ];
+    var matchesAt = function (get, start) {
+      return finderLike.some(function (pattern) {
+        return pattern.every(function (value, i) {
+          return get(start + i) === value;
+        });
+      });
+    };
+    for (var line = 0; line < size; line++) {
+      [function (i) { return modules[line][i]; }, function (i) { return modules[i][line]; }].forEach(function (get) {
+        var runLength = 1;
+        for (var i = 1; i <= size; i++) {
+          if (i < size && get(i) === get(i - 1)) {
+            runLength++;
+            continue;
+          }
+          if (runLength >= 5) penalty += QR_CONFIG.PENALTY_RUN + runLength - 5;
+          runLength = 1;
+        }
+        for (var start = 0; start + 11 <= size; start++) {
+          if (matchesAt(get, start)) penalty += QR_CONFIG.PENALTY_FINDER_LIKE;
+        }
+      });
+    }
+    for (var y = 0; y < size; y++) {
+      for (var x = 0; x < size; x++) {
+        if (modules[y][x]) dark++;
+        if (x + 1 < size && y + 1 < size && modules[y][x] === modules[y][x + 1] &&
+          modules[y][x] === modules[y + 1][x] && modules[y][x] === modules[y + 1][x + 1]) {
+          penalty += QR_CONFIG.PENALTY_BOX;
+        }
+      }
+    }
+    var total = size * size;
+    penalty += Math.floor(Math.abs(dark * 20 - total * 10) / total) * QR_CONFIG.PENALTY_BALANCE;
+    return penalty;
+  }
+};
+
+export { QRCode };
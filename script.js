@@ -1,14 +1,13 @@
 /**
  * Golf Handicap – Score Differential
  * Modular structure, validation, error handling, XSS-safe output (textContent only),
- * and accessibility improvements.
+ * and accessibility improvements. Calculations and validation live in whs-engine.mjs.
  */
 
-if ('serviceWorker' in navigator) {
-  navigator.serviceWorker.register('./service-worker.js')
-  .then(() => console.log("Service Worker Registered"))
-  .catch((err) => console.error("Service Worker Failed to Register", err));
-}
+import { CONFIG as WHS_CONFIG, ValidationService, WHSService } from "./whs-engine.mjs";
+import { LANGUAGES, MESSAGES } from "./locales.mjs";
+import { QRCode } from "./qr-code.mjs";
+import { SyncEngine } from "./sync-engine.mjs";
 
 (function () {
   "use strict";
@@ -17,458 +16,7125 @@ if ('serviceWorker' in navigator) {
   // CONFIGURATION
   // ============================================================================
 
-  var CONFIG = {
+  // WHS constants come from the engine; the app adds its storage, import and display settings
+  var CONFIG = Object.assign({}, WHS_CONFIG, {
     STORAGE_KEY: "golf-handicap-rounds",
-    MAX_ROUNDS_FOR_HANDICAP: 20,
-    BEST_ROUNDS_COUNT: 8,
-    WHS_MULTIPLIER: 0.96,
-    CONSTANT_SLOPE: 113
-  };
+    COURSES_STORAGE_KEY: "golf-handicap-courses",
+    DB_NAME: "golf-handicap",
+    DB_VERSION: 3,
+    ROUNDS_STORE: "rounds",
+    COURSES_STORE: "courses",
+    QUARANTINE_STORE: "quarantine",
+    PROFILES_STORE: "profiles",
+    SETTINGS_STORE: "settings",
+    TOMBSTONES_STORE: "tombstones",
+    SYNC_STORE: "sync",
+    DEFAULT_PROFILE_NAME: "Player 1",
+    STATS_CONSISTENCY_WINDOW: 10,
+    ROUNDS_PAGE_SIZE: 25,
+    EXPORT_APP_NAME: "golf-handicap",
+    EXPORT_SCHEMA_VERSION: 1,
+    // Shared handicap records: the URL fragment that carries one and the payload format version
+    SHARE_HASH_PREFIX: "#verify=",
+    SHARE_FORMAT_VERSION: "1",
+    // Sync: allowed sync keys (as on the server) and the pause after a change before syncing it
+    SYNC_KEY_PATTERN: /^[A-Za-z0-9_-]{1,64}$/,
+    SYNC_DELAY_MS: 2000,
+    // Reminders: the default days without a round before one, the most allowed, the hour they
+    // are shown at, and the background check (periodic sync tag and interval)
+    REMINDER_DEFAULT_INACTIVE_DAYS: 30,
+    REMINDER_MAX_INACTIVE_DAYS: 365,
+    REMINDER_HOUR: 9,
+    REMINDER_SYNC_TAG: "golf-handicap-reminders",
+    REMINDER_CHECK_INTERVAL_MS: 24 * 60 * 60 * 1000,
+    // Average month length, for the goal trend per month
+    DAYS_PER_MONTH: 30.44,
+    // Round fields that can be imported from CSV, with header names recognised automatically
+    IMPORT_FIELDS: [
+      { key: "date", label: "Date", required: true, aliases: ["date", "date played", "played", "datum", "round date"] },
+      { key: "score", label: "Gross Score", required: true, aliases: ["score", "gross", "gross score", "total", "strokes"] },
+      { key: "adjustedScore", label: "Adjusted Gross Score", required: false, aliases: ["adjusted score", "adjusted gross score", "ags", "adj score", "adjusted"] },
+      { key: "courseRating", label: "Course Rating", required: true, aliases: ["course rating", "cr", "rating", "course_rating"] },
+      { key: "slope", label: "Slope Rating", required: true, aliases: ["slope", "slope rating", "sr", "slope_rating"] },
+      { key: "holesPlayed", label: "Holes Played", required: false, aliases: ["holes", "holes played", "holes_played"] },
+      { key: "courseName", label: "Course", required: false, aliases: ["course", "course name", "club", "course_name"] },
+      { key: "teeName", label: "Tee", required: false, aliases: ["tee", "tees", "tee name", "tee_name"] },
+      { key: "pcc", label: "PCC", required: false, aliases: ["pcc", "playing conditions", "pcc adjustment"] },
+      { key: "notes", label: "Notes", required: false, aliases: ["notes", "note", "comment", "comments", "remarks"] },
+      { key: "category", label: "Round Type", required: false, aliases: ["category", "type", "round type", "round_type"] },
+      { key: "acceptable", label: "Acceptable", required: false, aliases: ["acceptable", "acceptable for handicap", "counts"] }
+    ],
+    // Round fields that come from the round form; an edit replaces all of them
+    ROUND_FORM_FIELDS: ["date", "score", "adjustedScore", "courseRating", "slope", "differential", "holesPlayed",
+      "nineHoleDifferential", "nineHole", "esr", "esrAdjustments", "holes", "courseHandicap", "courseId", "teeId",
+      "teeRatingSet", "courseName", "teeName", "pcc", "pccSource", "format", "competition", "notes", "category", "acceptable"],
+    // Round fields recorded in a round's edit history, with their display labels
+    EDIT_HISTORY_FIELDS: {
+      date: "Date",
+      holesPlayed: "Holes",
+      score: "Score",
+      adjustedScore: "AGS",
+      courseRating: "CR",
+      slope: "Slope",
+      pcc: "PCC",
+      format: "Format",
+      category: "Type",
+      acceptable: "Acceptable",
+      differential: "Diff.",
+      courseName: "Course",
+      teeName: "Tee",
+      notes: "Notes"
+    }
+  });
 
   // ============================================================================
-  // VALIDATION SERVICE
+  // I18N SERVICE (translations and locale-aware formatting)
   // ============================================================================
 
-  var ValidationService = {
+  var I18nService = {
+    language: "en",
+    messages: {},
+    dateFormat: null,
+    monthFormat: null,
+    numberFormats: {},
+
     /**
-     * Validates a date string (YYYY-MM-DD format).
-     * @param {string} dateString - Date string
-     * @returns {{valid: boolean, error: string|null}}
+     * Choose the language to show: the saved choice, else the first browser language with a
+     * catalog (falling back from a regional variant such as "de-CH" to "de"), else English.
+     * @param {string|null} saved - Language saved in the settings
+     * @returns {string} Language code (a key of LANGUAGES)
      */
-    validateDate: function (dateString) {
-      if (!dateString || typeof dateString !== "string") {
-        return { valid: false, error: "Please provide a valid date." };
-      }
-      var trimmed = dateString.trim();
-      if (!trimmed) {
-        return { valid: false, error: "Please provide a date." };
-      }
-      var regex = /^\d{4}-\d{2}-\d{2}$/;
-      if (!regex.test(trimmed)) {
-        return { valid: false, error: "Invalid date format. Please use YYYY-MM-DD." };
-      }
-      var dateObj = new Date(trimmed + "T00:00:00");
-      if (isNaN(dateObj.getTime())) {
-        return { valid: false, error: "Invalid date." };
-      }
-      var today = new Date();
-      today.setHours(0, 0, 0, 0);
-      if (dateObj > today) {
-        return { valid: false, error: "The date cannot be in the future." };
+    resolveLanguage: function (saved) {
+      if (saved && LANGUAGES[saved]) return saved;
+      var preferred = navigator.languages && navigator.languages.length ? navigator.languages : [navigator.language || ""];
+      for (var i = 0; i < preferred.length; i++) {
+        var tag = String(preferred[i]);
+        if (LANGUAGES[tag]) return tag;
+        if (LANGUAGES[tag.split("-")[0]]) return tag.split("-")[0];
       }
-      return { valid: true, error: null };
+      return "en";
     },
 
     /**
-     * Validates gross score input.
-     * @param {string|number} score - Score value
-     * @returns {{valid: boolean, error: string|null, value: number|null}}
+     * Switch the catalog and formatters, and set the document language and text direction.
+     * @param {string} code - Language code (a key of LANGUAGES)
      */
-    validateScore: function (score) {
-      if (score === "" || score === null || score === undefined) {
-        return { valid: false, error: "Please enter a gross score.", value: null };
-      }
-      var num = typeof score === "string" ? parseFloat(score) : Number(score);
-      if (isNaN(num) || !isFinite(num)) {
-        return { valid: false, error: "Gross score must be a valid number.", value: null };
-      }
-      if (num < 1 || num > 200) {
-        return { valid: false, error: "Gross score must be between 1 and 200.", value: null };
-      }
-      if (num !== Math.floor(num)) {
-        return { valid: false, error: "Gross score must be a whole number.", value: null };
-      }
-      return { valid: true, error: null, value: num };
+    setLanguage: function (code) {
+      this.language = LANGUAGES[code] ? code : "en";
+      this.messages = MESSAGES[this.language] || {};
+      this.dateFormat = new Intl.DateTimeFormat(this.getLocale(), { day: "2-digit", month: "2-digit", year: "numeric", timeZone: "UTC" });
+      this.monthFormat = new Intl.DateTimeFormat(this.getLocale(), { month: "2-digit", year: "numeric", timeZone: "UTC" });
+      this.numberFormats = {};
+      document.documentElement.lang = this.language;
+      document.documentElement.dir = LANGUAGES[this.language].dir;
     },
 
     /**
-     * Validates course rating input.
-     * @param {string|number} courseRating - Course rating value
-     * @returns {{valid: boolean, error: string|null, value: number|null}}
+     * Locale used for dates and numbers (e.g. "en-GB" for day-first English dates).
+     * @returns {string} BCP 47 locale
      */
-    validateCourseRating: function (courseRating) {
-      if (courseRating === "" || courseRating === null || courseRating === undefined) {
-        return { valid: false, error: "Please enter a course rating.", value: null };
-      }
-      var num = typeof courseRating === "string" ? parseFloat(courseRating) : Number(courseRating);
-      if (isNaN(num) || !isFinite(num)) {
-        return { valid: false, error: "Course rating must be a valid number.", value: null };
-      }
-      if (num < 50 || num > 80) {
-        return { valid: false, error: "Course rating must be between 50 and 80.", value: null };
-      }
-      return { valid: true, error: null, value: num };
+    getLocale: function () {
+      return LANGUAGES[this.language].locale;
     },
 
     /**
-     * Validates slope rating input.
-     * @param {string|number} slope - Slope rating value
-     * @returns {{valid: boolean, error: string|null, value: number|null}}
+     * Number formatter of the chosen locale, created once per number of decimals.
+     * @param {number} [decimals] - Fixed number of decimals (up to three as needed when omitted)
+     * @returns {Intl.NumberFormat} Formatter
      */
-    validateSlope: function (slope) {
-      if (slope === "" || slope === null || slope === undefined) {
-        return { valid: false, error: "Please enter a slope rating.", value: null };
-      }
-      var num = typeof slope === "string" ? parseFloat(slope) : Number(slope);
-      if (isNaN(num) || !isFinite(num)) {
-        return { valid: false, error: "Slope rating must be a valid number.", value: null };
+    getNumberFormat: function (decimals) {
+      var key = decimals === undefined ? "auto" : String(decimals);
+      if (!this.numberFormats[key]) {
+        this.numberFormats[key] = new Intl.NumberFormat(this.getLocale(), decimals === undefined
+          ? { maximumFractionDigits: 3, useGrouping: false }
+          : { minimumFractionDigits: decimals, maximumFractionDigits: decimals, useGrouping: false });
       }
-      if (num < 55 || num > 155) {
-        return { valid: false, error: "Slope rating must be between 55 and 155.", value: null };
-      }
-      if (num !== Math.floor(num)) {
-        return { valid: false, error: "Slope rating must be a whole number.", value: null };
-      }
-      return { valid: true, error: null, value: num };
+      return this.numberFormats[key];
     },
 
     /**
-     * Validates a round object (from storage).
-     * @param {Object} round - Round object
-     * @returns {{valid: boolean, error: string|null}}
+     * Translate a message. Messages are keyed by their English text; {name} placeholders
+     * are filled from params. Falls back to the English text when there is no translation.
+     * @param {string} text - English message
+     * @param {Object<string, *>} [params] - Placeholder values
+     * @returns {string} Translated message
      */
-    validateRound: function (round) {
-      if (!round || typeof round !== "object") {
-        return { valid: false, error: "Invalid round object." };
-      }
-      var required = ["id", "date", "score", "courseRating", "slope", "differential"];
-      for (var i = 0; i < required.length; i++) {
-        if (!(required[i] in round)) {
-          return { valid: false, error: "Round object is missing a required field: " + required[i] + "." };
-        }
+    t: function (text, params) {
+      var message = Object.prototype.hasOwnProperty.call(this.messages, text) ? this.messages[text] : text;
+      if (!params) return message;
+      return message.replace(/\{(\w+)\}/g, function (match, name) {
+        return Object.prototype.hasOwnProperty.call(params, name) ? String(params[name]) : match;
+      });
+    },
+
+    /**
+     * Translate a message from the engine or storage, which report errors in English (views
+     * may prefix them, as in "Row 4: …"). Numbers in the message are matched against {0},
+     * {1}… placeholders of the catalog and shown with the locale's decimal separator, and
+     * prefixes such as "Hole 3: " or "White tee: " are translated one by one.
+     * @param {string} message - English message
+     * @returns {string} Translated message
+     */
+    translateError: function (message) {
+      if (typeof message !== "string") return message;
+      var translated = this.lookup(message);
+      if (translated !== null) return translated;
+      var separator = message.indexOf(": ");
+      if (separator < 0) return message;
+      var prefix = message.slice(0, separator);
+      var tee = /^(.+) tee$/.exec(prefix);
+      if (this.lookup(prefix) !== null) {
+        prefix = this.lookup(prefix);
+      } else if (tee) {
+        prefix = this.t("{name} tee", { name: tee[1] });
       }
-      if (typeof round.differential !== "number" || isNaN(round.differential)) {
-        return { valid: false, error: "Invalid differential value." };
+      return prefix + ": " + this.translateError(message.slice(separator + 2));
+    },
+
+    /**
+     * Find the translation of a whole message, with or without its numbers.
+     * @param {string} message - English message
+     * @returns {string|null} Translation, or null when the catalog has none
+     */
+    lookup: function (message) {
+      if (Object.prototype.hasOwnProperty.call(this.messages, message)) return this.messages[message];
+      var values = {};
+      var count = 0;
+      var service = this;
+      var key = message.replace(/[+-]?\d+(\.\d+)?/g, function (number) {
+        var decimals = number.split(".")[1];
+        values[count] = decimals ? service.getNumberFormat(decimals.length).format(Number(number)) : number;
+        return "{" + count++ + "}";
+      });
+      if (count === 0 || !Object.prototype.hasOwnProperty.call(this.messages, key)) return null;
+      return this.t(key, values);
+    },
+
+    /**
+     * Translate the static text of the page: text nodes and the placeholder, title and
+     * aria-label attributes. Runs once at start-up, before the views render.
+     * @param {HTMLElement} root - Element to translate
+     */
+    translatePage: function (root) {
+      var service = this;
+      var walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+      var node;
+      while ((node = walker.nextNode())) {
+        var text = node.nodeValue.trim();
+        if (text) node.nodeValue = node.nodeValue.replace(text, this.t(text));
       }
-      return { valid: true, error: null };
+      ["placeholder", "title", "aria-label"].forEach(function (attribute) {
+        root.querySelectorAll("[" + attribute + "]").forEach(function (element) {
+          element.setAttribute(attribute, service.t(element.getAttribute(attribute)));
+        });
+      });
+      document.title = this.t(document.title);
     }
   };
 
+  // Shorthand for the many translated strings of the views
+  var t = I18nService.t.bind(I18nService);
+
   // ============================================================================
   // STORAGE SERVICE
   // ============================================================================
 
   var StorageService = {
+    db: null,
+    legacyImported: false,
+
     /**
-     * Load rounds from localStorage with error handling.
-     * @returns {Array<Object>} Array of rounds or empty array on error
+     * Schema migrations keyed by the database version they upgrade to. They run in order
+     * inside the version change transaction, so a failed step leaves the old version intact.
+     * Later round shapes get a new entry that rewrites the stored records (see migrateStore).
      */
-    loadRounds: function () {
-      try {
-        var raw = localStorage.getItem(CONFIG.STORAGE_KEY);
-        if (!raw) return [];
-        var parsed = JSON.parse(raw);
+    migrations: {
+      1: function (db, transaction) {
+        db.createObjectStore(CONFIG.ROUNDS_STORE, { keyPath: "id" });
+        db.createObjectStore(CONFIG.COURSES_STORE, { keyPath: "id" });
+        db.createObjectStore(CONFIG.QUARANTINE_STORE, { keyPath: "id", autoIncrement: true });
+        StorageService.importLegacyData(transaction);
+      },
+      2: function (db, transaction) {
+        var profile = StorageService.createProfile(t(CONFIG.DEFAULT_PROFILE_NAME));
+        db.createObjectStore(CONFIG.PROFILES_STORE, { keyPath: "id" }).put(profile);
+        db.createObjectStore(CONFIG.SETTINGS_STORE, { keyPath: "key" }).put({ key: "activeProfileId", value: profile.id });
+        // Rounds belong to a profile from now on; the store is rebuilt with a per-profile key
+        // and the existing rounds are given to the first profile.
+        var request = transaction.objectStore(CONFIG.ROUNDS_STORE).getAll();
+        request.onsuccess = function () {
+          db.deleteObjectStore(CONFIG.ROUNDS_STORE);
+          var store = db.createObjectStore(CONFIG.ROUNDS_STORE, { keyPath: ["profileId", "id"] });
+          store.createIndex("profileId", "profileId");
+          request.result.forEach(function (round) {
+            store.put(Object.assign({}, round, { profileId: profile.id }));
+          });
+        };
+      },
+      3: function (db, transaction) {
+        // Sync: deleted rounds leave a tombstone, every round records when it last changed,
+        // and each profile may keep the settings and state of its sync with a server.
+        db.createObjectStore(CONFIG.TOMBSTONES_STORE, { keyPath: ["profileId", "id"] }).createIndex("profileId", "profileId");
+        db.createObjectStore(CONFIG.SYNC_STORE, { keyPath: "profileId" });
+        // Version 2 rebuilds the rounds store when its read succeeds; a request queued now
+        // succeeds after that, so the stamps go into the rebuilt store.
+        var now = new Date().toISOString();
+        transaction.objectStore(CONFIG.SETTINGS_STORE).count().onsuccess = function () {
+          StorageService.migrateStore(transaction, CONFIG.ROUNDS_STORE, function (round) {
+            return round.updatedAt ? round : Object.assign({}, round, { updatedAt: now });
+          });
+        };
+      }
+    },
+
+    /**
+     * Open (and if needed create or upgrade) the database.
+     * @returns {Promise<IDBDatabase>} Open database
+     */
+    open: function () {
+      if (this.db) return Promise.resolve(this.db);
+      var service = this;
+      return new Promise(function (resolve, reject) {
+        if (typeof indexedDB === "undefined") {
+          reject(new Error("IndexedDB is not available in this browser."));
+          return;
+        }
+        var request = indexedDB.open(CONFIG.DB_NAME, CONFIG.DB_VERSION);
+        request.onupgradeneeded = function (event) {
+          for (var version = event.oldVersion + 1; version <= CONFIG.DB_VERSION; version++) {
+            service.migrations[version](request.result, request.transaction);
+          }
+        };
+        request.onsuccess = function () {
+          service.db = request.result;
+          service.db.onversionchange = function () {
+            service.db.close();
+            service.db = null;
+          };
+          if (service.legacyImported) service.clearLegacyData();
+          resolve(service.db);
+        };
+        request.onerror = function () {
+          reject(request.error);
+        };
+        request.onblocked = function () {
+          reject(new Error("Please close other tabs of this app to finish updating its storage."));
+        };
+      });
+    },
+
+    /**
+     * Copy rounds and courses saved by earlier versions in localStorage into the database.
+     * Runs once, inside the version 1 upgrade; records that fail validation are quarantined.
+     * @param {IDBTransaction} transaction - Version change transaction
+     */
+    importLegacyData: function (transaction) {
+      var service = this;
+      var sources = [
+        { key: CONFIG.STORAGE_KEY, kind: "round", store: CONFIG.ROUNDS_STORE, migrate: this.migrateLegacyRound, validate: ValidationService.validateRound },
+        { key: CONFIG.COURSES_STORAGE_KEY, kind: "course", store: CONFIG.COURSES_STORE, migrate: null, validate: ValidationService.validateCourse }
+      ];
+      var quarantine = transaction.objectStore(CONFIG.QUARANTINE_STORE);
+      sources.forEach(function (source) {
+        var raw;
+        try {
+          raw = localStorage.getItem(source.key);
+        } catch (e) {
+          console.error("Error reading LocalStorage:", e);
+          return;
+        }
+        if (!raw) return;
+        service.legacyImported = true;
+        var parsed;
+        try {
+          parsed = JSON.parse(raw);
+        } catch (e) {
+          parsed = null;
+        }
         if (!Array.isArray(parsed)) {
-          console.warn("LocalStorage does not contain an array. Resetting.");
-          return [];
+          quarantine.add(service.createQuarantineEntry(source.kind, raw, "Saved data could not be read.", "localStorage"));
+          return;
         }
-        var validated = [];
-        for (var i = 0; i < parsed.length; i++) {
-          var validation = ValidationService.validateRound(parsed[i]);
+        var store = transaction.objectStore(source.store);
+        parsed.forEach(function (record) {
+          var migrated = source.migrate ? source.migrate(record) : record;
+          var validation = source.validate.call(ValidationService, migrated);
           if (validation.valid) {
-            validated.push(parsed[i]);
+            store.put(migrated);
           } else {
-            console.warn("Invalid round skipped:", validation.error);
+            quarantine.add(service.createQuarantineEntry(source.kind, record, validation.error, "localStorage"));
           }
-        }
-        return validated;
-      } catch (e) {
-        console.error("Error loading from LocalStorage:", e);
-        return [];
-      }
+        });
+      });
     },
 
     /**
-     * Save rounds to localStorage with error handling.
-     * @param {Array<Object>} rounds - Array of round objects
-     * @returns {{success: boolean, error: string|null}}
+     * Bring a round saved by the localStorage versions to the current shape.
+     * @param {Object} round - Stored round
+     * @returns {Object} Round (copied when changed)
      */
-    saveRounds: function (rounds) {
-      if (!Array.isArray(rounds)) {
-        return { success: false, error: "Rounds must be an array." };
-      }
-      try {
-        var json = JSON.stringify(rounds);
-        localStorage.setItem(CONFIG.STORAGE_KEY, json);
-        return { success: true, error: null };
-      } catch (e) {
-        if (e.name === "QuotaExceededError") {
-          return { success: false, error: "Storage space full. Please delete old rounds." };
-        }
-        console.error("Error saving to LocalStorage:", e);
-        return { success: false, error: "Error saving: " + e.message };
-      }
+    migrateLegacyRound: function (round) {
+      if (!round || typeof round !== "object") return round;
+      var migrated = Object.assign({}, round);
+      // The first versions stored numeric ids and no adjusted gross score
+      if (typeof migrated.id === "number") migrated.id = String(migrated.id);
+      if (!("adjustedScore" in migrated) && typeof migrated.score === "number") migrated.adjustedScore = migrated.score;
+      return migrated;
+    },
+
+    /**
+     * Rewrite every record of a store inside an upgrade transaction.
+     * @param {IDBTransaction} transaction - Version change transaction
+     * @param {string} storeName - Object store to rewrite
+     * @param {function(Object): Object} migrate - Returns the record in its new shape
+     */
+    migrateStore: function (transaction, storeName, migrate) {
+      var request = transaction.objectStore(storeName).openCursor();
+      request.onsuccess = function () {
+        var cursor = request.result;
+        if (!cursor) return;
+        cursor.update(migrate(cursor.value));
+        cursor.continue();
+      };
     },
 
     /**
-     * Delete all rounds from localStorage.
-     * @returns {{success: boolean, error: string|null}}
+     * Remove the localStorage keys after their data moved into the database.
      */
-    deleteAll: function () {
+    clearLegacyData: function () {
       try {
         localStorage.removeItem(CONFIG.STORAGE_KEY);
-        return { success: true, error: null };
+        localStorage.removeItem(CONFIG.COURSES_STORAGE_KEY);
       } catch (e) {
-        console.error("Error deleting from LocalStorage:", e);
-        return { success: false, error: "Error deleting: " + e.message };
+        console.error("Error clearing LocalStorage:", e);
       }
-    }
-  };
+      this.legacyImported = false;
+    },
 
-  // ============================================================================
-  // WHS SERVICE (World Handicap System calculations)
-  // ============================================================================
+    /**
+     * Build a quarantine record for data that failed validation.
+     * @param {string} kind - "round" or "course"
+     * @param {*} record - The rejected record as stored
+     * @param {string} error - Validation error
+     * @param {string} source - Where the record was found
+     * @returns {Object} Quarantine entry
+     */
+    createQuarantineEntry: function (kind, record, error, source) {
+      return { kind: kind, record: record, error: error, source: source, quarantinedAt: new Date().toISOString() };
+    },
 
-  var WHSService = {
     /**
-     * Calculate score differential using WHS formula.
-     * Formula: (113 / Slope) * (Score - Course Rating)
-     * @param {number} score - Gross score
-     * @param {number} courseRating - Course rating
-     * @param {number} slope - Slope rating
-     * @returns {number} Score differential rounded to one decimal place
+     * Run work inside a transaction and resolve once it has committed.
+     * @param {Array<string>} storeNames - Stores used
+     * @param {string} mode - "readonly" or "readwrite"
+     * @param {function(IDBTransaction, function(*))} work - Receives the transaction and a setter for the result
+     * @returns {Promise<*>} Result passed to the setter
      */
-    calculateScoreDifferential: function (score, courseRating, slope) {
-      var scoreDifferential = (CONFIG.CONSTANT_SLOPE / slope) * (score - courseRating);
-      return Math.round(scoreDifferential * 10) / 10;
+    runTransaction: function (storeNames, mode, work) {
+      return this.open().then(function (db) {
+        return new Promise(function (resolve, reject) {
+          var transaction = db.transaction(storeNames, mode);
+          var result;
+          transaction.oncomplete = function () {
+            resolve(result);
+          };
+          transaction.onerror = function () {
+            reject(transaction.error);
+          };
+          transaction.onabort = function () {
+            reject(transaction.error || new Error("Transaction aborted."));
+          };
+          work(transaction, function (value) {
+            result = value;
+          });
+        });
+      });
     },
 
     /**
-     * Get WHS calculation parameters based on number of rounds.
-     * Implements the official WHS sliding scale.
-     * @param {number} roundCount - Number of rounds available
-     * @returns {{countToUse: number, adjustment: number}} Number of best rounds to use and adjustment to apply
+     * Open a cursor over a whole store, or over one profile's records of the rounds store.
+     * @param {IDBObjectStore} store - Object store
+     * @param {string} [profileId] - Profile to limit the cursor to
+     * @returns {IDBRequest} Cursor request
      */
-    getWHSCalculationParams: function (roundCount) {
-      if (roundCount <= 0) {
-        return { countToUse: 0, adjustment: 0 };
-      }
-      if (roundCount >= 1 && roundCount <= 3) {
-        return { countToUse: 1, adjustment: -2.0 };
-      }
-      if (roundCount === 4) {
-        return { countToUse: 1, adjustment: -1.0 };
-      }
-      if (roundCount === 5) {
-        return { countToUse: 1, adjustment: 0 };
-      }
-      if (roundCount === 6) {
-        return { countToUse: 2, adjustment: -1.0 };
-      }
-      if (roundCount >= 7 && roundCount <= 8) {
-        return { countToUse: 2, adjustment: 0 };
-      }
-      if (roundCount >= 9 && roundCount <= 11) {
-        return { countToUse: 3, adjustment: 0 };
-      }
-      if (roundCount >= 12 && roundCount <= 14) {
-        return { countToUse: 4, adjustment: 0 };
-      }
-      if (roundCount >= 15 && roundCount <= 16) {
-        return { countToUse: 5, adjustment: 0 };
+    openCursor: function (store, profileId) {
+      if (profileId === undefined) return store.openCursor();
+      return store.index("profileId").openCursor(IDBKeyRange.only(profileId));
+    },
+
+    /**
+     * Load all records of a store, moving the ones that fail validation into quarantine.
+     * @param {string} storeName - Object store
+     * @param {string} kind - "round", "course" or "profile"
+     * @param {function(Object): {valid: boolean, error: string|null}} validate - Validator
+     * @param {string} [profileId] - Only load this profile's records (rounds store)
+     * @returns {Promise<Array<Object>>} Valid records
+     */
+    loadValidated: function (storeName, kind, validate, profileId) {
+      var service = this;
+      return this.runTransaction([storeName, CONFIG.QUARANTINE_STORE], "readwrite", function (transaction, setResult) {
+        var valid = [];
+        var request = service.openCursor(transaction.objectStore(storeName), profileId);
+        request.onsuccess = function () {
+          var cursor = request.result;
+          if (!cursor) {
+            setResult(valid);
+            return;
+          }
+          var validation = validate.call(ValidationService, cursor.value);
+          if (validation.valid) {
+            valid.push(cursor.value);
+          } else {
+            transaction.objectStore(CONFIG.QUARANTINE_STORE).add(service.createQuarantineEntry(kind, cursor.value, validation.error, "database"));
+            cursor.delete();
+          }
+          cursor.continue();
+        };
+      });
+    },
+
+    /**
+     * Replace all records of a store, or only one profile's records of the rounds store.
+     * @param {string} storeName - Object store
+     * @param {Array<Object>} records - Records to save
+     * @param {string} [profileId] - Profile whose records are replaced; saved records are stamped with it
+     * @returns {Promise<{success: boolean, error: string|null}>}
+     */
+    replaceAll: function (storeName, records, profileId) {
+      var service = this;
+      return this.runTransaction([storeName], "readwrite", function (transaction) {
+        var store = transaction.objectStore(storeName);
+        var putAll = function () {
+          records.forEach(function (record) {
+            store.put(profileId === undefined ? record : Object.assign({}, record, { profileId: profileId }));
+          });
+        };
+        if (profileId === undefined) {
+          store.clear();
+          putAll();
+        } else {
+          service.deleteProfileRounds(transaction, profileId, putAll);
+        }
+      }).then(function () {
+        return { success: true, error: null };
+      }).catch(function (e) {
+        return service.getSaveError(e);
+      });
+    },
+
+    /**
+     * Describe a failed save.
+     * @param {Error} e - Error of the transaction
+     * @returns {{success: boolean, error: string}} Failed result
+     */
+    getSaveError: function (e) {
+      if (e && e.name === "QuotaExceededError") {
+        return { success: false, error: "Storage space full. Please delete old rounds." };
       }
-      if (roundCount >= 17 && roundCount <= 18) {
-        return { countToUse: 6, adjustment: 0 };
+      console.error("Error saving to IndexedDB:", e);
+      return { success: false, error: "Error saving: " + (e && e.message) };
+    },
+
+    /**
+     * Load a profile's rounds. Invalid rounds are quarantined instead of returned.
+     * @param {string} profileId - Profile id
+     * @returns {Promise<Array<Object>>} Valid rounds
+     */
+    loadRounds: function (profileId) {
+      return this.loadValidated(CONFIG.ROUNDS_STORE, "round", ValidationService.validateRound, profileId);
+    },
+
+    /**
+     * Save a profile's rounds, replacing its stored ones. New and changed rounds are stamped
+     * with the time of the change and deleted rounds leave a tombstone, so that sync can tell
+     * what changed on this device (see SyncEngine.stampRounds).
+     * @param {string} profileId - Profile id
+     * @param {Array<Object>} rounds - Array of round objects
+     * @returns {Promise<{success: boolean, error: string|null, rounds: Array<Object>|null}>} rounds: the rounds as saved, with their stamps
+     */
+    saveRounds: function (profileId, rounds) {
+      if (!Array.isArray(rounds)) {
+        return Promise.resolve({ success: false, error: "Rounds must be an array.", rounds: null });
       }
-      if (roundCount === 19) {
-        return { countToUse: 7, adjustment: 0 };
+      var service = this;
+      return this.runTransaction([CONFIG.ROUNDS_STORE, CONFIG.TOMBSTONES_STORE], "readwrite", function (transaction, setResult) {
+        var request = transaction.objectStore(CONFIG.ROUNDS_STORE).index("profileId").getAll(IDBKeyRange.only(profileId));
+        request.onsuccess = function () {
+          var now = new Date().toISOString();
+          var stamped = SyncEngine.stampRounds(request.result, rounds, now);
+          service.writeRounds(transaction, profileId, stamped.rounds, stamped.deletedIds.map(function (id) {
+            return { id: id, deletedAt: now };
+          }));
+          setResult(stamped.rounds);
+        };
+      }).then(function (saved) {
+        return { success: true, error: null, rounds: saved };
+      }).catch(function (e) {
+        return Object.assign(service.getSaveError(e), { rounds: null });
+      });
+    },
+
+    /**
+     * Replace a profile's rounds inside a transaction and add tombstones. A round that is saved
+     * again (e.g. re-imported) loses its tombstone.
+     * @param {IDBTransaction} transaction - Transaction including the rounds and tombstones stores
+     * @param {string} profileId - Profile id
+     * @param {Array<Object>} rounds - Rounds to save
+     * @param {Array<{id: string, deletedAt: string}>} tombstones - Tombstones to add
+     */
+    writeRounds: function (transaction, profileId, rounds, tombstones) {
+      var roundStore = transaction.objectStore(CONFIG.ROUNDS_STORE);
+      var tombstoneStore = transaction.objectStore(CONFIG.TOMBSTONES_STORE);
+      this.deleteProfileRounds(transaction, profileId, function () {
+        rounds.forEach(function (round) {
+          roundStore.put(Object.assign({}, round, { profileId: profileId }));
+          tombstoneStore.delete([profileId, round.id]);
+        });
+        tombstones.forEach(function (tombstone) {
+          tombstoneStore.put({ profileId: profileId, id: tombstone.id, deletedAt: tombstone.deletedAt });
+        });
+      });
+    },
+
+    /**
+     * Generate a unique id for a stored record.
+     * @returns {string} Unique id
+     */
+    generateId: function () {
+      return Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+    },
+
+    /**
+     * Load the course library. Invalid courses are quarantined instead of returned.
+     * @returns {Promise<Array<Object>>} Valid courses
+     */
+    loadCourses: function () {
+      return this.loadValidated(CONFIG.COURSES_STORE, "course", ValidationService.validateCourse);
+    },
+
+    /**
+     * Save the course library, replacing the stored one.
+     * @param {Array<Object>} courses - Array of course objects
+     * @returns {Promise<{success: boolean, error: string|null}>}
+     */
+    saveCourses: function (courses) {
+      if (!Array.isArray(courses)) {
+        return Promise.resolve({ success: false, error: "Courses must be an array." });
       }
-      // 20 or more rounds
-      return { countToUse: 8, adjustment: 0 };
+      return this.replaceAll(CONFIG.COURSES_STORE, courses);
     },
 
     /**
-     * Calculate handicap index using official WHS sliding scale.
-     * Only considers the most recent 20 rounds if more than 20 are available.
-     * @param {Array<Object>} rounds - All rounds (newest first)
-     * @returns {{handicap: number|null, roundsUsed: number, bestRoundsUsed: number, adjustment: number}}
-     */
-    calculateHandicapIndex: function (rounds) {
-      if (!rounds || rounds.length === 0) {
-        return { handicap: null, roundsUsed: 0, bestRoundsUsed: 0, adjustment: 0 };
-      }
-      
-      // Take only the most recent 20 rounds
-      var roundsToConsider = rounds.slice(0, CONFIG.MAX_ROUNDS_FOR_HANDICAP);
-      var roundsUsed = roundsToConsider.length;
-      
-      // Get WHS calculation parameters based on number of rounds
-      var params = this.getWHSCalculationParams(roundsUsed);
-      
-      if (params.countToUse === 0) {
-        return { handicap: null, roundsUsed: roundsUsed, bestRoundsUsed: 0, adjustment: 0 };
-      }
-      
-      // Sort by differential (ascending = best first)
-      var sortedByDifferential = roundsToConsider.slice().sort(function (a, b) {
-        return a.differential - b.differential;
-      });
-      
-      // Take the best rounds
-      var bestRounds = sortedByDifferential.slice(0, params.countToUse);
-      
-      // Calculate average
-      var sum = bestRounds.reduce(function (acc, r) {
-        return acc + r.differential;
-      }, 0);
-      var average = sum / params.countToUse;
-      
-      // Apply adjustment
-      var adjustedAverage = average + params.adjustment;
-      
-      // Round to one decimal place
-      var handicapIndex = Math.round(adjustedAverage * 10) / 10;
-      
-      return {
-        handicap: handicapIndex,
-        roundsUsed: roundsUsed,
-        bestRoundsUsed: params.countToUse,
-        adjustment: params.adjustment
+     * Load quarantined records, oldest first.
+     * @returns {Promise<Array<Object>>} Quarantine entries
+     */
+    loadQuarantine: function () {
+      return this.runTransaction([CONFIG.QUARANTINE_STORE], "readonly", function (transaction, setResult) {
+        var request = transaction.objectStore(CONFIG.QUARANTINE_STORE).getAll();
+        request.onsuccess = function () {
+          setResult(request.result);
+        };
+      });
+    },
+
+    /**
+     * Permanently remove a quarantined record.
+     * @param {number} entryId - Quarantine entry id
+     * @returns {Promise<{success: boolean, error: string|null}>}
+     */
+    discardQuarantined: function (entryId) {
+      return this.runTransaction([CONFIG.QUARANTINE_STORE], "readwrite", function (transaction) {
+        transaction.objectStore(CONFIG.QUARANTINE_STORE).delete(entryId);
+      }).then(function () {
+        return { success: true, error: null };
+      }).catch(function (e) {
+        console.error("Error deleting from IndexedDB:", e);
+        return { success: false, error: "Error deleting: " + (e && e.message) };
+      });
+    },
+
+    /**
+     * Delete all rounds of a profile, leaving a tombstone for each.
+     * @param {string} profileId - Profile id
+     * @returns {Promise<{success: boolean, error: string|null}>}
+     */
+    deleteAll: function (profileId) {
+      var service = this;
+      return this.runTransaction([CONFIG.ROUNDS_STORE, CONFIG.TOMBSTONES_STORE], "readwrite", function (transaction) {
+        var request = transaction.objectStore(CONFIG.ROUNDS_STORE).index("profileId").getAll(IDBKeyRange.only(profileId));
+        request.onsuccess = function () {
+          var deletedAt = new Date().toISOString();
+          service.writeRounds(transaction, profileId, [], request.result.map(function (round) {
+            return { id: round.id, deletedAt: deletedAt };
+          }));
+        };
+      }).then(function () {
+        return { success: true, error: null };
+      }).catch(function (e) {
+        console.error("Error deleting from IndexedDB:", e);
+        return { success: false, error: "Error deleting: " + (e && e.message) };
+      });
+    },
+
+    /**
+     * Delete a profile's rounds inside a transaction.
+     * @param {IDBTransaction} transaction - Transaction including the rounds store
+     * @param {string} profileId - Profile id
+     * @param {function()} [done] - Called once all rounds are deleted
+     */
+    deleteProfileRounds: function (transaction, profileId, done) {
+      this.deleteProfileRecords(transaction.objectStore(CONFIG.ROUNDS_STORE), profileId, done);
+    },
+
+    /**
+     * Delete a profile's records from a store with a profileId index (rounds, tombstones).
+     * @param {IDBObjectStore} store - Object store
+     * @param {string} profileId - Profile id
+     * @param {function()} [done] - Called once all records are deleted
+     */
+    deleteProfileRecords: function (store, profileId, done) {
+      var request = this.openCursor(store, profileId);
+      request.onsuccess = function () {
+        var cursor = request.result;
+        if (!cursor) {
+          if (done) done();
+          return;
+        }
+        cursor.delete();
+        cursor.continue();
       };
     },
 
     /**
-     * Return handicap calculation info for display.
-     * @param {Array<Object>} rounds - All rounds (newest first)
-     * @returns {{handicap: number|null, roundsUsed: number, bestRoundsUsed: number, adjustment: number}}
+     * Create a new profile record with default settings.
+     * @param {string} name - Player name
+     * @returns {Object} Profile
      */
-    getHandicapInfo: function (rounds) {
-      return this.calculateHandicapIndex(rounds);
-    }
-  };
+    createProfile: function (name) {
+      return { id: this.generateId(), name: name, gender: "", homeCourseId: null, settings: {} };
+    },
 
-  // ============================================================================
-  // UI SERVICE
-  // ============================================================================
+    /**
+     * Load all player profiles. Invalid profiles are quarantined instead of returned.
+     * @returns {Promise<Array<Object>>} Valid profiles
+     */
+    loadProfiles: function () {
+      return this.loadValidated(CONFIG.PROFILES_STORE, "profile", ValidationService.validateProfile);
+    },
 
-  var UIService = {
     /**
-     * Format date from YYYY-MM-DD to DD/MM/YYYY.
-     * @param {string} isoDate - ISO date string
-     * @returns {string} Formatted date string
+     * Add or update a player profile.
+     * @param {Object} profile - Profile
+     * @returns {Promise<{success: boolean, error: string|null}>}
      */
-    formatDate: function (isoDate) {
-      var parts = isoDate.split("-");
-      if (parts.length !== 3) return isoDate;
-      return parts[2] + "/" + parts[1] + "/" + parts[0];
+    saveProfile: function (profile) {
+      return this.runTransaction([CONFIG.PROFILES_STORE], "readwrite", function (transaction) {
+        transaction.objectStore(CONFIG.PROFILES_STORE).put(profile);
+      }).then(function () {
+        return { success: true, error: null };
+      }).catch(function (e) {
+        console.error("Error saving profile to IndexedDB:", e);
+        return { success: false, error: "Error saving: " + (e && e.message) };
+      });
     },
 
     /**
-     * Set today's date in a date input field.
-     * @param {HTMLInputElement} input - Date input element
+     * Delete a player profile together with its rounds, tombstones and sync settings.
+     * @param {string} profileId - Profile id
+     * @returns {Promise<{success: boolean, error: string|null}>}
      */
-    setToday: function (input) {
-      if (!input || input.type !== "date") return;
-      var today = new Date();
-      var year = today.getFullYear();
-      var month = String(today.getMonth() + 1).padStart(2, "0");
-      var day = String(today.getDate()).padStart(2, "0");
-      input.value = year + "-" + month + "-" + day;
+    deleteProfile: function (profileId) {
+      var service = this;
+      var storeNames = [CONFIG.PROFILES_STORE, CONFIG.ROUNDS_STORE, CONFIG.TOMBSTONES_STORE, CONFIG.SYNC_STORE];
+      return this.runTransaction(storeNames, "readwrite", function (transaction) {
+        transaction.objectStore(CONFIG.PROFILES_STORE).delete(profileId);
+        transaction.objectStore(CONFIG.SYNC_STORE).delete(profileId);
+        service.deleteProfileRounds(transaction, profileId);
+        service.deleteProfileRecords(transaction.objectStore(CONFIG.TOMBSTONES_STORE), profileId);
+      }).then(function () {
+        return { success: true, error: null };
+      }).catch(function (e) {
+        console.error("Error deleting profile from IndexedDB:", e);
+        return { success: false, error: "Error deleting: " + (e && e.message) };
+      });
     },
 
     /**
-     * Show an error message (textContent only, XSS-safe).
-     * @param {HTMLElement} container - Container element
-     * @param {string} message - Error message
+     * Load a device-wide setting.
+     * @param {string} key - Setting name
+     * @returns {Promise<*>} Stored value, or null if not set
      */
-    showError: function (container, message) {
-      if (!container) return;
-      container.textContent = "";
-      container.classList.remove("visible");
-      requestAnimationFrame(function () {
-        container.textContent = message || "An error occurred.";
-        container.classList.add("visible");
-        container.setAttribute("role", "alert");
-        container.setAttribute("aria-live", "assertive");
+    loadSetting: function (key) {
+      return this.runTransaction([CONFIG.SETTINGS_STORE], "readonly", function (transaction, setResult) {
+        var request = transaction.objectStore(CONFIG.SETTINGS_STORE).get(key);
+        request.onsuccess = function () {
+          setResult(request.result ? request.result.value : null);
+        };
       });
     },
 
     /**
-     * Show result (score differential) in container (textContent only, XSS-safe).
-     * @param {HTMLElement} container - Container element
-     * @param {number} scoreDifferential - Score differential value
+     * Save a device-wide setting.
+     * @param {string} key - Setting name
+     * @param {*} value - Value
+     * @returns {Promise<{success: boolean, error: string|null}>}
      */
-    showResult: function (container, scoreDifferential) {
-      if (!container) return;
-      container.textContent = "";
-      container.classList.remove("visible");
-      requestAnimationFrame(function () {
-        container.classList.add("visible");
-        container.removeAttribute("role");
-        container.setAttribute("aria-live", "polite");
-        var label = document.createElement("span");
-        label.textContent = "Score Differential";
-        var valueEl = document.createElement("span");
-        valueEl.className = "value";
-        valueEl.textContent = String(scoreDifferential);
-        container.appendChild(label);
-        container.appendChild(valueEl);
+    saveSetting: function (key, value) {
+      return this.runTransaction([CONFIG.SETTINGS_STORE], "readwrite", function (transaction) {
+        transaction.objectStore(CONFIG.SETTINGS_STORE).put({ key: key, value: value });
+      }).then(function () {
+        return { success: true, error: null };
+      }).catch(function (e) {
+        console.error("Error saving setting to IndexedDB:", e);
+        return { success: false, error: "Error saving: " + (e && e.message) };
       });
     },
 
     /**
-     * Clear the result/error container.
-     * @param {HTMLElement} container - Container element
+     * Load a profile's sync settings and state together with its tombstones.
+     * @param {string} profileId - Profile id
+     * @returns {Promise<{sync: Object|null, tombstones: Array<{id: string, deletedAt: string}>}>}
+     *   sync is null while the profile has never been set up for sync
      */
-    clearResult: function (container) {
-      if (!container) return;
-      container.textContent = "";
-      container.classList.remove("visible");
-      container.removeAttribute("role");
+    loadSync: function (profileId) {
+      return this.runTransaction([CONFIG.SYNC_STORE, CONFIG.TOMBSTONES_STORE], "readonly", function (transaction, setResult) {
+        var result = { sync: null, tombstones: [] };
+        var syncRequest = transaction.objectStore(CONFIG.SYNC_STORE).get(profileId);
+        syncRequest.onsuccess = function () {
+          result.sync = syncRequest.result || null;
+        };
+        var tombstoneRequest = transaction.objectStore(CONFIG.TOMBSTONES_STORE).index("profileId").getAll(IDBKeyRange.only(profileId));
+        tombstoneRequest.onsuccess = function () {
+          result.tombstones = tombstoneRequest.result.map(function (tombstone) {
+            return { id: tombstone.id, deletedAt: tombstone.deletedAt };
+          });
+        };
+        setResult(result);
+      });
+    },
+
+    /**
+     * Save a profile's sync settings and state.
+     * @param {Object} sync - Sync record (keyed by profileId)
+     * @returns {Promise<{success: boolean, error: string|null}>}
+     */
+    saveSync: function (sync) {
+      var service = this;
+      return this.runTransaction([CONFIG.SYNC_STORE], "readwrite", function (transaction) {
+        transaction.objectStore(CONFIG.SYNC_STORE).put(sync);
+      }).then(function () {
+        return { success: true, error: null };
+      }).catch(function (e) {
+        return service.getSaveError(e);
+      });
+    },
+
+    /**
+     * Save the outcome of a sync in one transaction: the profile's rounds and tombstones as
+     * reconciled (keeping their stamps), its sync state, and the rounds from the server that
+     * failed validation, which are quarantined instead.
+     * @param {Object} sync - Sync record (keyed by profileId)
+     * @param {Array<Object>} rounds - All rounds of the profile
+     * @param {Array<{id: string, deletedAt: string}>} tombstones - All tombstones of the profile
+     * @param {Array<{record: Object, error: string}>} rejected - Invalid rounds received
+     * @returns {Promise<{success: boolean, error: string|null}>}
+     */
+    saveSyncResult: function (sync, rounds, tombstones, rejected) {
+      var service = this;
+      var storeNames = [CONFIG.ROUNDS_STORE, CONFIG.TOMBSTONES_STORE, CONFIG.SYNC_STORE, CONFIG.QUARANTINE_STORE];
+      return this.runTransaction(storeNames, "readwrite", function (transaction) {
+        service.deleteProfileRecords(transaction.objectStore(CONFIG.TOMBSTONES_STORE), sync.profileId, function () {
+          service.writeRounds(transaction, sync.profileId, rounds, tombstones);
+        });
+        transaction.objectStore(CONFIG.SYNC_STORE).put(sync);
+        rejected.forEach(function (item) {
+          transaction.objectStore(CONFIG.QUARANTINE_STORE).add(service.createQuarantineEntry("round", item.record, item.error, "sync"));
+        });
+      }).then(function () {
+        return { success: true, error: null };
+      }).catch(function (e) {
+        return service.getSaveError(e);
+      });
     }
   };
 
   // ============================================================================
-  // APPLICATION (main logic)
+  // COURSE SERVICE (course library lookups)
   // ============================================================================
 
-  var App = {
-    elements: {
-      form: null,
-      roundDateInput: null,
-      grossScoreInput: null,
-      courseRatingInput: null,
-      slopeInput: null,
-      resultContainer: null,
-      handicapValue: null,
-      handicapHint: null,
-      roundsList: null,
-      roundsEmpty: null,
-      deleteAllButton: null
+  var CourseService = {
+    RATING_SET_LABELS: { men: "Men's", women: "Women's" },
+
+    /**
+     * Find a course by id.
+     * @param {Array<Object>} courses - Course library
+     * @param {string} courseId - Course id
+     * @returns {Object|null} Course or null if not found
+     */
+    findCourse: function (courses, courseId) {
+      for (var i = 0; i < courses.length; i++) {
+        if (courses[i].id === courseId) return courses[i];
+      }
+      return null;
+    },
+
+    /**
+     * Find a tee of a course by id.
+     * @param {Object} course - Course
+     * @param {string} teeId - Tee id
+     * @returns {Object|null} Tee or null if not found
+     */
+    findTee: function (course, teeId) {
+      if (!course) return null;
+      for (var i = 0; i < course.tees.length; i++) {
+        if (course.tees[i].id === teeId) return course.tees[i];
+      }
+      return null;
+    },
+
+    /**
+     * Return the ratings of a tee for the given rating set.
+     * @param {Object} tee - Tee
+     * @param {string} [ratingSet] - "men", "women" or empty for the tee's default ratings
+     * @returns {{courseRating: number, slope: number, par: number}}
+     */
+    getTeeRatings: function (tee, ratingSet) {
+      var source = ratingSet && tee[ratingSet] ? tee[ratingSet] : tee;
+      return { courseRating: source.courseRating, slope: source.slope, par: source.par };
+    },
+
+    /**
+     * List the selectable tee/rating combinations of a course.
+     * A tee with men's or women's ratings yields an extra option per rating set.
+     * @param {Object} course - Course
+     * @returns {Array<{value: string, teeId: string, ratingSet: string, label: string, courseRating: number, slope: number, par: number}>}
+     */
+    getTeeOptions: function (course) {
+      var self = this;
+      var options = [];
+      course.tees.forEach(function (tee) {
+        var ratingSets = [""].concat(["men", "women"].filter(function (set) {
+          return !!tee[set];
+        }));
+        ratingSets.forEach(function (set) {
+          var ratings = self.getTeeRatings(tee, set);
+          options.push({
+            value: tee.id + "|" + set,
+            teeId: tee.id,
+            ratingSet: set,
+            label: tee.name + (set ? " – " + t(self.RATING_SET_LABELS[set]) : "") + " (" +
+              t("CR {rating} · Slope {slope}", { rating: UIService.formatNumber(ratings.courseRating), slope: ratings.slope }) + ")",
+            courseRating: ratings.courseRating,
+            slope: ratings.slope,
+            par: ratings.par
+          });
+        });
+      });
+      return options;
+    },
+
+    /**
+     * Find a tee/rating option of a course by its picker value.
+     * @param {Object|null} course - Course
+     * @param {string} value - Option value ("teeId|ratingSet")
+     * @returns {Object|null} Option (see getTeeOptions) or null if not found
+     */
+    findTeeOption: function (course, value) {
+      if (!course) return null;
+      var options = this.getTeeOptions(course);
+      for (var i = 0; i < options.length; i++) {
+        if (options[i].value === value) return options[i];
+      }
+      return null;
+    },
+
+    /**
+     * Parse a comma/space separated list of hole values (e.g. "4, 4, 3, 5").
+     * @param {string} text - Raw list
+     * @returns {Array<string>} Individual values (empty array for blank input)
+     */
+    parseHoleList: function (text) {
+      var trimmed = typeof text === "string" ? text.trim() : "";
+      return trimmed ? trimmed.split(/[\s,;]+/) : [];
+    },
+
+    /**
+     * Describe the course and tee a round was played on.
+     * Uses the current library entry when it still exists, otherwise the name saved with the round.
+     * @param {Object} round - Round
+     * @param {Array<Object>} courses - Course library
+     * @returns {string|null} e.g. "Old Course (White)" or null for manually entered ratings
+     */
+    describeRound: function (round, courses) {
+      if (!round.courseId) return null;
+      var course = this.findCourse(courses, round.courseId);
+      var tee = this.findTee(course, round.teeId);
+      var courseName = course ? course.name : round.courseName;
+      var teeName = tee ? tee.name : round.teeName;
+      if (!courseName) return null;
+      var suffix = teeName ? teeName : "";
+      if (round.teeRatingSet && this.RATING_SET_LABELS[round.teeRatingSet]) {
+        suffix += (suffix ? ", " : "") + t(this.RATING_SET_LABELS[round.teeRatingSet]);
+      }
+      return suffix ? courseName + " (" + suffix + ")" : courseName;
+    }
+  };
+
+  // ============================================================================
+  // STATISTICS SERVICE (scoring statistics derived from the stored rounds)
+  // ============================================================================
+
+  var StatisticsService = {
+    // Hole results relative to par; the last entry collects everything worse
+    HOLE_RESULTS: [
+      { key: "eagle", label: "Eagle or better", max: -2 },
+      { key: "birdie", label: "Birdie", max: -1 },
+      { key: "par", label: "Par", max: 0 },
+      { key: "bogey", label: "Bogey", max: 1 },
+      { key: "double", label: "Double bogey", max: 2 },
+      { key: "triple", label: "Triple or worse", max: Infinity }
+    ],
+
+    /**
+     * Build one entry per round of the scoring record, oldest first.
+     * Differentials include Exceptional Score Reductions, as they count for the index.
+     * @param {Array<Object>} rounds - All rounds (newest first)
+     * @returns {Array<{round: Object, date: string, differential: number}>}
+     */
+    getEntries: function (rounds) {
+      return WHSService.sortChronologically(WHSService.getScoringRecord(rounds)).map(function (round) {
+        return {
+          round: round,
+          date: round.date,
+          differential: WHSService.getEffectiveDifferential(round)
+        };
+      });
+    },
+
+    /**
+     * Summarize a list of differentials.
+     * Lower differentials are better, so "best" is the minimum.
+     * @param {Array<number>} values - Differentials
+     * @returns {{count: number, average: number|null, best: number|null, worst: number|null, standardDeviation: number|null}}
+     */
+    summarize: function (values) {
+      var count = values.length;
+      if (count === 0) {
+        return { count: 0, average: null, best: null, worst: null, standardDeviation: null };
+      }
+      var sum = values.reduce(function (total, value) {
+        return total + value;
+      }, 0);
+      var mean = sum / count;
+      var standardDeviation = null;
+      if (count > 1) {
+        var squares = values.reduce(function (total, value) {
+          return total + (value - mean) * (value - mean);
+        }, 0);
+        standardDeviation = Math.round(Math.sqrt(squares / (count - 1)) * 10) / 10;
+      }
+      return {
+        count: count,
+        average: Math.round(mean * 10) / 10,
+        best: Math.min.apply(null, values),
+        worst: Math.max.apply(null, values),
+        standardDeviation: standardDeviation
+      };
+    },
+
+    /**
+     * Average of a list of numbers, rounded to one decimal.
+     * @param {Array<number>} values - Numbers
+     * @returns {number|null} Average or null for an empty list
+     */
+    average: function (values) {
+      if (values.length === 0) return null;
+      var sum = values.reduce(function (total, value) {
+        return total + value;
+      }, 0);
+      return Math.round(sum / values.length * 10) / 10;
+    },
+
+    /**
+     * Group entries and summarize the differentials of each group.
+     * @param {Array<Object>} entries - Entries (see getEntries)
+     * @param {function(Object): {key: string, label: string, sortKey: (string|undefined)}} describe - Group of an entry;
+     *   sortKey orders groups by name and defaults to the label
+     * @returns {Array<Object>} Groups in order of first appearance: {key, label, sortKey, entries, ...summary}
+     */
+    groupEntries: function (entries, describe) {
+      var self = this;
+      var groups = [];
+      var byKey = {};
+      entries.forEach(function (entry) {
+        var group = describe(entry);
+        if (!byKey[group.key]) {
+          byKey[group.key] = { key: group.key, label: group.label, sortKey: group.sortKey || group.label, entries: [] };
+          groups.push(byKey[group.key]);
+        }
+        byKey[group.key].entries.push(entry);
+      });
+      return groups.map(function (group) {
+        var summary = self.summarize(group.entries.map(function (entry) {
+          return entry.differential;
+        }));
+        return Object.assign({ key: group.key, label: group.label, sortKey: group.sortKey, entries: group.entries }, summary);
+      });
+    },
+
+    /**
+     * Group by course and tee. Rounds without a saved course are grouped by their ratings,
+     * and 9-hole rounds are kept apart from 18-hole rounds on the same tee.
+     * Each group also carries the average gross score of its rounds.
+     * @param {Array<Object>} entries - Entries (see getEntries)
+     * @param {Array<Object>} courses - Course library
+     * @returns {Array<Object>} Groups (see groupEntries) with averageScore
+     */
+    byCourse: function (entries, courses) {
+      var groups = this.groupEntries(entries, function (entry) {
+        var round = entry.round;
+        var isNineHole = round.holesPlayed === CONFIG.NINE_HOLES;
+        var label = CourseService.describeRound(round, courses) ||
+          t("CR {rating} · Slope {slope}", { rating: UIService.formatNumber(round.courseRating), slope: round.slope });
+        var key = round.courseId
+          ? [round.courseId, round.teeId || "", round.teeRatingSet || ""].join("|")
+          : round.courseRating + "/" + round.slope;
+        return {
+          key: key + (isNineHole ? "|9" : ""),
+          label: isNineHole ? label + " · " + t("9 holes") : label
+        };
+      });
+      var self = this;
+      groups.forEach(function (group) {
+        group.averageScore = self.average(group.entries.map(function (entry) {
+          return entry.round.score;
+        }));
+      });
+      return groups;
+    },
+
+    /**
+     * Group by calendar month.
+     * @param {Array<Object>} entries - Entries (see getEntries)
+     * @returns {Array<Object>} Groups (see groupEntries), keyed YYYY-MM
+     */
+    byMonth: function (entries) {
+      return this.groupEntries(entries, function (entry) {
+        var key = entry.date.slice(0, 7);
+        return { key: key, label: UIService.formatMonth(key), sortKey: key };
+      });
+    },
+
+    /**
+     * Group by season (calendar year).
+     * @param {Array<Object>} entries - Entries (see getEntries)
+     * @returns {Array<Object>} Groups (see groupEntries), keyed YYYY
+     */
+    bySeason: function (entries) {
+      return this.groupEntries(entries, function (entry) {
+        var key = entry.date.slice(0, 4);
+        return { key: key, label: key };
+      });
+    },
+
+    /**
+     * Rolling standard deviation of differentials: a falling line means more consistent scoring.
+     * @param {Array<Object>} entries - Entries (see getEntries), oldest first
+     * @param {number} [windowSize] - Rounds per window (CONFIG.STATS_CONSISTENCY_WINDOW if omitted)
+     * @returns {Array<{date: string, standardDeviation: number, average: number}>} One point per round once the window is full
+     */
+    getConsistencyTrend: function (entries, windowSize) {
+      var size = windowSize || CONFIG.STATS_CONSISTENCY_WINDOW;
+      var points = [];
+      for (var i = size - 1; i < entries.length; i++) {
+        var summary = this.summarize(entries.slice(i - size + 1, i + 1).map(function (entry) {
+          return entry.differential;
+        }));
+        points.push({ date: entries[i].date, standardDeviation: summary.standardDeviation, average: summary.average });
+      }
+      return points;
+    },
+
+    /**
+     * Distribution of hole results for rounds entered hole by hole.
+     * @param {Array<Object>} rounds - Rounds
+     * @returns {{rounds: number, holes: number, results: Array<{key: string, label: string, count: number, share: number}>, byPar: Array<{par: number, holes: number, average: number}>, adjustedHoles: number}}
+     */
+    getHoleDistribution: function (rounds) {
+      var counts = {};
+      var parTotals = {};
+      var holeCount = 0;
+      var roundCount = 0;
+      var adjustedHoles = 0;
+      var results = this.HOLE_RESULTS;
+      results.forEach(function (result) {
+        counts[result.key] = 0;
+      });
+      rounds.forEach(function (round) {
+        if (!round.holes) return;
+        roundCount++;
+        round.holes.forEach(function (hole) {
+          var toPar = hole.strokes - hole.par;
+          for (var i = 0; i < results.length; i++) {
+            if (toPar <= results[i].max) {
+              counts[results[i].key]++;
+              break;
+            }
+          }
+          if (!parTotals[hole.par]) parTotals[hole.par] = { holes: 0, strokes: 0 };
+          parTotals[hole.par].holes++;
+          parTotals[hole.par].strokes += hole.strokes;
+          if (typeof hole.adjustedStrokes === "number" && hole.adjustedStrokes < hole.strokes) adjustedHoles++;
+          holeCount++;
+        });
+      });
+      return {
+        rounds: roundCount,
+        holes: holeCount,
+        results: results.map(function (result) {
+          return {
+            key: result.key,
+            label: result.label,
+            count: counts[result.key],
+            share: holeCount ? counts[result.key] / holeCount : 0
+          };
+        }),
+        byPar: Object.keys(parTotals).sort().map(function (par) {
+          var total = parTotals[par];
+          return { par: Number(par), holes: total.holes, average: Math.round(total.strokes / total.holes * 100) / 100 };
+        }),
+        adjustedHoles: adjustedHoles
+      };
+    }
+  };
+
+  // ============================================================================
+  // ROUND FILTER SERVICE (search, filter and sort the rounds list)
+  // ============================================================================
+
+  var RoundFilterService = {
+    ROUND_TYPES: {
+      "": "All rounds",
+      "holes-18": "18 holes",
+      "holes-9": "9 holes",
+      scorecard: "Hole-by-hole",
+      competition: "Competition format",
+      "category-competition": "Competition rounds",
+      excluded: "Not counted"
+    },
+    SORT_ORDERS: {
+      "date-desc": { label: "Newest first", value: "date", direction: -1 },
+      "date-asc": { label: "Oldest first", value: "date", direction: 1 },
+      "differential-asc": { label: "Best differential", value: "differential", direction: 1 },
+      "differential-desc": { label: "Worst differential", value: "differential", direction: -1 },
+      "score-asc": { label: "Lowest score", value: "score", direction: 1 },
+      "score-desc": { label: "Highest score", value: "score", direction: -1 }
+    },
+    MANUAL_COURSE: "manual",
+
+    /**
+     * Course filter key of a round: the library course, an unlinked course name, or manual ratings.
+     * @param {Object} round - Round
+     * @returns {string} Filter key
+     */
+    getCourseKey: function (round) {
+      if (round.courseId) return round.courseId;
+      if (round.courseName) return "name:" + round.courseName.toLowerCase();
+      return this.MANUAL_COURSE;
+    },
+
+    /**
+     * List the courses the rounds were played on, for the course filter.
+     * @param {Array<Object>} rounds - Rounds
+     * @param {Array<Object>} courses - Course library
+     * @returns {Array<{value: string, label: string}>} Options sorted by name, manual ratings last
+     */
+    getCourseOptions: function (rounds, courses) {
+      var self = this;
+      var options = {};
+      rounds.forEach(function (round) {
+        var key = self.getCourseKey(round);
+        if (options[key]) return;
+        var course = CourseService.findCourse(courses, round.courseId);
+        options[key] = course ? course.name : (round.courseName || t("Ratings entered manually"));
+      });
+      return Object.keys(options).map(function (key) {
+        return { value: key, label: options[key] };
+      }).sort(function (a, b) {
+        if (a.value === self.MANUAL_COURSE || b.value === self.MANUAL_COURSE) {
+          return a.value === self.MANUAL_COURSE ? 1 : -1;
+        }
+        return a.label.localeCompare(b.label);
+      });
+    },
+
+    /**
+     * Check a round against the list filters.
+     * @param {Object} round - Round
+     * @param {{query: string, from: string, to: string, course: string, type: string, countingOnly: boolean}} filter - Filters ("" = any)
+     * @param {Object<string, boolean>} countingIds - Ids of the rounds counting in the current index
+     * @param {Array<Object>} courses - Course library (for course names in the text search)
+     * @returns {boolean} True if the round is shown
+     */
+    matches: function (round, filter, countingIds, courses) {
+      if (filter.from && round.date < filter.from) return false;
+      if (filter.to && round.date > filter.to) return false;
+      if (filter.course && this.getCourseKey(round) !== filter.course) return false;
+      if (filter.countingOnly && !countingIds[round.id]) return false;
+      var isNineHole = round.holesPlayed === CONFIG.NINE_HOLES;
+      if (filter.type === "holes-18" && isNineHole) return false;
+      if (filter.type === "holes-9" && !isNineHole) return false;
+      if (filter.type === "scorecard" && !round.holes) return false;
+      if (filter.type === "competition" && !round.format) return false;
+      if (filter.type === "category-competition" && round.category !== "competition") return false;
+      if (filter.type === "excluded" && WHSService.isAcceptable(round)) return false;
+      var query = filter.query.trim().toLowerCase();
+      if (!query) return true;
+      var text = [CourseService.describeRound(round, courses) || round.courseName || "", round.teeName || "", round.notes || ""];
+      return text.join(" ").toLowerCase().indexOf(query) !== -1;
+    },
+
+    /**
+     * Value a round is sorted by. 9-hole rounds without an 18-hole differential sort by their 9-hole differential.
+     * @param {Object} round - Round
+     * @param {string} value - "date", "differential" or "score"
+     * @returns {string|number} Sort value
+     */
+    getSortValue: function (round, value) {
+      if (value === "date") return round.date;
+      if (value === "score") return round.score;
+      return round.differential === null ? round.nineHoleDifferential : WHSService.getEffectiveDifferential(round);
+    },
+
+    /**
+     * Filter and sort the rounds for the list.
+     * @param {Array<Object>} rounds - Rounds, newest first
+     * @param {Object} filter - Filters (see matches)
+     * @param {string} sortKey - Key of SORT_ORDERS
+     * @param {Object<string, boolean>} countingIds - Ids of the rounds counting in the current index
+     * @param {Array<Object>} courses - Course library
+     * @returns {Array<Object>} Matching rounds in list order; ties keep the newest first
+     */
+    apply: function (rounds, filter, sortKey, countingIds, courses) {
+      var self = this;
+      var order = this.SORT_ORDERS[sortKey] || this.SORT_ORDERS["date-desc"];
+      return rounds.filter(function (round) {
+        return self.matches(round, filter, countingIds, courses);
+      }).map(function (round, position) {
+        return { round: round, value: self.getSortValue(round, order.value), position: position };
+      }).sort(function (a, b) {
+        if (a.value !== b.value) return (a.value < b.value ? -1 : 1) * order.direction;
+        return a.position - b.position;
+      }).map(function (entry) {
+        return entry.round;
+      });
+    }
+  };
+
+  // ============================================================================
+  // TRANSFER SERVICE (JSON/CSV export and import)
+  // ============================================================================
+
+  var TransferService = {
+    CSV_COLUMNS: [
+      { header: "date", value: function (r) { return r.date; } },
+      { header: "holes_played", value: function (r) { return r.holesPlayed || CONFIG.HOLES_PER_ROUND; } },
+      { header: "score", value: function (r) { return r.score; } },
+      { header: "adjusted_score", value: function (r) { return typeof r.adjustedScore === "number" ? r.adjustedScore : r.score; } },
+      { header: "course_rating", value: function (r) { return r.courseRating; } },
+      { header: "slope", value: function (r) { return r.slope; } },
+      { header: "pcc", value: function (r) { return r.pcc || 0; } },
+      { header: "differential", value: function (r) { return r.differential === null ? "" : r.differential; } },
+      { header: "course", value: function (r) { return r.courseName || ""; } },
+      { header: "tee", value: function (r) { return r.teeName || ""; } },
+      { header: "notes", value: function (r) { return r.notes || ""; } },
+      { header: "category", value: function (r) { return r.category || CONFIG.DEFAULT_ROUND_CATEGORY; } },
+      { header: "acceptable", value: function (r) { return WHSService.isAcceptable(r) ? "yes" : "no"; } }
+    ],
+
+    /**
+     * Serialize all data to a versioned JSON backup.
+     * @param {Array<Object>} rounds - Rounds
+     * @param {Array<Object>} courses - Course library
+     * @param {string} [playerName] - Name of the player the rounds belong to
+     * @returns {string} JSON text
+     */
+    exportJson: function (rounds, courses, playerName) {
+      return JSON.stringify({
+        app: CONFIG.EXPORT_APP_NAME,
+        schemaVersion: CONFIG.EXPORT_SCHEMA_VERSION,
+        exportedAt: new Date().toISOString(),
+        player: playerName || null,
+        // The profile a round is stored under is assigned again on import
+        rounds: rounds.map(function (round) {
+          var copy = Object.assign({}, round);
+          delete copy.profileId;
+          return copy;
+        }),
+        courses: courses
+      }, null, 2);
+    },
+
+    /**
+     * Serialize rounds to CSV (one row per round, newest first).
+     * @param {Array<Object>} rounds - Rounds
+     * @returns {string} CSV text
+     */
+    exportCsv: function (rounds) {
+      var self = this;
+      var lines = [this.CSV_COLUMNS.map(function (column) {
+        return column.header;
+      }).join(",")];
+      rounds.forEach(function (round) {
+        lines.push(self.CSV_COLUMNS.map(function (column) {
+          return self.escapeCsv(column.value(round));
+        }).join(","));
+      });
+      return lines.join("\r\n") + "\r\n";
+    },
+
+    /**
+     * Quote a CSV value when needed.
+     * @param {*} value - Cell value
+     * @returns {string} Escaped cell
+     */
+    escapeCsv: function (value) {
+      var text = value === null || value === undefined ? "" : String(value);
+      return /[",;\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+    },
+
+    /**
+     * Parse CSV text into rows. Detects comma, semicolon or tab delimiters and handles quoted cells.
+     * @param {string} text - CSV text
+     * @returns {Array<Array<string>>} Rows of cells (blank lines skipped)
+     */
+    parseCsv: function (text) {
+      var source = String(text || "").replace(/^\uFEFF/, "");
+      var firstLine = source.split(/\r?\n/)[0] || "";
+      var delimiter = ",";
+      [";", "\t"].forEach(function (candidate) {
+        if (firstLine.split(candidate).length > firstLine.split(delimiter).length) delimiter = candidate;
+      });
+      var rows = [];
+      var row = [];
+      var cell = "";
+      var quoted = false;
+      for (var i = 0; i < source.length; i++) {
+        var ch = source[i];
+        if (quoted) {
+          if (ch === '"' && source[i + 1] === '"') {
+            cell += '"';
+            i++;
+          } else if (ch === '"') {
+            quoted = false;
+          } else {
+            cell += ch;
+          }
+        } else if (ch === '"') {
+          quoted = true;
+        } else if (ch === delimiter) {
+          row.push(cell);
+          cell = "";
+        } else if (ch === "\n" || ch === "\r") {
+          if (ch === "\r" && source[i + 1] === "\n") i++;
+          row.push(cell);
+          rows.push(row);
+          row = [];
+          cell = "";
+        } else {
+          cell += ch;
+        }
+      }
+      if (cell !== "" || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+      }
+      return rows.filter(function (r) {
+        return r.some(function (c) {
+          return c.trim() !== "";
+        });
+      });
+    },
+
+    /**
+     * Guess which CSV column holds each importable field from the header names.
+     * @param {Array<string>} headers - Header row
+     * @returns {Object<string, number>} Field key to column index (-1 when not found)
+     */
+    detectColumnMapping: function (headers) {
+      var normalized = headers.map(function (header) {
+        return header.trim().toLowerCase().replace(/[_\-]+/g, " ");
+      });
+      var mapping = {};
+      CONFIG.IMPORT_FIELDS.forEach(function (field) {
+        mapping[field.key] = -1;
+        for (var i = 0; i < field.aliases.length && mapping[field.key] === -1; i++) {
+          var alias = field.aliases[i].replace(/[_\-]+/g, " ");
+          mapping[field.key] = normalized.indexOf(alias);
+        }
+      });
+      return mapping;
+    },
+
+    /**
+     * Convert a date in one of the common formats to YYYY-MM-DD.
+     * @param {string} raw - Raw date
+     * @param {string} format - "auto", "ymd", "dmy" or "mdy" (auto reads D/M/Y unless the day can only be second)
+     * @returns {string|null} ISO date or null if it cannot be read
+     */
+    parseDate: function (raw, format) {
+      var text = String(raw || "").trim();
+      var iso = text.match(/^(\d{4})[-\/.](\d{1,2})[-\/.](\d{1,2})/);
+      var parts = text.match(/^(\d{1,2})[-\/.](\d{1,2})[-\/.](\d{2,4})$/);
+      var year;
+      var month;
+      var day;
+      if (iso && (format === "auto" || format === "ymd")) {
+        year = iso[1];
+        month = iso[2];
+        day = iso[3];
+      } else if (parts && format !== "ymd") {
+        var first = Number(parts[1]);
+        var second = Number(parts[2]);
+        var monthFirst = format === "mdy" || (format === "auto" && second > 12 && first <= 12);
+        day = monthFirst ? parts[2] : parts[1];
+        month = monthFirst ? parts[1] : parts[2];
+        year = parts[3].length === 2 ? "20" + parts[3] : parts[3];
+      } else {
+        return null;
+      }
+      var result = year + "-" + String(month).padStart(2, "0") + "-" + String(day).padStart(2, "0");
+      var check = new Date(result + "T00:00:00");
+      if (isNaN(check.getTime()) || check.getDate() !== Number(day)) return null;
+      return result;
+    },
+
+    /**
+     * Accept decimal commas in numeric cells ("72,4" → "72.4").
+     * @param {string} raw - Raw cell
+     * @returns {string} Normalized cell
+     */
+    normalizeNumber: function (raw) {
+      return String(raw === undefined || raw === null ? "" : raw).trim().replace(",", ".");
+    },
+
+    /**
+     * Read a field of competition results (one player per row: Handicap Index and adjusted
+     * gross score). A header row naming the columns is optional.
+     * @param {string} text - CSV text or pasted lines
+     * @returns {{scores: Array<{handicapIndex: number, score: number}>, errors: Array<{row: number, error: string}>}}
+     */
+    parseFieldScores: function (text) {
+      var self = this;
+      var rows = this.parseCsv(text);
+      var result = { scores: [], errors: [] };
+      var indexColumn = 0;
+      var scoreColumn = 1;
+      var firstRow = 0;
+      if (rows.length > 0 && isNaN(parseFloat(this.normalizeNumber(rows[0][0])))) {
+        var headers = rows[0].map(function (header) {
+          return header.trim().toLowerCase();
+        });
+        var find = function (names, fallback) {
+          for (var i = 0; i < headers.length; i++) {
+            if (names.indexOf(headers[i]) !== -1) return i;
+          }
+          return fallback;
+        };
+        indexColumn = find(["index", "handicap index", "hi", "hcp", "handicap"], 0);
+        scoreColumn = find(["score", "ags", "adjusted score", "adjusted gross score", "gross"], 1);
+        firstRow = 1;
+      }
+      rows.slice(firstRow).forEach(function (row, i) {
+        var rowNumber = firstRow + i + 1;
+        var indexValidation = ValidationService.validateHandicapIndex(self.normalizeNumber(row[indexColumn]));
+        if (!indexValidation.valid) {
+          result.errors.push({ row: rowNumber, error: indexValidation.error });
+          return;
+        }
+        var scoreValidation = ValidationService.validateScore(self.normalizeNumber(row[scoreColumn]));
+        if (!scoreValidation.valid) {
+          result.errors.push({ row: rowNumber, error: scoreValidation.error });
+          return;
+        }
+        result.scores.push({ handicapIndex: indexValidation.value, score: scoreValidation.value });
+      });
+      return result;
+    },
+
+    /**
+     * Build a validated round from imported values, computing its differential.
+     * @param {Object} values - Raw values keyed like CONFIG.IMPORT_FIELDS
+     * @param {Array<Object>} courses - Course library, used to link course/tee names
+     * @returns {{valid: boolean, error: string|null, value: Object|null}}
+     */
+    buildRound: function (values, courses) {
+      var dateValidation = ValidationService.validateDate(values.date);
+      if (!dateValidation.valid) return { valid: false, error: dateValidation.error, value: null };
+      var holesPlayed = CONFIG.HOLES_PER_ROUND;
+      if (values.holesPlayed !== undefined && String(values.holesPlayed).trim() !== "") {
+        var holesValidation = ValidationService.validateHolesPlayed(String(values.holesPlayed).trim());
+        if (!holesValidation.valid) return { valid: false, error: holesValidation.error, value: null };
+        holesPlayed = holesValidation.value;
+      }
+      var scoreValidation = ValidationService.validateScore(this.normalizeNumber(values.score));
+      if (!scoreValidation.valid) return { valid: false, error: scoreValidation.error, value: null };
+      var adjustedScore = scoreValidation.value;
+      if (values.adjustedScore !== undefined && String(values.adjustedScore).trim() !== "") {
+        var adjustedValidation = ValidationService.validateScore(this.normalizeNumber(values.adjustedScore));
+        if (!adjustedValidation.valid) return { valid: false, error: t("Adjusted score") + ": " + I18nService.translateError(adjustedValidation.error), value: null };
+        adjustedScore = adjustedValidation.value;
+      }
+      var courseRatingValidation = ValidationService.validateCourseRating(this.normalizeNumber(values.courseRating), holesPlayed);
+      if (!courseRatingValidation.valid) return { valid: false, error: courseRatingValidation.error, value: null };
+      var slopeValidation = ValidationService.validateSlope(this.normalizeNumber(values.slope));
+      if (!slopeValidation.valid) return { valid: false, error: slopeValidation.error, value: null };
+      var pccValidation = ValidationService.validatePCC(this.normalizeNumber(values.pcc));
+      if (!pccValidation.valid) return { valid: false, error: pccValidation.error, value: null };
+      var notesValidation = ValidationService.validateNotes(values.notes);
+      if (!notesValidation.valid) return { valid: false, error: notesValidation.error, value: null };
+      var category = this.parseCategory(values.category);
+      if (category === null) return { valid: false, error: "Invalid round category.", value: null };
+      var acceptable = this.parseAcceptable(values.acceptable);
+      if (acceptable === null) return { valid: false, error: "Invalid acceptability flag.", value: null };
+
+      var differential = WHSService.calculateScoreDifferential(
+        adjustedScore,
+        courseRatingValidation.value,
+        slopeValidation.value,
+        pccValidation.value,
+        holesPlayed
+      );
+      var round = {
+        id: StorageService.generateId(),
+        date: values.date.trim(),
+        score: scoreValidation.value,
+        adjustedScore: adjustedScore,
+        courseRating: courseRatingValidation.value,
+        slope: slopeValidation.value,
+        differential: differential
+      };
+      if (pccValidation.value !== 0) {
+        round.pcc = pccValidation.value;
+        round.pccSource = values.pccSource === "field" ? "field" : "manual";
+      }
+      if (holesPlayed === CONFIG.NINE_HOLES) {
+        round.holesPlayed = CONFIG.NINE_HOLES;
+        round.nineHoleDifferential = differential;
+        round.differential = null;
+        round.nineHole = { method: "pending" };
+      }
+      var courseName = String(values.courseName || "").trim();
+      var teeName = String(values.teeName || "").trim();
+      if (courseName) {
+        round.courseName = courseName;
+        if (teeName) round.teeName = teeName;
+        this.linkCourse(round, courses);
+      }
+      if (notesValidation.value) round.notes = notesValidation.value;
+      round.category = category;
+      round.acceptable = acceptable && CONFIG.ROUND_CATEGORIES[category].acceptable;
+      var roundValidation = ValidationService.validateRound(round);
+      if (!roundValidation.valid) return { valid: false, error: roundValidation.error, value: null };
+      return { valid: true, error: null, value: round };
+    },
+
+    /**
+     * Read an imported round category, given as its key or its English name.
+     * @param {*} raw - Raw value ("" for general play)
+     * @returns {string|null} Category key, or null if unknown
+     */
+    parseCategory: function (raw) {
+      var text = String(raw === undefined || raw === null ? "" : raw).trim().toLowerCase();
+      if (!text) return CONFIG.DEFAULT_ROUND_CATEGORY;
+      var keys = Object.keys(CONFIG.ROUND_CATEGORIES).filter(function (key) {
+        return key === text || key.replace("-", " ") === text || CONFIG.ROUND_CATEGORIES[key].label.toLowerCase() === text;
+      });
+      return keys.length > 0 ? keys[0] : null;
+    },
+
+    /**
+     * Read an imported acceptability flag.
+     * @param {*} raw - Raw value: yes/no, true/false or 1/0 ("" for acceptable)
+     * @returns {boolean|null} Flag, or null if not recognised
+     */
+    parseAcceptable: function (raw) {
+      var text = String(raw === undefined || raw === null ? "" : raw).trim().toLowerCase();
+      if (["", "yes", "y", "true", "1"].indexOf(text) !== -1) return true;
+      if (["no", "n", "false", "0"].indexOf(text) !== -1) return false;
+      return null;
+    },
+
+    /**
+     * Link a round to a library course/tee with the same name and ratings, if there is one.
+     * @param {Object} round - Round with courseName (and optionally teeName)
+     * @param {Array<Object>} courses - Course library
+     */
+    linkCourse: function (round, courses) {
+      var name = round.courseName.toLowerCase();
+      courses.forEach(function (course) {
+        if (round.courseId || course.name.toLowerCase() !== name) return;
+        course.tees.forEach(function (tee) {
+          if (round.courseId) return;
+          if (round.teeName && tee.name.toLowerCase() !== round.teeName.toLowerCase()) return;
+          ["", "men", "women"].forEach(function (set) {
+            if (round.courseId || (set && !tee[set])) return;
+            var ratings = CourseService.getTeeRatings(tee, set);
+            if (round.holesPlayed !== CONFIG.NINE_HOLES && ratings.courseRating === round.courseRating && ratings.slope === round.slope) {
+              round.courseId = course.id;
+              round.teeId = tee.id;
+              round.teeRatingSet = set;
+              round.courseName = course.name;
+              round.teeName = tee.name;
+            }
+          });
+        });
+      });
+    },
+
+    /**
+     * Read CSV rows into rounds using a column mapping.
+     * @param {Array<Array<string>>} rows - Parsed CSV including the header row
+     * @param {Object<string, number>} mapping - Field key to column index (-1 = not mapped)
+     * @param {string} dateFormat - Date format (see parseDate)
+     * @param {Array<Object>} courses - Course library
+     * @returns {{rounds: Array<Object>, errors: Array<{row: number, error: string}>}}
+     */
+    importCsvRows: function (rows, mapping, dateFormat, courses) {
+      var self = this;
+      var result = { rounds: [], errors: [] };
+      var missing = CONFIG.IMPORT_FIELDS.filter(function (field) {
+        return field.required && !(mapping[field.key] >= 0);
+      });
+      if (missing.length > 0) {
+        result.errors.push({
+          row: 1,
+          error: t("Choose a column for: {fields}.", { fields: missing.map(function (field) { return t(field.label); }).join(", ") })
+        });
+        return result;
+      }
+      rows.slice(1).forEach(function (row, index) {
+        var values = {};
+        CONFIG.IMPORT_FIELDS.forEach(function (field) {
+          if (mapping[field.key] >= 0) values[field.key] = row[mapping[field.key]];
+        });
+        var isoDate = self.parseDate(values.date, dateFormat);
+        if (!isoDate) {
+          result.errors.push({ row: index + 2, error: t("Unreadable date \"{date}\".", { date: String(values.date || "") }) });
+          return;
+        }
+        values.date = isoDate;
+        var built = self.buildRound(values, courses);
+        if (built.valid) {
+          result.rounds.push(built.value);
+        } else {
+          result.errors.push({ row: index + 2, error: built.error });
+        }
+      });
+      return result;
+    },
+
+    /**
+     * Read a JSON backup (or a bare array of rounds).
+     * @param {string} text - JSON text
+     * @param {Array<Object>} courses - Course library, used to link course/tee names
+     * @returns {{rounds: Array<Object>, courses: Array<Object>, errors: Array<{row: number, error: string}>}}
+     */
+    importJson: function (text, courses) {
+      var result = { rounds: [], courses: [], errors: [] };
+      var data;
+      try {
+        data = JSON.parse(text);
+      } catch (e) {
+        result.errors.push({ row: 0, error: t("The file is not valid JSON.") });
+        return result;
+      }
+      var rawRounds = Array.isArray(data) ? data : data && data.rounds;
+      if (!Array.isArray(rawRounds)) {
+        result.errors.push({ row: 0, error: t("The file does not contain any rounds.") });
+        return result;
+      }
+      if (data && data.schemaVersion && data.schemaVersion > CONFIG.EXPORT_SCHEMA_VERSION) {
+        result.errors.push({ row: 0, error: t("This backup was made by a newer version of the app (schema {version}).", { version: data.schemaVersion }) });
+        return result;
+      }
+      if (data && Array.isArray(data.courses)) {
+        data.courses.forEach(function (course, index) {
+          var validation = ValidationService.validateCourse(course);
+          if (validation.valid) {
+            result.courses.push(course);
+          } else {
+            result.errors.push({ row: index + 1, error: t("Course {number}", { number: index + 1 }) + ": " + I18nService.translateError(validation.error) });
+          }
+        });
+      }
+      var self = this;
+      rawRounds.forEach(function (raw, index) {
+        if (!raw || typeof raw !== "object") {
+          result.errors.push({ row: index + 1, error: "Invalid round object." });
+          return;
+        }
+        var built = self.buildRound(raw, courses.concat(result.courses));
+        if (!built.valid) {
+          result.errors.push({ row: index + 1, error: built.error });
+          return;
+        }
+        var round = built.value;
+        // Keep the stored identity, references and scorecard; derived fields are recalculated
+        if (typeof raw.id === "string" && raw.id) round.id = raw.id;
+        if (raw.holes) {
+          var holesValidation = ValidationService.validateHoles(raw.holes, round.holesPlayed || CONFIG.HOLES_PER_ROUND);
+          if (!holesValidation.valid) {
+            result.errors.push({ row: index + 1, error: holesValidation.error });
+            return;
+          }
+          round.holes = raw.holes;
+          if (typeof raw.courseHandicap === "number") round.courseHandicap = raw.courseHandicap;
+          // The competition result follows from the scorecard, so it is scored again
+          if (CONFIG.SCORING_FORMATS[raw.format] && typeof round.courseHandicap === "number") {
+            round.format = raw.format;
+            round.competition = WHSService.calculateCompetitionResult(holesValidation.value, round.courseHandicap, raw.format);
+          }
+        }
+        ["courseId", "teeId", "teeRatingSet", "courseName", "teeName"].forEach(function (key) {
+          if (typeof raw[key] === "string") round[key] = raw[key];
+        });
+        if (Array.isArray(raw.editHistory)) {
+          round.editHistory = raw.editHistory;
+          var roundValidation = ValidationService.validateRound(round);
+          if (!roundValidation.valid) {
+            result.errors.push({ row: index + 1, error: roundValidation.error });
+            return;
+          }
+        }
+        result.rounds.push(round);
+      });
+      return result;
+    },
+
+    /**
+     * Key used to detect the same round in two data sets (date, gross score and course).
+     * @param {Object} round - Round
+     * @returns {string} Duplicate key
+     */
+    getDuplicateKey: function (round) {
+      var course = round.courseName
+        ? round.courseName.trim().toLowerCase()
+        : round.courseRating + "/" + round.slope;
+      return round.date + "|" + round.score + "|" + course;
+    },
+
+    /**
+     * Split imported rounds into new rounds and duplicates of existing ones (or of each other).
+     * @param {Array<Object>} imported - Imported rounds
+     * @param {Array<Object>} existing - Saved rounds
+     * @returns {{fresh: Array<Object>, duplicates: Array<Object>}}
+     */
+    findDuplicates: function (imported, existing) {
+      var self = this;
+      var seen = {};
+      existing.forEach(function (round) {
+        seen[self.getDuplicateKey(round)] = true;
+      });
+      var result = { fresh: [], duplicates: [] };
+      imported.forEach(function (round) {
+        var key = self.getDuplicateKey(round);
+        if (seen[key]) {
+          result.duplicates.push(round);
+        } else {
+          seen[key] = true;
+          result.fresh.push(round);
+        }
+      });
+      return result;
+    }
+  };
+
+  // ============================================================================
+  // SHARE SERVICE (compact, checksummed handicap records for links and QR codes)
+  // ============================================================================
+
+  var ShareService = {
+    SEPARATOR: "~",
+    MAX_ABS_DIFFERENTIAL: 200,
+
+    /**
+     * Build the shareable record of a player: name, index and the differentials behind it.
+     * @param {string} name - Player name
+     * @param {Array<Object>} rounds - The player's rounds (newest first)
+     * @param {string} date - Calculation date (YYYY-MM-DD)
+     * @returns {{name: string, handicap: number, lowHandicapIndex: number|null, date: string, differentials: Array<number>}|null}
+     *   Record, or null while the player has no index
+     */
+    createRecord: function (name, rounds, date) {
+      var info = WHSService.calculateHandicapIndex(rounds);
+      if (info.handicap === null) return null;
+      return {
+        name: name,
+        handicap: info.handicap,
+        lowHandicapIndex: info.lowHandicapIndex,
+        date: date,
+        differentials: WHSService.getRecentDifferentials(rounds)
+      };
+    },
+
+    /**
+     * Encode a record as a URL-safe payload. Numbers are stored in tenths, the date without
+     * dashes, and a checksum over the rest catches codes that were cut off or mistyped:
+     * 1~Alex~143~20261018~152,-14,203~120~1x2y3z (version, name, index, date, differentials
+     * newest first, Low Handicap Index or empty, checksum).
+     * @param {Object} record - Record (see createRecord)
+     * @returns {string} Payload
+     */
+    encode: function (record) {
+      var tenths = function (value) {
+        return String(Math.round(value * 10));
+      };
+      var body = [
+        CONFIG.SHARE_FORMAT_VERSION,
+        encodeURIComponent(record.name).replace(/~/g, "%7E"),
+        tenths(record.handicap),
+        record.date.replace(/-/g, ""),
+        record.differentials.map(tenths).join(","),
+        record.lowHandicapIndex === null ? "" : tenths(record.lowHandicapIndex)
+      ].join(this.SEPARATOR);
+      return body + this.SEPARATOR + this.getChecksum(body);
+    },
+
+    /**
+     * Decode and validate a payload.
+     * @param {string} payload - Payload (see encode)
+     * @returns {{valid: boolean, error: string|null, value: Object|null}} Record on success
+     */
+    decode: function (payload) {
+      var damaged = { valid: false, error: t("This handicap record is damaged or incomplete. Ask the player to share it again."), value: null };
+      var parts = String(payload || "").split(this.SEPARATOR);
+      if (parts.length !== 7) return damaged;
+      if (parts[0] !== CONFIG.SHARE_FORMAT_VERSION) {
+        return { valid: false, error: t("This handicap record was shared by a newer version of the app."), value: null };
+      }
+      var checksum = parts.pop();
+      if (this.getChecksum(parts.join(this.SEPARATOR)) !== checksum) return damaged;
+
+      var fromTenths = function (text) {
+        return /^-?\d+$/.test(text) ? Number(text) / 10 : NaN;
+      };
+      var name;
+      try {
+        name = decodeURIComponent(parts[1]);
+      } catch (e) {
+        return damaged;
+      }
+      var nameValidation = ValidationService.validateName(name, "Name");
+      var indexValidation = ValidationService.validateHandicapIndex(fromTenths(parts[2]));
+      var dateText = parts[3];
+      var date = dateText.slice(0, 4) + "-" + dateText.slice(4, 6) + "-" + dateText.slice(6);
+      var dateValidation = ValidationService.validateDate(date);
+      var maxDifferential = this.MAX_ABS_DIFFERENTIAL;
+      var differentials = parts[4] ? parts[4].split(",").map(fromTenths) : [];
+      var differentialsValid = differentials.length > 0 && differentials.length <= CONFIG.MAX_ROUNDS_FOR_HANDICAP &&
+        differentials.every(function (differential) {
+          return !isNaN(differential) && Math.abs(differential) <= maxDifferential;
+        });
+      var lowValidation = parts[5] === "" ? { valid: true, value: null } : ValidationService.validateHandicapIndex(fromTenths(parts[5]));
+      if (!nameValidation.valid || !indexValidation.valid || dateText.length !== 8 || !dateValidation.valid ||
+        !differentialsValid || !lowValidation.valid) {
+        return damaged;
+      }
+      return {
+        valid: true,
+        error: null,
+        value: {
+          name: nameValidation.value,
+          handicap: indexValidation.value,
+          lowHandicapIndex: lowValidation.value,
+          date: date,
+          differentials: differentials
+        }
+      };
+    },
+
+    /**
+     * Checksum of a payload body (32-bit FNV-1a, base 36).
+     * @param {string} text - Payload without its checksum
+     * @returns {string} Checksum
+     */
+    getChecksum: function (text) {
+      var hash = 0x811c9dc5;
+      for (var i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+      }
+      return hash.toString(36);
+    },
+
+    /**
+     * Link that opens the verification view of a record in this app.
+     * @param {Object} record - Record (see createRecord)
+     * @returns {string} URL
+     */
+    buildLink: function (record) {
+      return window.location.href.split("#")[0] + CONFIG.SHARE_HASH_PREFIX + this.encode(record);
+    },
+
+    /**
+     * Payload carried by a URL fragment, if it is a shared record.
+     * @param {string} hash - location.hash
+     * @returns {string|null} Payload, or null for any other fragment
+     */
+    readHash: function (hash) {
+      if (!hash || hash.indexOf(CONFIG.SHARE_HASH_PREFIX) !== 0) return null;
+      return hash.slice(CONFIG.SHARE_HASH_PREFIX.length);
+    }
+  };
+
+  // ============================================================================
+  // SYNC SERVICE (requests to a self-hosted sync server, see sync-server.mjs)
+  // ============================================================================
+
+  var SyncService = {
+    // Marks pushes so the service worker can queue them while the device is offline
+    SYNC_HEADER: "X-Golf-Handicap-Sync",
+
+    /**
+     * Validate the server address and sync key entered by the player.
+     * @param {string} endpoint - Server address, e.g. "http://192.168.1.20:8787"
+     * @param {string} key - Sync key shared by the player's devices
+     * @returns {{valid: boolean, error: string|null, value: {endpoint: string, key: string}|null}}
+     */
+    validateSettings: function (endpoint, key) {
+      var url;
+      try {
+        url = new URL(String(endpoint || "").trim());
+      } catch (e) {
+        url = null;
+      }
+      if (!url || (url.protocol !== "http:" && url.protocol !== "https:")) {
+        return { valid: false, error: t("Enter the server address, starting with http:// or https://."), value: null };
+      }
+      var trimmedKey = String(key || "").trim();
+      if (!CONFIG.SYNC_KEY_PATTERN.test(trimmedKey)) {
+        return { valid: false, error: t("The sync key may only use letters, digits, - and _ (up to 64)."), value: null };
+      }
+      return { valid: true, error: null, value: { endpoint: url.href.replace(/\/+$/, ""), key: trimmedKey } };
+    },
+
+    /**
+     * Address of a sync key's records on the server.
+     * @param {{endpoint: string, key: string}} sync - Sync settings
+     * @returns {string} URL
+     */
+    getUrl: function (sync) {
+      return sync.endpoint + "/records/" + encodeURIComponent(sync.key);
+    },
+
+    /**
+     * Send a request to the sync server.
+     * @param {string} method - "GET" or "POST"
+     * @param {string} url - URL
+     * @param {Object} [body] - JSON body
+     * @returns {Promise<Object>} Parsed response; rejects with error.offline set when the server cannot be reached
+     */
+    request: function (method, url, body) {
+      var options = { method: method, headers: {}, cache: "no-store" };
+      if (body) {
+        options.headers["Content-Type"] = "application/json";
+        options.headers[this.SYNC_HEADER] = "1";
+        options.body = JSON.stringify(body);
+      }
+      return fetch(url, options).catch(function () {
+        var error = new Error(t("The sync server cannot be reached."));
+        error.offline = true;
+        throw error;
+      }).then(function (response) {
+        if (!response.ok) throw new Error(t("The sync server answered with status {status}.", { status: response.status }));
+        return response.json();
+      });
+    },
+
+    /**
+     * Fetch the server entries changed since the last pull.
+     * @param {Object} sync - Sync record (endpoint, key, cursor)
+     * @returns {Promise<{cursor: number, changes: Array<Object>}>}
+     */
+    pull: function (sync) {
+      return this.request("GET", this.getUrl(sync) + "?since=" + encodeURIComponent(sync.cursor)).then(function (body) {
+        if (!body || typeof body.cursor !== "number" || !Array.isArray(body.changes)) throw new Error(t("The sync server sent an unexpected answer."));
+        return body;
+      });
+    },
+
+    /**
+     * Send this device's changes. While offline the service worker queues them and answers
+     * {queued: true}; it sends them once the connection is back.
+     * @param {Object} sync - Sync record (endpoint, key)
+     * @param {Array<Object>} changes - Changes (see SyncEngine.collectChanges)
+     * @returns {Promise<{accepted: Array<Object>, conflicts: Array<Object>}|{queued: boolean}>}
+     */
+    push: function (sync, changes) {
+      return this.request("POST", this.getUrl(sync), { changes: changes }).then(function (body) {
+        if (!body || (!body.queued && (!Array.isArray(body.accepted) || !Array.isArray(body.conflicts)))) {
+          throw new Error(t("The sync server sent an unexpected answer."));
+        }
+        return body;
+      });
+    }
+  };
+
+  // ============================================================================
+  // REMINDER SERVICE (local notifications shown by the service worker)
+  // ============================================================================
+
+  var ReminderService = {
+    /**
+     * Whether this browser can show reminders, which needs notifications and a service worker.
+     * @returns {boolean} True if supported
+     */
+    isSupported: function () {
+      return "Notification" in window && "serviceWorker" in navigator;
+    },
+
+    /**
+     * Ask for permission to show notifications unless the player has already answered.
+     * @returns {Promise<string>} "granted", "denied" or "default" (not answered)
+     */
+    requestPermission: function () {
+      if (!this.isSupported()) return Promise.resolve("denied");
+      if (Notification.permission !== "default") return Promise.resolve(Notification.permission);
+      return Promise.resolve(Notification.requestPermission());
+    },
+
+    /**
+     * Reminder settings of a player, with defaults for the ones not set.
+     * @param {Object} profile - Profile
+     * @returns {{dropping: boolean, inactive: boolean, inactiveDays: number}}
+     */
+    getSettings: function (profile) {
+      return Object.assign({ dropping: false, inactive: false, inactiveDays: CONFIG.REMINDER_DEFAULT_INACTIVE_DAYS }, profile.settings.reminders);
+    },
+
+    /**
+     * The reminders a player asked for: a warning for the next counting round to drop out of
+     * the last 20 scores (due since that round was played, so it shows right away), and a
+     * reminder on the morning a set number of days after the latest round.
+     * @param {Object} profile - Profile
+     * @param {Array<Object>} rounds - The player's rounds (newest first)
+     * @returns {Array<{tag: string, title: string, body: string, at: string}>} Reminders; tag identifies each, at is when it is due (ISO 8601)
+     */
+    buildReminders: function (profile, rounds) {
+      var settings = this.getSettings(profile);
+      var reminders = [];
+      var next = settings.dropping ? WHSService.getCountingRoundsAboutToDrop(rounds)[0] : null;
+      if (next) {
+        reminders.push({
+          tag: "drop-" + profile.id + "-" + next.round.id,
+          title: t("A strong round is about to drop out"),
+          body: t(next.scoresLeft === 1
+            ? "{name}: your differential of {differential} from {date} counts towards your index and drops out of your last 20 scores with your next score."
+            : "{name}: your differential of {differential} from {date} counts towards your index and drops out of your last 20 scores in {count} scores.", {
+            name: profile.name,
+            differential: UIService.formatNumber(WHSService.getEffectiveDifferential(next.round)),
+            date: UIService.formatDate(next.round.date),
+            count: next.scoresLeft
+          }),
+          at: this.getMorning(next.round.date)
+        });
+      }
+      if (settings.inactive && rounds.length > 0) {
+        reminders.push({
+          tag: "inactive-" + profile.id,
+          title: t("Time for a round?"),
+          body: t("{name} has not posted a score for {days} days. Post one to keep your Handicap Index current.", { name: profile.name, days: settings.inactiveDays }),
+          at: this.getMorning(WHSService.addDays(rounds[0].date, settings.inactiveDays))
+        });
+      }
+      return reminders;
+    },
+
+    /**
+     * Time reminders for a day are shown, in local time.
+     * @param {string} date - Date (YYYY-MM-DD)
+     * @returns {string} ISO 8601 time
+     */
+    getMorning: function (date) {
+      var parts = date.split("-");
+      return new Date(Number(parts[0]), Number(parts[1]) - 1, Number(parts[2]), CONFIG.REMINDER_HOUR).toISOString();
+    },
+
+    /**
+     * Hand a player's reminders to the service worker, replacing the ones scheduled before.
+     * It shows each reminder once, as soon as it is due and the worker runs: when the app is
+     * opened, or in the background where the browser offers periodic background sync.
+     * @param {string} profileId - Profile id
+     * @param {Array<Object>} reminders - Reminders (see buildReminders); empty to cancel them all
+     * @returns {Promise<void>}
+     */
+    schedule: function (profileId, reminders) {
+      if (!this.isSupported()) return Promise.resolve();
+      return navigator.serviceWorker.ready.then(function (registration) {
+        registration.active.postMessage({ type: "SCHEDULE_REMINDERS", profileId: profileId, reminders: reminders });
+        if (reminders.length === 0 || !registration.periodicSync) return;
+        return registration.periodicSync.register(CONFIG.REMINDER_SYNC_TAG, { minInterval: CONFIG.REMINDER_CHECK_INTERVAL_MS }).catch(function () {
+          // Only installed apps get periodic background sync; reminders then show when the app opens
+        });
+      });
+    }
+  };
+
+  // ============================================================================
+  // UI SERVICE
+  // ============================================================================
+
+  var UIService = {
+    /**
+     * Format date from YYYY-MM-DD in the order of the chosen language (e.g. DD/MM/YYYY,
+     * DD.MM.YYYY or MM/DD/YYYY).
+     * @param {string} isoDate - ISO date string
+     * @returns {string} Formatted date string
+     */
+    formatDate: function (isoDate) {
+      var parts = isoDate.split("-");
+      if (parts.length !== 3) return isoDate;
+      var date = new Date(Date.UTC(Number(parts[0]), Number(parts[1]) - 1, Number(parts[2])));
+      if (isNaN(date.getTime())) return isoDate;
+      return I18nService.dateFormat.format(date);
+    },
+
+    /**
+     * Format a moment in local time, e.g. "18/10/2026, 14:05".
+     * @param {string} isoTime - Time (ISO 8601)
+     * @returns {string} Formatted date and time
+     */
+    formatDateTime: function (isoTime) {
+      var date = new Date(isoTime);
+      if (isNaN(date.getTime())) return isoTime;
+      return date.toLocaleString(I18nService.getLocale(), { dateStyle: "short", timeStyle: "short" });
+    },
+
+    /**
+     * Format a month from YYYY-MM in the order of the chosen language (e.g. 03/2024 or 03.2024).
+     * @param {string} isoMonth - Month
+     * @returns {string} Formatted month
+     */
+    formatMonth: function (isoMonth) {
+      var parts = isoMonth.split("-");
+      if (parts.length !== 2) return isoMonth;
+      return I18nService.monthFormat.format(new Date(Date.UTC(Number(parts[0]), Number(parts[1]) - 1, 1)));
+    },
+
+    /**
+     * Format a number with the decimal separator of the chosen language (e.g. "72,5").
+     * @param {number} value - Number
+     * @param {number} [decimals] - Fixed number of decimals (as many as needed when omitted)
+     * @returns {string} Formatted number
+     */
+    formatNumber: function (value, decimals) {
+      return I18nService.getNumberFormat(decimals).format(value);
+    },
+
+    /**
+     * Format handicap strokes on a hole as dots (e.g. "••" for two strokes, "+1" when giving one back).
+     * @param {number} strokes - Strokes received on the hole
+     * @returns {string} Display text
+     */
+    formatStrokeCount: function (strokes) {
+      if (strokes > 0) return new Array(strokes + 1).join("•");
+      if (strokes < 0) return "+" + String(-strokes);
+      return "–";
+    },
+
+    /**
+     * Create an SVG element with attributes.
+     * @param {string} tag - SVG tag name
+     * @param {Object<string, string|number>} attributes - Attributes to set
+     * @returns {SVGElement} Element
+     */
+    createSvgElement: function (tag, attributes) {
+      var element = document.createElementNS("http://www.w3.org/2000/svg", tag);
+      for (var name in attributes) {
+        element.setAttribute(name, String(attributes[name]));
+      }
+      return element;
+    },
+
+    /**
+     * Set today's date in a date input field.
+     * @param {HTMLInputElement} input - Date input element
+     */
+    setToday: function (input) {
+      if (!input || input.type !== "date") return;
+      input.value = this.getToday();
+    },
+
+    /**
+     * Today's local date.
+     * @returns {string} YYYY-MM-DD
+     */
+    getToday: function () {
+      var today = new Date();
+      var year = today.getFullYear();
+      var month = String(today.getMonth() + 1).padStart(2, "0");
+      var day = String(today.getDate()).padStart(2, "0");
+      return year + "-" + month + "-" + day;
+    },
+
+    /**
+     * Show an error message (textContent only, XSS-safe). Messages from the engine and
+     * storage are translated here.
+     * @param {HTMLElement} container - Container element
+     * @param {string} message - Error message
+     */
+    showError: function (container, message) {
+      if (!container) return;
+      container.textContent = "";
+      container.classList.remove("visible");
+      requestAnimationFrame(function () {
+        container.textContent = message ? I18nService.translateError(message) : t("An error occurred.");
+        container.classList.add("visible");
+        container.setAttribute("role", "alert");
+        container.setAttribute("aria-live", "assertive");
+      });
+    },
+
+    /**
+     * Show result (score differential) in container (textContent only, XSS-safe).
+     * @param {HTMLElement} container - Container element
+     * @param {number} scoreDifferential - Score differential value
+     * @param {string} [note] - Optional explanation shown below the value
+     * @param {string} [labelText] - Label shown above the value (defaults to "Score Differential")
+     */
+    showResult: function (container, scoreDifferential, note, labelText) {
+      if (!container) return;
+      container.textContent = "";
+      container.classList.remove("visible");
+      requestAnimationFrame(function () {
+        container.classList.add("visible");
+        container.removeAttribute("role");
+        container.setAttribute("aria-live", "polite");
+        var label = document.createElement("span");
+        label.textContent = labelText || t("Score Differential");
+        var valueEl = document.createElement("span");
+        valueEl.className = "value";
+        valueEl.textContent = UIService.formatNumber(scoreDifferential);
+        container.appendChild(label);
+        container.appendChild(valueEl);
+        if (note) {
+          var noteEl = document.createElement("span");
+          noteEl.className = "result-note";
+          noteEl.textContent = note;
+          container.appendChild(noteEl);
+        }
+      });
+    },
+
+    /**
+     * Fill a course <select> from the course library, keeping the current selection if possible.
+     * @param {HTMLSelectElement} select - Select element
+     * @param {Array<Object>} courses - Course library
+     * @param {string} emptyLabel - Label of the first option (value "")
+     */
+    fillCourseSelect: function (select, courses, emptyLabel) {
+      var previous = select.value;
+      select.textContent = "";
+      var empty = document.createElement("option");
+      empty.value = "";
+      empty.textContent = emptyLabel;
+      select.appendChild(empty);
+      courses.forEach(function (course) {
+        var option = document.createElement("option");
+        option.value = course.id;
+        option.textContent = course.name;
+        select.appendChild(option);
+      });
+      select.value = previous;
+      if (select.value !== previous) select.value = "";
+    },
+
+    /**
+     * Fill a tee <select> with the tee/rating options of a course, keeping the current selection if possible.
+     * @param {HTMLSelectElement} select - Select element
+     * @param {Object|null} course - Selected course (select is emptied when null)
+     * @param {string} [preferredSet] - Rating set ("men"/"women") to preselect for a newly chosen course
+     */
+    fillTeeSelect: function (select, course, preferredSet) {
+      var previous = select.value;
+      select.textContent = "";
+      if (!course) return;
+      CourseService.getTeeOptions(course).forEach(function (teeOption) {
+        var option = document.createElement("option");
+        option.value = teeOption.value;
+        option.textContent = teeOption.label;
+        select.appendChild(option);
+      });
+      select.value = previous;
+      if (select.selectedIndex >= 0 && select.value === previous) return;
+      // New course: first tee, with the preferred men's/women's ratings when the tee has them
+      select.value = course.tees[0].id + "|" + (preferredSet || "");
+      if (select.selectedIndex < 0) select.selectedIndex = 0;
+    },
+
+    /**
+     * Build the hole-by-hole scorecard table (par, stroke index, strokes).
+     * @param {HTMLElement} container - Scorecard container
+     * @param {number} holeCount - Number of holes to render
+     */
+    renderScorecard: function (container, holeCount) {
+      if (!container) return;
+      container.textContent = "";
+      var table = document.createElement("table");
+      table.className = "scorecard-table";
+      var thead = document.createElement("thead");
+      var headRow = document.createElement("tr");
+      ["Hole", "Par", "SI", "Strokes"].forEach(function (title) {
+        var th = document.createElement("th");
+        th.scope = "col";
+        th.textContent = t(title);
+        headRow.appendChild(th);
+      });
+      thead.appendChild(headRow);
+      table.appendChild(thead);
+
+      var tbody = document.createElement("tbody");
+      var createInput = function (field, holeNumber, message, value) {
+        var input = document.createElement("input");
+        input.type = "number";
+        input.inputMode = "numeric";
+        input.min = "1";
+        input.setAttribute("data-field", field);
+        input.setAttribute("aria-label", t(message, { number: holeNumber }));
+        if (value !== undefined) input.value = String(value);
+        var td = document.createElement("td");
+        td.appendChild(input);
+        return td;
+      };
+      for (var i = 1; i <= holeCount; i++) {
+        var row = document.createElement("tr");
+        row.setAttribute("data-hole", String(i));
+        var th = document.createElement("th");
+        th.scope = "row";
+        th.textContent = String(i);
+        row.appendChild(th);
+        row.appendChild(createInput("par", i, "Hole {number} par", 4));
+        row.appendChild(createInput("strokeIndex", i, "Hole {number} stroke index", i));
+        row.appendChild(createInput("strokes", i, "Hole {number} strokes"));
+        tbody.appendChild(row);
+      }
+      table.appendChild(tbody);
+      container.appendChild(table);
+    },
+
+    /**
+     * Pre-fill par and stroke index of the scorecard from a tee's hole layout,
+     * and the strokes when the holes come from a saved round.
+     * @param {HTMLElement} container - Scorecard container
+     * @param {Array<{par: number, strokeIndex: number, strokes: (number|undefined)}>} layout - Holes in playing order
+     */
+    fillScorecardLayout: function (container, layout) {
+      var rows = container.querySelectorAll("tr[data-hole]");
+      for (var i = 0; i < rows.length && i < layout.length; i++) {
+        rows[i].querySelector('[data-field="par"]').value = String(layout[i].par);
+        rows[i].querySelector('[data-field="strokeIndex"]').value = String(layout[i].strokeIndex);
+        if (layout[i].strokes !== undefined) {
+          rows[i].querySelector('[data-field="strokes"]').value = String(layout[i].strokes);
+        }
+      }
+    },
+
+    /**
+     * Read the raw scorecard values from the table.
+     * @param {HTMLElement} container - Scorecard container
+     * @returns {Array<{par: string, strokeIndex: string, strokes: string}>} Raw hole values in playing order
+     */
+    readScorecard: function (container) {
+      var rows = container.querySelectorAll("tr[data-hole]");
+      var holes = [];
+      for (var i = 0; i < rows.length; i++) {
+        holes.push({
+          par: rows[i].querySelector('[data-field="par"]').value,
+          strokeIndex: rows[i].querySelector('[data-field="strokeIndex"]').value,
+          strokes: rows[i].querySelector('[data-field="strokes"]').value
+        });
+      }
+      return holes;
+    },
+
+    /**
+     * Clear the result/error container.
+     * @param {HTMLElement} container - Container element
+     */
+    clearResult: function (container) {
+      if (!container) return;
+      container.textContent = "";
+      container.classList.remove("visible");
+      container.removeAttribute("role");
+    }
+  };
+
+  // ============================================================================
+  // COURSE LIBRARY VIEW (add / edit / delete saved courses and tees)
+  // ============================================================================
+
+  var CourseLibraryView = {
+    app: null,
+    editingId: null,
+    elements: {
+      list: null,
+      empty: null,
+      addButton: null,
+      editor: null,
+      editorTitle: null,
+      nameInput: null,
+      teesContainer: null,
+      addTeeButton: null,
+      cancelButton: null,
+      errorContainer: null
+    },
+
+    /**
+     * Initialize the course library section.
+     * @param {Object} app - Application instance, refreshed after changes
+     */
+    init: function (app) {
+      this.app = app;
+      this.elements.list = document.getElementById("courses-list");
+      this.elements.empty = document.getElementById("courses-empty");
+      this.elements.addButton = document.getElementById("add-course");
+      this.elements.editor = document.getElementById("course-editor");
+      this.elements.editorTitle = document.getElementById("course-editor-title");
+      this.elements.nameInput = document.getElementById("course-name");
+      this.elements.teesContainer = document.getElementById("course-tees");
+      this.elements.addTeeButton = document.getElementById("add-tee");
+      this.elements.cancelButton = document.getElementById("course-editor-cancel");
+      this.elements.errorContainer = document.getElementById("course-editor-error");
+
+      for (var key in this.elements) {
+        if (!this.elements[key]) {
+          console.error("Missing course library element:", key);
+          return;
+        }
+      }
+
+      var view = this;
+      this.elements.addButton.addEventListener("click", function () {
+        view.openEditor(null);
+      });
+      this.elements.addTeeButton.addEventListener("click", function () {
+        view.addTeeFieldset(null);
+      });
+      this.elements.cancelButton.addEventListener("click", this.closeEditor.bind(this));
+      this.elements.editor.addEventListener("submit", this.handleSave.bind(this));
+      this.render();
+    },
+
+    /**
+     * Render the saved courses (textContent only, XSS-safe).
+     */
+    render: function () {
+      var list = this.elements.list;
+      list.textContent = "";
+      var view = this;
+      this.app.getCourses().forEach(function (course) {
+        var card = document.createElement("div");
+        card.className = "course-card";
+        card.setAttribute("role", "listitem");
+
+        var name = document.createElement("span");
+        name.className = "course-card-name";
+        name.textContent = course.name;
+
+        var editButton = document.createElement("button");
+        editButton.type = "button";
+        editButton.className = "btn-text";
+        editButton.textContent = t("Edit");
+        editButton.setAttribute("aria-label", t("Edit {name}", { name: course.name }));
+        editButton.addEventListener("click", function () {
+          view.openEditor(course.id);
+        });
+
+        var deleteButton = document.createElement("button");
+        deleteButton.type = "button";
+        deleteButton.className = "btn-round-delete";
+        deleteButton.title = t("Delete course");
+        deleteButton.setAttribute("aria-label", t("Delete {name}", { name: course.name }));
+        deleteButton.textContent = "×";
+        deleteButton.addEventListener("click", function () {
+          view.deleteCourse(course.id);
+        });
+
+        var tees = document.createElement("div");
+        tees.className = "round-card-details";
+        tees.textContent = course.tees.map(function (tee) {
+          return tee.name + " " + UIService.formatNumber(tee.courseRating) + "/" + tee.slope + " · " + t("Par {par}", { par: tee.par });
+        }).join(" | ");
+
+        card.appendChild(name);
+        card.appendChild(editButton);
+        card.appendChild(deleteButton);
+        card.appendChild(tees);
+        list.appendChild(card);
+      });
+    },
+
+    /**
+     * Open the editor for a new course or an existing one.
+     * @param {string|null} courseId - Course to edit, or null to add a new course
+     */
+    openEditor: function (courseId) {
+      var course = courseId ? CourseService.findCourse(this.app.getCourses(), courseId) : null;
+      this.editingId = course ? course.id : null;
+      this.elements.editorTitle.textContent = course ? t("Edit Course") : t("Add Course");
+      this.elements.nameInput.value = course ? course.name : "";
+      this.elements.nameInput.removeAttribute("aria-invalid");
+      this.elements.teesContainer.textContent = "";
+      UIService.clearResult(this.elements.errorContainer);
+      var view = this;
+      if (course) {
+        course.tees.forEach(function (tee) {
+          view.addTeeFieldset(tee);
+        });
+      } else {
+        this.addTeeFieldset(null);
+      }
+      this.elements.editor.hidden = false;
+      this.elements.nameInput.focus();
+    },
+
+    /**
+     * Close the editor without saving.
+     */
+    closeEditor: function () {
+      this.editingId = null;
+      this.elements.editor.hidden = true;
+      this.elements.teesContainer.textContent = "";
+      UIService.clearResult(this.elements.errorContainer);
+    },
+
+    /**
+     * Append a tee fieldset to the editor.
+     * @param {Object|null} tee - Existing tee to edit, or null for an empty tee
+     */
+    addTeeFieldset: function (tee) {
+      var container = this.elements.teesContainer;
+      var fieldset = document.createElement("fieldset");
+      fieldset.className = "tee-fieldset";
+      fieldset.setAttribute("data-tee-id", tee ? tee.id : "");
+
+      var legend = document.createElement("legend");
+      legend.textContent = t("Tee");
+      fieldset.appendChild(legend);
+
+      var createField = function (field, labelText, attributes, value) {
+        var label = document.createElement("label");
+        label.className = "tee-field";
+        var caption = document.createElement("span");
+        caption.textContent = t(labelText);
+        var input = document.createElement("input");
+        input.setAttribute("data-field", field);
+        for (var attr in attributes) {
+          input.setAttribute(attr, attributes[attr]);
+        }
+        if (value !== undefined && value !== null) input.value = String(value);
+        label.appendChild(caption);
+        label.appendChild(input);
+        return label;
+      };
+      var ratingAttributes = {
+        courseRating: { type: "text", inputmode: "decimal", autocomplete: "off" },
+        slope: { type: "number", min: "55", max: "155", inputmode: "numeric" },
+        par: { type: "number", min: "54", max: "80", inputmode: "numeric" }
+      };
+
+      var grid = document.createElement("div");
+      grid.className = "tee-grid";
+      grid.appendChild(createField("name", "Name", { type: "text", maxlength: "80", placeholder: t("e.g. White") }, tee ? tee.name : ""));
+      grid.appendChild(createField("par", "Par", ratingAttributes.par, tee ? tee.par : 72));
+      grid.appendChild(createField("courseRating", "Course Rating", ratingAttributes.courseRating, tee ? UIService.formatNumber(tee.courseRating) : ""));
+      grid.appendChild(createField("slope", "Slope", ratingAttributes.slope, tee ? tee.slope : ""));
+      fieldset.appendChild(grid);
+
+      var layoutDetails = document.createElement("details");
+      layoutDetails.className = "tee-gender-ratings";
+      layoutDetails.open = !!(tee && tee.holes);
+      var layoutSummary = document.createElement("summary");
+      layoutSummary.textContent = t("Hole pars and stroke indexes (optional)");
+      layoutDetails.appendChild(layoutSummary);
+      var layoutGrid = document.createElement("div");
+      layoutGrid.className = "tee-layout";
+      layoutGrid.appendChild(createField("holePars", "Par per hole, holes 1–18", { type: "text", inputmode: "numeric", placeholder: t("e.g. 4, 4, 3, 5, …") },
+        tee && tee.holes ? tee.holes.map(function (h) { return h.par; }).join(", ") : ""));
+      layoutGrid.appendChild(createField("strokeIndexes", "Stroke index per hole, holes 1–18", { type: "text", inputmode: "numeric", placeholder: t("e.g. 7, 13, 17, 1, …") },
+        tee && tee.holes ? tee.holes.map(function (h) { return h.strokeIndex; }).join(", ") : ""));
+      layoutDetails.appendChild(layoutGrid);
+      fieldset.appendChild(layoutDetails);
+
+      var genderDetails = document.createElement("details");
+      genderDetails.className = "tee-gender-ratings";
+      var summary = document.createElement("summary");
+      summary.textContent = t("Men's / women's ratings (optional)");
+      genderDetails.appendChild(summary);
+      ["men", "women"].forEach(function (set) {
+        var ratings = tee && tee[set] ? tee[set] : null;
+        if (ratings) genderDetails.open = true;
+        var setGrid = document.createElement("div");
+        setGrid.className = "tee-grid";
+        setGrid.setAttribute("data-rating-set", set);
+        var prefix = CourseService.RATING_SET_LABELS[set] + " ";
+        setGrid.appendChild(createField("par", prefix + "Par", ratingAttributes.par, ratings ? ratings.par : ""));
+        setGrid.appendChild(createField("courseRating", prefix + "CR", ratingAttributes.courseRating, ratings ? UIService.formatNumber(ratings.courseRating) : ""));
+        setGrid.appendChild(createField("slope", prefix + "Slope", ratingAttributes.slope, ratings ? ratings.slope : ""));
+        genderDetails.appendChild(setGrid);
+      });
+      fieldset.appendChild(genderDetails);
+
+      var removeButton = document.createElement("button");
+      removeButton.type = "button";
+      removeButton.className = "btn-text btn-delete-all";
+      removeButton.textContent = t("Remove tee");
+      removeButton.addEventListener("click", function () {
+        container.removeChild(fieldset);
+      });
+      fieldset.appendChild(removeButton);
+
+      container.appendChild(fieldset);
+    },
+
+    /**
+     * Read and validate the editor into a course object.
+     * @returns {{valid: boolean, error: string|null, value: Object|null}}
+     */
+    readEditor: function () {
+      var nameValidation = ValidationService.validateName(this.elements.nameInput.value, "Course name");
+      if (!nameValidation.valid) {
+        this.elements.nameInput.setAttribute("aria-invalid", "true");
+        return { valid: false, error: nameValidation.error, value: null };
+      }
+      this.elements.nameInput.removeAttribute("aria-invalid");
+
+      var fieldsets = this.elements.teesContainer.querySelectorAll(".tee-fieldset");
+      if (fieldsets.length === 0) {
+        return { valid: false, error: "A course needs at least one tee.", value: null };
+      }
+      var readGrid = function (grid) {
+        return {
+          par: grid.querySelector('[data-field="par"]').value,
+          courseRating: grid.querySelector('[data-field="courseRating"]').value,
+          slope: grid.querySelector('[data-field="slope"]').value
+        };
+      };
+      var tees = [];
+      for (var i = 0; i < fieldsets.length; i++) {
+        var fieldset = fieldsets[i];
+        var teeNameValidation = ValidationService.validateName(fieldset.querySelector('[data-field="name"]').value, "Tee name");
+        if (!teeNameValidation.valid) {
+          return { valid: false, error: "Tee " + (i + 1) + ": " + teeNameValidation.error, value: null };
+        }
+        var prefix = teeNameValidation.value + " tee: ";
+        var ratingsValidation = ValidationService.validateTeeRatings(readGrid(fieldset.querySelector(".tee-grid")), prefix);
+        if (!ratingsValidation.valid) {
+          return { valid: false, error: ratingsValidation.error, value: null };
+        }
+        var tee = {
+          id: fieldset.getAttribute("data-tee-id") || StorageService.generateId(),
+          name: teeNameValidation.value,
+          courseRating: ratingsValidation.value.courseRating,
+          slope: ratingsValidation.value.slope,
+          par: ratingsValidation.value.par
+        };
+        var pars = CourseService.parseHoleList(fieldset.querySelector('[data-field="holePars"]').value);
+        var strokeIndexes = CourseService.parseHoleList(fieldset.querySelector('[data-field="strokeIndexes"]').value);
+        if (pars.length > 0 || strokeIndexes.length > 0) {
+          if (pars.length !== CONFIG.HOLES_PER_ROUND || strokeIndexes.length !== CONFIG.HOLES_PER_ROUND) {
+            return { valid: false, error: prefix + "enter " + CONFIG.HOLES_PER_ROUND + " pars and " + CONFIG.HOLES_PER_ROUND + " stroke indexes.", value: null };
+          }
+          var layoutValidation = ValidationService.validateHoleLayout(pars.map(function (par, index) {
+            return { par: par, strokeIndex: strokeIndexes[index] };
+          }));
+          if (!layoutValidation.valid) {
+            return { valid: false, error: prefix + layoutValidation.error, value: null };
+          }
+          var layoutPar = layoutValidation.value.reduce(function (acc, hole) {
+            return acc + hole.par;
+          }, 0);
+          if (layoutPar !== tee.par) {
+            return { valid: false, error: prefix + "hole pars add up to " + layoutPar + " but the tee's par is " + tee.par + ".", value: null };
+          }
+          tee.holes = layoutValidation.value;
+        }
+        var setGrids = fieldset.querySelectorAll("[data-rating-set]");
+        for (var g = 0; g < setGrids.length; g++) {
+          var set = setGrids[g].getAttribute("data-rating-set");
+          var raw = readGrid(setGrids[g]);
+          if (raw.courseRating === "" && raw.slope === "") continue;
+          if (raw.par === "") raw.par = tee.par;
+          var setValidation = ValidationService.validateTeeRatings(raw, prefix + CourseService.RATING_SET_LABELS[set].toLowerCase() + " ratings: ");
+          if (!setValidation.valid) {
+            return { valid: false, error: setValidation.error, value: null };
+          }
+          tee[set] = setValidation.value;
+        }
+        tees.push(tee);
+      }
+      return {
+        valid: true,
+        error: null,
+        value: { id: this.editingId || StorageService.generateId(), name: nameValidation.value, tees: tees }
+      };
+    },
+
+    /**
+     * Handle course editor submit.
+     * @param {Event} event - Submit event
+     */
+    handleSave: function (event) {
+      event.preventDefault();
+      var result = this.readEditor();
+      if (!result.valid) {
+        UIService.showError(this.elements.errorContainer, result.error);
+        return;
+      }
+      var courses = this.app.getCourses();
+      var replaced = false;
+      for (var i = 0; i < courses.length; i++) {
+        if (courses[i].id === result.value.id) {
+          courses[i] = result.value;
+          replaced = true;
+        }
+      }
+      if (!replaced) courses.push(result.value);
+      courses.sort(function (a, b) {
+        return a.name.localeCompare(b.name);
+      });
+      var view = this;
+      return this.app.persistCourses(courses).then(function (saveResult) {
+        if (!saveResult.success) {
+          UIService.showError(view.elements.errorContainer, saveResult.error);
+          return;
+        }
+        view.closeEditor();
+        view.refresh();
+      });
+    },
+
+    /**
+     * Delete a course from the library. Rounds keep the course name saved with them.
+     * @param {string} courseId - Course id
+     */
+    deleteCourse: function (courseId) {
+      var courses = this.app.getCourses();
+      var course = CourseService.findCourse(courses, courseId);
+      if (!course) return;
+      if (!confirm(t("Delete {name} from your courses? Saved rounds are kept.", { name: course.name }))) return;
+      var view = this;
+      return this.app.persistCourses(courses.filter(function (c) {
+        return c.id !== courseId;
+      })).then(function (saveResult) {
+        if (!saveResult.success) {
+          alert(I18nService.translateError("Error deleting: " + saveResult.error));
+          return;
+        }
+        if (view.editingId === courseId) view.closeEditor();
+        view.refresh();
+      });
+    },
+
+    /**
+     * Re-render the library and everything that shows course names.
+     */
+    refresh: function () {
+      this.render();
+      this.app.handleCoursesChanged();
+    }
+  };
+
+  // ============================================================================
+  // PLAYING HANDICAP VIEW (course handicap, playing handicap and stroke allocation)
+  // ============================================================================
+
+  var PlayingHandicapView = {
+    app: null,
+    indexEdited: false,
+    elements: {
+      form: null,
+      indexInput: null,
+      courseSelect: null,
+      teeField: null,
+      teeSelect: null,
+      manualFields: null,
+      courseRatingInput: null,
+      slopeInput: null,
+      parInput: null,
+      formatSelect: null,
+      otherField: null,
+      otherLabel: null,
+      otherInput: null,
+      resultContainer: null,
+      allocationContainer: null
+    },
+
+    /**
+     * Initialize the calculator.
+     * @param {Object} app - Application instance, source of the course library
+     */
+    init: function (app) {
+      this.app = app;
+      this.elements.form = document.getElementById("playing-handicap-form");
+      this.elements.indexInput = document.getElementById("ph-index");
+      this.elements.courseSelect = document.getElementById("ph-course");
+      this.elements.teeField = document.getElementById("ph-tee-field");
+      this.elements.teeSelect = document.getElementById("ph-tee");
+      this.elements.manualFields = document.getElementById("ph-manual");
+      this.elements.courseRatingInput = document.getElementById("ph-course-rating");
+      this.elements.slopeInput = document.getElementById("ph-slope");
+      this.elements.parInput = document.getElementById("ph-par");
+      this.elements.formatSelect = document.getElementById("ph-format");
+      this.elements.otherField = document.getElementById("ph-other-field");
+      this.elements.otherLabel = document.getElementById("ph-other-label");
+      this.elements.otherInput = document.getElementById("ph-other");
+      this.elements.resultContainer = document.getElementById("ph-result");
+      this.elements.allocationContainer = document.getElementById("ph-allocation");
+
+      for (var key in this.elements) {
+        if (!this.elements[key]) {
+          console.error("Missing playing handicap element:", key);
+          return;
+        }
+      }
+
+      var formatSelect = this.elements.formatSelect;
+      formatSelect.textContent = "";
+      Object.keys(CONFIG.PLAYING_FORMATS).forEach(function (key) {
+        var option = document.createElement("option");
+        option.value = key;
+        option.textContent = t(CONFIG.PLAYING_FORMATS[key].label) + " (" + Math.round(CONFIG.PLAYING_FORMATS[key].allowance * 100) + "%)";
+        formatSelect.appendChild(option);
+      });
+
+      var view = this;
+      this.elements.indexInput.addEventListener("input", function () {
+        view.indexEdited = true;
+      });
+      this.elements.courseSelect.addEventListener("change", function () {
+        view.renderTeePicker();
+      });
+      this.elements.form.addEventListener("input", this.calculate.bind(this));
+      this.elements.form.addEventListener("change", this.calculate.bind(this));
+      this.elements.form.addEventListener("submit", function (event) {
+        event.preventDefault();
+        view.calculate();
+      });
+      this.renderCoursePicker();
+    },
+
+    /**
+     * Use the current Handicap Index unless the user typed their own.
+     * @param {number|null} handicapIndex - Current index
+     */
+    setCurrentIndex: function (handicapIndex) {
+      if (!this.elements.indexInput || this.indexEdited) return;
+      this.elements.indexInput.value = handicapIndex === null ? "" : UIService.formatNumber(handicapIndex);
+      this.calculate();
+    },
+
+    /**
+     * Fill the course picker from the library.
+     */
+    renderCoursePicker: function () {
+      if (!this.elements.courseSelect) return;
+      UIService.fillCourseSelect(this.elements.courseSelect, this.app.getCourses(), t("Enter ratings manually"));
+      this.renderTeePicker();
+    },
+
+    /**
+     * Fill the tee picker and toggle the manual rating fields.
+     */
+    renderTeePicker: function () {
+      var course = CourseService.findCourse(this.app.getCourses(), this.elements.courseSelect.value);
+      UIService.fillTeeSelect(this.elements.teeSelect, course, this.app.getPreferredRatingSet());
+      this.elements.teeField.hidden = !course;
+      this.elements.manualFields.hidden = !!course;
+    },
+
+    /**
+     * Select a course in the picker (e.g. the player's home course).
+     * @param {string} courseId - Course id, or "" for manual ratings
+     */
+    selectCourse: function (courseId) {
+      if (!this.elements.courseSelect) return;
+      this.elements.courseSelect.value = courseId;
+      if (this.elements.courseSelect.selectedIndex < 0) this.elements.courseSelect.value = "";
+      this.renderTeePicker();
+      this.calculate();
+    },
+
+    /**
+     * Read the tee ratings from the picker or the manual fields.
+     * @returns {{valid: boolean, error: string|null, value: {courseRating: number, slope: number, par: number, holes: Array<Object>|null}|null}}
+     */
+    readTee: function () {
+      var course = CourseService.findCourse(this.app.getCourses(), this.elements.courseSelect.value);
+      var option = CourseService.findTeeOption(course, this.elements.teeSelect.value);
+      if (option) {
+        var tee = CourseService.findTee(course, option.teeId);
+        return {
+          valid: true,
+          error: null,
+          value: { courseRating: option.courseRating, slope: option.slope, par: option.par, holes: tee.holes || null }
+        };
+      }
+      var ratings = ValidationService.validateTeeRatings({
+        courseRating: this.elements.courseRatingInput.value,
+        slope: this.elements.slopeInput.value,
+        par: this.elements.parInput.value
+      });
+      if (!ratings.valid) return ratings;
+      ratings.value.holes = null;
+      return ratings;
+    },
+
+    /**
+     * Recalculate course and playing handicap from the current inputs.
+     */
+    calculate: function () {
+      var format = CONFIG.PLAYING_FORMATS[this.elements.formatSelect.value];
+      var needsOther = !!(format && format.partner);
+      this.elements.otherField.hidden = !needsOther;
+      if (needsOther) {
+        this.elements.otherLabel.textContent = format.partner === "combined"
+          ? t("Partner's Course Handicap")
+          : t("Opponent's Course Handicap");
+      }
+      this.elements.allocationContainer.textContent = "";
+
+      var indexValidation = ValidationService.validateHandicapIndex(this.elements.indexInput.value);
+      if (!indexValidation.valid) {
+        this.showMessage(indexValidation.error);
+        return;
+      }
+      var teeValidation = this.readTee();
+      if (!teeValidation.valid) {
+        this.showMessage(teeValidation.error);
+        return;
+      }
+      var otherHandicap = 0;
+      if (needsOther) {
+        var otherValidation = ValidationService.validateCourseHandicap(this.elements.otherInput.value);
+        if (!otherValidation.valid) {
+          this.showMessage(otherValidation.error);
+          return;
+        }
+        otherHandicap = otherValidation.value;
+      }
+
+      var tee = teeValidation.value;
+      var courseHandicap = WHSService.calculateCourseHandicap(indexValidation.value, tee.courseRating, tee.slope, tee.par);
+      var playing = WHSService.calculatePlayingHandicap(courseHandicap, this.elements.formatSelect.value, otherHandicap);
+      if (!playing) {
+        this.showMessage("Please choose a format.");
+        return;
+      }
+
+      var summary;
+      if (format.partner === "difference") {
+        summary = playing.strokesReceived > 0
+          ? t(playing.strokesReceived === 1 ? "You receive {count} stroke" : "You receive {count} strokes", { count: playing.strokesReceived })
+          : playing.opponentStrokes > 0
+            ? t(playing.opponentStrokes === 1 ? "You give {count} stroke" : "You give {count} strokes", { count: playing.opponentStrokes })
+            : t("No strokes given or received");
+      } else if (format.partner === "combined") {
+        summary = t("Team playing handicap ({percent}% of combined {total})", { percent: Math.round(format.allowance * 100), total: courseHandicap + otherHandicap });
+      } else {
+        summary = t("{percent}% of course handicap {handicap}", { percent: Math.round(format.allowance * 100), handicap: courseHandicap });
+      }
+      this.renderResult(courseHandicap, format.partner === "difference" ? playing.strokesReceived : playing.playingHandicap, summary);
+      this.renderAllocation(playing.strokesReceived, tee.holes);
+    },
+
+    /**
+     * Show a validation message in place of the result.
+     * @param {string} message - Message
+     */
+    showMessage: function (message) {
+      var container = this.elements.resultContainer;
+      container.textContent = "";
+      var note = document.createElement("p");
+      note.className = "calculator-message";
+      note.textContent = I18nService.translateError(message);
+      container.appendChild(note);
+    },
+
+    /**
+     * Render course and playing handicap (textContent only, XSS-safe).
+     * @param {number} courseHandicap - Course handicap
+     * @param {number} playingHandicap - Playing handicap (strokes received in match play)
+     * @param {string} summary - How the playing handicap was derived
+     */
+    renderResult: function (courseHandicap, playingHandicap, summary) {
+      var container = this.elements.resultContainer;
+      container.textContent = "";
+      [["Course Handicap", courseHandicap], ["Playing Handicap", playingHandicap]].forEach(function (entry) {
+        var item = document.createElement("div");
+        item.className = "calculator-value";
+        var label = document.createElement("span");
+        label.textContent = t(entry[0]);
+        var value = document.createElement("strong");
+        value.textContent = String(entry[1]);
+        item.appendChild(label);
+        item.appendChild(value);
+        container.appendChild(item);
+      });
+      var note = document.createElement("p");
+      note.className = "calculator-message";
+      note.textContent = summary;
+      container.appendChild(note);
+    },
+
+    /**
+     * Render the per-hole stroke allocation. Uses the tee's hole layout when known,
+     * otherwise lists strokes by stroke index.
+     * @param {number} strokes - Strokes to allocate
+     * @param {Array<{par: number, strokeIndex: number}>|null} layout - Tee hole layout
+     */
+    renderAllocation: function (strokes, layout) {
+      var holes = layout;
+      if (!holes) {
+        holes = [];
+        for (var si = 1; si <= CONFIG.HOLES_PER_ROUND; si++) {
+          holes.push({ par: null, strokeIndex: si });
+        }
+      }
+      var received = WHSService.getStrokesReceived(strokes, holes);
+      var table = document.createElement("table");
+      table.className = "scorecard-table allocation-table";
+      var caption = document.createElement("caption");
+      caption.textContent = layout ? t("Strokes per hole") : t("Strokes by stroke index");
+      table.appendChild(caption);
+      var headRow = document.createElement("tr");
+      (layout ? ["Hole", "Par", "SI", "Strokes"] : ["SI", "Strokes"]).forEach(function (title) {
+        var th = document.createElement("th");
+        th.scope = "col";
+        th.textContent = t(title);
+        headRow.appendChild(th);
+      });
+      var thead = document.createElement("thead");
+      thead.appendChild(headRow);
+      table.appendChild(thead);
+      var tbody = document.createElement("tbody");
+      holes.forEach(function (hole, index) {
+        var row = document.createElement("tr");
+        var cells = layout ? [index + 1, hole.par, hole.strokeIndex, received[index]] : [hole.strokeIndex, received[index]];
+        cells.forEach(function (value, cellIndex) {
+          var cell = document.createElement(cellIndex === 0 ? "th" : "td");
+          if (cellIndex === 0) cell.scope = "row";
+          cell.textContent = cellIndex === cells.length - 1 ? UIService.formatStrokeCount(value) : String(value);
+          row.appendChild(cell);
+        });
+        if (received[index] !== 0) row.className = "allocation-stroke";
+        tbody.appendChild(row);
+      });
+      table.appendChild(tbody);
+      this.elements.allocationContainer.appendChild(table);
+    }
+  };
+
+  // ============================================================================
+  // GROUP ROUND VIEW (scoring for up to four players, match play or best ball)
+  // ============================================================================
+
+  var GroupRoundView = {
+    app: null,
+    state: null,
+    elements: {
+      setupForm: null,
+      dateInput: null,
+      courseSelect: null,
+      teeSelect: null,
+      modeSelect: null,
+      playerSelects: null,
+      setupResult: null,
+      scoring: null,
+      summary: null,
+      status: null,
+      card: null,
+      scoringResult: null,
+      postButton: null,
+      discardButton: null
+    },
+
+    /**
+     * Initialize the group round panel.
+     * @param {Object} app - Application instance, source of profiles and courses
+     */
+    init: function (app) {
+      this.app = app;
+      this.elements.setupForm = document.getElementById("group-setup");
+      this.elements.dateInput = document.getElementById("group-date");
+      this.elements.courseSelect = document.getElementById("group-course");
+      this.elements.teeSelect = document.getElementById("group-tee");
+      this.elements.modeSelect = document.getElementById("group-mode");
+      this.elements.playerSelects = document.querySelectorAll("#group-players select");
+      this.elements.setupResult = document.getElementById("group-setup-result");
+      this.elements.scoring = document.getElementById("group-scoring");
+      this.elements.summary = document.getElementById("group-summary");
+      this.elements.status = document.getElementById("group-status");
+      this.elements.card = document.getElementById("group-card");
+      this.elements.scoringResult = document.getElementById("group-result");
+      this.elements.postButton = document.getElementById("group-post");
+      this.elements.discardButton = document.getElementById("group-discard");
+
+      for (var key in this.elements) {
+        if (!this.elements[key] || (key === "playerSelects" && this.elements[key].length === 0)) {
+          console.error("Missing group round element:", key);
+          this.elements.setupForm = null;
+          return;
+        }
+      }
+
+      var view = this;
+      UIService.setToday(this.elements.dateInput);
+      this.elements.courseSelect.addEventListener("change", function () {
+        view.renderTeePicker();
+      });
+      this.elements.setupForm.addEventListener("submit", function (event) {
+        event.preventDefault();
+        view.start().catch(function (e) {
+          console.error("Error starting the group round:", e);
+          UIService.showError(view.elements.setupResult, I18nService.translateError(e && e.message));
+        });
+      });
+      this.elements.card.addEventListener("input", this.handleScoreInput.bind(this));
+      this.elements.postButton.addEventListener("click", this.postRounds.bind(this));
+      this.elements.discardButton.addEventListener("click", function () {
+        if (!window.confirm(t("Discard the scores of this group round?"))) return;
+        view.reset();
+      });
+      this.renderCoursePicker();
+      this.renderPlayerPickers();
+      StorageService.loadSetting("groupRound").then(function (saved) {
+        if (saved && !view.state) view.show(saved);
+      }).catch(function (e) {
+        console.error("Error loading the group round:", e);
+      });
+    },
+
+    /**
+     * Fill the course picker with courses that have a hole layout on at least one tee.
+     */
+    renderCoursePicker: function () {
+      if (!this.elements.setupForm) return;
+      var courses = this.app.getCourses().filter(function (course) {
+        return course.tees.some(function (tee) {
+          return !!tee.holes;
+        });
+      });
+      UIService.fillCourseSelect(this.elements.courseSelect, courses, t("Choose a course"));
+      this.renderTeePicker();
+    },
+
+    /**
+     * Fill the tee picker with the selected course's tees that have a hole layout.
+     */
+    renderTeePicker: function () {
+      var select = this.elements.teeSelect;
+      var previous = select.value;
+      var course = CourseService.findCourse(this.app.getCourses(), this.elements.courseSelect.value);
+      select.textContent = "";
+      (course ? course.tees : []).forEach(function (tee) {
+        if (!tee.holes) return;
+        var option = document.createElement("option");
+        option.value = tee.id;
+        option.textContent = tee.name;
+        select.appendChild(option);
+      });
+      select.value = previous;
+      if (select.selectedIndex < 0) select.selectedIndex = 0;
+    },
+
+    /**
+     * Fill the four player pickers from the profiles, keeping the current choices.
+     */
+    renderPlayerPickers: function () {
+      if (!this.elements.setupForm) return;
+      var profiles = this.app.profiles;
+      Array.prototype.forEach.call(this.elements.playerSelects, function (select, index) {
+        var previous = select.value;
+        select.textContent = "";
+        var empty = document.createElement("option");
+        empty.value = "";
+        empty.textContent = index === 0 ? t("Choose a player") : t("No player");
+        select.appendChild(empty);
+        profiles.forEach(function (profile) {
+          var option = document.createElement("option");
+          option.value = profile.id;
+          option.textContent = profile.name;
+          select.appendChild(option);
+        });
+        select.value = previous;
+        if (select.value !== previous) select.value = "";
+      });
+    },
+
+    /**
+     * Validate the setup, work out everyone's strokes from their index on the day played and start scoring.
+     * @returns {Promise<void>}
+     */
+    start: function () {
+      UIService.clearResult(this.elements.setupResult);
+      var date = this.elements.dateInput.value.trim();
+      var dateValidation = ValidationService.validateDate(date);
+      if (!dateValidation.valid) {
+        UIService.showError(this.elements.setupResult, dateValidation.error);
+        return Promise.resolve();
+      }
+      var course = CourseService.findCourse(this.app.getCourses(), this.elements.courseSelect.value);
+      var tee = course ? CourseService.findTee(course, this.elements.teeSelect.value) : null;
+      if (!tee || !tee.holes) {
+        UIService.showError(this.elements.setupResult, t("Please choose a course and a tee with a saved hole layout."));
+        return Promise.resolve();
+      }
+      var app = this.app;
+      var profiles = [];
+      var duplicate = false;
+      Array.prototype.forEach.call(this.elements.playerSelects, function (select) {
+        if (!select.value) return;
+        var profile = app.profiles.filter(function (p) {
+          return p.id === select.value;
+        })[0];
+        if (!profile) return;
+        if (profiles.indexOf(profile) !== -1) duplicate = true;
+        profiles.push(profile);
+      });
+      if (profiles.length === 0 || duplicate) {
+        UIService.showError(this.elements.setupResult,
+          duplicate ? t("Each player can only be chosen once.") : t("Please choose at least one player."));
+        return Promise.resolve();
+      }
+      var mode = this.elements.modeSelect.value;
+      if (mode === "match-play" && profiles.length !== 2 && profiles.length !== 4) {
+        UIService.showError(this.elements.setupResult,
+          t("Match play needs two players (singles) or four players (players 1 and 2 against 3 and 4)."));
+        return Promise.resolve();
+      }
+
+      var view = this;
+      return Promise.all(profiles.map(function (profile) {
+        return app.loadProfileRounds(profile.id);
+      })).then(function (playerRounds) {
+        var players = profiles.map(function (profile, index) {
+          var ratingSet = profile.gender && tee[profile.gender] ? profile.gender : "";
+          var ratings = CourseService.getTeeRatings(tee, ratingSet);
+          var handicapIndex = WHSService.getHandicapIndexOnDate(playerRounds[index], date);
+          return {
+            profileId: profile.id,
+            name: profile.name,
+            ratingSet: ratingSet,
+            courseRating: ratings.courseRating,
+            slope: ratings.slope,
+            handicapIndex: handicapIndex,
+            courseHandicap: handicapIndex === null
+              ? null
+              : WHSService.calculateCourseHandicap(handicapIndex, ratings.courseRating, ratings.slope, ratings.par)
+          };
+        });
+        var state = {
+          date: date,
+          courseId: course.id,
+          teeId: tee.id,
+          courseName: course.name,
+          teeName: tee.name,
+          mode: mode,
+          holes: tee.holes.map(function (hole) {
+            return { par: hole.par, strokeIndex: hole.strokeIndex };
+          }),
+          players: players,
+          scores: players.map(function () {
+            return tee.holes.map(function () {
+              return null;
+            });
+          })
+        };
+        view.assignStrokes(state);
+        view.show(state);
+        return view.saveState();
+      });
+    },
+
+    /**
+     * Set each player's strokes for the format. Strokes need everyone's course handicap,
+     * so a group with a player who has no index yet plays without strokes.
+     * @param {Object} state - Group round state
+     */
+    assignStrokes: function (state) {
+      var handicaps = state.players.map(function (player) {
+        return player.courseHandicap;
+      });
+      var complete = handicaps.indexOf(null) === -1;
+      var groupStrokes = complete ? WHSService.getGroupStrokes(handicaps, state.mode) : null;
+      state.players.forEach(function (player, index) {
+        player.playingHandicap = groupStrokes ? groupStrokes[index].playingHandicap : null;
+        player.strokes = groupStrokes ? groupStrokes[index].strokes : 0;
+      });
+    },
+
+    /**
+     * Show the scorecard of a group round in place of the setup.
+     * @param {Object} state - Group round state
+     */
+    show: function (state) {
+      if (!this.elements.setupForm) return;
+      this.state = state;
+      this.elements.setupForm.hidden = true;
+      this.elements.scoring.hidden = false;
+      UIService.clearResult(this.elements.scoringResult);
+      this.elements.summary.textContent = UIService.formatDate(state.date) + " · " + state.courseName + " (" + state.teeName + ") · " +
+        state.players.map(function (player) {
+          return player.name + " " + (player.playingHandicap === null ? t("no index") : t("PH {handicap}", { handicap: player.playingHandicap }));
+        }).join(", ");
+      this.renderCard();
+      this.renderStatus();
+    },
+
+    /**
+     * Build the score table: one row per hole, one input per player, dots for strokes received.
+     */
+    renderCard: function () {
+      var state = this.state;
+      var received = state.players.map(function (player) {
+        return WHSService.getStrokesReceived(player.strokes, state.holes);
+      });
+      var table = document.createElement("table");
+      table.className = "scorecard-table group-table";
+      var headRow = document.createElement("tr");
+      [t("Hole"), t("Par"), t("SI")].concat(state.players.map(function (player) {
+        return player.name;
+      })).forEach(function (title) {
+        var th = document.createElement("th");
+        th.scope = "col";
+        th.textContent = title;
+        headRow.appendChild(th);
+      });
+      var thead = document.createElement("thead");
+      thead.appendChild(headRow);
+      table.appendChild(thead);
+      var tbody = document.createElement("tbody");
+      state.holes.forEach(function (hole, holeIndex) {
+        var row = document.createElement("tr");
+        [holeIndex + 1, hole.par, hole.strokeIndex].forEach(function (value, cellIndex) {
+          var cell = document.createElement(cellIndex === 0 ? "th" : "td");
+          if (cellIndex === 0) cell.scope = "row";
+          cell.textContent = String(value);
+          row.appendChild(cell);
+        });
+        state.players.forEach(function (player, playerIndex) {
+          var cell = document.createElement("td");
+          var input = document.createElement("input");
+          input.type = "number";
+          input.min = "1";
+          input.max = "20";
+          input.inputMode = "numeric";
+          input.dataset.player = String(playerIndex);
+          input.dataset.hole = String(holeIndex);
+          input.setAttribute("aria-label", t("{name}, hole {number}", { name: player.name, number: holeIndex + 1 }));
+          var score = state.scores[playerIndex][holeIndex];
+          input.value = score === null ? "" : String(score);
+          cell.appendChild(input);
+          if (received[playerIndex][holeIndex] !== 0) {
+            var marker = document.createElement("span");
+            marker.className = "group-strokes";
+            marker.title = t("Strokes received");
+            marker.textContent = UIService.formatStrokeCount(received[playerIndex][holeIndex]);
+            cell.appendChild(marker);
+          }
+          row.appendChild(cell);
+        });
+        tbody.appendChild(row);
+      });
+      table.appendChild(tbody);
+      this.elements.card.textContent = "";
+      this.elements.card.appendChild(table);
+    },
+
+    /**
+     * Store a score as it is typed and update the live status.
+     * @param {Event} event - Input event from the score table
+     */
+    handleScoreInput: function (event) {
+      var input = event.target;
+      if (!this.state || !input.dataset || input.dataset.player === undefined) return;
+      var value = ValidationService.toNumber(input.value);
+      var valid = ValidationService.isWholeNumber(value) && value >= 1 && value <= 20;
+      this.state.scores[Number(input.dataset.player)][Number(input.dataset.hole)] = valid ? value : null;
+      this.renderStatus();
+      this.saveState();
+    },
+
+    /**
+     * Describe the live match or best-ball status (e.g. "2 UP after 11").
+     */
+    renderStatus: function () {
+      var state = this.state;
+      var output = this.elements.status;
+      var names = state.players.map(function (player) {
+        return player.name;
+      });
+      if (state.players.some(function (player) {
+        return player.courseHandicap === null;
+      })) {
+        output.textContent = t("Strokes and match status need a Handicap Index for every player.");
+        return;
+      }
+      var strokes = state.players.map(function (player) {
+        return player.strokes;
+      });
+      if (state.mode === "best-ball") {
+        var bestBall = WHSService.calculateBestBall(state.holes, state.scores, strokes);
+        output.textContent = bestBall.holesPlayed === 0
+          ? t("Best ball: no holes completed yet")
+          : t("Best ball net {score} ({toPar}) after {holes}", { score: bestBall.netScore, toPar: this.formatToPar(bestBall.toPar), holes: bestBall.holesPlayed });
+        return;
+      }
+      var match = WHSService.calculateMatchStatus(state.holes, state.scores, strokes);
+      var sides = names.length === 2 ? names : [names[0] + " & " + names[1], names[2] + " & " + names[3]];
+      var leader = match.lead > 0 ? sides[0] : sides[1];
+      var lead = Math.abs(match.lead);
+      if (match.holesPlayed === 0) {
+        output.textContent = t("{side} v {other}: all square", { side: sides[0], other: sides[1] });
+      } else if (match.finished && lead === 0) {
+        output.textContent = t("Match halved");
+      } else if (match.finished) {
+        output.textContent = match.holesRemaining === 0
+          ? t("{name} wins {lead} UP", { name: leader, lead: lead })
+          : t("{name} wins {lead} & {remaining}", { name: leader, lead: lead, remaining: match.holesRemaining });
+      } else if (lead === 0) {
+        output.textContent = t("All square after {holes}", { holes: match.holesPlayed });
+      } else {
+        output.textContent = t(lead === match.holesRemaining ? "{name} {lead} UP after {holes} (dormie)" : "{name} {lead} UP after {holes}",
+          { name: leader, lead: lead, holes: match.holesPlayed });
+      }
+    },
+
+    /**
+     * Format a score relative to par.
+     * @param {number} toPar - Strokes over (positive) or under par
+     * @returns {string} e.g. "+3", "-2" or "level par"
+     */
+    formatToPar: function (toPar) {
+      if (toPar === 0) return t("level par");
+      return (toPar > 0 ? "+" : "") + toPar;
+    },
+
+    /**
+     * Keep the group round across reloads.
+     * @returns {Promise<void>}
+     */
+    saveState: function () {
+      return StorageService.saveSetting("groupRound", this.state).then(function (saveResult) {
+        if (!saveResult.success) console.error("Error saving the group round:", saveResult.error);
+      });
+    },
+
+    /**
+     * Post every player's round into their own record through the same save path as the round form.
+     * Each player is marked as posted once saved, so posting again after a failure only posts
+     * the players that are still missing.
+     * @returns {Promise<void>}
+     */
+    postRounds: function () {
+      var state = this.state;
+      if (!state) return Promise.resolve();
+      UIService.clearResult(this.elements.scoringResult);
+      var app = this.app;
+      var course = CourseService.findCourse(app.getCourses(), state.courseId);
+      var tee = course ? CourseService.findTee(course, state.teeId) : null;
+      var inputs = [];
+      for (var i = 0; i < state.players.length; i++) {
+        var player = state.players[i];
+        if (player.posted) {
+          inputs.push(null);
+          continue;
+        }
+        var holesValidation = ValidationService.validateHoles(state.holes.map(function (hole, holeIndex) {
+          return { par: hole.par, strokeIndex: hole.strokeIndex, strokes: state.scores[i][holeIndex] };
+        }), state.holes.length);
+        if (!holesValidation.valid) {
+          UIService.showError(this.elements.scoringResult, player.name + ": " + holesValidation.error);
+          return Promise.resolve();
+        }
+        inputs.push({
+          id: String(Date.now() + i),
+          date: state.date,
+          holesPlayed: state.holes.length,
+          holes: holesValidation.value,
+          score: null,
+          courseRating: player.courseRating,
+          slope: player.slope,
+          pcc: 0,
+          pccSource: "manual",
+          tee: tee ? { course: course, tee: tee, ratingSet: player.ratingSet } : null,
+          format: ""
+        });
+      }
+
+      var view = this;
+      var chain = Promise.resolve();
+      inputs.forEach(function (input, index) {
+        if (!input) return;
+        var player = state.players[index];
+        chain = chain.then(function () {
+          return app.saveRound(player.profileId, input, null);
+        }).then(function (saveResult) {
+          if (!saveResult.success) throw new Error(player.name + ": " + saveResult.error);
+          player.posted = player.name + " " + (saveResult.round.differential === null
+            ? t("9-hole differential {value}", { value: UIService.formatNumber(saveResult.round.nineHoleDifferential) })
+            : t("differential {value}", { value: UIService.formatNumber(saveResult.round.differential) }));
+          return view.saveState();
+        });
+      });
+      var listPosted = function () {
+        return state.players.filter(function (player) {
+          return player.posted;
+        }).map(function (player) {
+          return player.posted;
+        });
+      };
+      return chain.then(function () {
+        view.reset();
+        app.updateUI();
+        view.elements.setupResult.textContent = t("Rounds posted: {rounds}.", { rounds: listPosted().join(", ") });
+        view.elements.setupResult.classList.add("visible");
+      }).catch(function (e) {
+        app.updateUI();
+        var done = listPosted().length > 0 ? " " + t("Already posted: {rounds}.", { rounds: listPosted().join(", ") }) : "";
+        UIService.showError(view.elements.scoringResult, I18nService.translateError(e.message) + done);
+      });
+    },
+
+    /**
+     * Drop the current group round and go back to the setup.
+     */
+    reset: function () {
+      this.state = null;
+      this.elements.scoring.hidden = true;
+      this.elements.setupForm.hidden = false;
+      this.elements.card.textContent = "";
+      UIService.clearResult(this.elements.setupResult);
+      StorageService.saveSetting("groupRound", null).then(function (saveResult) {
+        if (!saveResult.success) console.error("Error clearing the group round:", saveResult.error);
+      });
+    }
+  };
+
+  // ============================================================================
+  // HISTORY VIEW (handicap index timeline chart, SVG)
+  // ============================================================================
+
+  var HistoryView = {
+    CHART_WIDTH: 360,
+    CHART_HEIGHT: 200,
+    PADDING: { top: 12, right: 12, bottom: 24, left: 34 },
+    RANGES: { "3m": 3, "1y": 12, "all": null },
+    app: null,
+    DEFAULT_RANGE: "1y",
+    range: "1y",
+    points: [],
+    selectedIndex: -1,
+    xFor: null,
+    yFor: null,
+    cursor: null,
+    marker: null,
+    elements: {
+      panel: null,
+      rangeButtons: null,
+      chart: null,
+      details: null
+    },
+
+    /**
+     * Initialize the history panel.
+     * @param {Object} app - Application instance, used to read the rounds
+     */
+    init: function (app) {
+      this.app = app;
+      this.elements.panel = document.getElementById("history-panel");
+      this.elements.rangeButtons = document.getElementById("history-ranges");
+      this.elements.chart = document.getElementById("history-chart");
+      this.elements.details = document.getElementById("history-details");
+
+      for (var key in this.elements) {
+        if (!this.elements[key]) {
+          console.error("Missing history element:", key);
+          return;
+        }
+      }
+
+      var view = this;
+      this.elements.panel.addEventListener("toggle", function () {
+        if (view.elements.panel.open) view.render();
+      });
+      this.elements.rangeButtons.addEventListener("click", function (event) {
+        var range = event.target.getAttribute("data-range");
+        if (!range || !(range in view.RANGES)) return;
+        view.range = range;
+        view.render();
+        view.app.updateProfileSettings({ historyRange: range });
+      });
+    },
+
+    /**
+     * Re-render the chart if the panel is open.
+     */
+    refresh: function () {
+      if (this.elements.panel && this.elements.panel.open) this.render();
+    },
+
+    /**
+     * Build chart points from the index history: one point per counting round.
+     * @param {Array<Object>} rounds - All rounds (newest first)
+     * @returns {Array<{date: string, handicap: number|null, differential: number, round: Object}>} Points, oldest first
+     */
+    buildPoints: function (rounds) {
+      var byId = {};
+      rounds.forEach(function (round) {
+        byId[round.id] = round;
+      });
+      return WHSService.buildIndexHistory(rounds).map(function (revision) {
+        var round = byId[revision.roundId];
+        return {
+          date: revision.date,
+          handicap: revision.handicap,
+          differential: WHSService.getEffectiveDifferential(round),
+          round: round
+        };
+      });
+    },
+
+    /**
+     * Earliest date shown for the selected range.
+     * @returns {string|null} YYYY-MM-DD or null for all rounds
+     */
+    getRangeStart: function () {
+      var months = this.RANGES[this.range];
+      if (months === null) return null;
+      var start = new Date();
+      start.setMonth(start.getMonth() - months);
+      return start.getFullYear() + "-" + String(start.getMonth() + 1).padStart(2, "0") + "-" + String(start.getDate()).padStart(2, "0");
+    },
+
+    /**
+     * Render range buttons, chart and details.
+     */
+    render: function () {
+      var buttons = this.elements.rangeButtons.querySelectorAll("[data-range]");
+      for (var i = 0; i < buttons.length; i++) {
+        var active = buttons[i].getAttribute("data-range") === this.range;
+        buttons[i].classList.toggle("active", active);
+        buttons[i].setAttribute("aria-pressed", active ? "true" : "false");
+      }
+
+      var rangeStart = this.getRangeStart();
+      this.points = this.buildPoints(this.app.getRoundsNewestFirst()).filter(function (point) {
+        return rangeStart === null || point.date >= rangeStart;
+      });
+      this.selectedIndex = this.points.length - 1;
+      this.elements.chart.textContent = "";
+      if (this.points.length === 0) {
+        var empty = document.createElement("p");
+        empty.className = "rounds-empty";
+        empty.textContent = t("No rounds in this period.");
+        this.elements.chart.appendChild(empty);
+        this.elements.details.textContent = "";
+        return;
+      }
+      this.elements.chart.appendChild(this.buildChart());
+      this.showDetails(this.selectedIndex);
+    },
+
+    /**
+     * Build the SVG chart for the current points.
+     * @returns {SVGSVGElement} Chart element
+     */
+    buildChart: function () {
+      var view = this;
+      var points = this.points;
+      var pad = this.PADDING;
+      var width = this.CHART_WIDTH;
+      var height = this.CHART_HEIGHT;
+      var plotWidth = width - pad.left - pad.right;
+      var plotHeight = height - pad.top - pad.bottom;
+
+      var values = [];
+      points.forEach(function (point) {
+        values.push(point.differential);
+        if (point.handicap !== null) values.push(point.handicap);
+      });
+      var minValue = Math.floor(Math.min.apply(null, values)) - 1;
+      var maxValue = Math.ceil(Math.max.apply(null, values)) + 1;
+      var firstTime = this.toTime(points[0].date);
+      var lastTime = this.toTime(points[points.length - 1].date);
+      var timeSpan = lastTime - firstTime;
+
+      this.xFor = function (index) {
+        if (timeSpan === 0) {
+          return pad.left + (points.length === 1 ? plotWidth / 2 : plotWidth * index / (points.length - 1));
+        }
+        return pad.left + plotWidth * (view.toTime(points[index].date) - firstTime) / timeSpan;
+      };
+      var yFor = function (value) {
+        return pad.top + plotHeight * (maxValue - value) / (maxValue - minValue);
+      };
+
+      var svg = UIService.createSvgElement("svg", {
+        viewBox: "0 0 " + width + " " + height,
+        class: "history-svg",
+        role: "img",
+        tabindex: "0",
+        "aria-label": t("Handicap index and differentials over time. Use the arrow keys to move between rounds.")
+      });
+
+      var step = Math.max(1, Math.ceil((maxValue - minValue) / 5));
+      for (var tick = Math.ceil(minValue / step) * step; tick <= maxValue; tick += step) {
+        var y = yFor(tick);
+        svg.appendChild(UIService.createSvgElement("line", { x1: pad.left, x2: width - pad.right, y1: y, y2: y, class: "history-grid" }));
+        var label = UIService.createSvgElement("text", { x: pad.left - 6, y: y + 3, class: "history-axis", "text-anchor": "end" });
+        label.textContent = String(tick);
+        svg.appendChild(label);
+      }
+      [0, points.length - 1].forEach(function (index, position) {
+        if (position === 1 && index === 0) return;
+        var dateLabel = UIService.createSvgElement("text", {
+          x: view.xFor(index),
+          y: height - 6,
+          class: "history-axis",
+          "text-anchor": position === 0 ? "start" : "end"
+        });
+        dateLabel.textContent = UIService.formatDate(points[index].date);
+        svg.appendChild(dateLabel);
+      });
+
+      points.forEach(function (point, index) {
+        svg.appendChild(UIService.createSvgElement("circle", {
+          cx: view.xFor(index),
+          cy: yFor(point.differential),
+          r: 2.5,
+          class: "history-differential"
+        }));
+      });
+      var linePoints = [];
+      points.forEach(function (point, index) {
+        if (point.handicap !== null) linePoints.push(view.xFor(index).toFixed(1) + "," + yFor(point.handicap).toFixed(1));
+      });
+      svg.appendChild(UIService.createSvgElement("polyline", { points: linePoints.join(" "), class: "history-index" }));
+
+      this.cursor = UIService.createSvgElement("line", { y1: pad.top, y2: height - pad.bottom, class: "history-cursor" });
+      this.marker = UIService.createSvgElement("circle", { r: 4, class: "history-marker" });
+      this.yFor = yFor;
+      svg.appendChild(this.cursor);
+      svg.appendChild(this.marker);
+
+      var selectAt = function (event) {
+        var rect = svg.getBoundingClientRect();
+        if (!rect.width) return;
+        var x = (event.clientX - rect.left) / rect.width * width;
+        var nearest = 0;
+        for (var i = 1; i < points.length; i++) {
+          if (Math.abs(view.xFor(i) - x) < Math.abs(view.xFor(nearest) - x)) nearest = i;
+        }
+        view.showDetails(nearest);
+      };
+      svg.addEventListener("pointermove", selectAt);
+      svg.addEventListener("pointerdown", selectAt);
+      svg.addEventListener("keydown", function (event) {
+        if (event.key === "ArrowLeft" && view.selectedIndex > 0) {
+          view.showDetails(view.selectedIndex - 1);
+          event.preventDefault();
+        } else if (event.key === "ArrowRight" && view.selectedIndex < points.length - 1) {
+          view.showDetails(view.selectedIndex + 1);
+          event.preventDefault();
+        }
+      });
+      return svg;
+    },
+
+    /**
+     * Highlight a point and describe it below the chart.
+     * @param {number} index - Point index
+     */
+    showDetails: function (index) {
+      var point = this.points[index];
+      if (!point) return;
+      this.selectedIndex = index;
+      var x = this.xFor(index);
+      var y = this.yFor(point.handicap !== null ? point.handicap : point.differential);
+      this.cursor.setAttribute("x1", x);
+      this.cursor.setAttribute("x2", x);
+      this.marker.setAttribute("cx", x);
+      this.marker.setAttribute("cy", y);
+      var text = UIService.formatDate(point.date) + " · " + t("Index {value}", { value: point.handicap === null ? "—" : UIService.formatNumber(point.handicap) }) +
+        " · " + t("Differential {value}", { value: UIService.formatNumber(point.differential) });
+      var courseDescription = CourseService.describeRound(point.round, this.app.getCourses());
+      if (courseDescription) text += " · " + courseDescription;
+      this.elements.details.textContent = text;
+    },
+
+    /**
+     * Convert a YYYY-MM-DD date to a UTC timestamp.
+     * @param {string} isoDate - Date
+     * @returns {number} Milliseconds since epoch
+     */
+    toTime: function (isoDate) {
+      var parts = isoDate.split("-");
+      return Date.UTC(Number(parts[0]), Number(parts[1]) - 1, Number(parts[2]));
+    }
+  };
+
+  // ============================================================================
+  // STATISTICS VIEW (scoring summary, sortable group tables and charts)
+  // ============================================================================
+
+  var StatisticsView = {
+    CHART_WIDTH: 360,
+    CHART_HEIGHT: 160,
+    PADDING: { top: 12, right: 12, bottom: 24, left: 34 },
+    // Columns of the group tables; "label" sorts alphabetically, all others numerically
+    COLUMNS: [
+      { key: "label", title: "" },
+      { key: "count", title: "Rounds" },
+      { key: "average", title: "Avg." },
+      { key: "best", title: "Best" },
+      { key: "worst", title: "Worst" },
+      { key: "standardDeviation", title: "Std. dev." }
+    ],
+    app: null,
+    sort: {
+      course: { key: "count", descending: true },
+      month: { key: "label", descending: true },
+      season: { key: "label", descending: true }
+    },
+    elements: {
+      panel: null,
+      summary: null,
+      consistency: null,
+      holes: null,
+      courses: null,
+      months: null,
+      seasons: null
+    },
+
+    /**
+     * Initialize the statistics panel.
+     * @param {Object} app - Application instance, used to read rounds and courses
+     */
+    init: function (app) {
+      this.app = app;
+      this.elements.panel = document.getElementById("stats-panel");
+      this.elements.summary = document.getElementById("stats-summary");
+      this.elements.consistency = document.getElementById("stats-consistency");
+      this.elements.holes = document.getElementById("stats-holes");
+      this.elements.courses = document.getElementById("stats-courses");
+      this.elements.months = document.getElementById("stats-months");
+      this.elements.seasons = document.getElementById("stats-seasons");
+
+      for (var key in this.elements) {
+        if (!this.elements[key]) {
+          console.error("Missing statistics element:", key);
+          return;
+        }
+      }
+
+      var view = this;
+      this.elements.panel.addEventListener("toggle", function () {
+        if (view.elements.panel.open) view.render();
+      });
+    },
+
+    /**
+     * Re-render the statistics if the panel is open.
+     */
+    refresh: function () {
+      if (this.elements.panel && this.elements.panel.open) this.render();
+    },
+
+    /**
+     * Render all statistics for the active profile.
+     */
+    render: function () {
+      var rounds = this.app.getRoundsNewestFirst();
+      var entries = StatisticsService.getEntries(rounds);
+      var courses = this.app.getCourses();
+      this.renderSummary(rounds, entries);
+      this.renderConsistency(entries);
+      this.renderHoles(StatisticsService.getHoleDistribution(rounds));
+      this.renderTable(this.elements.courses, "course", t("Course and tee"), StatisticsService.byCourse(entries, courses));
+      this.renderTable(this.elements.months, "month", t("Month"), StatisticsService.byMonth(entries));
+      this.renderTable(this.elements.seasons, "season", t("Season"), StatisticsService.bySeason(entries));
+    },
+
+    /**
+     * Format a statistic for display.
+     * @param {number|null} value - Value
+     * @returns {string} Value or a dash when not available
+     */
+    formatValue: function (value) {
+      return value === null || value === undefined ? "—" : UIService.formatNumber(value);
+    },
+
+    /**
+     * Render the summary tiles.
+     * @param {Array<Object>} rounds - All rounds (newest first)
+     * @param {Array<Object>} entries - Entries (see StatisticsService.getEntries)
+     */
+    renderSummary: function (rounds, entries) {
+      var container = this.elements.summary;
+      container.textContent = "";
+      var info = WHSService.getHandicapInfo(rounds);
+      var summary = StatisticsService.summarize(entries.map(function (entry) {
+        return entry.differential;
+      }));
+      var fullRounds = entries.filter(function (entry) {
+        return entry.round.holesPlayed !== CONFIG.NINE_HOLES;
+      });
+      var tiles = [
+        ["Handicap Index", info.handicap],
+        ["Low Handicap Index", info.lowHandicapIndex],
+        ["Rounds", summary.count],
+        ["Avg. differential", summary.average],
+        ["Best differential", summary.best],
+        ["Worst differential", summary.worst],
+        ["Std. deviation", summary.standardDeviation],
+        ["Avg. gross (18 holes)", StatisticsService.average(fullRounds.map(function (entry) {
+          return entry.round.score;
+        }))]
+      ];
+      var view = this;
+      tiles.forEach(function (tile) {
+        var item = document.createElement("div");
+        item.className = "calculator-value";
+        item.appendChild(document.createTextNode(t(tile[0])));
+        var value = document.createElement("strong");
+        value.textContent = view.formatValue(tile[1]);
+        item.appendChild(value);
+        container.appendChild(item);
+      });
+    },
+
+    /**
+     * Append an empty-state message.
+     * @param {HTMLElement} container - Container
+     * @param {string} message - Message
+     */
+    showEmpty: function (container, message) {
+      var empty = document.createElement("p");
+      empty.className = "rounds-empty";
+      empty.textContent = message;
+      container.appendChild(empty);
+    },
+
+    /**
+     * Render the consistency trend: rolling standard deviation of differentials.
+     * @param {Array<Object>} entries - Entries (see StatisticsService.getEntries), oldest first
+     */
+    renderConsistency: function (entries) {
+      var container = this.elements.consistency;
+      container.textContent = "";
+      var points = StatisticsService.getConsistencyTrend(entries);
+      if (points.length < 2) {
+        this.showEmpty(container, t("The consistency trend needs at least {count} rounds.", { count: CONFIG.STATS_CONSISTENCY_WINDOW + 1 }));
+        return;
+      }
+      var pad = this.PADDING;
+      var width = this.CHART_WIDTH;
+      var height = this.CHART_HEIGHT;
+      var plotWidth = width - pad.left - pad.right;
+      var plotHeight = height - pad.top - pad.bottom;
+      var values = points.map(function (point) {
+        return point.standardDeviation;
+      });
+      var maxValue = Math.ceil(Math.max.apply(null, values)) + 1;
+      var xFor = function (index) {
+        return pad.left + plotWidth * index / (points.length - 1);
+      };
+      var yFor = function (value) {
+        return pad.top + plotHeight * (maxValue - value) / maxValue;
+      };
+
+      var svg = UIService.createSvgElement("svg", {
+        viewBox: "0 0 " + width + " " + height,
+        class: "history-svg",
+        role: "img",
+        "aria-label": t("Standard deviation of the last {count} differentials over time, from {first} to {last}.", {
+          count: CONFIG.STATS_CONSISTENCY_WINDOW,
+          first: UIService.formatNumber(values[0]),
+          last: UIService.formatNumber(values[values.length - 1])
+        })
+      });
+      var step = Math.max(1, Math.ceil(maxValue / 4));
+      for (var tick = 0; tick <= maxValue; tick += step) {
+        var y = yFor(tick);
+        svg.appendChild(UIService.createSvgElement("line", { x1: pad.left, x2: width - pad.right, y1: y, y2: y, class: "history-grid" }));
+        var label = UIService.createSvgElement("text", { x: pad.left - 6, y: y + 3, class: "history-axis", "text-anchor": "end" });
+        label.textContent = String(tick);
+        svg.appendChild(label);
+      }
+      [0, points.length - 1].forEach(function (index, position) {
+        var dateLabel = UIService.createSvgElement("text", {
+          x: xFor(index),
+          y: height - 6,
+          class: "history-axis",
+          "text-anchor": position === 0 ? "start" : "end"
+        });
+        dateLabel.textContent = UIService.formatDate(points[index].date);
+        svg.appendChild(dateLabel);
+      });
+      svg.appendChild(UIService.createSvgElement("polyline", {
+        points: points.map(function (point, index) {
+          return xFor(index).toFixed(1) + "," + yFor(point.standardDeviation).toFixed(1);
+        }).join(" "),
+        class: "history-index"
+      }));
+      container.appendChild(svg);
+
+      var note = document.createElement("p");
+      note.className = "stats-note";
+      note.textContent = t("Standard deviation of your last {count} differentials after each round. Lower means more consistent.",
+        { count: CONFIG.STATS_CONSISTENCY_WINDOW });
+      container.appendChild(note);
+    },
+
+    /**
+     * Render the distribution of hole results as a bar chart.
+     * @param {Object} distribution - Result of StatisticsService.getHoleDistribution
+     */
+    renderHoles: function (distribution) {
+      var container = this.elements.holes;
+      container.textContent = "";
+      if (distribution.holes === 0) {
+        this.showEmpty(container, t("Enter rounds hole by hole to see how your holes are scored."));
+        return;
+      }
+      var list = document.createElement("ul");
+      list.className = "stats-bars";
+      list.setAttribute("aria-label", t("Hole results over {count} holes", { count: distribution.holes }));
+      distribution.results.forEach(function (result) {
+        var item = document.createElement("li");
+        item.className = "stats-bar stats-bar-" + result.key;
+        var label = document.createElement("span");
+        label.className = "stats-bar-label";
+        label.textContent = t(result.label);
+        var track = document.createElement("span");
+        track.className = "stats-bar-track";
+        var fill = document.createElement("span");
+        fill.className = "stats-bar-fill";
+        fill.style.width = (result.share * 100).toFixed(1) + "%";
+        track.appendChild(fill);
+        var value = document.createElement("span");
+        value.className = "stats-bar-value";
+        value.textContent = result.count + " (" + Math.round(result.share * 100) + "%)";
+        item.appendChild(label);
+        item.appendChild(track);
+        item.appendChild(value);
+        list.appendChild(item);
+      });
+      container.appendChild(list);
+
+      var note = document.createElement("p");
+      note.className = "stats-note";
+      var parts = distribution.byPar.map(function (entry) {
+        return t("par {par}s {average}", { par: entry.par, average: UIService.formatNumber(entry.average, 2) });
+      });
+      note.textContent = t(distribution.rounds === 1 ? "{holes} holes from {rounds} round." : "{holes} holes from {rounds} rounds.",
+        { holes: distribution.holes, rounds: distribution.rounds }) + " " + t("Average strokes: {averages}.", { averages: parts.join(", ") });
+      if (distribution.adjustedHoles > 0) {
+        note.textContent += " " + t(distribution.adjustedHoles === 1 ? "{count} hole was capped at net double bogey." : "{count} holes were capped at net double bogey.",
+          { count: distribution.adjustedHoles });
+      }
+      container.appendChild(note);
+    },
+
+    /**
+     * Sort groups by the selected column. Ties keep their original order.
+     * @param {Array<Object>} groups - Groups (see StatisticsService.groupEntries)
+     * @param {{key: string, descending: boolean}} sort - Sort column and direction
+     * @returns {Array<Object>} Sorted copy
+     */
+    sortGroups: function (groups, sort) {
+      var direction = sort.descending ? -1 : 1;
+      return groups.map(function (group, index) {
+        return { group: group, index: index };
+      }).sort(function (a, b) {
+        var first = a.group[sort.key];
+        var second = b.group[sort.key];
+        var result;
+        if (sort.key === "label") {
+          result = a.group.sortKey.localeCompare(b.group.sortKey);
+        } else if (first === null || second === null) {
+          // Missing values always sort last
+          result = (first === null) - (second === null);
+          return result || a.index - b.index;
+        } else {
+          result = first - second;
+        }
+        return result * direction || a.index - b.index;
+      }).map(function (item) {
+        return item.group;
+      });
+    },
+
+    /**
+     * Render a sortable table of groups.
+     * @param {HTMLElement} container - Container
+     * @param {string} tableKey - Key into the sort state
+     * @param {string} groupTitle - Title of the group column
+     * @param {Array<Object>} groups - Groups (see StatisticsService.groupEntries)
+     */
+    renderTable: function (container, tableKey, groupTitle, groups) {
+      container.textContent = "";
+      if (groups.length === 0) {
+        this.showEmpty(container, t("No rounds yet."));
+        return;
+      }
+      var view = this;
+      var sort = this.sort[tableKey];
+      var columns = this.COLUMNS.slice();
+      if (tableKey === "course") columns.splice(2, 0, { key: "averageScore", title: "Avg. gross" });
+
+      var table = document.createElement("table");
+      table.className = "scorecard-table stats-table";
+      var headRow = document.createElement("tr");
+      columns.forEach(function (column) {
+        var th = document.createElement("th");
+        th.scope = "col";
+        if (column.key === sort.key) th.setAttribute("aria-sort", sort.descending ? "descending" : "ascending");
+        var button = document.createElement("button");
+        button.type = "button";
+        button.className = "stats-sort";
+        button.textContent = column.title ? t(column.title) : groupTitle;
+        button.addEventListener("click", function () {
+          view.sort[tableKey] = {
+            key: column.key,
+            descending: column.key === sort.key ? !sort.descending : column.key !== "label"
+          };
+          view.renderTable(container, tableKey, groupTitle, groups);
+          container.querySelector("th[aria-sort] .stats-sort").focus();
+        });
+        th.appendChild(button);
+        headRow.appendChild(th);
+      });
+      var thead = document.createElement("thead");
+      thead.appendChild(headRow);
+      table.appendChild(thead);
+
+      var tbody = document.createElement("tbody");
+      this.sortGroups(groups, sort).forEach(function (group) {
+        var row = document.createElement("tr");
+        columns.forEach(function (column, index) {
+          var cell = document.createElement(index === 0 ? "th" : "td");
+          if (index === 0) cell.scope = "row";
+          cell.textContent = index === 0 ? group.label : view.formatValue(group[column.key]);
+          row.appendChild(cell);
+        });
+        tbody.appendChild(row);
+      });
+      table.appendChild(tbody);
+      container.appendChild(table);
+    }
+  };
+
+  // ============================================================================
+  // WHAT-IF VIEW (next score to drop, targets for the next round, hypothetical rounds)
+  // ============================================================================
+
+  var WhatIfView = {
+    app: null,
+    hypotheticalRounds: [],
+    nextId: 1,
+    elements: {
+      panel: null,
+      drop: null,
+      form: null,
+      courseSelect: null,
+      teeField: null,
+      teeSelect: null,
+      manualFields: null,
+      courseRatingInput: null,
+      slopeInput: null,
+      targets: null,
+      scoreInput: null,
+      message: null,
+      list: null,
+      projection: null
+    },
+
+    /**
+     * Initialize the simulator.
+     * @param {Object} app - Application instance, source of the rounds and course library
+     */
+    init: function (app) {
+      this.app = app;
+      this.elements.panel = document.getElementById("whatif-panel");
+      this.elements.drop = document.getElementById("whatif-drop");
+      this.elements.form = document.getElementById("whatif-form");
+      this.elements.courseSelect = document.getElementById("whatif-course");
+      this.elements.teeField = document.getElementById("whatif-tee-field");
+      this.elements.teeSelect = document.getElementById("whatif-tee");
+      this.elements.manualFields = document.getElementById("whatif-manual");
+      this.elements.courseRatingInput = document.getElementById("whatif-course-rating");
+      this.elements.slopeInput = document.getElementById("whatif-slope");
+      this.elements.targets = document.getElementById("whatif-targets");
+      this.elements.scoreInput = document.getElementById("whatif-score");
+      this.elements.message = document.getElementById("whatif-message");
+      this.elements.list = document.getElementById("whatif-list");
+      this.elements.projection = document.getElementById("whatif-projection");
+
+      for (var key in this.elements) {
+        if (!this.elements[key]) {
+          console.error("Missing what-if element:", key);
+          this.elements.panel = null;
+          return;
+        }
+      }
+
+      var view = this;
+      this.elements.panel.addEventListener("toggle", function () {
+        if (view.elements.panel.open) view.render();
+      });
+      this.elements.courseSelect.addEventListener("change", function () {
+        view.renderTeePicker();
+        view.render();
+      });
+      this.elements.teeSelect.addEventListener("change", this.render.bind(this));
+      this.elements.courseRatingInput.addEventListener("input", this.render.bind(this));
+      this.elements.slopeInput.addEventListener("input", this.render.bind(this));
+      this.elements.form.addEventListener("submit", function (event) {
+        event.preventDefault();
+        view.addHypotheticalRound();
+      });
+      this.renderCoursePicker();
+    },
+
+    /**
+     * Re-render if the panel is open.
+     */
+    refresh: function () {
+      if (this.elements.panel && this.elements.panel.open) this.render();
+    },
+
+    /**
+     * Forget the hypothetical rounds (e.g. when another player is shown).
+     */
+    reset: function () {
+      this.hypotheticalRounds = [];
+      this.refresh();
+    },
+
+    /**
+     * Fill the course picker from the library.
+     */
+    renderCoursePicker: function () {
+      if (!this.elements.panel) return;
+      UIService.fillCourseSelect(this.elements.courseSelect, this.app.getCourses(), t("Enter ratings manually"));
+      this.renderTeePicker();
+      this.refresh();
+    },
+
+    /**
+     * Fill the tee picker and toggle the manual rating fields.
+     */
+    renderTeePicker: function () {
+      var course = CourseService.findCourse(this.app.getCourses(), this.elements.courseSelect.value);
+      UIService.fillTeeSelect(this.elements.teeSelect, course, this.app.getPreferredRatingSet());
+      this.elements.teeField.hidden = !course;
+      this.elements.manualFields.hidden = !!course;
+    },
+
+    /**
+     * Select a course in the picker (e.g. the player's home course).
+     * @param {string} courseId - Course id, or "" for manual ratings
+     */
+    selectCourse: function (courseId) {
+      if (!this.elements.panel) return;
+      this.elements.courseSelect.value = courseId;
+      if (this.elements.courseSelect.selectedIndex < 0) this.elements.courseSelect.value = "";
+      this.renderTeePicker();
+      this.refresh();
+    },
+
+    /**
+     * Read the ratings of the next round from the tee picker or the manual fields.
+     * @returns {{valid: boolean, error: string|null, value: {courseRating: number, slope: number}|null}}
+     */
+    readRatings: function () {
+      var course = CourseService.findCourse(this.app.getCourses(), this.elements.courseSelect.value);
+      var option = CourseService.findTeeOption(course, this.elements.teeSelect.value);
+      if (option) {
+        return { valid: true, error: null, value: { courseRating: option.courseRating, slope: option.slope } };
+      }
+      var courseRatingValidation = ValidationService.validateCourseRating(this.elements.courseRatingInput.value);
+      if (!courseRatingValidation.valid) return courseRatingValidation;
+      var slopeValidation = ValidationService.validateSlope(this.elements.slopeInput.value);
+      if (!slopeValidation.valid) return slopeValidation;
+      return { valid: true, error: null, value: { courseRating: courseRatingValidation.value, slope: slopeValidation.value } };
+    },
+
+    /**
+     * Date the next score is assumed to be played: today, or the latest round if that is later.
+     * @param {Array<Object>} rounds - Rounds (newest first)
+     * @returns {string} YYYY-MM-DD
+     */
+    getNextDate: function (rounds) {
+      var today = UIService.getToday();
+      return rounds.length > 0 && rounds[0].date > today ? rounds[0].date : today;
+    },
+
+    /**
+     * Saved rounds with the hypothetical ones on top, newest first.
+     * @returns {Array<Object>} Rounds
+     */
+    getSimulatedRounds: function () {
+      return this.hypotheticalRounds.concat(this.app.getRoundsNewestFirst());
+    },
+
+    /**
+     * Add a hypothetical round from the gross score at the selected tee.
+     */
+    addHypotheticalRound: function () {
+      var ratings = this.readRatings();
+      if (!ratings.valid) {
+        this.elements.message.textContent = I18nService.translateError(ratings.error);
+        return;
+      }
+      var scoreValidation = ValidationService.validateScore(this.elements.scoreInput.value);
+      if (!scoreValidation.valid) {
+        this.elements.message.textContent = I18nService.translateError(scoreValidation.error);
+        this.elements.scoreInput.focus();
+        return;
+      }
+      this.elements.message.textContent = "";
+      var simulated = this.getSimulatedRounds();
+      this.hypotheticalRounds.unshift({
+        id: "what-if-" + this.nextId++,
+        date: this.getNextDate(simulated),
+        score: scoreValidation.value,
+        adjustedScore: scoreValidation.value,
+        courseRating: ratings.value.courseRating,
+        slope: ratings.value.slope,
+        differential: WHSService.calculateScoreDifferential(scoreValidation.value, ratings.value.courseRating, ratings.value.slope)
+      });
+      this.elements.scoreInput.value = "";
+      this.render();
+    },
+
+    /**
+     * Remove a hypothetical round.
+     * @param {string} id - Hypothetical round id
+     */
+    removeHypotheticalRound: function (id) {
+      this.hypotheticalRounds = this.hypotheticalRounds.filter(function (round) {
+        return round.id !== id;
+      });
+      this.render();
+    },
+
+    /**
+     * Render the forecast for the saved plus hypothetical rounds.
+     */
+    render: function () {
+      if (!this.elements.panel) return;
+      var rounds = this.getSimulatedRounds();
+      this.renderDrop(rounds);
+      this.renderTargets(rounds);
+      this.renderHypotheticalRounds();
+    },
+
+    /**
+     * Describe the score that drops out of the 20-score window next.
+     * @param {Array<Object>} rounds - Saved and hypothetical rounds (newest first)
+     */
+    renderDrop: function (rounds) {
+      var next = WHSService.getNextRoundToDrop(rounds);
+      if (!next) {
+        var count = WHSService.getScoringRecord(rounds).length;
+        this.elements.drop.textContent = t("You have {count} of {max} scores, so no round drops out of your record yet.",
+          { count: count, max: CONFIG.MAX_ROUNDS_FOR_HANDICAP });
+        return;
+      }
+      var counting = WHSService.getCountingRoundIds(rounds).indexOf(next.id) !== -1;
+      this.elements.drop.textContent = t(counting
+        ? "Next to drop out: your round on {date} (differential {differential}), one of the rounds your index is based on."
+        : "Next to drop out: your round on {date} (differential {differential}), which does not count towards your index at the moment.", {
+        date: UIService.formatDate(next.date),
+        differential: UIService.formatNumber(WHSService.getEffectiveDifferential(next))
+      });
+    },
+
+    /**
+     * Render the differentials (and gross scores at the selected tee) that lower, keep or raise the index.
+     * @param {Array<Object>} rounds - Saved and hypothetical rounds (newest first)
+     */
+    renderTargets: function (rounds) {
+      var container = this.elements.targets;
+      container.textContent = "";
+      var targets = WHSService.getDifferentialTargets(rounds, this.getNextDate(rounds));
+      if (targets.handicap === null) {
+        this.appendNote(t("Post a round first: the simulator needs a Handicap Index to work from."));
+        return;
+      }
+      var ratings = this.readRatings();
+      var scoreFor = function (differential) {
+        return WHSService.calculateMaxScoreForDifferential(differential, ratings.value.courseRating, ratings.value.slope);
+      };
+      var keepScore = ratings.valid && targets.keep !== null ? scoreFor(targets.keep) : null;
+      var handicap = UIService.formatNumber(targets.handicap);
+      var entries = [
+        {
+          label: t("Lower than {index}", { index: handicap }),
+          value: targets.lower === null ? "—" : "≤ " + UIService.formatNumber(targets.lower),
+          score: targets.lower === null || !ratings.valid ? null : scoreFor(targets.lower),
+          scoreText: "Gross ≤ {score}"
+        },
+        {
+          label: t("Keep at {index}", { index: handicap }),
+          value: targets.keep === null ? "—" : targets.keep >= CONFIG.SIMULATION_MAX_DIFFERENTIAL ? t("Any") : "≤ " + UIService.formatNumber(targets.keep),
+          score: targets.keep === null || targets.keep >= CONFIG.SIMULATION_MAX_DIFFERENTIAL ? null : keepScore,
+          scoreText: "Gross ≤ {score}"
+        },
+        {
+          label: t("Raise above {index}", { index: handicap }),
+          value: targets.raise === null ? "—" : "≥ " + UIService.formatNumber(targets.raise),
+          score: targets.raise === null || !ratings.valid ? null : (keepScore === null ? 1 : keepScore + 1),
+          scoreText: "Gross ≥ {score}"
+        }
+      ];
+      entries.forEach(function (entry) {
+        var item = document.createElement("div");
+        item.className = "calculator-value";
+        var label = document.createElement("span");
+        label.textContent = entry.label;
+        var value = document.createElement("strong");
+        value.textContent = entry.value;
+        item.appendChild(label);
+        item.appendChild(value);
+        if (entry.score !== null) {
+          var score = document.createElement("span");
+          score.className = "whatif-score";
+          score.textContent = t(entry.scoreText, { score: entry.score });
+          item.appendChild(score);
+        }
+        container.appendChild(item);
+      });
+      if (targets.lower === null) this.appendNote(t("No single score can lower your index next time."));
+      if (targets.raise === null) this.appendNote(t("No single score can raise your index next time."));
+      if (!ratings.valid) this.appendNote(t("Choose a tee or enter its ratings to see the gross scores.") + " " + I18nService.translateError(ratings.error));
+    },
+
+    /**
+     * Add an explanation below the targets.
+     * @param {string} message - Message
+     */
+    appendNote: function (message) {
+      var note = document.createElement("p");
+      note.className = "calculator-message";
+      note.textContent = message;
+      this.elements.targets.appendChild(note);
+    },
+
+    /**
+     * List the hypothetical rounds and the index they lead to.
+     */
+    renderHypotheticalRounds: function () {
+      var view = this;
+      var list = this.elements.list;
+      list.textContent = "";
+      this.hypotheticalRounds.slice().reverse().forEach(function (round, index) {
+        var item = document.createElement("li");
+        item.className = "whatif-round";
+        var text = document.createElement("span");
+        text.textContent = t("Round {number}: score {score} · CR {rating} · Slope {slope} · Diff. {differential}", {
+          number: index + 1,
+          score: round.score,
+          rating: UIService.formatNumber(round.courseRating),
+          slope: round.slope,
+          differential: UIService.formatNumber(round.differential)
+        });
+        var remove = document.createElement("button");
+        remove.type = "button";
+        remove.className = "btn-round-delete";
+        remove.textContent = "×";
+        remove.setAttribute("aria-label", t("Remove hypothetical round {number}", { number: index + 1 }));
+        remove.addEventListener("click", function () {
+          view.removeHypotheticalRound(round.id);
+        });
+        item.appendChild(text);
+        item.appendChild(remove);
+        list.appendChild(item);
+      });
+      if (this.hypotheticalRounds.length === 0) {
+        this.elements.projection.textContent = "";
+        return;
+      }
+      var current = WHSService.getHandicapInfo(this.app.getRoundsNewestFirst()).handicap;
+      var projected = WHSService.projectHandicapIndex(this.app.getRoundsNewestFirst(), this.hypotheticalRounds).handicap;
+      this.elements.projection.textContent = t("Projected Handicap Index: {projected} (now {current}). Hypothetical rounds are not saved.", {
+        projected: projected === null ? "—" : UIService.formatNumber(projected),
+        current: current === null ? "—" : UIService.formatNumber(current)
+      });
+    }
+  };
+
+  // ============================================================================
+  // GOAL VIEW (target index with a projected date, and reminders)
+  // ============================================================================
+
+  var GoalView = {
+    app: null,
+    elements: {
+      panel: null,
+      progress: null,
+      form: null,
+      targetInput: null,
+      dateInput: null,
+      message: null,
+      clearButton: null,
+      dropInput: null,
+      inactiveInput: null,
+      daysInput: null,
+      reminderStatus: null
+    },
+
+    /**
+     * Initialize the goal panel.
+     * @param {Object} app - Application instance, source of the rounds and the active profile
+     */
+    init: function (app) {
+      this.app = app;
+      this.elements.panel = document.getElementById("goal-panel");
+      this.elements.progress = document.getElementById("goal-progress");
+      this.elements.form = document.getElementById("goal-form");
+      this.elements.targetInput = document.getElementById("goal-target");
+      this.elements.dateInput = document.getElementById("goal-date");
+      this.elements.message = document.getElementById("goal-message");
+      this.elements.clearButton = document.getElementById("goal-clear");
+      this.elements.dropInput = document.getElementById("reminder-drop");
+      this.elements.inactiveInput = document.getElementById("reminder-inactive");
+      this.elements.daysInput = document.getElementById("reminder-days");
+      this.elements.reminderStatus = document.getElementById("reminder-status");
+
+      for (var key in this.elements) {
+        if (!this.elements[key]) {
+          console.error("Missing goal element:", key);
+          this.elements.panel = null;
+          return;
+        }
+      }
+
+      var view = this;
+      this.elements.panel.addEventListener("toggle", function () {
+        if (view.elements.panel.open) view.render();
+      });
+      this.elements.form.addEventListener("submit", function (event) {
+        event.preventDefault();
+        view.saveGoal();
+      });
+      this.elements.clearButton.addEventListener("click", this.clearGoal.bind(this));
+      [this.elements.dropInput, this.elements.inactiveInput, this.elements.daysInput].forEach(function (input) {
+        input.addEventListener("change", view.saveReminders.bind(view));
+      });
+    },
+
+    /**
+     * Re-render if the panel is open, and bring the scheduled reminders up to date.
+     */
+    refresh: function () {
+      if (!this.elements.panel) return;
+      if (this.elements.panel.open) this.render();
+      this.scheduleReminders();
+    },
+
+    /**
+     * Show the active player's goal, progress and reminder settings.
+     */
+    render: function () {
+      var profile = this.app.getActiveProfile();
+      if (!profile) return;
+      var goal = profile.settings.goal || null;
+      this.elements.targetInput.value = goal ? UIService.formatNumber(goal.target) : "";
+      this.elements.dateInput.value = goal && goal.date ? goal.date : "";
+      this.elements.clearButton.hidden = !goal;
+      this.elements.message.textContent = "";
+      var reminders = ReminderService.getSettings(profile);
+      this.elements.dropInput.checked = reminders.dropping;
+      this.elements.inactiveInput.checked = reminders.inactive;
+      this.elements.daysInput.value = String(reminders.inactiveDays);
+      this.renderProgress(goal);
+      this.renderReminderStatus(reminders);
+    },
+
+    /**
+     * Show how far the index has come toward the goal and when the trend reaches it.
+     * @param {Object|null} goal - Goal {target, date, startHandicap}
+     */
+    renderProgress: function (goal) {
+      var container = this.elements.progress;
+      container.textContent = "";
+      var appendText = function (className, text) {
+        var paragraph = document.createElement("p");
+        paragraph.className = className;
+        paragraph.textContent = text;
+        container.appendChild(paragraph);
+      };
+      if (!goal) {
+        appendText("goal-note", t("Set a target index, e.g. single figures by September, to follow your progress toward it."));
+        return;
+      }
+      var today = UIService.getToday();
+      var projection = WHSService.projectGoal(this.app.getRoundsNewestFirst(), goal.target, today);
+      if (projection.handicap === null) {
+        appendText("goal-note", t("Post a round first: progress is measured from your Handicap Index."));
+        return;
+      }
+
+      var values = document.createElement("div");
+      values.className = "calculator-result goal-values";
+      [
+        [t("Current index"), UIService.formatNumber(projection.handicap)],
+        [t("Target"), UIService.formatNumber(goal.target)],
+        [t("To go"), UIService.formatNumber(projection.remaining)]
+      ].forEach(function (entry) {
+        var item = document.createElement("div");
+        item.className = "calculator-value";
+        var label = document.createElement("span");
+        label.textContent = entry[0];
+        var value = document.createElement("strong");
+        value.textContent = entry[1];
+        item.appendChild(label);
+        item.appendChild(value);
+        values.appendChild(item);
+      });
+      container.appendChild(values);
+
+      // Progress counts from the index the goal was set at
+      if (goal.startHandicap !== null && goal.startHandicap > goal.target) {
+        var share = Math.min(1, Math.max(0, (goal.startHandicap - projection.handicap) / (goal.startHandicap - goal.target)));
+        var bar = document.createElement("progress");
+        bar.className = "goal-bar";
+        bar.max = 1;
+        bar.value = share;
+        bar.setAttribute("aria-label", t("Progress toward the goal"));
+        container.appendChild(bar);
+        appendText("goal-note", t("{percent}% of the way from {start} when you set the goal.", {
+          percent: Math.round(share * 100),
+          start: UIService.formatNumber(goal.startHandicap)
+        }));
+      }
+
+      if (projection.trend !== null) {
+        var perMonth = Math.round(projection.trend * CONFIG.DAYS_PER_MONTH * 10) / 10;
+        appendText("goal-note", t("Trend over the last 12 months: {change} per month.", {
+          change: (perMonth > 0 ? "+" : "") + UIService.formatNumber(perMonth)
+        }));
+      }
+
+      var target = UIService.formatNumber(goal.target);
+      var text;
+      if (projection.reached) {
+        text = t("Goal reached: your index of {index} is at or below {target}.", { index: UIService.formatNumber(projection.handicap), target: target });
+      } else if (projection.projectedDate) {
+        var dates = { target: target, date: UIService.formatDate(projection.projectedDate), by: goal.date ? UIService.formatDate(goal.date) : "" };
+        if (!goal.date) text = t("At this rate you reach {target} around {date}.", dates);
+        else if (projection.projectedDate <= goal.date) text = t("At this rate you reach {target} around {date}, in time for {by}.", dates);
+        else text = t("At this rate you reach {target} around {date}, after your target date of {by}.", dates);
+      } else if (projection.trend === null) {
+        text = t("Post rounds on a few more days for a projected date.");
+      } else if (projection.trend >= 0) {
+        text = t("Your index is not improving at the moment, so there is no projected date.");
+      } else {
+        text = t("At this rate {target} is more than three years away.", { target: target });
+      }
+      appendText("goal-projection", text);
+    },
+
+    /**
+     * Save the goal entered, remembering the current index as its starting point.
+     * @returns {Promise<void>}
+     */
+    saveGoal: function () {
+      var view = this;
+      var targetValidation = ValidationService.validateHandicapIndex(this.elements.targetInput.value);
+      if (!targetValidation.valid) {
+        this.elements.message.textContent = I18nService.translateError(targetValidation.error);
+        this.elements.targetInput.focus();
+        return Promise.resolve();
+      }
+      var date = this.elements.dateInput.value;
+      if (date && (!/^\d{4}-\d{2}-\d{2}$/.test(date) || date <= UIService.getToday())) {
+        this.elements.message.textContent = t("Choose a target date in the future, or leave it empty.");
+        this.elements.dateInput.focus();
+        return Promise.resolve();
+      }
+      var profile = this.app.getActiveProfile();
+      var previous = profile.settings.goal;
+      var startHandicap = WHSService.getHandicapInfo(this.app.getRoundsNewestFirst()).handicap;
+      // Changing only the date keeps the starting point of the progress
+      if (previous && previous.target === targetValidation.value) startHandicap = previous.startHandicap;
+      var goal = { target: targetValidation.value, date: date || null, startHandicap: startHandicap };
+      return this.app.updateProfileSettings({ goal: goal }).then(function (saveResult) {
+        if (!saveResult.success) {
+          view.elements.message.textContent = I18nService.translateError(saveResult.error);
+          return;
+        }
+        view.render();
+      });
+    },
+
+    /**
+     * Remove the goal.
+     * @returns {Promise<void>}
+     */
+    clearGoal: function () {
+      var view = this;
+      return this.app.updateProfileSettings({ goal: null }).then(function (saveResult) {
+        if (!saveResult.success) {
+          view.elements.message.textContent = I18nService.translateError(saveResult.error);
+          return;
+        }
+        view.render();
+      });
+    },
+
+    /**
+     * Save the reminder choices, asking for notification permission when one is switched on.
+     * @returns {Promise<void>}
+     */
+    saveReminders: function () {
+      var view = this;
+      var days = ValidationService.toNumber(this.elements.daysInput.value);
+      var validDays = ValidationService.isWholeNumber(days) && days >= 1 && days <= CONFIG.REMINDER_MAX_INACTIVE_DAYS;
+      var reminders = {
+        dropping: this.elements.dropInput.checked,
+        inactive: this.elements.inactiveInput.checked,
+        // An invalid number of days keeps the previous one
+        inactiveDays: validDays ? days : ReminderService.getSettings(this.app.getActiveProfile()).inactiveDays
+      };
+      this.elements.daysInput.value = String(reminders.inactiveDays);
+      var permission = reminders.dropping || reminders.inactive ? ReminderService.requestPermission() : Promise.resolve(null);
+      return permission.then(function () {
+        return view.app.updateProfileSettings({ reminders: reminders });
+      }).then(function (saveResult) {
+        if (!saveResult.success) {
+          view.elements.reminderStatus.textContent = I18nService.translateError(saveResult.error);
+          return;
+        }
+        view.renderReminderStatus(reminders);
+        view.scheduleReminders();
+      });
+    },
+
+    /**
+     * Explain whether the reminders chosen can be shown on this device.
+     * @param {{dropping: boolean, inactive: boolean}} reminders - Reminder settings
+     */
+    renderReminderStatus: function (reminders) {
+      var supported = ReminderService.isSupported();
+      this.elements.dropInput.disabled = !supported;
+      this.elements.inactiveInput.disabled = !supported;
+      this.elements.daysInput.disabled = !supported;
+      var text = "";
+      if (!supported) {
+        text = t("This browser cannot show notifications, so reminders are not available.");
+      } else if (reminders.dropping || reminders.inactive) {
+        text = Notification.permission === "granted"
+          ? t("Reminders appear as notifications on this device. No data leaves it.")
+          : t("Notifications are not allowed for this app. Allow them in your browser settings to get reminders.");
+      }
+      this.elements.reminderStatus.textContent = text;
+    },
+
+    /**
+     * Bring the reminders scheduled in the service worker up to date with the active player's rounds.
+     */
+    scheduleReminders: function () {
+      var profile = this.app.getActiveProfile();
+      if (!profile || this.app.rounds === null || !ReminderService.isSupported()) return;
+      ReminderService.schedule(profile.id, ReminderService.buildReminders(profile, this.app.getRoundsNewestFirst())).catch(function (e) {
+        console.error("Error scheduling reminders:", e);
+      });
+    }
+  };
+
+  // ============================================================================
+  // IMPORT / EXPORT VIEW (backups, CSV import with column mapping)
+  // ============================================================================
+
+  var ImportExportView = {
+    app: null,
+    pending: null,
+    elements: {
+      exportJsonButton: null,
+      exportCsvButton: null,
+      fileInput: null,
+      mapping: null,
+      dateFormatSelect: null,
+      columns: null,
+      report: null,
+      actions: null,
+      mergeButton: null,
+      replaceButton: null,
+      cancelButton: null
+    },
+
+    /**
+     * Initialize the backup and import panel.
+     * @param {Object} app - Application instance, refreshed after an import
+     */
+    init: function (app) {
+      this.app = app;
+      this.elements.exportJsonButton = document.getElementById("export-json");
+      this.elements.exportCsvButton = document.getElementById("export-csv");
+      this.elements.fileInput = document.getElementById("import-file");
+      this.elements.mapping = document.getElementById("import-mapping");
+      this.elements.dateFormatSelect = document.getElementById("import-date-format");
+      this.elements.columns = document.getElementById("import-columns");
+      this.elements.report = document.getElementById("import-report");
+      this.elements.actions = document.getElementById("import-actions");
+      this.elements.mergeButton = document.getElementById("import-merge");
+      this.elements.replaceButton = document.getElementById("import-replace");
+      this.elements.cancelButton = document.getElementById("import-cancel");
+
+      for (var key in this.elements) {
+        if (!this.elements[key]) {
+          console.error("Missing import/export element:", key);
+          return;
+        }
+      }
+
+      var view = this;
+      this.elements.exportJsonButton.addEventListener("click", function () {
+        view.download(
+          TransferService.exportJson(app.getRoundsNewestFirst(), app.getCourses(), app.getActiveProfile().name),
+          "application/json",
+          "json"
+        );
+      });
+      this.elements.exportCsvButton.addEventListener("click", function () {
+        view.download(TransferService.exportCsv(app.getRoundsNewestFirst()), "text/csv", "csv");
+      });
+      this.elements.fileInput.addEventListener("change", this.handleFile.bind(this));
+      this.elements.dateFormatSelect.addEventListener("change", this.evaluateCsv.bind(this));
+      this.elements.columns.addEventListener("change", this.evaluateCsv.bind(this));
+      this.elements.mergeButton.addEventListener("click", function () {
+        view.applyImport("merge");
+      });
+      this.elements.replaceButton.addEventListener("click", function () {
+        view.applyImport("replace");
+      });
+      this.elements.cancelButton.addEventListener("click", this.reset.bind(this));
+    },
+
+    /**
+     * Offer text content as a file download.
+     * @param {string} content - File content
+     * @param {string} mimeType - MIME type
+     * @param {string} extension - File extension
+     */
+    download: function (content, mimeType, extension) {
+      var blob = new Blob([content], { type: mimeType + ";charset=utf-8" });
+      var url = URL.createObjectURL(blob);
+      var link = document.createElement("a");
+      var today = new Date();
+      link.href = url;
+      link.download = "golf-handicap-" + today.getFullYear() + "-" + String(today.getMonth() + 1).padStart(2, "0") + "-" +
+        String(today.getDate()).padStart(2, "0") + "." + extension;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      setTimeout(function () {
+        URL.revokeObjectURL(url);
+      }, 0);
+    },
+
+    /**
+     * Read the chosen file and prepare an import preview.
+     */
+    handleFile: function () {
+      var file = this.elements.fileInput.files && this.elements.fileInput.files[0];
+      if (!file) return;
+      var view = this;
+      this.readFile(file).then(function (text) {
+        var isJson = /\.json$/i.test(file.name) || /^\s*[\[{]/.test(text);
+        if (isJson) {
+          var result = TransferService.importJson(text, view.app.getCourses());
+          view.pending = { kind: "json", rounds: result.rounds, courses: result.courses, errors: result.errors };
+          view.elements.mapping.hidden = true;
+          view.renderReport();
+        } else {
+          var rows = TransferService.parseCsv(text);
+          if (rows.length < 2) {
+            view.pending = { kind: "csv", rows: rows, rounds: [], courses: [], errors: [{ row: 0, error: t("The CSV file has no data rows.") }] };
+            view.elements.mapping.hidden = true;
+            view.renderReport();
+            return;
+          }
+          view.pending = { kind: "csv", rows: rows, rounds: [], courses: [], errors: [] };
+          view.renderMapping(rows[0], TransferService.detectColumnMapping(rows[0]));
+          view.evaluateCsv();
+        }
+      }).catch(function (e) {
+        console.error("Error reading import file:", e);
+        view.pending = null;
+        view.showReportMessage(t("The file could not be read."));
+      });
+    },
+
+    /**
+     * Read a File as text.
+     * @param {File} file - Selected file
+     * @returns {Promise<string>} File content
+     */
+    readFile: function (file) {
+      if (typeof file.text === "function") return file.text();
+      return new Promise(function (resolve, reject) {
+        var reader = new FileReader();
+        reader.onload = function () {
+          resolve(String(reader.result));
+        };
+        reader.onerror = function () {
+          reject(reader.error);
+        };
+        reader.readAsText(file);
+      });
+    },
+
+    /**
+     * Render one column picker per importable field.
+     * @param {Array<string>} headers - CSV header row
+     * @param {Object<string, number>} mapping - Initial mapping
+     */
+    renderMapping: function (headers, mapping) {
+      var columns = this.elements.columns;
+      columns.textContent = "";
+      CONFIG.IMPORT_FIELDS.forEach(function (field) {
+        var label = document.createElement("label");
+        label.className = "tee-field";
+        var caption = document.createElement("span");
+        caption.textContent = t(field.label) + (field.required ? " *" : "");
+        var select = document.createElement("select");
+        select.setAttribute("data-field", field.key);
+        var none = document.createElement("option");
+        none.value = "-1";
+        none.textContent = field.required ? t("Choose a column") : t("Not imported");
+        select.appendChild(none);
+        headers.forEach(function (header, index) {
+          var option = document.createElement("option");
+          option.value = String(index);
+          option.textContent = header.trim() || t("Column {number}", { number: index + 1 });
+          select.appendChild(option);
+        });
+        select.value = String(mapping[field.key]);
+        label.appendChild(caption);
+        label.appendChild(select);
+        columns.appendChild(label);
+      });
+      this.elements.mapping.hidden = false;
+    },
+
+    /**
+     * Re-read the CSV rows with the current mapping and date format.
+     */
+    evaluateCsv: function () {
+      if (!this.pending || this.pending.kind !== "csv" || !this.pending.rows) return;
+      var mapping = {};
+      var selects = this.elements.columns.querySelectorAll("select[data-field]");
+      for (var i = 0; i < selects.length; i++) {
+        mapping[selects[i].getAttribute("data-field")] = parseInt(selects[i].value, 10);
+      }
+      var result = TransferService.importCsvRows(this.pending.rows, mapping, this.elements.dateFormatSelect.value, this.app.getCourses());
+      this.pending.rounds = result.rounds;
+      this.pending.errors = result.errors;
+      this.renderReport();
+    },
+
+    /**
+     * Show the import preview: rounds ready, duplicates and per-row errors.
+     */
+    renderReport: function () {
+      var report = this.elements.report;
+      report.textContent = "";
+      var pending = this.pending;
+      var split = TransferService.findDuplicates(pending.rounds, this.app.getRoundsNewestFirst());
+      var summary = document.createElement("p");
+      summary.className = "import-summary";
+      var parts = [t(pending.rounds.length === 1 ? "{count} round ready to import" : "{count} rounds ready to import", { count: pending.rounds.length })];
+      if (split.duplicates.length > 0) parts.push(t("{count} already saved (skipped when merging)", { count: split.duplicates.length }));
+      if (pending.courses.length > 0) parts.push(t(pending.courses.length === 1 ? "{count} course" : "{count} courses", { count: pending.courses.length }));
+      if (pending.errors.length > 0) parts.push(t(pending.errors.length === 1 ? "{count} row with errors" : "{count} rows with errors", { count: pending.errors.length }));
+      summary.textContent = parts.join(", ") + ".";
+      report.appendChild(summary);
+      if (pending.errors.length > 0) {
+        var list = document.createElement("ul");
+        list.className = "import-errors";
+        pending.errors.forEach(function (entry) {
+          var item = document.createElement("li");
+          item.textContent = (entry.row > 0 ? t("Row {number}", { number: entry.row }) + ": " : "") + I18nService.translateError(entry.error);
+          list.appendChild(item);
+        });
+        report.appendChild(list);
+      }
+      this.elements.actions.hidden = pending.rounds.length === 0 && pending.courses.length === 0;
+      this.elements.mergeButton.disabled = split.fresh.length === 0 && pending.courses.length === 0;
+    },
+
+    /**
+     * Show a single message in the report area.
+     * @param {string} message - Message
+     */
+    showReportMessage: function (message) {
+      this.elements.report.textContent = "";
+      var paragraph = document.createElement("p");
+      paragraph.className = "import-summary";
+      paragraph.textContent = message;
+      this.elements.report.appendChild(paragraph);
+      this.elements.actions.hidden = true;
+    },
+
+    /**
+     * Save the pending import.
+     * @param {string} mode - "merge" keeps saved rounds and skips duplicates; "replace" discards saved rounds
+     */
+    applyImport: function (mode) {
+      var pending = this.pending;
+      if (!pending) return;
+      var existing = this.app.getRoundsNewestFirst();
+      var rounds;
+      var courses = this.app.getCourses();
+      if (mode === "replace") {
+        if (!confirm(t("Replace all {count} saved rounds with the imported data?", { count: existing.length }))) return;
+        rounds = pending.rounds.slice();
+        if (pending.courses.length > 0) courses = pending.courses.slice();
+      } else {
+        var usedIds = {};
+        existing.forEach(function (round) {
+          usedIds[round.id] = true;
+        });
+        var fresh = TransferService.findDuplicates(pending.rounds, existing).fresh.map(function (round) {
+          if (usedIds[round.id]) round.id = StorageService.generateId();
+          usedIds[round.id] = true;
+          return round;
+        });
+        rounds = existing.concat(fresh);
+        var courseIds = {};
+        courses.forEach(function (course) {
+          courseIds[course.id] = true;
+        });
+        pending.courses.forEach(function (course) {
+          if (!courseIds[course.id]) courses.push(course);
+        });
+      }
+      var view = this;
+      var app = this.app;
+      var count = mode === "replace" ? rounds.length : rounds.length - existing.length;
+      return app.persistRounds(WHSService.recalculateAdjustments(rounds)).then(function (saveResult) {
+        return saveResult.success ? app.persistCourses(courses) : saveResult;
+      }).then(function (saveResult) {
+        if (!saveResult.success) {
+          view.showReportMessage(I18nService.translateError(saveResult.error));
+          return;
+        }
+        view.reset();
+        view.showReportMessage(t(count === 1 ? "Imported {count} round." : "Imported {count} rounds.", { count: count }));
+        CourseLibraryView.render();
+        app.handleCoursesChanged();
+        app.updateUI();
+      });
+    },
+
+    /**
+     * Discard the pending import.
+     */
+    reset: function () {
+      this.pending = null;
+      this.elements.fileInput.value = "";
+      this.elements.mapping.hidden = true;
+      this.elements.columns.textContent = "";
+      this.elements.report.textContent = "";
+      this.elements.actions.hidden = true;
+    }
+  };
+
+  // ============================================================================
+  // QUARANTINE VIEW (stored records that failed validation)
+  // ============================================================================
+
+  var QuarantineView = {
+    app: null,
+    entries: [],
+    elements: {
+      section: null,
+      list: null,
+      downloadButton: null
+    },
+
+    /**
+     * Initialize the quarantine section.
+     * @param {Object} app - Application instance
+     */
+    init: function (app) {
+      this.app = app;
+      this.elements.section = document.getElementById("quarantine-section");
+      this.elements.list = document.getElementById("quarantine-list");
+      this.elements.downloadButton = document.getElementById("quarantine-download");
+
+      for (var key in this.elements) {
+        if (!this.elements[key]) {
+          console.error("Missing quarantine element:", key);
+          return;
+        }
+      }
+
+      var view = this;
+      this.elements.downloadButton.addEventListener("click", function () {
+        ImportExportView.download(JSON.stringify(view.entries, null, 2), "application/json", "json");
+      });
+    },
+
+    /**
+     * Show quarantined records; the section stays hidden while there are none.
+     * @param {Array<Object>} entries - Quarantine entries from StorageService.loadQuarantine
+     */
+    render: function (entries) {
+      if (!this.elements.list) return;
+      this.entries = entries;
+      var list = this.elements.list;
+      list.textContent = "";
+      var view = this;
+      entries.forEach(function (entry) {
+        var card = document.createElement("div");
+        card.className = "round-card quarantine-card";
+        card.setAttribute("role", "listitem");
+
+        var title = document.createElement("span");
+        title.className = "round-card-date";
+        title.textContent = view.describeRecord(entry);
+
+        var discardButton = document.createElement("button");
+        discardButton.type = "button";
+        discardButton.className = "btn-round-delete";
+        discardButton.title = t("Discard record");
+        discardButton.setAttribute("aria-label", t("Discard {record}", { record: title.textContent }));
+        discardButton.textContent = "×";
+        discardButton.addEventListener("click", function () {
+          view.discard(entry);
+        });
+
+        var error = document.createElement("div");
+        error.className = "round-card-details";
+        var found = entry.source === "localStorage" ? "(found {date} while moving data from the previous storage)"
+          : entry.source === "sync" ? "(received {date} from the sync server)" : "(found {date})";
+        error.textContent = I18nService.translateError(entry.error) + " " + t(found, { date: UIService.formatDate(entry.quarantinedAt.slice(0, 10)) });
+
+        card.appendChild(title);
+        card.appendChild(discardButton);
+        card.appendChild(error);
+        list.appendChild(card);
+      });
+      this.elements.section.hidden = entries.length === 0;
+    },
+
+    /**
+     * Short description of a quarantined record.
+     * @param {Object} entry - Quarantine entry
+     * @returns {string} Description
+     */
+    describeRecord: function (entry) {
+      var record = entry.record;
+      if (!record || typeof record !== "object") {
+        return t(entry.kind === "course" ? "Unreadable course library" : entry.kind === "profile" ? "Unreadable profiles" : "Unreadable rounds");
+      }
+      if (entry.kind === "course") {
+        return typeof record.name === "string" ? t("Course {name}", { name: record.name }) : t("Course without a name");
+      }
+      if (entry.kind === "profile") {
+        return typeof record.name === "string" ? t("Player {name}", { name: record.name }) : t("Player without a name");
+      }
+      var parts = [t("Round")];
+      if (typeof record.date === "string") parts.push(UIService.formatDate(record.date));
+      if (record.score !== undefined) parts.push("· " + t("Score {score}", { score: record.score }));
+      return parts.join(" ");
+    },
+
+    /**
+     * Permanently delete a quarantined record after confirmation.
+     * @param {Object} entry - Quarantine entry
+     */
+    discard: function (entry) {
+      if (!confirm(t("Permanently discard this record? Download it first if you may need it."))) return;
+      var view = this;
+      return StorageService.discardQuarantined(entry.id).then(function (result) {
+        if (!result.success) {
+          alert(I18nService.translateError(result.error));
+          return;
+        }
+        view.render(view.entries.filter(function (e) {
+          return e.id !== entry.id;
+        }));
+      });
+    }
+  };
+
+  // ============================================================================
+  // PROFILE VIEW (player switcher and profile editor)
+  // ============================================================================
+
+  var ProfileView = {
+    app: null,
+    editingId: null,
+    elements: {
+      select: null,
+      editButton: null,
+      addButton: null,
+      editor: null,
+      editorTitle: null,
+      nameInput: null,
+      genderSelect: null,
+      homeCourseSelect: null,
+      errorContainer: null,
+      deleteButton: null,
+      cancelButton: null,
+      handicapPlayer: null
+    },
+
+    /**
+     * Initialize the player switcher and editor.
+     * @param {Object} app - Application instance
+     */
+    init: function (app) {
+      this.app = app;
+      this.elements.select = document.getElementById("profile-select");
+      this.elements.editButton = document.getElementById("profile-edit");
+      this.elements.addButton = document.getElementById("profile-add");
+      this.elements.editor = document.getElementById("profile-editor");
+      this.elements.editorTitle = document.getElementById("profile-editor-title");
+      this.elements.nameInput = document.getElementById("profile-name");
+      this.elements.genderSelect = document.getElementById("profile-gender");
+      this.elements.homeCourseSelect = document.getElementById("profile-home-course");
+      this.elements.errorContainer = document.getElementById("profile-editor-error");
+      this.elements.deleteButton = document.getElementById("profile-delete");
+      this.elements.cancelButton = document.getElementById("profile-editor-cancel");
+      this.elements.handicapPlayer = document.getElementById("handicap-player");
+
+      for (var key in this.elements) {
+        if (!this.elements[key]) {
+          console.error("Missing profile element:", key);
+          return;
+        }
+      }
+
+      var view = this;
+      this.elements.select.addEventListener("change", function () {
+        view.closeEditor();
+        app.switchProfile(view.elements.select.value);
+      });
+      this.elements.editButton.addEventListener("click", function () {
+        view.openEditor(app.activeProfileId);
+      });
+      this.elements.addButton.addEventListener("click", function () {
+        view.openEditor(null);
+      });
+      this.elements.deleteButton.addEventListener("click", function () {
+        view.deleteProfile(view.editingId);
+      });
+      this.elements.cancelButton.addEventListener("click", this.closeEditor.bind(this));
+      this.elements.editor.addEventListener("submit", this.handleSave.bind(this));
+    },
+
+    /**
+     * Render the switcher and every label that names the active player.
+     */
+    render: function () {
+      if (!this.elements.select) return;
+      var select = this.elements.select;
+      select.textContent = "";
+      this.app.profiles.forEach(function (profile) {
+        var option = document.createElement("option");
+        option.value = profile.id;
+        option.textContent = profile.name;
+        select.appendChild(option);
+      });
+      select.value = this.app.activeProfileId;
+      var profile = this.app.getActiveProfile();
+      this.elements.handicapPlayer.textContent = profile ? profile.name : "";
+      this.app.renderSubmitLabel();
+      GroupRoundView.renderPlayerPickers();
+    },
+
+    /**
+     * Fill the home course picker of the editor.
+     */
+    renderHomeCoursePicker: function () {
+      if (!this.elements.homeCourseSelect) return;
+      UIService.fillCourseSelect(this.elements.homeCourseSelect, this.app.getCourses(), t("No home course"));
+    },
+
+    /**
+     * Open the editor for a new profile or an existing one.
+     * @param {string|null} profileId - Profile to edit, or null to add a player
+     */
+    openEditor: function (profileId) {
+      var profile = profileId ? this.app.profiles.filter(function (p) {
+        return p.id === profileId;
+      })[0] : null;
+      this.editingId = profile ? profile.id : null;
+      this.elements.editorTitle.textContent = profile ? t("Edit Player") : t("Add Player");
+      this.elements.nameInput.value = profile ? profile.name : "";
+      this.elements.nameInput.removeAttribute("aria-invalid");
+      this.elements.genderSelect.value = profile ? profile.gender : "";
+      this.renderHomeCoursePicker();
+      this.elements.homeCourseSelect.value = profile && profile.homeCourseId ? profile.homeCourseId : "";
+      if (this.elements.homeCourseSelect.selectedIndex < 0) this.elements.homeCourseSelect.value = "";
+      this.elements.deleteButton.hidden = !profile || this.app.profiles.length < 2;
+      UIService.clearResult(this.elements.errorContainer);
+      this.elements.editor.hidden = false;
+      this.elements.nameInput.focus();
+    },
+
+    /**
+     * Close the editor without saving.
+     */
+    closeEditor: function () {
+      this.editingId = null;
+      this.elements.editor.hidden = true;
+    },
+
+    /**
+     * Save the profile in the editor. A new player becomes the active one.
+     * @param {Event} event - Submit event
+     */
+    handleSave: function (event) {
+      event.preventDefault();
+      var nameValidation = ValidationService.validateName(this.elements.nameInput.value, "Player name");
+      if (!nameValidation.valid) {
+        UIService.showError(this.elements.errorContainer, nameValidation.error);
+        this.elements.nameInput.setAttribute("aria-invalid", "true");
+        this.elements.nameInput.focus();
+        return;
+      }
+      var existing = this.editingId ? this.app.profiles.filter(function (p) {
+        return p.id === this.editingId;
+      }, this)[0] : null;
+      var profile = Object.assign(existing ? Object.assign({}, existing) : StorageService.createProfile(nameValidation.value), {
+        name: nameValidation.value,
+        gender: this.elements.genderSelect.value,
+        homeCourseId: this.elements.homeCourseSelect.value || null
+      });
+      var validation = ValidationService.validateProfile(profile);
+      if (!validation.valid) {
+        UIService.showError(this.elements.errorContainer, validation.error);
+        return;
+      }
+      var view = this;
+      var app = this.app;
+      return app.persistProfile(profile).then(function (saveResult) {
+        if (!saveResult.success) {
+          UIService.showError(view.elements.errorContainer, saveResult.error);
+          return;
+        }
+        view.closeEditor();
+        if (profile.id === app.activeProfileId) {
+          app.applyProfilePreferences(profile);
+          return;
+        }
+        view.render();
+        return app.switchProfile(profile.id);
+      });
+    },
+
+    /**
+     * Delete a profile and all of its rounds after confirmation. The last profile cannot be deleted.
+     * @param {string} profileId - Profile id
+     */
+    deleteProfile: function (profileId) {
+      var app = this.app;
+      var profile = app.profiles.filter(function (p) {
+        return p.id === profileId;
+      })[0];
+      if (!profile || app.profiles.length < 2) return;
+      var roundCount = profileId === app.activeProfileId && app.rounds ? app.rounds.length : null;
+      var question = roundCount === null ? "Delete {name} and all saved rounds? This cannot be undone."
+        : roundCount === 1 ? "Delete {name} and {count} saved round? This cannot be undone."
+          : "Delete {name} and {count} saved rounds? This cannot be undone.";
+      if (!confirm(t(question, { name: profile.name, count: roundCount }))) return;
+      var view = this;
+      return StorageService.deleteProfile(profileId).then(function (deleteResult) {
+        if (!deleteResult.success) {
+          alert(I18nService.translateError("Error deleting: " + deleteResult.error));
+          return;
+        }
+        app.profiles = app.profiles.filter(function (p) {
+          return p.id !== profileId;
+        });
+        ReminderService.schedule(profileId, []).catch(function (e) {
+          console.error("Error cancelling reminders:", e);
+        });
+        view.closeEditor();
+        if (profileId === app.activeProfileId) {
+          app.activeProfileId = null;
+          return app.switchProfile(app.profiles[0].id);
+        }
+        view.render();
+      });
+    }
+  };
+
+  // ============================================================================
+  // UPDATE VIEW (service worker registration and new version banner)
+  // ============================================================================
+
+  var UpdateView = {
+    SERVICE_WORKER_URL: "./service-worker.js",
+    waitingWorker: null,
+    reloading: false,
+    elements: {
+      banner: null,
+      reloadButton: null
+    },
+
+    /**
+     * Register the service worker and watch for new versions.
+     * Registration waits for the page to load so it doesn't compete with the first render.
+     */
+    init: function () {
+      if (!("serviceWorker" in navigator)) return;
+      this.elements.banner = document.getElementById("update-banner");
+      this.elements.reloadButton = document.getElementById("update-reload");
+
+      for (var key in this.elements) {
+        if (!this.elements[key]) {
+          console.error("Missing update element:", key);
+          return;
+        }
+      }
+
+      var view = this;
+      this.elements.reloadButton.addEventListener("click", function () {
+        view.activateUpdate();
+      });
+      // Reload only when the user asked for it, not when the first worker claims the page
+      navigator.serviceWorker.addEventListener("controllerchange", function () {
+        if (!view.reloading) return;
+        view.reloading = false;
+        window.location.reload();
+      });
+
+      if (document.readyState === "complete") {
+        this.register();
+      } else {
+        window.addEventListener("load", function () {
+          view.register();
+        });
+      }
+    },
+
+    /**
+     * Register the service worker and show the banner when an update is waiting.
+     * @returns {Promise<void>}
+     */
+    register: function () {
+      var view = this;
+      return navigator.serviceWorker.register(this.SERVICE_WORKER_URL).then(function (registration) {
+        if (registration.waiting && navigator.serviceWorker.controller) {
+          view.showBanner(registration.waiting);
+        }
+        registration.addEventListener("updatefound", function () {
+          view.trackInstalling(registration.installing);
+        });
+      }).catch(function (error) {
+        console.error("Service worker registration failed:", error);
+      });
+    },
+
+    /**
+     * Show the banner once a newly found worker has installed.
+     * The very first install has no controller yet and needs no reload.
+     * @param {ServiceWorker|null} worker - Installing worker
+     */
+    trackInstalling: function (worker) {
+      if (!worker) return;
+      var view = this;
+      worker.addEventListener("statechange", function () {
+        if (worker.state === "installed" && navigator.serviceWorker.controller) {
+          view.showBanner(worker);
+        }
+      });
+    },
+
+    /**
+     * Offer to switch to the waiting worker.
+     * @param {ServiceWorker} worker - Waiting worker
+     */
+    showBanner: function (worker) {
+      this.waitingWorker = worker;
+      this.elements.banner.hidden = false;
+    },
+
+    /**
+     * Let the waiting worker take over; the page reloads when it becomes the controller.
+     */
+    activateUpdate: function () {
+      if (!this.waitingWorker) return;
+      this.reloading = true;
+      this.elements.reloadButton.disabled = true;
+      this.waitingWorker.postMessage({ type: "SKIP_WAITING" });
+    }
+  };
+
+  // ============================================================================
+  // LANGUAGE VIEW (language selector)
+  // ============================================================================
+
+  var LanguageView = {
+    app: null,
+    elements: {
+      select: null
+    },
+
+    /**
+     * Fill the language selector. A new choice is saved and the page reloads in that language.
+     * @param {Object} app - Application instance
+     */
+    init: function (app) {
+      this.app = app;
+      this.elements.select = document.getElementById("language-select");
+
+      for (var key in this.elements) {
+        if (!this.elements[key]) {
+          console.error("Missing language element:", key);
+          return;
+        }
+      }
+
+      var select = this.elements.select;
+      Object.keys(LANGUAGES).forEach(function (code) {
+        var option = document.createElement("option");
+        option.value = code;
+        option.lang = code;
+        option.textContent = LANGUAGES[code].name;
+        select.appendChild(option);
+      });
+      select.value = I18nService.language;
+      select.addEventListener("change", this.handleChange.bind(this));
+    },
+
+    /**
+     * Save the chosen language and reload so every view renders in it.
+     * @returns {Promise<void>}
+     */
+    handleChange: function () {
+      var view = this;
+      var language = this.elements.select.value;
+      return StorageService.saveSetting("language", language).then(function (saveResult) {
+        if (!saveResult.success) {
+          view.elements.select.value = I18nService.language;
+          UIService.showError(view.app.elements.resultContainer, saveResult.error);
+          return;
+        }
+        window.location.reload();
+      });
+    }
+  };
+
+  // ============================================================================
+  // SHARE VIEW (QR code and link to the player's handicap record)
+  // ============================================================================
+
+  var ShareView = {
+    app: null,
+    elements: {
+      panel: null,
+      hint: null,
+      content: null,
+      qr: null,
+      link: null,
+      copyButton: null,
+      status: null
+    },
+
+    /**
+     * Initialize the share panel.
+     * @param {Object} app - Application instance, used to read the active player's rounds
+     */
+    init: function (app) {
+      this.app = app;
+      this.elements.panel = document.getElementById("share-panel");
+      this.elements.hint = document.getElementById("share-hint");
+      this.elements.content = document.getElementById("share-content");
+      this.elements.qr = document.getElementById("share-qr");
+      this.elements.link = document.getElementById("share-link");
+      this.elements.copyButton = document.getElementById("share-copy");
+      this.elements.status = document.getElementById("share-status");
+
+      for (var key in this.elements) {
+        if (!this.elements[key]) {
+          console.error("Missing share element:", key);
+          return;
+        }
+      }
+
+      var view = this;
+      this.elements.panel.addEventListener("toggle", function () {
+        if (view.elements.panel.open) view.render();
+      });
+      this.elements.copyButton.addEventListener("click", this.copyLink.bind(this));
+    },
+
+    /**
+     * Re-render the share code if the panel is open.
+     */
+    refresh: function () {
+      if (this.elements.panel && this.elements.panel.open) this.render();
+    },
+
+    /**
+     * Encode the active player's current record as a link and a QR code.
+     */
+    render: function () {
+      var profile = this.app.getActiveProfile();
+      var record = profile ? ShareService.createRecord(profile.name, this.app.getRoundsNewestFirst(), UIService.getToday()) : null;
+      this.elements.status.textContent = "";
+      this.elements.qr.textContent = "";
+      this.elements.content.hidden = !record;
+      if (!record) {
+        this.elements.hint.textContent = t("Post at least one round to get a Handicap Index you can share.");
+        this.elements.link.value = "";
+        return;
+      }
+      this.elements.hint.textContent = t("Show this code to the starter or send the link. It holds your name, your index of {index} and the {count} differentials it is based on, so anyone can check the calculation. Nothing is uploaded.", {
+        index: UIService.formatNumber(record.handicap),
+        count: record.differentials.length
+      });
+      var link = ShareService.buildLink(record);
+      this.elements.link.value = link;
+      var qr = QRCode.encode(link);
+      var border = 4;
+      var extent = qr.size + border * 2;
+      var svg = UIService.createSvgElement("svg", {
+        viewBox: "0 0 " + extent + " " + extent,
+        class: "share-qr-svg",
+        role: "img",
+        "aria-label": t("QR code of the handicap record of {name}", { name: record.name }),
+        "shape-rendering": "crispEdges"
+      });
+      svg.appendChild(UIService.createSvgElement("rect", { width: extent, height: extent, fill: "#ffffff" }));
+      svg.appendChild(UIService.createSvgElement("path", { d: QRCode.toSvgPath(qr, border), fill: "#0a1f16" }));
+      this.elements.qr.appendChild(svg);
+    },
+
+    /**
+     * Copy the link to the clipboard, or select it where the clipboard is not available.
+     * @returns {Promise<void>}
+     */
+    copyLink: function () {
+      var view = this;
+      var link = this.elements.link.value;
+      var selectLink = function () {
+        view.elements.link.focus();
+        view.elements.link.select();
+        view.elements.status.textContent = t("Copy the selected link to share it.");
+      };
+      if (!navigator.clipboard || !navigator.clipboard.writeText) {
+        selectLink();
+        return Promise.resolve();
+      }
+      return navigator.clipboard.writeText(link).then(function () {
+        view.elements.status.textContent = t("Link copied.");
+      }, selectLink);
+    }
+  };
+
+  // ============================================================================
+  // REPORT VIEW (printable handicap certificate and round history)
+  // ============================================================================
+
+  var ReportView = {
+    app: null,
+    // Whether the panel was open before printing opened it (null while not printing)
+    openBeforePrint: null,
+    // Labels of the profile's tee rating choice
+    TEE_RATING_LABELS: { "": "Standard ratings", men: "Men's ratings", women: "Women's ratings" },
+    elements: {
+      panel: null,
+      printButton: null,
+      issued: null,
+      player: null,
+      summary: null,
+      breakdown: null,
+      rounds: null
+    },
+
+    /**
+     * Initialize the certificate panel and prepare it whenever the page is printed.
+     * @param {Object} app - Application instance, used to read the active player and rounds
+     */
+    init: function (app) {
+      this.app = app;
+      this.elements.panel = document.getElementById("report-panel");
+      this.elements.printButton = document.getElementById("report-print");
+      this.elements.issued = document.getElementById("report-issued");
+      this.elements.player = document.getElementById("report-player");
+      this.elements.summary = document.getElementById("report-summary");
+      this.elements.breakdown = document.getElementById("report-breakdown");
+      this.elements.rounds = document.getElementById("report-rounds");
+
+      for (var key in this.elements) {
+        if (!this.elements[key]) {
+          console.error("Missing report element:", key);
+          return;
+        }
+      }
+
+      var view = this;
+      this.elements.panel.addEventListener("toggle", function () {
+        if (view.elements.panel.open) view.render();
+      });
+      this.elements.printButton.addEventListener("click", function () {
+        window.print();
+      });
+      window.addEventListener("beforeprint", this.prepareForPrint.bind(this));
+      window.addEventListener("afterprint", this.restoreAfterPrint.bind(this));
+    },
+
+    /**
+     * Re-render the certificate if the panel is open.
+     */
+    refresh: function () {
+      if (this.elements.panel && this.elements.panel.open) this.render();
+    },
+
+    /**
+     * Open and render the certificate so the browser prints it, however printing was started.
+     * A shared record being verified is printed as it is shown instead.
+     */
+    prepareForPrint: function () {
+      if (document.body.classList.contains("verify-mode")) return;
+      this.openBeforePrint = this.elements.panel.open;
+      this.elements.panel.open = true;
+      this.render();
+    },
+
+    /**
+     * Close the panel again if printing opened it.
+     */
+    restoreAfterPrint: function () {
+      if (this.openBeforePrint === false) this.elements.panel.open = false;
+      this.openBeforePrint = null;
+    },
+
+    /**
+     * Append a term and its description to a description list.
+     * @param {HTMLElement} list - Description list
+     * @param {string} term - Translated term
+     * @param {string} description - Description
+     */
+    appendDetail: function (list, term, description) {
+      var dt = document.createElement("dt");
+      dt.textContent = term;
+      var dd = document.createElement("dd");
+      dd.textContent = description;
+      list.appendChild(dt);
+      list.appendChild(dd);
+    },
+
+    /**
+     * Format an optional number, with a dash for missing values.
+     * @param {number|null} value - Value
+     * @returns {string} Display text
+     */
+    formatValue: function (value) {
+      return value === null || value === undefined ? "—" : UIService.formatNumber(value);
+    },
+
+    /**
+     * Render the certificate of the active player.
+     */
+    render: function () {
+      var profile = this.app.getActiveProfile();
+      var rounds = this.app.getRoundsNewestFirst();
+      var courses = this.app.getCourses();
+      var info = WHSService.getHandicapInfo(rounds);
+      this.elements.issued.textContent = t("Issued on {date}", { date: UIService.formatDate(UIService.getToday()) });
+      this.renderPlayer(profile, courses);
+      this.renderSummary(info);
+      this.renderBreakdown(info);
+      this.renderRounds(rounds, courses);
+    },
+
+    /**
+     * Render the player details.
+     * @param {Object|null} profile - Active profile
+     * @param {Array<Object>} courses - Saved courses
+     */
+    renderPlayer: function (profile, courses) {
+      var list = this.elements.player;
+      list.textContent = "";
+      var homeCourse = profile ? CourseService.findCourse(courses, profile.homeCourseId) : null;
+      this.appendDetail(list, t("Player"), profile ? profile.name : "—");
+      this.appendDetail(list, t("Tee Ratings"), t(this.TEE_RATING_LABELS[profile ? profile.gender || "" : ""]));
+      this.appendDetail(list, t("Home Course"), homeCourse ? homeCourse.name : t("No home course"));
+    },
+
+    /**
+     * Render the index tiles.
+     * @param {Object} info - Handicap info (see WHSService.getHandicapInfo)
+     */
+    renderSummary: function (info) {
+      var container = this.elements.summary;
+      container.textContent = "";
+      var view = this;
+      [
+        ["Handicap Index", info.handicap],
+        ["Low Handicap Index", info.lowHandicapIndex],
+        ["Scores used", info.roundsUsed],
+        ["Competition average", info.competitionAverage]
+      ].forEach(function (tile) {
+        var item = document.createElement("div");
+        item.className = "calculator-value";
+        item.appendChild(document.createTextNode(t(tile[0])));
+        var value = document.createElement("strong");
+        value.textContent = view.formatValue(tile[1]);
+        item.appendChild(value);
+        container.appendChild(item);
+      });
+    },
+
+    /**
+     * Render how the index follows from the differentials.
+     * @param {Object} info - Handicap info (see WHSService.getHandicapInfo)
+     */
+    renderBreakdown: function (info) {
+      var list = this.elements.breakdown;
+      list.textContent = "";
+      if (info.handicap === null) {
+        this.appendDetail(list, t("Handicap Index"), t("At least 1 round required"));
+        return;
+      }
+      var capLabels = { soft: "Soft cap", hard: "Hard cap" };
+      this.appendDetail(list, t("Differentials counted"), t("Best {best} of the most recent {total}", {
+        best: info.bestRoundsUsed,
+        total: info.roundsUsed
+      }));
+      this.appendDetail(list, t("Adjustment for a short record"), info.adjustment === 0
+        ? t("None")
+        : UIService.formatNumber(info.adjustment));
+      this.appendDetail(list, t("Calculated index (before caps)"), UIService.formatNumber(info.uncappedHandicap));
+      this.appendDetail(list, t("Low Handicap Index"), this.formatValue(info.lowHandicapIndex));
+      this.appendDetail(list, t("Cap"), info.cap ? t(capLabels[info.cap]) : t("None"));
+      this.appendDetail(list, t("Handicap Index"), UIService.formatNumber(info.handicap));
+      if (info.competitionAverage !== null) {
+        this.appendDetail(list, t("Competition average"), t(info.competitionRoundsUsed === 1
+          ? "{average} (1 round)"
+          : "{average} ({count} rounds)", {
+          average: UIService.formatNumber(info.competitionAverage),
+          count: info.competitionRoundsUsed
+        }));
+      }
+    },
+
+    /**
+     * Render the table of the most recent scores with the counting ones marked.
+     * @param {Array<Object>} rounds - All rounds (newest first)
+     * @param {Array<Object>} courses - Saved courses
+     */
+    renderRounds: function (rounds, courses) {
+      var container = this.elements.rounds;
+      container.textContent = "";
+      var recent = WHSService.getRecentScores(rounds);
+      if (recent.length === 0) {
+        var empty = document.createElement("p");
+        empty.className = "rounds-empty";
+        empty.textContent = t("No rounds yet.");
+        container.appendChild(empty);
+        return;
+      }
+      var counting = {};
+      WHSService.getCountingRoundIds(rounds).forEach(function (id) {
+        counting[id] = true;
+      });
+      var app = this.app;
+
+      var table = document.createElement("table");
+      table.className = "scorecard-table stats-table report-table";
+      var headRow = document.createElement("tr");
+      ["Date", "Course", "Holes", "Score", "Course Rating", "Slope", "PCC", "Diff.", "Counts"].forEach(function (title) {
+        var th = document.createElement("th");
+        th.scope = "col";
+        th.textContent = t(title);
+        headRow.appendChild(th);
+      });
+      var thead = document.createElement("thead");
+      thead.appendChild(headRow);
+      table.appendChild(thead);
+
+      var tbody = document.createElement("tbody");
+      recent.forEach(function (round) {
+        var row = document.createElement("tr");
+        if (counting[round.id]) row.className = "report-counting";
+        var date = document.createElement("th");
+        date.scope = "row";
+        date.textContent = UIService.formatDate(round.date);
+        row.appendChild(date);
+        var score = String(round.score);
+        if (typeof round.adjustedScore === "number" && round.adjustedScore !== round.score) {
+          score += " " + t("(AGS {score})", { score: round.adjustedScore });
+        }
+        [
+          CourseService.describeRound(round, courses) || "—",
+          round.holesPlayed || CONFIG.HOLES_PER_ROUND,
+          score,
+          UIService.formatNumber(round.courseRating),
+          round.slope,
+          app.formatPcc(round.pcc || 0),
+          UIService.formatNumber(WHSService.getEffectiveDifferential(round)),
+          counting[round.id] ? "✓" : ""
+        ].forEach(function (value) {
+          var cell = document.createElement("td");
+          cell.textContent = value;
+          row.appendChild(cell);
+        });
+        tbody.appendChild(row);
+      });
+      table.appendChild(tbody);
+      container.appendChild(table);
+
+      var note = document.createElement("p");
+      note.className = "report-note";
+      note.textContent = t("✓ marks the differentials the Handicap Index is based on. Differentials include any exceptional score reductions.");
+      container.appendChild(note);
+    }
+  };
+
+  // ============================================================================
+  // SYNC VIEW (optional sync with a self-hosted server and conflict resolution)
+  // ============================================================================
+
+  var SyncView = {
+    app: null,
+    profileId: null,
+    // Sync record of the active player (see createRecord), null until loaded
+    sync: null,
+    // Raised whenever the player or the server changes, so a sync still running for the old ones is dropped
+    generation: 0,
+    timer: null,
+    running: null,
+    // Whether another sync was asked for while one was running
+    again: false,
+    message: "",
+    elements: {
+      panel: null,
+      form: null,
+      enabledInput: null,
+      endpointInput: null,
+      keyInput: null,
+      error: null,
+      syncButton: null,
+      status: null,
+      conflicts: null
+    },
+
+    /**
+     * Initialize the sync panel.
+     * @param {Object} app - Application instance, whose rounds are synced
+     */
+    init: function (app) {
+      this.app = app;
+      this.elements.panel = document.getElementById("sync-panel");
+      this.elements.form = document.getElementById("sync-form");
+      this.elements.enabledInput = document.getElementById("sync-enabled");
+      this.elements.endpointInput = document.getElementById("sync-endpoint");
+      this.elements.keyInput = document.getElementById("sync-key");
+      this.elements.error = document.getElementById("sync-error");
+      this.elements.syncButton = document.getElementById("sync-now");
+      this.elements.status = document.getElementById("sync-status");
+      this.elements.conflicts = document.getElementById("sync-conflicts");
+
+      for (var key in this.elements) {
+        if (!this.elements[key]) {
+          console.error("Missing sync element:", key);
+          return;
+        }
+      }
+
+      var view = this;
+      this.elements.form.addEventListener("submit", this.handleSubmit.bind(this));
+      this.elements.syncButton.addEventListener("click", function () {
+        view.syncNow();
+      });
+      // Changes pushed while offline wait in the service worker; send them as soon as possible
+      window.addEventListener("online", function () {
+        if (!view.isEnabled()) return;
+        view.replayQueue();
+        view.schedule();
+      });
+      if ("serviceWorker" in navigator) {
+        navigator.serviceWorker.addEventListener("message", function (event) {
+          if (event.data && event.data.type === "SYNC_REPLAYED") view.schedule();
+        });
+      }
+    },
+
+    /**
+     * Sync record of a player who has not set up sync.
+     * @param {string} profileId - Profile id
+     * @returns {Object} Sync record: settings, sync state (see SyncEngine.createState) and lastSyncedAt
+     */
+    createRecord: function (profileId) {
+      return Object.assign({ profileId: profileId, enabled: false, endpoint: "", key: "", lastSyncedAt: null }, SyncEngine.createState());
+    },
+
+    /**
+     * Show the sync settings of the active player and sync if they are switched on.
+     * @param {string} profileId - Active profile id
+     * @returns {Promise<void>}
+     */
+    load: function (profileId) {
+      var view = this;
+      clearTimeout(this.timer);
+      this.profileId = profileId;
+      this.generation++;
+      this.sync = null;
+      this.message = "";
+      return StorageService.loadSync(profileId).then(function (loaded) {
+        if (view.profileId !== profileId) return;
+        view.sync = loaded.sync || view.createRecord(profileId);
+        UIService.clearResult(view.elements.error);
+        view.render();
+        view.schedule();
+      }).catch(function (e) {
+        console.error("Error loading sync settings:", e);
+      });
+    },
+
+    /**
+     * Whether the active player syncs.
+     * @returns {boolean} True if sync is switched on
+     */
+    isEnabled: function () {
+      return !!(this.sync && this.sync.enabled);
+    },
+
+    /**
+     * Save the sync settings. A different server or sync key starts over from scratch.
+     * @param {Event} event - Submit event
+     * @returns {Promise<void>}
+     */
+    handleSubmit: function (event) {
+      event.preventDefault();
+      if (!this.sync) return Promise.resolve();
+      UIService.clearResult(this.elements.error);
+      var enabled = this.elements.enabledInput.checked;
+      var settings = { endpoint: this.elements.endpointInput.value.trim(), key: this.elements.keyInput.value.trim() };
+      if (enabled) {
+        var validation = SyncService.validateSettings(settings.endpoint, settings.key);
+        if (!validation.valid) {
+          UIService.showError(this.elements.error, validation.error);
+          return Promise.resolve();
+        }
+        settings = validation.value;
+      }
+      var sync = Object.assign({}, this.sync, settings, { enabled: enabled });
+      if (settings.endpoint !== this.sync.endpoint || settings.key !== this.sync.key) {
+        Object.assign(sync, SyncEngine.createState(), { lastSyncedAt: null });
+      }
+      var view = this;
+      return StorageService.saveSync(sync).then(function (saveResult) {
+        if (!saveResult.success) {
+          UIService.showError(view.elements.error, I18nService.translateError(saveResult.error));
+          return;
+        }
+        clearTimeout(view.timer);
+        view.generation++;
+        view.sync = sync;
+        view.message = "";
+        view.render();
+        if (enabled) return view.syncNow();
+      });
+    },
+
+    /**
+     * Sync shortly after a change, so a burst of changes goes out together.
+     */
+    schedule: function () {
+      if (!this.isEnabled()) return;
+      clearTimeout(this.timer);
+      var view = this;
+      this.timer = setTimeout(function () {
+        view.syncNow();
+      }, CONFIG.SYNC_DELAY_MS);
+    },
+
+    /**
+     * Sync now. A request while a sync is running runs once that one has finished.
+     * @returns {Promise<void>}
+     */
+    syncNow: function () {
+      clearTimeout(this.timer);
+      this.timer = null;
+      if (!this.isEnabled()) return Promise.resolve();
+      if (this.running) {
+        this.again = true;
+        return this.running;
+      }
+      var view = this;
+      var generation = this.generation;
+      this.message = t("Syncing…");
+      this.elements.syncButton.disabled = true;
+      this.renderStatus();
+      this.running = this.run(generation).then(function (message) {
+        view.running = null;
+        if (generation === view.generation) view.message = message;
+        view.render();
+        if (!view.again) return;
+        view.again = false;
+        return view.syncNow();
+      });
+      return this.running;
+    },
+
+    /**
+     * Push this device's changes, then pull the server's.
+     * @param {number} generation - Generation the sync was started in
+     * @returns {Promise<string>} Status message ("" once synced)
+     */
+    run: function (generation) {
+      var view = this;
+      var sync = this.sync;
+      var queued = false;
+      return this.readData().then(function (data) {
+        var changes = SyncEngine.collectChanges(data);
+        return changes.length > 0 ? SyncService.push(sync, changes) : null;
+      }).then(function (response) {
+        if (!response) return;
+        if (response.queued) {
+          queued = true;
+          return;
+        }
+        return view.apply(generation, function (data) {
+          return SyncEngine.reconcile(SyncEngine.acknowledge(data, response.accepted), response.conflicts);
+        });
+      }).then(function () {
+        return SyncService.pull(sync);
+      }).then(function (response) {
+        return view.apply(generation, function (data) {
+          return SyncEngine.reconcile(data, response.changes, response.cursor);
+        });
+      }).then(function () {
+        if (generation !== view.generation) return;
+        var synced = Object.assign({}, view.sync, { lastSyncedAt: new Date().toISOString() });
+        return StorageService.saveSync(synced).then(function (saveResult) {
+          if (!saveResult.success) throw new Error(saveResult.error);
+          if (generation === view.generation) view.sync = synced;
+        });
+      }).then(function () {
+        return "";
+      }).catch(function (e) {
+        if (e && e.offline) {
+          return queued
+            ? t("You are offline. Your changes are queued and will be sent when the connection is back.")
+            : t("The sync server cannot be reached. Sync resumes when the connection is back.");
+        }
+        console.error("Sync failed:", e);
+        return t("Sync failed: {error}", { error: I18nService.translateError(e && e.message) });
+      });
+    },
+
+    /**
+     * Current device data of the active player for the sync engine.
+     * @returns {Promise<{rounds: Array<Object>, tombstones: Array<Object>, state: Object}>}
+     */
+    readData: function () {
+      var view = this;
+      return StorageService.loadSync(this.profileId).then(function (loaded) {
+        return {
+          rounds: view.app.rounds || [],
+          tombstones: loaded.tombstones,
+          state: { cursor: view.sync.cursor, records: view.sync.records, conflicts: view.sync.conflicts }
+        };
+      });
+    },
+
+    /**
+     * Change the device data with the sync engine and save the outcome. Rounds from the server
+     * are validated like any other import; invalid ones are quarantined.
+     * @param {number} generation - Generation the sync was started in; nothing is changed after a switch
+     * @param {function(Object): Object} step - Receives the device data and returns the new data (with applied)
+     * @returns {Promise<void>}
+     */
+    apply: function (generation, step) {
+      var view = this;
+      return this.readData().then(function (data) {
+        if (generation !== view.generation) return;
+        var result = step(data);
+        var rejected = [];
+        var rounds = WHSService.recalculateAdjustments(result.rounds.filter(function (round) {
+          var validation = ValidationService.validateRound(round);
+          if (!validation.valid) rejected.push({ record: round, error: validation.error });
+          return validation.valid;
+        })).map(function (round) {
+          return Object.assign({}, round, { profileId: view.profileId });
+        });
+        var sync = Object.assign({}, view.sync, result.state);
+        return StorageService.saveSyncResult(sync, rounds, result.tombstones, rejected).then(function (saveResult) {
+          if (!saveResult.success) throw new Error(saveResult.error);
+          if (generation !== view.generation) return;
+          view.sync = sync;
+          view.app.rounds = rounds;
+          if (result.applied > 0 || rejected.length > 0) view.app.updateUI();
+          if (rejected.length > 0) {
+            StorageService.loadQuarantine().then(function (entries) {
+              QuarantineView.render(entries);
+            });
+          }
+          view.renderConflicts();
+        });
+      });
+    },
+
+    /**
+     * Settle a round changed on both sides, then sync the choice.
+     * @param {string} id - Round id
+     * @param {string} choice - "local" or "remote" (see SyncEngine.resolveConflict)
+     * @returns {Promise<void>}
+     */
+    resolve: function (id, choice) {
+      var view = this;
+      UIService.clearResult(this.elements.error);
+      return (this.running || Promise.resolve()).then(function () {
+        return view.apply(view.generation, function (data) {
+          return Object.assign(SyncEngine.resolveConflict(data, id, choice, new Date().toISOString()), { applied: choice === "remote" ? 1 : 0 });
+        });
+      }).then(function () {
+        return view.syncNow();
+      }).catch(function (e) {
+        console.error("Error resolving sync conflict:", e);
+        UIService.showError(view.elements.error, I18nService.translateError(e && e.message));
+      });
+    },
+
+    /**
+     * Ask the service worker to send the changes it queued while offline.
+     */
+    replayQueue: function () {
+      if ("serviceWorker" in navigator && navigator.serviceWorker.controller) {
+        navigator.serviceWorker.controller.postMessage({ type: "REPLAY_SYNC_QUEUE" });
+      }
+    },
+
+    /**
+     * Show the settings, status and conflicts of the active player.
+     */
+    render: function () {
+      if (!this.sync) return;
+      this.elements.enabledInput.checked = this.sync.enabled;
+      this.elements.endpointInput.value = this.sync.endpoint;
+      // Suggest a hard to guess key; the player enters the same one on the other devices
+      this.elements.keyInput.value = this.sync.key || StorageService.generateId() + StorageService.generateId();
+      this.elements.syncButton.disabled = !this.sync.enabled || !!this.running;
+      this.renderStatus();
+      this.renderConflicts();
+    },
+
+    /**
+     * Show how the last sync went and how many rounds wait for a decision.
+     */
+    renderStatus: function () {
+      var parts = [];
+      if (!this.isEnabled()) {
+        parts.push(t("Sync is off. Your rounds stay on this device."));
+      } else if (this.message) {
+        parts.push(this.message);
+      } else {
+        parts.push(this.sync.lastSyncedAt ? t("Last synced {time}.", { time: UIService.formatDateTime(this.sync.lastSyncedAt) }) : t("Not synced yet."));
+      }
+      var count = this.sync ? this.sync.conflicts.length : 0;
+      if (count > 0) {
+        parts.push(t(count === 1
+          ? "1 round was changed on this device and on another one. Choose the version to keep."
+          : "{count} rounds were changed on this device and on another one. Choose the versions to keep.", { count: count }));
+      }
+      this.elements.status.textContent = parts.join(" ");
+      this.elements.panel.classList.toggle("sync-attention", count > 0);
+    },
+
+    /**
+     * List the rounds changed on both sides with both versions side by side.
+     */
+    renderConflicts: function () {
+      var list = this.elements.conflicts;
+      list.textContent = "";
+      if (!this.sync) return;
+      var view = this;
+      var app = this.app;
+      var rounds = {};
+      (app.rounds || []).forEach(function (round) {
+        rounds[round.id] = round;
+      });
+      this.sync.conflicts.forEach(function (conflict) {
+        var local = rounds[conflict.id] || null;
+        var remote = conflict.remote.deletedAt ? null : conflict.remote.round;
+        var round = local || remote;
+        if (!round) return;
+        var changes = local && remote ? app.getRoundChanges(SyncEngine.getContent(local), SyncEngine.getContent(remote)) : null;
+
+        var card = document.createElement("div");
+        card.className = "round-card sync-conflict";
+        card.setAttribute("role", "listitem");
+        var title = document.createElement("span");
+        title.className = "round-card-date";
+        var course = CourseService.describeRound(round, app.getCourses()) || round.courseName;
+        title.textContent = UIService.formatDate(round.date) + (course ? " · " + course : "");
+        card.appendChild(title);
+
+        var versions = document.createElement("div");
+        versions.className = "sync-versions";
+        versions.appendChild(view.createVersion(t("This device"), local, local ? local.updatedAt : null, changes, "from", t("Keep This Version"), function () {
+          view.resolve(conflict.id, "local");
+        }));
+        versions.appendChild(view.createVersion(t("Server"), remote, conflict.remote.deletedAt || conflict.remote.updatedAt, changes, "to", t("Use This Version"), function () {
+          view.resolve(conflict.id, "remote");
+        }));
+        card.appendChild(versions);
+        list.appendChild(card);
+      });
+    },
+
+    /**
+     * One side of a conflict: the values that differ, when it was changed and a button to choose it.
+     * @param {string} label - "This device" or "Server"
+     * @param {Object|null} round - Version of the round, or null if deleted
+     * @param {string|null} stamp - Time of the change (ISO 8601)
+     * @param {Object|null} changes - Differences (see App.getRoundChanges)
+     * @param {string} side - "from" for this device, "to" for the server
+     * @param {string} buttonText - Button label
+     * @param {function()} onChoose - Called when this version is chosen
+     * @returns {HTMLElement} Version element
+     */
+    createVersion: function (label, round, stamp, changes, side, buttonText, onChoose) {
+      var app = this.app;
+      var version = document.createElement("div");
+      version.className = "sync-version";
+      var heading = document.createElement("strong");
+      heading.textContent = label;
+      var details = document.createElement("p");
+      details.className = "round-card-details";
+      var fields = Object.keys(changes || {}).filter(function (field) {
+        return field !== "holes";
+      });
+      if (!round) {
+        details.textContent = t("Deleted");
+      } else if (fields.length === 0) {
+        details.textContent = t("The hole scores or other details differ.");
+      } else {
+        details.textContent = fields.map(function (field) {
+          return app.getFieldLabel(field) + " " + app.formatFieldValue(field, changes[field][side]);
+        }).join(", ");
+      }
+      var changed = document.createElement("p");
+      changed.className = "round-card-details";
+      changed.textContent = stamp ? t("Changed {time}", { time: UIService.formatDateTime(stamp) }) : "";
+      var button = document.createElement("button");
+      button.type = "button";
+      button.className = "btn-secondary";
+      button.textContent = buttonText;
+      button.addEventListener("click", onChoose);
+      version.appendChild(heading);
+      version.appendChild(details);
+      version.appendChild(changed);
+      version.appendChild(button);
+      return version;
+    }
+  };
+
+  // ============================================================================
+  // VERIFY VIEW (read-only check of a shared handicap record)
+  // ============================================================================
+
+  var VerifyView = {
+    elements: {
+      section: null,
+      player: null,
+      index: null,
+      date: null,
+      status: null,
+      differentials: null,
+      closeButton: null
+    },
+
+    /**
+     * Initialize the verification view and show it if the page was opened from a shared link.
+     */
+    init: function () {
+      this.elements.section = document.getElementById("verify-view");
+      this.elements.player = document.getElementById("verify-player");
+      this.elements.index = document.getElementById("verify-index");
+      this.elements.date = document.getElementById("verify-date");
+      this.elements.status = document.getElementById("verify-status");
+      this.elements.differentials = document.getElementById("verify-differentials");
+      this.elements.closeButton = document.getElementById("verify-close");
+
+      for (var key in this.elements) {
+        if (!this.elements[key]) {
+          console.error("Missing verification element:", key);
+          return;
+        }
+      }
+
+      window.addEventListener("hashchange", this.render.bind(this));
+      this.elements.closeButton.addEventListener("click", this.close.bind(this));
+      this.render();
+    },
+
+    /**
+     * Show the shared record in the URL fragment, or hide the view if there is none.
+     */
+    render: function () {
+      var payload = ShareService.readHash(window.location.hash);
+      document.body.classList.toggle("verify-mode", payload !== null);
+      this.elements.section.hidden = payload === null;
+      if (payload === null) return;
+
+      this.elements.differentials.textContent = "";
+      var decoded = ShareService.decode(payload);
+      if (!decoded.valid) {
+        this.elements.player.textContent = "";
+        this.elements.index.textContent = "—";
+        this.elements.date.textContent = "";
+        this.elements.status.className = "verify-status verify-status-failed";
+        this.elements.status.textContent = decoded.error;
+        return;
+      }
+      var record = decoded.value;
+      var result = WHSService.calculateIndexFromDifferentials(record.differentials, record.lowHandicapIndex);
+      this.elements.player.textContent = record.name;
+      this.elements.index.textContent = UIService.formatNumber(record.handicap);
+      this.elements.date.textContent = t("Calculated on {date}", { date: UIService.formatDate(record.date) });
+      var matches = result.handicap === record.handicap;
+      this.elements.status.className = "verify-status " + (matches ? "verify-status-ok" : "verify-status-failed");
+      this.elements.status.textContent = matches
+        ? t(result.roundsUsed === 1 ? "Verified: this differential gives this index." : "Verified: the best {best} of these {total} differentials give this index.",
+          { best: result.bestRoundsUsed, total: result.roundsUsed })
+        : t("Does not match: these differentials give an index of {index}.", { index: UIService.formatNumber(result.handicap) });
+      if (result.cap) {
+        this.elements.status.textContent += " " + t(result.cap === "hard"
+          ? "Hard cap applied: calculated {calculated}, limited by the Low Handicap Index of {low}."
+          : "Soft cap applied: calculated {calculated}, limited by the Low Handicap Index of {low}.", {
+          calculated: UIService.formatNumber(result.uncappedHandicap),
+          low: UIService.formatNumber(result.lowHandicapIndex)
+        });
+      }
+
+      var counting = {};
+      result.countingPositions.forEach(function (position) {
+        counting[position] = true;
+      });
+      var list = this.elements.differentials;
+      record.differentials.forEach(function (differential, position) {
+        var item = document.createElement("span");
+        item.className = "verify-differential" + (counting[position] ? " verify-differential-counting" : "");
+        item.setAttribute("role", "listitem");
+        item.textContent = UIService.formatNumber(differential);
+        if (counting[position]) item.title = t("Counts");
+        list.appendChild(item);
+      });
+    },
+
+    /**
+     * Leave the verification view for the app itself.
+     */
+    close: function () {
+      window.history.replaceState(null, "", window.location.pathname + window.location.search);
+      this.render();
+    }
+  };
+
+  // ============================================================================
+  // APPLICATION (main logic)
+  // ============================================================================
+
+  var App = {
+    editingRoundId: null,
+    pccSource: "manual",
+    roundsFilter: { query: "", from: "", to: "", course: "", type: "", countingOnly: false },
+    roundsSort: "date-desc",
+    roundsShown: CONFIG.ROUNDS_PAGE_SIZE,
+    rounds: null,
+    courses: [],
+    profiles: [],
+    activeProfileId: null,
+    elements: {
+      form: null,
+      roundDateInput: null,
+      courseSelect: null,
+      teeField: null,
+      teeSelect: null,
+      holesPlayedSelect: null,
+      grossScoreInput: null,
+      courseRatingInput: null,
+      slopeInput: null,
+      pccSelect: null,
+      pccFieldScores: null,
+      pccFieldFile: null,
+      pccCalculateButton: null,
+      pccFieldResult: null,
+      notesInput: null,
+      categorySelect: null,
+      acceptableInput: null,
+      useScorecardInput: null,
+      scorecardContainer: null,
+      scoringFormatField: null,
+      scoringFormatSelect: null,
+      resultContainer: null,
+      handicapValue: null,
+      handicapHint: null,
+      handicapCap: null,
+      handicapEsr: null,
+      handicapCompetition: null,
+      roundsList: null,
+      roundsEmpty: null,
+      roundsFilters: null,
+      roundsSearchInput: null,
+      roundsFromInput: null,
+      roundsToInput: null,
+      roundsCourseSelect: null,
+      roundsTypeSelect: null,
+      roundsSortSelect: null,
+      roundsCountingInput: null,
+      roundsCount: null,
+      roundsMoreButton: null,
+      deleteAllButton: null,
+      submitButton: null,
+      editBanner: null,
+      editBannerText: null,
+      editCancelButton: null
+    },
+
+    /**
+     * Initialize the application.
+     */
+    init: function () {
+      this.elements.form = document.getElementById("handicap-form");
+      this.elements.roundDateInput = document.getElementById("round-date");
+      this.elements.courseSelect = document.getElementById("course-select");
+      this.elements.teeField = document.getElementById("tee-field");
+      this.elements.teeSelect = document.getElementById("tee-select");
+      this.elements.holesPlayedSelect = document.getElementById("holes-played");
+      this.elements.grossScoreInput = document.getElementById("gross-score");
+      this.elements.courseRatingInput = document.getElementById("course-rating");
+      this.elements.slopeInput = document.getElementById("slope-rating");
+      this.elements.pccSelect = document.getElementById("pcc");
+      this.elements.pccFieldScores = document.getElementById("pcc-field-scores");
+      this.elements.pccFieldFile = document.getElementById("pcc-field-file");
+      this.elements.pccCalculateButton = document.getElementById("pcc-calculate");
+      this.elements.pccFieldResult = document.getElementById("pcc-field-result");
+      this.elements.notesInput = document.getElementById("round-notes");
+      this.elements.categorySelect = document.getElementById("round-category");
+      this.elements.acceptableInput = document.getElementById("round-acceptable");
+      this.elements.useScorecardInput = document.getElementById("use-scorecard");
+      this.elements.scorecardContainer = document.getElementById("scorecard");
+      this.elements.scoringFormatField = document.getElementById("scoring-format-field");
+      this.elements.scoringFormatSelect = document.getElementById("scoring-format");
+      this.elements.resultContainer = document.getElementById("result");
+      this.elements.handicapValue = document.getElementById("handicap-value");
+      this.elements.handicapHint = document.getElementById("handicap-hint");
+      this.elements.handicapCap = document.getElementById("handicap-cap");
+      this.elements.handicapEsr = document.getElementById("handicap-esr");
+      this.elements.handicapCompetition = document.getElementById("handicap-competition");
+      this.elements.roundsList = document.getElementById("rounds-list");
+      this.elements.roundsEmpty = document.getElementById("rounds-empty");
+      this.elements.roundsFilters = document.getElementById("rounds-filters");
+      this.elements.roundsSearchInput = document.getElementById("rounds-search");
+      this.elements.roundsFromInput = document.getElementById("rounds-from");
+      this.elements.roundsToInput = document.getElementById("rounds-to");
+      this.elements.roundsCourseSelect = document.getElementById("rounds-course");
+      this.elements.roundsTypeSelect = document.getElementById("rounds-type");
+      this.elements.roundsSortSelect = document.getElementById("rounds-sort");
+      this.elements.roundsCountingInput = document.getElementById("rounds-counting");
+      this.elements.roundsCount = document.getElementById("rounds-count");
+      this.elements.roundsMoreButton = document.getElementById("rounds-more");
+      this.elements.deleteAllButton = document.getElementById("delete-all");
+      this.elements.submitButton = document.getElementById("calculate-btn");
+      this.elements.editBanner = document.getElementById("edit-banner");
+      this.elements.editBannerText = document.getElementById("edit-banner-text");
+      this.elements.editCancelButton = document.getElementById("edit-cancel");
+
+      var missingElements = [];
+      for (var key in this.elements) {
+        if (!this.elements[key]) {
+          missingElements.push(key);
+        }
+      }
+      if (missingElements.length > 0) {
+        console.error("Missing DOM elements:", missingElements);
+        return;
+      }
+
+      this.elements.form.addEventListener("submit", this.handleSubmit.bind(this));
+      this.elements.deleteAllButton.addEventListener("click", this.handleDeleteAll.bind(this));
+      this.elements.editCancelButton.addEventListener("click", this.cancelEdit.bind(this));
+      this.elements.useScorecardInput.addEventListener("change", this.handleScorecardToggle.bind(this));
+      this.elements.scorecardContainer.addEventListener("input", this.updateScorecardTotal.bind(this));
+      this.elements.holesPlayedSelect.addEventListener("change", this.handleHolesPlayedChange.bind(this));
+      this.elements.courseSelect.addEventListener("change", this.handleCourseSelect.bind(this));
+      this.elements.teeSelect.addEventListener("change", this.handleTeeSelect.bind(this));
+      this.elements.categorySelect.addEventListener("change", this.handleCategorySelect.bind(this));
+      this.elements.courseRatingInput.addEventListener("input", this.handleRatingInput.bind(this));
+      this.elements.slopeInput.addEventListener("input", this.handleRatingInput.bind(this));
+      this.elements.pccSelect.addEventListener("change", this.handlePccSelect.bind(this));
+      this.elements.pccCalculateButton.addEventListener("click", this.calculateFieldPcc.bind(this));
+      this.elements.pccFieldFile.addEventListener("change", this.handlePccFieldFile.bind(this));
+      this.elements.roundsFilters.addEventListener("input", this.handleRoundsFilter.bind(this));
+      this.elements.roundsFilters.addEventListener("change", this.handleRoundsFilter.bind(this));
+      this.elements.roundsMoreButton.addEventListener("click", this.showMoreRounds.bind(this));
+
+      UIService.renderScorecard(this.elements.scorecardContainer, CONFIG.HOLES_PER_ROUND);
+      var formatSelect = this.elements.scoringFormatSelect;
+      Object.keys(CONFIG.SCORING_FORMATS).forEach(function (key) {
+        var option = document.createElement("option");
+        option.value = key;
+        option.textContent = t(CONFIG.SCORING_FORMATS[key].label);
+        formatSelect.appendChild(option);
+      });
+      var categorySelect = this.elements.categorySelect;
+      Object.keys(CONFIG.ROUND_CATEGORIES).forEach(function (key) {
+        var option = document.createElement("option");
+        option.value = key;
+        option.textContent = t(CONFIG.ROUND_CATEGORIES[key].label);
+        categorySelect.appendChild(option);
+      });
+      this.resetCategory();
+      [[this.elements.roundsTypeSelect, RoundFilterService.ROUND_TYPES], [this.elements.roundsSortSelect, RoundFilterService.SORT_ORDERS]].forEach(function (entry) {
+        Object.keys(entry[1]).forEach(function (key) {
+          var option = document.createElement("option");
+          option.value = key;
+          option.textContent = t(typeof entry[1][key] === "string" ? entry[1][key] : entry[1][key].label);
+          entry[0].appendChild(option);
+        });
+      });
+      UIService.setToday(this.elements.roundDateInput);
+      CourseLibraryView.init(this);
+      PlayingHandicapView.init(this);
+      GroupRoundView.init(this);
+      HistoryView.init(this);
+      StatisticsView.init(this);
+      WhatIfView.init(this);
+      GoalView.init(this);
+      ImportExportView.init(this);
+      QuarantineView.init(this);
+      ProfileView.init(this);
+      UpdateView.init();
+      LanguageView.init(this);
+      ShareView.init(this);
+      ReportView.init(this);
+      SyncView.init(this);
+      VerifyView.init();
+      this.updateUI();
+      this.loadData();
+    },
+
+    /**
+     * Load rounds, courses and quarantined records from storage and render them.
+     * @returns {Promise<void>}
+     */
+    loadData: function () {
+      var app = this;
+      return Promise.all([
+        StorageService.loadProfiles(),
+        StorageService.loadSetting("activeProfileId"),
+        StorageService.loadCourses()
+      ]).then(function (results) {
+        app.profiles = results[0];
+        app.courses = results[2];
+        CourseLibraryView.render();
+        app.handleCoursesChanged();
+        if (app.profiles.length > 0) return results[1];
+        // Every device needs at least one profile to post rounds to
+        var profile = StorageService.createProfile(t(CONFIG.DEFAULT_PROFILE_NAME));
+        return StorageService.saveProfile(profile).then(function (saveResult) {
+          if (!saveResult.success) throw new Error(saveResult.error);
+          app.profiles = [profile];
+          return profile.id;
+        });
+      }).then(function (profileId) {
+        return app.activateProfile(profileId);
+      }).then(function () {
+        return StorageService.loadQuarantine();
+      }).then(function (quarantined) {
+        QuarantineView.render(quarantined);
+      }).catch(function (e) {
+        console.error("Error loading saved data:", e);
+        UIService.showError(app.elements.resultContainer, t("Your saved rounds could not be opened: {error}", { error: I18nService.translateError(e && e.message) }));
+      });
+    },
+
+    /**
+     * Return the profile whose rounds are shown.
+     * @returns {Object|null} Active profile
+     */
+    getActiveProfile: function () {
+      var profileId = this.activeProfileId;
+      return this.profiles.filter(function (profile) {
+        return profile.id === profileId;
+      })[0] || null;
+    },
+
+    /**
+     * Rating set (men's/women's) to preselect on tees for the active profile.
+     * @returns {string} Rating set key, or "" for the standard ratings
+     */
+    getPreferredRatingSet: function () {
+      var profile = this.getActiveProfile();
+      return profile ? profile.gender : "";
+    },
+
+    /**
+     * Load a profile's rounds and show them. Falls back to the first profile if the id is unknown.
+     * @param {string|null} profileId - Profile to show
+     * @returns {Promise<void>}
+     */
+    activateProfile: function (profileId) {
+      var profile = this.profiles.filter(function (p) {
+        return p.id === profileId;
+      })[0] || this.profiles[0];
+      var app = this;
+      return StorageService.loadRounds(profile.id).then(function (rounds) {
+        app.activeProfileId = profile.id;
+        app.rounds = rounds;
+        app.applyProfilePreferences(profile);
+        app.updateUI();
+        SyncView.load(profile.id);
+        return StorageService.saveSetting("activeProfileId", profile.id);
+      }).then(function (saveResult) {
+        if (!saveResult.success) console.error("Error saving active profile:", saveResult.error);
+      });
+    },
+
+    /**
+     * Switch to another player's rounds, discarding anything tied to the previous player.
+     * @param {string} profileId - Profile id
+     * @returns {Promise<void>}
+     */
+    switchProfile: function (profileId) {
+      if (profileId === this.activeProfileId) return Promise.resolve();
+      this.cancelEdit();
+      UIService.clearResult(this.elements.resultContainer);
+      ImportExportView.reset();
+      WhatIfView.reset();
+      var app = this;
+      return this.activateProfile(profileId).catch(function (e) {
+        console.error("Error switching profile:", e);
+        UIService.showError(app.elements.resultContainer, t("The rounds of this player could not be opened: {error}", { error: I18nService.translateError(e && e.message) }));
+      });
+    },
+
+    /**
+     * Apply a profile's home course and settings to the forms and views.
+     * @param {Object} profile - Active profile
+     */
+    applyProfilePreferences: function (profile) {
+      var homeCourse = CourseService.findCourse(this.getCourses(), profile.homeCourseId);
+      this.elements.courseSelect.value = homeCourse ? homeCourse.id : "";
+      this.handleCourseSelect();
+      PlayingHandicapView.selectCourse(homeCourse ? homeCourse.id : "");
+      WhatIfView.selectCourse(homeCourse ? homeCourse.id : "");
+      HistoryView.range = profile.settings.historyRange in HistoryView.RANGES ? profile.settings.historyRange : HistoryView.DEFAULT_RANGE;
+      ProfileView.render();
+    },
+
+    /**
+     * Add or update a profile and keep the in-memory list in sync.
+     * @param {Object} profile - Profile
+     * @returns {Promise<{success: boolean, error: string|null}>}
+     */
+    persistProfile: function (profile) {
+      var app = this;
+      return StorageService.saveProfile(profile).then(function (result) {
+        if (!result.success) return result;
+        app.profiles = app.profiles.filter(function (p) {
+          return p.id !== profile.id;
+        }).concat([profile]).sort(function (a, b) {
+          return a.name.localeCompare(b.name);
+        });
+        return result;
+      });
+    },
+
+    /**
+     * Merge changes into the active profile's settings and save them.
+     * @param {Object} changes - Settings to change
+     * @returns {Promise<{success: boolean, error: string|null}>}
+     */
+    updateProfileSettings: function (changes) {
+      var profile = this.getActiveProfile();
+      if (!profile) return Promise.resolve({ success: false, error: "No active profile." });
+      return this.persistProfile(Object.assign({}, profile, { settings: Object.assign({}, profile.settings, changes) }));
+    },
+
+    /**
+     * Return saved rounds sorted newest first.
+     * @returns {Array<Object>} Rounds sorted by date descending
+     */
+    getRoundsNewestFirst: function () {
+      return (this.rounds || []).slice().sort(function (a, b) {
+        return b.date.localeCompare(a.date);
+      });
+    },
+
+    /**
+     * Return the course library.
+     * @returns {Array<Object>} Saved courses
+     */
+    getCourses: function () {
+      return this.courses.slice();
+    },
+
+    /**
+     * Save rounds and keep them as the current in-memory set.
+     * @param {Array<Object>} rounds - All rounds
+     * @returns {Promise<{success: boolean, error: string|null}>}
+     */
+    persistRounds: function (rounds) {
+      if (this.rounds === null) {
+        return Promise.resolve({ success: false, error: "Saved rounds are not loaded yet." });
+      }
+      var app = this;
+      return StorageService.saveRounds(this.activeProfileId, rounds).then(function (result) {
+        if (!result.success) return result;
+        app.rounds = result.rounds;
+        SyncView.schedule();
+        return result;
+      });
+    },
+
+    /**
+     * Save the course library and keep it as the current in-memory set.
+     * @param {Array<Object>} courses - All courses
+     * @returns {Promise<{success: boolean, error: string|null}>}
+     */
+    persistCourses: function (courses) {
+      if (this.rounds === null) {
+        return Promise.resolve({ success: false, error: "Saved courses are not loaded yet." });
+      }
+      var app = this;
+      return StorageService.saveCourses(courses).then(function (result) {
+        if (result.success) app.courses = courses.slice();
+        return result;
+      });
+    },
+
+    /**
+     * Fill the course picker from the course library, keeping the current selection if possible.
+     */
+    renderCoursePicker: function () {
+      UIService.fillCourseSelect(this.elements.courseSelect, this.getCourses(), t("Enter ratings manually"));
+      this.renderTeePicker();
+    },
+
+    /**
+     * Refresh everything that shows courses after the library changed.
+     */
+    handleCoursesChanged: function () {
+      this.renderCoursePicker();
+      PlayingHandicapView.renderCoursePicker();
+      GroupRoundView.renderCoursePicker();
+      WhatIfView.renderCoursePicker();
+      ProfileView.renderHomeCoursePicker();
+      this.renderRoundsList();
+    },
+
+    /**
+     * Fill the tee picker for the selected course.
+     */
+    renderTeePicker: function () {
+      var course = CourseService.findCourse(this.getCourses(), this.elements.courseSelect.value);
+      this.elements.teeField.hidden = !course;
+      UIService.fillTeeSelect(this.elements.teeSelect, course, this.getPreferredRatingSet());
+    },
+
+    /**
+     * Return the course/tee currently chosen in the picker.
+     * @returns {{course: Object, tee: Object, ratingSet: string, courseRating: number, slope: number, par: number}|null}
+     */
+    getSelectedTee: function () {
+      var course = CourseService.findCourse(this.getCourses(), this.elements.courseSelect.value);
+      var option = CourseService.findTeeOption(course, this.elements.teeSelect.value);
+      if (!option) return null;
+      var isNineHole = this.getHolesPlayed() === CONFIG.NINE_HOLES;
+      // Without a published 9-hole rating, half the 18-hole course rating is used
+      return {
+        course: course,
+        tee: CourseService.findTee(course, option.teeId),
+        ratingSet: option.ratingSet,
+        courseRating: isNineHole ? Math.round(option.courseRating * 5) / 10 : option.courseRating,
+        slope: option.slope,
+        par: isNineHole ? Math.round(option.par / 2) : option.par
+      };
+    },
+
+    /**
+     * Copy the selected tee's ratings into the rating fields.
+     */
+    applySelectedTee: function () {
+      var selection = this.getSelectedTee();
+      if (!selection) return;
+      this.elements.courseRatingInput.value = UIService.formatNumber(selection.courseRating);
+      this.elements.slopeInput.value = String(selection.slope);
+      this.elements.courseRatingInput.removeAttribute("aria-invalid");
+      this.elements.slopeInput.removeAttribute("aria-invalid");
+      if (selection.tee.holes && this.getHolesPlayed() === CONFIG.HOLES_PER_ROUND) {
+        UIService.fillScorecardLayout(this.elements.scorecardContainer, selection.tee.holes);
+      }
+    },
+
+    /**
+     * Handle course picker change.
+     */
+    handleCourseSelect: function () {
+      this.renderTeePicker();
+      this.applySelectedTee();
+    },
+
+    /**
+     * Handle tee picker change.
+     */
+    handleTeeSelect: function () {
+      this.applySelectedTee();
+    },
+
+    /**
+     * Switch back to manual entry once the user overrides the tee's ratings.
+     */
+    handleRatingInput: function () {
+      var selection = this.getSelectedTee();
+      if (!selection) return;
+      if (ValidationService.toNumber(this.elements.courseRatingInput.value) !== selection.courseRating ||
+          ValidationService.toNumber(this.elements.slopeInput.value) !== selection.slope) {
+        this.elements.courseSelect.value = "";
+        this.renderTeePicker();
+      }
+    },
+
+    /**
+     * Number of holes selected for the round being entered.
+     * @returns {number} 9 or 18
+     */
+    getHolesPlayed: function () {
+      return ValidationService.validateHolesPlayed(this.elements.holesPlayedSelect.value).value || CONFIG.HOLES_PER_ROUND;
+    },
+
+    /**
+     * Switch the form between 9- and 18-hole rounds.
+     */
+    handleHolesPlayedChange: function () {
+      var holesPlayed = this.getHolesPlayed();
+      var isNineHole = holesPlayed === CONFIG.NINE_HOLES;
+      this.elements.courseRatingInput.placeholder = isNineHole ? t("e.g. 36.2") : t("e.g. 72.5");
+      UIService.renderScorecard(this.elements.scorecardContainer, holesPlayed);
+      this.updateScorecardTotal();
+      this.applySelectedTee();
+    },
+
+    /**
+     * Show or hide the hole-by-hole scorecard.
+     */
+    handleScorecardToggle: function () {
+      var enabled = this.elements.useScorecardInput.checked;
+      this.elements.scorecardContainer.hidden = !enabled;
+      this.elements.scoringFormatField.hidden = !enabled;
+      this.elements.grossScoreInput.readOnly = enabled;
+      if (enabled) {
+        this.updateScorecardTotal();
+      } else {
+        this.elements.grossScoreInput.value = "";
+      }
+    },
+
+    /**
+     * Mirror the scorecard total into the gross score field while typing.
+     */
+    updateScorecardTotal: function () {
+      if (!this.elements.useScorecardInput.checked) return;
+      var holes = UIService.readScorecard(this.elements.scorecardContainer);
+      var total = 0;
+      var complete = holes.every(function (hole) {
+        var strokes = parseInt(hole.strokes, 10);
+        if (isNaN(strokes)) return false;
+        total += strokes;
+        return true;
+      });
+      this.elements.grossScoreInput.value = complete ? String(total) : "";
     },
 
     /**
-     * Initialize the application.
+     * Mark the PCC as entered by hand once the user picks a value.
      */
-    init: function () {
-      this.elements.form = document.getElementById("handicap-form");
-      this.elements.roundDateInput = document.getElementById("round-date");
-      this.elements.grossScoreInput = document.getElementById("gross-score");
-      this.elements.courseRatingInput = document.getElementById("course-rating");
-      this.elements.slopeInput = document.getElementById("slope-rating");
-      this.elements.resultContainer = document.getElementById("result");
-      this.elements.handicapValue = document.getElementById("handicap-value");
-      this.elements.handicapHint = document.getElementById("handicap-hint");
-      this.elements.roundsList = document.getElementById("rounds-list");
-      this.elements.roundsEmpty = document.getElementById("rounds-empty");
-      this.elements.deleteAllButton = document.getElementById("delete-all");
+    handlePccSelect: function () {
+      this.pccSource = "manual";
+      this.elements.pccFieldResult.textContent = "";
+    },
 
-      var missingElements = [];
-      for (var key in this.elements) {
-        if (!this.elements[key]) {
-          missingElements.push(key);
-        }
+    /**
+     * Format a PCC value with its sign (e.g. "+2", "-1", "0").
+     * @param {number} pcc - PCC value
+     * @returns {string} Formatted value
+     */
+    formatPcc: function (pcc) {
+      return pcc > 0 ? "+" + pcc : String(pcc);
+    },
+
+    /**
+     * Load club results from a CSV file into the field scores box.
+     */
+    handlePccFieldFile: function () {
+      var file = this.elements.pccFieldFile.files && this.elements.pccFieldFile.files[0];
+      if (!file) return;
+      var app = this;
+      ImportExportView.readFile(file).then(function (text) {
+        app.elements.pccFieldScores.value = text;
+        app.calculateFieldPcc();
+      }).catch(function (e) {
+        console.error("Error reading field results:", e);
+        app.elements.pccFieldResult.textContent = t("The file could not be read.");
+      });
+    },
+
+    /**
+     * Calculate the PCC from the field's scores using the ratings in the form.
+     */
+    calculateFieldPcc: function () {
+      var holesPlayed = this.getHolesPlayed();
+      var courseRatingValidation = ValidationService.validateCourseRating(this.elements.courseRatingInput.value, holesPlayed);
+      var slopeValidation = ValidationService.validateSlope(this.elements.slopeInput.value);
+      var output = this.elements.pccFieldResult;
+      if (!courseRatingValidation.valid || !slopeValidation.valid) {
+        output.textContent = t("Enter the course rating and slope first.") + " " +
+          I18nService.translateError(courseRatingValidation.error || slopeValidation.error);
+        return;
       }
-      if (missingElements.length > 0) {
-        console.error("Missing DOM elements:", missingElements);
+      var field = TransferService.parseFieldScores(this.elements.pccFieldScores.value);
+      var calculation = WHSService.calculatePCC(field.scores, courseRatingValidation.value, slopeValidation.value, holesPlayed);
+      var skipped = field.errors.length > 0 ? " " + t(field.errors.length === 1
+        ? "{count} line skipped (first: line {row}: {error})"
+        : "{count} lines skipped (first: line {row}: {error})", {
+        count: field.errors.length,
+        row: field.errors[0].row,
+        error: I18nService.translateError(field.errors[0].error)
+      }) : "";
+      if (!calculation.valid) {
+        output.textContent = I18nService.translateError(calculation.error) + skipped;
         return;
       }
-
-      this.elements.form.addEventListener("submit", this.handleSubmit.bind(this));
-      this.elements.deleteAllButton.addEventListener("click", this.handleDeleteAll.bind(this));
-
-      UIService.setToday(this.elements.roundDateInput);
-      this.updateUI();
+      var info = calculation.value;
+      this.elements.pccSelect.value = String(info.pcc);
+      this.pccSource = "field";
+      output.textContent = t("PCC {pcc}: the field of {count} scored {excess} on average against expectation.", {
+        pcc: this.formatPcc(info.pcc),
+        count: info.fieldSize,
+        excess: (info.averageExcess >= 0 ? "+" : "") + UIService.formatNumber(info.averageExcess)
+      }) + skipped;
     },
 
     /**
@@ -483,6 +7149,9 @@ if ('serviceWorker' in navigator) {
       var scoreRaw = this.elements.grossScoreInput.value;
       var courseRatingRaw = this.elements.courseRatingInput.value;
       var slopeRaw = this.elements.slopeInput.value;
+      var useScorecard = this.elements.useScorecardInput.checked;
+      var scoringFormat = useScorecard ? this.elements.scoringFormatSelect.value : "";
+      var holesPlayed = this.getHolesPlayed();
 
       var dateValidation = ValidationService.validateDate(dateRaw);
       if (!dateValidation.valid) {
@@ -493,16 +7162,25 @@ if ('serviceWorker' in navigator) {
       }
       this.elements.roundDateInput.removeAttribute("aria-invalid");
 
-      var scoreValidation = ValidationService.validateScore(scoreRaw);
-      if (!scoreValidation.valid) {
-        UIService.showError(this.elements.resultContainer, scoreValidation.error);
-        this.elements.grossScoreInput.setAttribute("aria-invalid", "true");
-        this.elements.grossScoreInput.focus();
-        return;
+      var holesValidation = null;
+      if (useScorecard) {
+        holesValidation = ValidationService.validateHoles(UIService.readScorecard(this.elements.scorecardContainer), holesPlayed);
+        if (!holesValidation.valid) {
+          UIService.showError(this.elements.resultContainer, holesValidation.error);
+          return;
+        }
+      } else {
+        var scoreValidation = ValidationService.validateScore(scoreRaw);
+        if (!scoreValidation.valid) {
+          UIService.showError(this.elements.resultContainer, scoreValidation.error);
+          this.elements.grossScoreInput.setAttribute("aria-invalid", "true");
+          this.elements.grossScoreInput.focus();
+          return;
+        }
       }
       this.elements.grossScoreInput.removeAttribute("aria-invalid");
 
-      var courseRatingValidation = ValidationService.validateCourseRating(courseRatingRaw);
+      var courseRatingValidation = ValidationService.validateCourseRating(courseRatingRaw, holesPlayed);
       if (!courseRatingValidation.valid) {
         UIService.showError(this.elements.resultContainer, courseRatingValidation.error);
         this.elements.courseRatingInput.setAttribute("aria-invalid", "true");
@@ -520,46 +7198,507 @@ if ('serviceWorker' in navigator) {
       }
       this.elements.slopeInput.removeAttribute("aria-invalid");
 
-      var scoreDifferential = WHSService.calculateScoreDifferential(
-        scoreValidation.value,
-        courseRatingValidation.value,
-        slopeValidation.value
-      );
-      UIService.showResult(this.elements.resultContainer, scoreDifferential);
+      var pccValidation = ValidationService.validatePCC(this.elements.pccSelect.value);
+      if (!pccValidation.valid) {
+        UIService.showError(this.elements.resultContainer, pccValidation.error);
+        this.elements.pccSelect.focus();
+        return;
+      }
 
-      var rounds = StorageService.loadRounds();
-      var newRound = {
-        id: String(Date.now()),
+      var notesValidation = ValidationService.validateNotes(this.elements.notesInput.value);
+      if (!notesValidation.valid) {
+        UIService.showError(this.elements.resultContainer, notesValidation.error);
+        this.elements.notesInput.focus();
+        return;
+      }
+
+      var editing = this.findRound(this.editingRoundId);
+      var input = {
+        id: editing ? editing.id : String(Date.now()),
         date: dateRaw.trim(),
-        score: scoreValidation.value,
+        holesPlayed: holesPlayed,
+        holes: holesValidation ? holesValidation.value : null,
+        score: holesValidation ? null : scoreValidation.value,
         courseRating: courseRatingValidation.value,
         slope: slopeValidation.value,
+        pcc: pccValidation.value,
+        pccSource: this.pccSource,
+        tee: this.getSelectedTee(),
+        format: scoringFormat,
+        notes: notesValidation.value,
+        category: this.elements.categorySelect.value,
+        acceptable: this.elements.acceptableInput.checked
+      };
+      var app = this;
+      return this.saveRound(this.activeProfileId, input, editing).then(function (saveResult) {
+        if (!saveResult.success) {
+          UIService.showError(app.elements.resultContainer, saveResult.error);
+          return;
+        }
+        var postedRound = saveResult.round;
+        if (postedRound.differential !== null) {
+          UIService.showResult(app.elements.resultContainer, postedRound.differential, saveResult.note,
+            editing ? t("Updated Score Differential") : undefined);
+        } else {
+          UIService.showResult(app.elements.resultContainer, postedRound.nineHoleDifferential, saveResult.note,
+            editing ? t("Updated 9-Hole Score Differential") : t("9-Hole Score Differential"));
+        }
+        if (editing) {
+          app.cancelEdit();
+        } else {
+          app.resetPcc();
+          app.elements.notesInput.value = "";
+          app.resetCategory();
+        }
+        app.updateUI();
+      }).catch(function (e) {
+        console.error("Error saving round:", e);
+        UIService.showError(app.elements.resultContainer, I18nService.translateError(e && e.message));
+      });
+    },
+
+    /**
+     * Build a round from validated input, scored against the player's other rounds.
+     * With a scorecard the course handicap comes from the index in effect on the day played and caps
+     * each hole at net double bogey; the differential always uses the adjusted gross score.
+     * @param {Object} input - Validated round values: id, date, holesPlayed, holes (or null), score (without holes),
+     *   courseRating, slope, pcc, pccSource, tee (see getSelectedTee, or null), format ("" for none), notes (optional),
+     *   category and acceptable (optional, default general play)
+     * @param {Array<Object>} rounds - The player's other rounds (newest first)
+     * @returns {{valid: boolean, error: string|null, value: {round: Object, note: string}|null}}
+     */
+    createRound: function (input, rounds) {
+      var grossScore = input.score;
+      var adjustedScore = input.score;
+      var holes = null;
+      var courseHandicap = null;
+      var note = "";
+      if (input.holes) {
+        var indexOnDate = WHSService.getHandicapIndexOnDate(rounds, input.date);
+        var par = input.holes.reduce(function (acc, hole) {
+          return acc + hole.par;
+        }, 0);
+        if (indexOnDate !== null) {
+          courseHandicap = WHSService.calculateCourseHandicap(indexOnDate, input.courseRating, input.slope, par, input.holesPlayed);
+        }
+        if (input.format && courseHandicap === null) {
+          return {
+            valid: false,
+            error: t("Competition scoring needs a Handicap Index. Save this round without a format until you have one."),
+            value: null
+          };
+        }
+        var adjusted = WHSService.calculateAdjustedGrossScore(input.holes, courseHandicap);
+        grossScore = adjusted.grossScore;
+        adjustedScore = adjusted.adjustedScore;
+        holes = adjusted.holes;
+        note = courseHandicap === null
+          ? t("Adjusted Gross Score {adjusted} (gross {gross}, max. par + {limit} per hole)", { adjusted: adjustedScore, gross: grossScore, limit: CONFIG.MAX_OVER_PAR_WITHOUT_INDEX })
+          : t("Adjusted Gross Score {adjusted} (gross {gross}, course handicap {handicap})", { adjusted: adjustedScore, gross: grossScore, handicap: courseHandicap });
+      }
+
+      var scoreDifferential = WHSService.calculateScoreDifferential(
+        adjustedScore,
+        input.courseRating,
+        input.slope,
+        input.pcc,
+        input.holesPlayed
+      );
+      var round = {
+        id: input.id,
+        date: input.date,
+        score: grossScore,
+        adjustedScore: adjustedScore,
+        courseRating: input.courseRating,
+        slope: input.slope,
         differential: scoreDifferential
       };
-      rounds.unshift(newRound);
-      var saveResult = StorageService.saveRounds(rounds);
-      if (!saveResult.success) {
-        UIService.showError(this.elements.resultContainer, saveResult.error);
-        return;
+      if (input.pcc !== 0) {
+        round.pcc = input.pcc;
+        round.pccSource = input.pccSource;
+        note = (note ? note + ". " : "") + t(input.pccSource === "field" ? "PCC {pcc} applied (calculated from the field's scores)" : "PCC {pcc} applied",
+          { pcc: this.formatPcc(input.pcc) });
+      }
+      if (input.holesPlayed === CONFIG.NINE_HOLES) {
+        round.holesPlayed = CONFIG.NINE_HOLES;
+        round.nineHoleDifferential = scoreDifferential;
+        round.differential = null;
+      }
+      if (holes) {
+        round.holes = holes;
+        round.courseHandicap = courseHandicap;
+      }
+      if (input.format) {
+        round.format = input.format;
+        round.competition = WHSService.calculateCompetitionResult(holes, courseHandicap, input.format);
+        note += ". " + this.describeCompetition(round, true);
       }
+      if (input.notes) {
+        round.notes = input.notes;
+      }
+      round.category = input.category || CONFIG.DEFAULT_ROUND_CATEGORY;
+      round.acceptable = input.acceptable !== false && CONFIG.ROUND_CATEGORIES[round.category].acceptable;
+      if (!round.acceptable) {
+        note = (note ? note + ". " : "") + t("Not counted towards your Handicap Index");
+      }
+      if (input.tee) {
+        round.courseId = input.tee.course.id;
+        round.teeId = input.tee.tee.id;
+        round.teeRatingSet = input.tee.ratingSet;
+        round.courseName = input.tee.course.name;
+        round.teeName = input.tee.tee.name;
+      }
+      return { valid: true, error: null, value: { round: round, note: note } };
+    },
 
-      this.updateUI();
+    /**
+     * Load a player's rounds, newest first.
+     * @param {string} profileId - Profile id
+     * @returns {Promise<Array<Object>>} Rounds
+     */
+    loadProfileRounds: function (profileId) {
+      if (profileId === this.activeProfileId) return Promise.resolve(this.getRoundsNewestFirst());
+      return StorageService.loadRounds(profileId).then(function (rounds) {
+        return rounds.sort(function (a, b) {
+          return b.date.localeCompare(a.date);
+        });
+      });
+    },
+
+    /**
+     * Post a round to a player's record (or replace the round being edited), re-evaluate
+     * everything that depends on posting order and save the player's rounds.
+     * This is the one save path for rounds entered in the form and for group rounds.
+     * @param {string} profileId - Player the round belongs to
+     * @param {Object} input - Validated round values (see createRound)
+     * @param {Object|null} [editing] - Saved round being edited
+     * @returns {Promise<{success: boolean, error: string|null, round: Object|null, note: string}>}
+     */
+    saveRound: function (profileId, input, editing) {
+      var app = this;
+      return this.loadProfileRounds(profileId).then(function (allRounds) {
+        var rounds = allRounds.filter(function (r) {
+          return !editing || r.id !== editing.id;
+        });
+        var created = app.createRound(input, rounds);
+        if (!created.valid) return { success: false, error: created.error, round: null, note: "" };
+        var newRound = created.value.round;
+        var note = created.value.note;
+        rounds.unshift(editing ? app.mergeEditedRound(editing, newRound) : newRound);
+        rounds = WHSService.recalculateAdjustments(rounds);
+        var postedRound = rounds.filter(function (r) {
+          return r.id === newRound.id;
+        })[0];
+        if (editing) {
+          var changes = app.getRoundChanges(editing, postedRound);
+          if (!changes) return { success: false, error: t("No changes to save."), round: null, note: "" };
+          postedRound.editHistory = (editing.editHistory || []).concat([{ changedAt: new Date().toISOString(), changes: changes }]);
+        }
+        if (postedRound.holesPlayed === CONFIG.NINE_HOLES) {
+          note = (note ? note + ". " : "") + app.describeNineHoleRound(postedRound, rounds);
+        }
+        if (postedRound.esr) {
+          note = (note ? note + ". " : "") + app.describeExceptionalScore(postedRound);
+        }
+        var persist = profileId === app.activeProfileId
+          ? app.persistRounds(rounds)
+          : StorageService.saveRounds(profileId, rounds);
+        return persist.then(function (saveResult) {
+          return { success: saveResult.success, error: saveResult.error, round: postedRound, note: note };
+        });
+      });
+    },
+
+    /**
+     * Find a saved round of the active profile.
+     * @param {string|null} roundId - Round id
+     * @returns {Object|null} Round or null
+     */
+    findRound: function (roundId) {
+      if (!roundId || !this.rounds) return null;
+      return this.rounds.filter(function (r) {
+        return r.id === roundId;
+      })[0] || null;
+    },
+
+    /**
+     * Load a saved round back into the form for editing.
+     * @param {string} roundId - Round id
+     */
+    startEdit: function (roundId) {
+      var round = this.findRound(roundId);
+      if (!round) return;
+      this.editingRoundId = round.id;
+      UIService.clearResult(this.elements.resultContainer);
+      this.elements.roundDateInput.value = round.date;
+      this.elements.holesPlayedSelect.value = String(round.holesPlayed || CONFIG.HOLES_PER_ROUND);
+      var course = CourseService.findCourse(this.getCourses(), round.courseId);
+      this.elements.courseSelect.value = course ? course.id : "";
+      this.renderTeePicker();
+      if (course) this.elements.teeSelect.value = round.teeId + "|" + (round.teeRatingSet || "");
+      this.handleHolesPlayedChange();
+      // The round keeps the ratings it was played off, even if the library changed since
+      this.elements.courseRatingInput.value = UIService.formatNumber(round.courseRating);
+      this.elements.slopeInput.value = String(round.slope);
+      this.handleRatingInput();
+      this.elements.pccSelect.value = String(round.pcc || 0);
+      this.pccSource = round.pccSource || "manual";
+      this.elements.pccFieldResult.textContent = "";
+      this.elements.useScorecardInput.checked = !!round.holes;
+      this.handleScorecardToggle();
+      this.elements.scoringFormatSelect.value = round.format || "";
+      this.elements.notesInput.value = round.notes || "";
+      this.elements.categorySelect.value = round.category || CONFIG.DEFAULT_ROUND_CATEGORY;
+      this.handleCategorySelect();
+      this.elements.acceptableInput.checked = WHSService.isAcceptable(round);
+      if (round.holes) {
+        UIService.fillScorecardLayout(this.elements.scorecardContainer, round.holes);
+        this.updateScorecardTotal();
+      } else {
+        this.elements.grossScoreInput.value = String(round.score);
+      }
+      this.elements.editBannerText.textContent = t("Editing round from {date}", { date: UIService.formatDate(round.date) });
+      this.elements.editBanner.hidden = false;
+      this.renderSubmitLabel();
+      if (this.elements.form.scrollIntoView) this.elements.form.scrollIntoView({ behavior: "smooth", block: "start" });
+      this.elements.roundDateInput.focus();
+    },
+
+    /**
+     * Leave edit mode and clear the round-specific form fields.
+     */
+    cancelEdit: function () {
+      if (!this.editingRoundId) return;
+      this.editingRoundId = null;
+      this.elements.editBanner.hidden = true;
+      this.elements.useScorecardInput.checked = false;
+      this.handleScorecardToggle();
+      this.elements.grossScoreInput.value = "";
+      this.elements.notesInput.value = "";
+      this.resetPcc();
+      this.resetCategory();
+      UIService.setToday(this.elements.roundDateInput);
+      this.renderSubmitLabel();
+    },
+
+    /**
+     * Back to normal conditions for the next round.
+     */
+    resetPcc: function () {
+      this.elements.pccSelect.value = "0";
+      this.pccSource = "manual";
+      this.elements.pccFieldResult.textContent = "";
+      this.elements.pccFieldScores.value = "";
+      this.elements.pccFieldFile.value = "";
+    },
+
+    /**
+     * Apply the acceptability of the selected round type. Practice rounds never count;
+     * for the other types the flag can be cleared, e.g. for a round not played under the Rules.
+     */
+    handleCategorySelect: function () {
+      var category = CONFIG.ROUND_CATEGORIES[this.elements.categorySelect.value];
+      this.elements.acceptableInput.checked = category.acceptable;
+      this.elements.acceptableInput.disabled = !category.acceptable;
+    },
+
+    /**
+     * Back to a general play round for the next round.
+     */
+    resetCategory: function () {
+      this.elements.categorySelect.value = CONFIG.DEFAULT_ROUND_CATEGORY;
+      this.handleCategorySelect();
+    },
+
+    /**
+     * Label the submit button with the action and the player it posts to.
+     */
+    renderSubmitLabel: function () {
+      var profile = this.getActiveProfile();
+      if (this.editingRoundId) {
+        this.elements.submitButton.textContent = t("Save Changes");
+      } else {
+        this.elements.submitButton.textContent = profile ? t("Calculate & Save for {name}", { name: profile.name }) : t("Calculate & Save");
+      }
+    },
+
+    /**
+     * Apply the values from the form to a saved round, keeping its id and other fields.
+     * @param {Object} original - Saved round
+     * @param {Object} updated - Round built from the form
+     * @returns {Object} Edited round
+     */
+    mergeEditedRound: function (original, updated) {
+      var merged = Object.assign({}, original);
+      CONFIG.ROUND_FORM_FIELDS.forEach(function (field) {
+        delete merged[field];
+      });
+      return Object.assign(merged, updated);
+    },
+
+    /**
+     * Compare the tracked fields of a round before and after an edit.
+     * @param {Object} before - Round before the edit
+     * @param {Object} after - Round after the edit (recalculated)
+     * @returns {Object<string, {from: *, to: *}>|null} Changed fields, or null if nothing changed
+     */
+    getRoundChanges: function (before, after) {
+      var changes = {};
+      var changed = false;
+      var valueOf = function (round, field) {
+        if (field === "holesPlayed") return round.holesPlayed || CONFIG.HOLES_PER_ROUND;
+        if (field === "pcc") return round.pcc || 0;
+        if (field === "category") return round.category || CONFIG.DEFAULT_ROUND_CATEGORY;
+        if (field === "acceptable") return WHSService.isAcceptable(round);
+        if (field === "differential" && round.differential === null) return round.nineHoleDifferential;
+        return round[field] === undefined ? null : round[field];
+      };
+      Object.keys(CONFIG.EDIT_HISTORY_FIELDS).forEach(function (field) {
+        var from = valueOf(before, field);
+        var to = valueOf(after, field);
+        if (from !== to) {
+          changes[field] = { from: from, to: to };
+          changed = true;
+        }
+      });
+      if (!changed && JSON.stringify(before.holes || null) !== JSON.stringify(after.holes || null)) {
+        changes.holes = { from: null, to: null };
+        changed = true;
+      }
+      return changed ? changes : null;
+    },
+
+    /**
+     * Describe one edit history entry.
+     * @param {{changedAt: string, changes: Object}} entry - Edit history entry
+     * @returns {string} Text like "18/10/2026: Slope 128 → 130, Diff. 15 → 14"
+     */
+    describeEdit: function (entry) {
+      var app = this;
+      var parts = Object.keys(entry.changes).map(function (field) {
+        if (field === "holes") return t("Hole scores changed");
+        var change = entry.changes[field];
+        return app.getFieldLabel(field) + " " + app.formatFieldValue(field, change.from) + " → " + app.formatFieldValue(field, change.to);
+      });
+      return UIService.formatDate(entry.changedAt.slice(0, 10)) + ": " + parts.join(", ");
+    },
+
+    /**
+     * Display label of a tracked round field.
+     * @param {string} field - Field (see CONFIG.EDIT_HISTORY_FIELDS)
+     * @returns {string} Label
+     */
+    getFieldLabel: function (field) {
+      return CONFIG.EDIT_HISTORY_FIELDS[field] ? t(CONFIG.EDIT_HISTORY_FIELDS[field]) : field;
+    },
+
+    /**
+     * Format the value of a tracked round field (see getRoundChanges).
+     * @param {string} field - Field
+     * @param {*} value - Value, or null if not set
+     * @returns {string} Display text
+     */
+    formatFieldValue: function (field, value) {
+      if (value === null) return "—";
+      if (field === "format") return CONFIG.SCORING_FORMATS[value] ? t(CONFIG.SCORING_FORMATS[value].label) : String(value);
+      if (field === "category") return CONFIG.ROUND_CATEGORIES[value] ? t(CONFIG.ROUND_CATEGORIES[value].label) : String(value);
+      if (field === "acceptable") return value ? t("Yes") : t("No");
+      if (field === "date") return UIService.formatDate(value);
+      return typeof value === "number" ? UIService.formatNumber(value) : String(value);
+    },
+
+    /**
+     * Describe the competition result of a round.
+     * @param {Object} round - Round with format and competition result
+     * @param {boolean} [long] - Include the format and playing handicap (for the result panel)
+     * @returns {string} e.g. "36 pts", "2 up", "Net 71" or "Stableford: 36 pts (playing handicap 15)"
+     */
+    describeCompetition: function (round, long) {
+      var competition = round.competition;
+      var text;
+      if (round.format === "stableford") {
+        text = t(competition.points === 1 ? "{points} pt" : "{points} pts", { points: competition.points });
+      } else if (round.format === "par-bogey") {
+        text = competition.parBogey === 0 ? t("All square") :
+          t(competition.parBogey > 0 ? "{holes} up" : "{holes} down", { holes: Math.abs(competition.parBogey) });
+      } else {
+        text = t("Net {score}", { score: competition.netScore });
+      }
+      if (!long) return text;
+      return t(CONFIG.SCORING_FORMATS[round.format].label) + ": " + text + " " +
+        t("(playing handicap {handicap})", { handicap: competition.playingHandicap });
+    },
+
+    /**
+     * Explain how the 18-hole differential of a 9-hole round was derived.
+     * @param {Object} round - 9-hole round (after recalculation)
+     * @param {Array<Object>} rounds - All rounds, used to find the paired round
+     * @returns {string} Explanation text
+     */
+    describeNineHoleRound: function (round, rounds) {
+      var info = round.nineHole || { method: "pending" };
+      if (info.method === "excluded") {
+        return t("9-hole differential {value}, not combined because the round does not count", {
+          value: UIService.formatNumber(round.nineHoleDifferential)
+        });
+      }
+      if (info.method === "expected") {
+        return t("9-hole differential {value} + expected {expected} for index {index}", {
+          value: UIService.formatNumber(round.nineHoleDifferential),
+          expected: UIService.formatNumber(info.expectedDifferential),
+          index: UIService.formatNumber(info.indexUsed)
+        });
+      }
+      if (info.method === "combined") {
+        var partner = rounds.filter(function (r) {
+          return r.id === info.pairedWith;
+        })[0];
+        var partnerText = partner ? t("the 9 holes on {date}", { date: UIService.formatDate(partner.date) }) : t("another 9-hole round");
+        var value = UIService.formatNumber(round.nineHoleDifferential);
+        if (round.differential === null) {
+          return t("9-hole differential {value}, combined into {partner}", { value: value, partner: partnerText });
+        }
+        return t("9-hole differential {value} combined with {partner}", { value: value, partner: partnerText }) +
+          (partner ? " (" + UIService.formatNumber(partner.nineHoleDifferential) + ")" : "");
+      }
+      return t("9-hole differential {value}, waiting for a second 9-hole round to combine with", {
+        value: UIService.formatNumber(round.nineHoleDifferential)
+      });
+    },
+
+    /**
+     * Explain an exceptional score reduction triggered by a round.
+     * @param {Object} round - Round with an esr entry
+     * @returns {string} Explanation text
+     */
+    describeExceptionalScore: function (round) {
+      var below = Math.round((round.esr.indexBefore - round.differential) * 10) / 10;
+      return t("Exceptional score: {below} below your index of {index}, so {reduction} is applied to your last {count} differentials", {
+        below: UIService.formatNumber(below),
+        index: UIService.formatNumber(round.esr.indexBefore),
+        reduction: UIService.formatNumber(round.esr.reduction),
+        count: CONFIG.MAX_ROUNDS_FOR_HANDICAP
+      });
     },
 
     /**
      * Handle "Delete all" button click.
      */
     handleDeleteAll: function () {
-      var rounds = StorageService.loadRounds();
-      if (rounds.length === 0) return;
-      if (!confirm("Are you sure you want to delete all saved rounds?")) return;
-      var deleteResult = StorageService.deleteAll();
-      if (!deleteResult.success) {
-        alert("Error deleting: " + deleteResult.error);
-        return;
-      }
-      UIService.clearResult(this.elements.resultContainer);
-      this.updateUI();
+      if (!this.rounds || this.rounds.length === 0) return;
+      var profile = this.getActiveProfile();
+      if (!confirm(t("Are you sure you want to delete all saved rounds of {name}?", { name: profile.name }))) return;
+      var app = this;
+      return StorageService.deleteAll(profile.id).then(function (deleteResult) {
+        if (!deleteResult.success) {
+          alert(I18nService.translateError("Error deleting: " + deleteResult.error));
+          return;
+        }
+        app.rounds = [];
+        UIService.clearResult(app.elements.resultContainer);
+        app.updateUI();
+        SyncView.schedule();
+      });
     },
 
     /**
@@ -567,34 +7706,100 @@ if ('serviceWorker' in navigator) {
      * @param {string} roundId - Round id
      */
     deleteRound: function (roundId) {
-      var rounds = StorageService.loadRounds().filter(function (r) {
+      if (roundId === this.editingRoundId) this.cancelEdit();
+      var rounds = this.getRoundsNewestFirst().filter(function (r) {
         return r.id !== roundId;
       });
-      var saveResult = StorageService.saveRounds(rounds);
-      if (!saveResult.success) {
-        alert("Error deleting: " + saveResult.error);
-        return;
-      }
-      this.updateUI();
+      var app = this;
+      return this.persistRounds(WHSService.recalculateAdjustments(rounds)).then(function (saveResult) {
+        if (!saveResult.success) {
+          alert(I18nService.translateError("Error deleting: " + saveResult.error));
+          return;
+        }
+        app.updateUI();
+      });
     },
 
     /**
      * Update handicap display.
+     * @returns {Object} Handicap info shown (see WHSService.getHandicapInfo)
      */
     updateHandicap: function () {
-      var rounds = StorageService.loadRounds();
-      var newestFirst = rounds.slice().sort(function (a, b) {
-        return b.date.localeCompare(a.date);
-      });
+      var newestFirst = this.getRoundsNewestFirst();
       var info = WHSService.getHandicapInfo(newestFirst);
       if (info.handicap !== null) {
-        this.elements.handicapValue.textContent = String(info.handicap);
-        var hintText = "Based on your best " + info.bestRoundsUsed + " out of " + info.roundsUsed + " rounds";
+        this.elements.handicapValue.textContent = UIService.formatNumber(info.handicap);
+        var hintText = t("Based on your best {best} out of {total} rounds", { best: info.bestRoundsUsed, total: info.roundsUsed });
         this.elements.handicapHint.textContent = hintText;
       } else {
         this.elements.handicapValue.textContent = "—";
-        this.elements.handicapHint.textContent = "At least 1 round required";
+        this.elements.handicapHint.textContent = t("At least 1 round required");
+      }
+      if (info.cap) {
+        var capText = info.cap === "hard"
+          ? "Hard cap applied: calculated {calculated}, limited by your Low Handicap Index of {low}"
+          : "Soft cap applied: calculated {calculated}, limited by your Low Handicap Index of {low}";
+        this.elements.handicapCap.textContent = t(capText, {
+          calculated: UIService.formatNumber(info.uncappedHandicap),
+          low: UIService.formatNumber(info.lowHandicapIndex)
+        });
+        this.elements.handicapCap.hidden = false;
+      } else {
+        this.elements.handicapCap.textContent = "";
+        this.elements.handicapCap.hidden = true;
+      }
+      if (info.competitionAverage !== null) {
+        this.elements.handicapCompetition.textContent = t(info.competitionRoundsUsed === 1
+          ? "Competition average {average} (1 round)"
+          : "Competition average {average} ({count} rounds)", {
+          average: UIService.formatNumber(info.competitionAverage),
+          count: info.competitionRoundsUsed
+        });
+        this.elements.handicapCompetition.hidden = false;
+      } else {
+        this.elements.handicapCompetition.textContent = "";
+        this.elements.handicapCompetition.hidden = true;
       }
+      this.renderExceptionalScores(WHSService.getScoringRecord(newestFirst));
+      return info;
+    },
+
+    /**
+     * Explain exceptional score reductions that lower the current index.
+     * @param {Array<Object>} newestFirst - Counting rounds sorted newest first
+     */
+    renderExceptionalScores: function (newestFirst) {
+      var container = this.elements.handicapEsr;
+      container.textContent = "";
+      var recent = newestFirst.slice(0, CONFIG.MAX_ROUNDS_FOR_HANDICAP);
+      var countAffected = function (triggerId) {
+        return recent.filter(function (r) {
+          return (r.esrAdjustments || []).some(function (adjustment) {
+            return adjustment.triggerId === triggerId;
+          });
+        }).length;
+      };
+      var triggers = recent.filter(function (r) {
+        return !!r.esr;
+      });
+      triggers.forEach(function (r) {
+        var affectedCount = countAffected(r.id);
+        var item = document.createElement("p");
+        var params = {
+          date: UIService.formatDate(r.date),
+          differential: UIService.formatNumber(r.differential),
+          below: UIService.formatNumber(Math.round((r.esr.indexBefore - r.differential) * 10) / 10),
+          index: UIService.formatNumber(r.esr.indexBefore),
+          reduction: UIService.formatNumber(r.esr.reduction),
+          count: affectedCount
+        };
+        item.textContent = t(affectedCount === 1
+          ? "Your round on {date} (differential {differential}) was {below} below your index of {index}, so an exceptional score reduction of {reduction} applies to that differential."
+          : "Your round on {date} (differential {differential}) was {below} below your index of {index}, so an exceptional score reduction of {reduction} applies to your {count} most recent differentials.",
+        params);
+        container.appendChild(item);
+      });
+      container.hidden = triggers.length === 0;
     },
 
     /**
@@ -602,56 +7807,246 @@ if ('serviceWorker' in navigator) {
      */
     renderRoundsList: function () {
       this.elements.roundsList.textContent = "";
-      var rounds = StorageService.loadRounds();
-      var newestFirst = rounds.slice().sort(function (a, b) {
-        return b.date.localeCompare(a.date);
-      });
+      var newestFirst = this.getRoundsNewestFirst();
 
       this.elements.deleteAllButton.style.display = newestFirst.length > 0 ? "" : "none";
+      this.elements.roundsFilters.hidden = newestFirst.length === 0;
 
       var app = this;
-      newestFirst.forEach(function (round) {
+      var courses = this.getCourses();
+      this.renderRoundsCourseFilter(newestFirst, courses);
+      var countingIds = {};
+      WHSService.getCountingRoundIds(newestFirst).forEach(function (id) {
+        countingIds[id] = true;
+      });
+      var matching = RoundFilterService.apply(newestFirst, this.roundsFilter, this.roundsSort, countingIds, courses);
+      var shown = matching.slice(0, this.roundsShown);
+      this.renderRoundsCount(newestFirst.length, matching.length, shown.length);
+
+      shown.forEach(function (round) {
         var card = document.createElement("div");
         card.className = "round-card";
         card.setAttribute("data-id", round.id);
         card.setAttribute("role", "listitem");
+        if (round.id === app.editingRoundId) card.classList.add("round-card-editing");
 
         var dateSpan = document.createElement("span");
         dateSpan.className = "round-card-date";
         dateSpan.textContent = UIService.formatDate(round.date);
+        var isNineHole = round.holesPlayed === CONFIG.NINE_HOLES;
+        if (isNineHole) {
+          var badge = document.createElement("span");
+          badge.className = "round-badge";
+          badge.textContent = t("9 holes");
+          dateSpan.appendChild(badge);
+        }
+        var category = round.category || CONFIG.DEFAULT_ROUND_CATEGORY;
+        if (category !== CONFIG.DEFAULT_ROUND_CATEGORY && CONFIG.ROUND_CATEGORIES[category]) {
+          var categoryBadge = document.createElement("span");
+          categoryBadge.className = "round-badge round-badge-category";
+          categoryBadge.textContent = t(CONFIG.ROUND_CATEGORIES[category].label);
+          dateSpan.appendChild(categoryBadge);
+        }
+        if (!WHSService.isAcceptable(round)) {
+          card.classList.add("round-card-excluded");
+          var excludedBadge = document.createElement("span");
+          excludedBadge.className = "round-badge round-badge-excluded";
+          excludedBadge.textContent = t("Not counted");
+          excludedBadge.title = t("Not acceptable for handicap purposes, so this round is left out of your Handicap Index");
+          dateSpan.appendChild(excludedBadge);
+        } else if (countingIds[round.id]) {
+          card.classList.add("round-card-counting");
+          var countingBadge = document.createElement("span");
+          countingBadge.className = "round-badge round-badge-counting";
+          countingBadge.textContent = t("Counts");
+          countingBadge.title = t("One of the differentials your current Handicap Index is based on");
+          dateSpan.appendChild(countingBadge);
+        }
 
         var differentialSpan = document.createElement("span");
         differentialSpan.className = "round-card-differential";
-        differentialSpan.textContent = "Diff. " + String(round.differential);
+        if (round.differential === null) {
+          differentialSpan.textContent = t("9-hole {value}", { value: UIService.formatNumber(round.nineHoleDifferential) });
+        } else {
+          differentialSpan.textContent = t("Diff. {value}", { value: UIService.formatNumber(round.differential) });
+        }
+        var effectiveDifferential = round.differential === null ? null : WHSService.getEffectiveDifferential(round);
+        if (effectiveDifferential !== round.differential) {
+          differentialSpan.textContent += " → " + UIService.formatNumber(effectiveDifferential);
+          differentialSpan.title = t("Exceptional score reduction applied");
+        }
+        if (round.format && round.competition) {
+          var resultSpan = document.createElement("span");
+          resultSpan.className = "round-card-result";
+          resultSpan.title = t(CONFIG.SCORING_FORMATS[round.format].label);
+          resultSpan.textContent = app.describeCompetition(round);
+          differentialSpan.appendChild(resultSpan);
+        }
 
         var deleteButton = document.createElement("button");
         deleteButton.type = "button";
         deleteButton.className = "btn-round-delete";
-        deleteButton.title = "Delete round";
-        deleteButton.setAttribute("aria-label", "Delete round from " + UIService.formatDate(round.date));
+        deleteButton.title = t("Delete round");
+        deleteButton.setAttribute("aria-label", t("Delete round from {date}", { date: UIService.formatDate(round.date) }));
         deleteButton.textContent = "×";
         deleteButton.addEventListener("click", function () {
           app.deleteRound(round.id);
         });
 
+        var editButton = document.createElement("button");
+        editButton.type = "button";
+        editButton.className = "btn-text btn-round-edit";
+        editButton.textContent = t("Edit");
+        editButton.setAttribute("aria-label", t("Edit round from {date}", { date: UIService.formatDate(round.date) }));
+        editButton.addEventListener("click", function () {
+          app.startEdit(round.id);
+        });
+
         var details = document.createElement("div");
         details.className = "round-card-details";
-        details.textContent = "Score " + String(round.score) + " · CR " + String(round.courseRating) + " · Slope " + String(round.slope);
+        var scoreText = t("Score {score}", { score: round.score });
+        if (typeof round.adjustedScore === "number" && round.adjustedScore !== round.score) {
+          scoreText += " " + t("(AGS {score})", { score: round.adjustedScore });
+        }
+        if (round.holes) {
+          scoreText += " · " + t("Hole-by-hole");
+        }
+        if (round.pcc) {
+          scoreText += " · " + t("PCC {pcc}", { pcc: app.formatPcc(round.pcc) });
+        }
+        if (round.esr) {
+          scoreText += " · " + t("Exceptional score ({reduction})", { reduction: UIService.formatNumber(round.esr.reduction) });
+        }
+        var courseDescription = CourseService.describeRound(round, courses);
+        if (courseDescription) {
+          scoreText += " · " + courseDescription;
+        }
+        details.textContent = scoreText + " · " +
+          t("CR {rating} · Slope {slope}", { rating: UIService.formatNumber(round.courseRating), slope: round.slope });
 
         card.appendChild(dateSpan);
         card.appendChild(differentialSpan);
+        card.appendChild(editButton);
         card.appendChild(deleteButton);
         card.appendChild(details);
+        if (round.notes) {
+          var notes = document.createElement("div");
+          notes.className = "round-card-details round-card-notes";
+          notes.textContent = round.notes;
+          card.appendChild(notes);
+        }
+        if (isNineHole) {
+          var derivation = document.createElement("div");
+          derivation.className = "round-card-details round-card-derivation";
+          derivation.textContent = app.describeNineHoleRound(round, newestFirst);
+          card.appendChild(derivation);
+        }
+        if (round.editHistory && round.editHistory.length > 0) {
+          var history = document.createElement("details");
+          history.className = "round-card-history";
+          var summary = document.createElement("summary");
+          summary.textContent = round.editHistory.length === 1 ? t("Edited once") : t("Edited {count} times", { count: round.editHistory.length });
+          history.appendChild(summary);
+          var list = document.createElement("ul");
+          round.editHistory.slice().reverse().forEach(function (entry) {
+            var item = document.createElement("li");
+            item.textContent = app.describeEdit(entry);
+            list.appendChild(item);
+          });
+          history.appendChild(list);
+          card.appendChild(history);
+        }
         app.elements.roundsList.appendChild(card);
       });
     },
 
+    /**
+     * Fill the course filter from the courses the rounds were played on.
+     * A course that no longer has any rounds drops out of the filter.
+     * @param {Array<Object>} rounds - All rounds of the active profile
+     * @param {Array<Object>} courses - Course library
+     */
+    renderRoundsCourseFilter: function (rounds, courses) {
+      var select = this.elements.roundsCourseSelect;
+      select.textContent = "";
+      var all = document.createElement("option");
+      all.value = "";
+      all.textContent = t("All courses");
+      select.appendChild(all);
+      RoundFilterService.getCourseOptions(rounds, courses).forEach(function (entry) {
+        var option = document.createElement("option");
+        option.value = entry.value;
+        option.textContent = entry.label;
+        select.appendChild(option);
+      });
+      select.value = this.roundsFilter.course;
+      if (select.value !== this.roundsFilter.course) {
+        select.value = "";
+        this.roundsFilter.course = "";
+      }
+    },
+
+    /**
+     * Show how many rounds match and offer the next page.
+     * @param {number} total - Rounds of the active profile
+     * @param {number} matching - Rounds matching the filters
+     * @param {number} shown - Rounds rendered
+     */
+    renderRoundsCount: function (total, matching, shown) {
+      this.elements.roundsEmpty.textContent = total === 0 ? t("No rounds saved yet.") : t("No rounds match the filters.");
+      var text = "";
+      if (matching > 0) {
+        if (matching === total) {
+          text = t(total === 1 ? "{count} round" : "{count} rounds", { count: total });
+        } else {
+          text = t("{matching} of {total} rounds match", { matching: matching, total: total });
+        }
+        if (shown < matching) text += " · " + t("showing {count}", { count: shown });
+      }
+      this.elements.roundsCount.textContent = text;
+      var remaining = matching - shown;
+      this.elements.roundsMoreButton.hidden = remaining <= 0;
+      this.elements.roundsMoreButton.textContent = t("Show {count} more", { count: Math.min(remaining, CONFIG.ROUNDS_PAGE_SIZE) });
+    },
+
+    /**
+     * Apply the list filters and sort order, starting again from the first page.
+     */
+    handleRoundsFilter: function () {
+      this.roundsFilter = {
+        query: this.elements.roundsSearchInput.value,
+        from: this.elements.roundsFromInput.value,
+        to: this.elements.roundsToInput.value,
+        course: this.elements.roundsCourseSelect.value,
+        type: this.elements.roundsTypeSelect.value,
+        countingOnly: this.elements.roundsCountingInput.checked
+      };
+      this.roundsSort = this.elements.roundsSortSelect.value;
+      this.roundsShown = CONFIG.ROUNDS_PAGE_SIZE;
+      this.renderRoundsList();
+    },
+
+    /**
+     * Render the next page of rounds.
+     */
+    showMoreRounds: function () {
+      this.roundsShown += CONFIG.ROUNDS_PAGE_SIZE;
+      this.renderRoundsList();
+    },
+
     /**
      * Update full UI (handicap + rounds list).
      */
     updateUI: function () {
-      this.updateHandicap();
+      var info = this.updateHandicap();
+      PlayingHandicapView.setCurrentIndex(info.handicap);
       this.renderRoundsList();
+      HistoryView.refresh();
+      StatisticsView.refresh();
+      WhatIfView.refresh();
+      GoalView.refresh();
+      ShareView.refresh();
+      ReportView.refresh();
     }
   };
 
@@ -659,11 +8054,25 @@ if ('serviceWorker' in navigator) {
   // START
   // ============================================================================
 
-  if (document.readyState === "loading") {
-    document.addEventListener("DOMContentLoaded", function () {
+  /**
+   * Apply the saved language (or the browser's) to the page, then start the app.
+   * The browser language applies until the saved choice is read, as opening the database
+   * for the first time already creates the default player.
+   */
+  var start = function () {
+    I18nService.setLanguage(I18nService.resolveLanguage(null));
+    StorageService.loadSetting("language").catch(function () {
+      return null;
+    }).then(function (language) {
+      if (language) I18nService.setLanguage(I18nService.resolveLanguage(language));
+      I18nService.translatePage(document.body);
       App.init();
     });
+  };
+
+  if (document.readyState === "loading") {
+    document.addEventListener("DOMContentLoaded", start);
   } else {
-    App.init();
+    start();
   }
 })();
\ No newline at end of file
@@ -1,30 +1,306 @@
-const CACHE_NAME = 'golf-handicap-v2';
-const ASSETS = [
+// Bump CACHE_VERSION whenever an app shell file changes: the new worker precaches the
+// shell under a fresh name, waits until the page asks it to take over, and then removes
+// the caches of older versions.
+const CACHE_VERSION = 'v17';
+const CACHE_PREFIX = 'golf-handicap-';
+const SHELL_CACHE = CACHE_PREFIX + 'shell-' + CACHE_VERSION;
+const FONT_CACHE = CACHE_PREFIX + 'fonts-' + CACHE_VERSION;
+const SHELL_ASSETS = [
+  './',
   'index.html',
   'style.css',
-  'script.js'
+  'print.css',
+  'script.js',
+  'whs-engine.mjs',
+  'locales.mjs',
+  'qr-code.mjs',
+  'sync-engine.mjs',
+  'manifest.json',
+  'fonts/inter-latin-wght-normal.woff2',
+  'icon-192.png',
+  'icon-512.png'
 ];
+const FONT_STYLESHEET = 'https://fonts.googleapis.com/css2?family=Inter:wght@400;500;600;700&display=swap';
+const FONT_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com'];
 
-// Install the Service Worker and cache the essential files
+// Served instead of the Google Fonts stylesheet when it was never cached and the network
+// is unavailable: an installed copy of Inter if there is one, otherwise the variable Inter
+// (Latin, weights 100-900; SIL Open Font License, see fonts/OFL.txt) from the app shell.
+// The stylesheet stands in for one on another host, so the font URL must be absolute.
+const FONT_FALLBACK_FILE = new URL('fonts/inter-latin-wght-normal.woff2', self.location).href;
+const FONT_FALLBACK_CSS =
+  '@font-face { font-family: "Inter"; font-style: normal; font-weight: 100 900; font-display: swap; ' +
+  'src: local("Inter"), url("' + FONT_FALLBACK_FILE + '") format("woff2"); }';
+
+// Cache the font stylesheet and the font files it references. Best effort: installing
+// without a connection to Google Fonts must not fail the whole worker.
+const precacheFonts = () =>
+  caches.open(FONT_CACHE).then((cache) =>
+    fetch(FONT_STYLESHEET).then((response) => {
+      if (!response.ok) return;
+      return response.clone().text().then((css) => {
+        const fontUrls = (css.match(/url\([^)]+\)/g) || []).map((match) =>
+          match.slice(4, -1).replace(/["']/g, '')
+        );
+        return Promise.all([cache.put(FONT_STYLESHEET, response)].concat(
+          fontUrls.map((url) => cache.add(url))
+        ));
+      });
+    })
+  ).catch((err) => console.log('Font precaching skipped', err));
+
+// Install: precache the app shell, bypassing the HTTP cache so a new version never
+// stores stale files
 self.addEventListener('install', (event) => {
   event.waitUntil(
-    caches.open(CACHE_NAME).then((cache) => {
-      console.log('Caching shell assets');
-      return cache.addAll(ASSETS);
-    })
+    caches.open(SHELL_CACHE)
+      .then((cache) => cache.addAll(SHELL_ASSETS.map((url) => new Request(url, { cache: 'reload' }))))
+      .then(precacheFonts)
+  );
+});
+
+// Optional sync: pushes to the sync server carry SYNC_HEADER. One that fails because the
+// device is offline is kept in IndexedDB and sent again, oldest first, once the connection
+// is back (on background sync where the browser has it, otherwise when the page asks).
+// The server accepts a change it already holds, so sending one twice is harmless.
+const SYNC_HEADER = 'X-Golf-Handicap-Sync';
+const SYNC_TAG = 'golf-handicap-sync';
+const QUEUE_DB = 'golf-handicap-sync-queue';
+const QUEUE_STORE = 'requests';
+
+// Open a database of the worker that holds a single store
+const openStore = (dbName, storeName, options) => new Promise((resolve, reject) => {
+  const request = indexedDB.open(dbName, 1);
+  request.onupgradeneeded = () => request.result.createObjectStore(storeName, options);
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+// Run requests on a store and resolve with the result of the one returned once they have committed
+const withStore = (dbName, storeName, options, mode, work) =>
+  openStore(dbName, storeName, options).then((db) => new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = work(transaction.objectStore(storeName));
+    transaction.oncomplete = () => {
+      db.close();
+      resolve(request ? request.result : undefined);
+    };
+    transaction.onerror = () => {
+      db.close();
+      reject(transaction.error);
+    };
+  }));
+
+const withQueue = (mode, work) => withStore(QUEUE_DB, QUEUE_STORE, { keyPath: 'id', autoIncrement: true }, mode, work);
+
+const queueResponse = () =>
+  new Response(JSON.stringify({ queued: true }), { status: 202, headers: { 'Content-Type': 'application/json' } });
+
+// Send a push, or queue it and answer {queued: true} when the network is unavailable
+const pushOrQueue = (request) => {
+  const copy = request.clone();
+  return fetch(request).catch(() =>
+    copy.text()
+      .then((body) => withQueue('readwrite', (store) => store.add({ url: copy.url, body, queuedAt: new Date().toISOString() })))
+      .then(() => (self.registration.sync ? self.registration.sync.register(SYNC_TAG).catch(() => undefined) : undefined))
+      .then(queueResponse)
   );
+};
+
+// Send the queued pushes and tell open pages to sync once any went out. Stops at the first
+// push that still cannot be sent (no connection or a server error) and resolves with the
+// number left in the queue.
+let replaying = null;
+const replaySyncQueue = () => {
+  if (replaying) return replaying;
+  let sent = 0;
+  replaying = withQueue('readonly', (store) => store.getAll())
+    .then((entries) => entries.reduce((previous, entry) => previous.then((left) => {
+      if (left > 0) return left + 1;
+      return fetch(entry.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', [SYNC_HEADER]: '1' },
+        body: entry.body
+      }).then(
+        (response) => {
+          // Accepted, or refused (4xx) and so refused again on every try: either settles the
+          // push. A server error (5xx) may pass, so that push stays queued.
+          const settled = response.ok || (response.status >= 400 && response.status < 500);
+          if (!settled) return 1;
+          return withQueue('readwrite', (store) => store.delete(entry.id)).then(() => {
+            sent++;
+            return 0;
+          });
+        },
+        () => 1
+      );
+    }), Promise.resolve(0)))
+    .then((left) => {
+      if (sent === 0) return left;
+      return self.clients.matchAll().then((clients) => {
+        clients.forEach((client) => client.postMessage({ type: 'SYNC_REPLAYED' }));
+        return left;
+      });
+    })
+    .finally(() => {
+      replaying = null;
+    });
+  return replaying;
+};
+
+// Background sync: a rejected promise makes the browser try again later
+self.addEventListener('sync', (event) => {
+  if (event.tag !== SYNC_TAG) return;
+  event.waitUntil(replaySyncQueue().then((left) => {
+    if (left > 0) throw new Error('Sync server still unavailable');
+  }));
 });
 
-// Activate the Service Worker
+// Reminders: the page hands over each player's reminders ({tag, title, body, at}) whenever
+// the rounds change. Each is shown once as a notification as soon as it is due and the
+// worker runs: when the page is open, and on periodic background sync where the browser
+// has it. There is no push server, so nothing leaves the device.
+const REMINDER_TAG = 'golf-handicap-reminders';
+const REMINDER_DB = 'golf-handicap-reminders';
+const REMINDER_STORE = 'reminders';
+
+const withReminders = (mode, work) => withStore(REMINDER_DB, REMINDER_STORE, { keyPath: 'tag' }, mode, work);
+
+// Reminder changes run one after another, so one that is shown cannot come back after it
+// was replaced
+let reminderWork = Promise.resolve();
+const queueReminderWork = (task) => {
+  reminderWork = reminderWork.catch(() => undefined).then(task);
+  return reminderWork;
+};
+
+// Replace a player's reminders. One that is unchanged remembers it was shown already.
+const scheduleReminders = (profileId, reminders) => queueReminderWork(() =>
+  withReminders('readonly', (store) => store.getAll()).then((stored) => {
+    const previous = new Map(stored.filter((reminder) => reminder.profileId === profileId)
+      .map((reminder) => [reminder.tag, reminder]));
+    return withReminders('readwrite', (store) => {
+      previous.forEach((reminder) => store.delete(reminder.tag));
+      reminders.forEach((reminder) => {
+        const old = previous.get(reminder.tag);
+        store.put(Object.assign({}, reminder, { profileId, shown: Boolean(old && old.shown && old.at === reminder.at) }));
+      });
+    });
+  })
+);
+
+// Show the reminders that are due. One the browser refuses to show (notifications not
+// allowed) is tried again next time.
+const showDueReminders = () => queueReminderWork(() => {
+  const now = new Date().toISOString();
+  return withReminders('readonly', (store) => store.getAll()).then((stored) => {
+    const due = stored.filter((reminder) => !reminder.shown && reminder.at <= now);
+    return Promise.all(due.map((reminder) =>
+      self.registration.showNotification(reminder.title, {
+        body: reminder.body,
+        tag: reminder.tag,
+        icon: 'icon-192.png',
+        data: { profileId: reminder.profileId }
+      }).then(() => reminder, () => null)
+    ));
+  }).then((shown) => withReminders('readwrite', (store) => {
+    shown.filter(Boolean).forEach((reminder) => store.put(Object.assign({}, reminder, { shown: true })));
+  }));
+});
+
+self.addEventListener('periodicsync', (event) => {
+  if (event.tag !== REMINDER_TAG) return;
+  event.waitUntil(showDueReminders());
+});
+
+// Open the app, or bring an open window of it to the front
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  event.waitUntil(self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((clients) => {
+    if (clients.length > 0) return clients[0].focus();
+    return self.clients.openWindow('./');
+  }));
+});
+
+// The page asks a waiting worker to take over once the user chooses to reload, and asks
+// for the sync queue to be sent when the device is back online and for reminders to be scheduled
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+  if (event.data && event.data.type === 'REPLAY_SYNC_QUEUE') {
+    event.waitUntil(replaySyncQueue());
+  }
+  if (event.data && event.data.type === 'SCHEDULE_REMINDERS') {
+    event.waitUntil(scheduleReminders(event.data.profileId, event.data.reminders).then(showDueReminders));
+  }
+});
+
+// Activate: delete caches left behind by older versions and take control of open pages
 self.addEventListener('activate', (event) => {
-  console.log('Service Worker activated');
+  const currentCaches = [SHELL_CACHE, FONT_CACHE];
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(keys
+        .filter((key) => key.startsWith(CACHE_PREFIX) && !currentCaches.includes(key))
+        .map((key) => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
 });
 
-// Fetching files: Try network first, fall back to cache if offline
-self.addEventListener('fetch', (event) => {
-  event.respondWith(
-    fetch(event.request).catch(() => {
-      return caches.match(event.request);
+// Stale-while-revalidate: answer from the cache immediately and refresh the cached copy
+// in the background; go to the network only for files that were never cached
+const staleWhileRevalidate = (event, cacheName, cacheKey) =>
+  caches.open(cacheName).then((cache) =>
+    cache.match(cacheKey, { ignoreSearch: true }).then((cached) => {
+      const update = fetch(event.request).then((response) => {
+        if (response.ok) {
+          return cache.put(cacheKey, response.clone()).then(() => response);
+        }
+        return response;
+      });
+      if (cached) {
+        event.waitUntil(update.catch(() => undefined));
+        return cached;
+      }
+      return update;
     })
   );
-});
\ No newline at end of file
+
+// Fonts never change for a given URL, so a cached copy is always used as is
+const cacheFirst = (request, cacheName) =>
+  caches.open(cacheName).then((cache) =>
+    cache.match(request).then((cached) => cached || fetch(request).then((response) => {
+      if (response.ok || response.type === 'opaque') {
+        cache.put(request, response.clone());
+      }
+      return response;
+    }))
+  );
+
+self.addEventListener('fetch', (event) => {
+  const request = event.request;
+  if (request.method === 'POST' && request.headers.has(SYNC_HEADER)) {
+    event.respondWith(pushOrQueue(request));
+    return;
+  }
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  if (FONT_HOSTS.includes(url.hostname)) {
+    event.respondWith(cacheFirst(request, FONT_CACHE).catch(() => {
+      if (url.hostname !== 'fonts.googleapis.com') return Response.error();
+      return new Response(FONT_FALLBACK_CSS, { headers: { 'Content-Type': 'text/css' } });
+    }));
+    return;
+  }
+
+  if (url.origin !== self.location.origin) return;
+
+  // Every page of the app is the same shell, whatever its query string or hash
+  if (request.mode === 'navigate') {
+    event.respondWith(staleWhileRevalidate(event, SHELL_CACHE, 'index.html'));
+    return;
+  }
+  event.respondWith(staleWhileRevalidate(event, SHELL_CACHE, request).catch(() => Response.error()));
+});
@@ -0,0 +1,392 @@
+/**
+ * Golf Handicap – sync engine
+ * Versioning and conflict resolution for syncing a player's rounds with a REST backend,
+ * without any DOM, storage or network dependencies. The app (script.js) and the reference
+ * server (sync-server.mjs) share it:
+ *
+ *   import { SyncEngine } from "./sync-engine.mjs";
+ *
+ * Model:
+ * - Every saved round carries updatedAt, the time of its last change on the device that
+ *   made it. Deleting a round leaves a tombstone {id, deletedAt}.
+ * - The server keeps one entry per round id, {id, revision, updatedAt, deletedAt, round},
+ *   and numbers every accepted change with a revision that only ever grows.
+ * - A device remembers per round the revision and local stamp both sides last agreed on
+ *   (state.records), plus state.cursor, the newest server revision it has pulled. A round
+ *   or tombstone whose stamp differs from the agreed one has changes to push.
+ * - Pushing sends the revision each change is based on; the server accepts it if that is
+ *   still the current revision (or if it already holds the same content), otherwise it
+ *   answers with its own entry, which the device reconciles like a pulled change.
+ *
+ * Reconciling a server entry against the device is deterministic:
+ * - only one side changed: that side's version is kept;
+ * - both sides hold the same content, or both deleted the round: nothing to do;
+ * - one side deleted and the other edited: the edit is kept;
+ * - both sides edited the round differently: a conflict the player resolves by hand
+ *   (resolveConflict); until then the device keeps its own version and holds it back.
+ *
+ * Tests: node --test test/
+ */
+
+import { CONFIG } from "./whs-engine.mjs";
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+var SYNC_CONFIG = {
+  // Fields that only mean something on one device: never sent and never compared
+  LOCAL_FIELDS: ["profileId", "updatedAt"],
+  // Fields every device derives again from the whole record (see WHSService.recalculateAdjustments)
+  DERIVED_FIELDS: ["nineHole", "esr", "esrAdjustments"]
+};
+
+// ============================================================================
+// SYNC ENGINE
+// ============================================================================
+
+var SyncEngine = {
+  /**
+   * Serialize a value with object keys in sorted order, so equal content gives equal text.
+   * @param {*} value - JSON-compatible value
+   * @returns {string} JSON text
+   */
+  stableStringify: function (value) {
+    var self = this;
+    if (Array.isArray(value)) {
+      return "[" + value.map(function (item) {
+        return self.stableStringify(item === undefined ? null : item);
+      }).join(",") + "]";
+    }
+    if (value && typeof value === "object") {
+      return "{" + Object.keys(value).sort().filter(function (key) {
+        return value[key] !== undefined;
+      }).map(function (key) {
+        return JSON.stringify(key) + ":" + self.stableStringify(value[key]);
+      }).join(",") + "}";
+    }
+    return JSON.stringify(value);
+  },
+
+  /**
+   * Round as sent to the server: without the fields that only matter on this device.
+   * @param {Object} round - Round
+   * @returns {Object} Copy of the round
+   */
+  getPayload: function (round) {
+    var payload = Object.assign({}, round);
+    SYNC_CONFIG.LOCAL_FIELDS.forEach(function (field) {
+      delete payload[field];
+    });
+    return payload;
+  },
+
+  /**
+   * What the player entered for a round, leaving out everything derived from other rounds.
+   * The differential of a 9-hole round depends on the rounds around it, so it is left out too.
+   * @param {Object} round - Round
+   * @returns {Object} Copy of the round
+   */
+  getContent: function (round) {
+    var content = this.getPayload(round);
+    SYNC_CONFIG.DERIVED_FIELDS.forEach(function (field) {
+      delete content[field];
+    });
+    if (content.holesPlayed === CONFIG.NINE_HOLES) delete content.differential;
+    return content;
+  },
+
+  /**
+   * Whether two versions of a round hold the same content.
+   * @param {Object|null} a - Round, or null for a deleted round
+   * @param {Object|null} b - Round, or null for a deleted round
+   * @returns {boolean} True if both are deleted or their content matches
+   */
+  sameContent: function (a, b) {
+    if (!a || !b) return !a && !b;
+    return this.stableStringify(this.getContent(a)) === this.stableStringify(this.getContent(b));
+  },
+
+  /**
+   * Stamp the rounds about to be saved and find the ones that were deleted. A round keeps its
+   * stamp while its content is unchanged; a round that arrives with a stamp of its own (from
+   * a backup or from the server) keeps that one; anything else new or changed is stamped now.
+   * @param {Array<Object>} previous - Rounds saved so far
+   * @param {Array<Object>} rounds - Rounds to save
+   * @param {string} now - Current time (ISO 8601)
+   * @returns {{rounds: Array<Object>, deletedIds: Array<string>}} Stamped copies in the same order, and ids no longer present
+   */
+  stampRounds: function (previous, rounds, now) {
+    var self = this;
+    var before = {};
+    previous.forEach(function (round) {
+      before[round.id] = round;
+    });
+    var kept = {};
+    var stamped = rounds.map(function (round) {
+      var old = before[round.id];
+      kept[round.id] = true;
+      if (round.updatedAt && (!old || round.updatedAt !== old.updatedAt)) return round;
+      var updatedAt = old && old.updatedAt && self.sameContent(old, round) ? old.updatedAt : now;
+      return round.updatedAt === updatedAt ? round : Object.assign({}, round, { updatedAt: updatedAt });
+    });
+    return {
+      rounds: stamped,
+      deletedIds: previous.filter(function (round) {
+        return !kept[round.id];
+      }).map(function (round) {
+        return round.id;
+      })
+    };
+  },
+
+  /**
+   * Sync state of a device that has not synced yet.
+   * @returns {{cursor: number, records: Object, conflicts: Array<Object>}}
+   */
+  createState: function () {
+    return { cursor: 0, records: {}, conflicts: [] };
+  },
+
+  /**
+   * Changes the device has to push: rounds and tombstones whose stamp differs from the one
+   * last agreed with the server. Rounds waiting for a manual decision are held back, and so are
+   * tombstones of rounds the server never had.
+   * @param {{rounds: Array<Object>, tombstones: Array<Object>, state: Object}} data - Device data
+   * @returns {Array<Object>} Changes {id, baseRevision, updatedAt, deletedAt, round}
+   */
+  collectChanges: function (data) {
+    var self = this;
+    var records = data.state.records;
+    var held = {};
+    data.state.conflicts.forEach(function (conflict) {
+      held[conflict.id] = true;
+    });
+    var changes = [];
+    data.rounds.forEach(function (round) {
+      var known = records[round.id];
+      if (held[round.id] || (known && known.updatedAt === round.updatedAt)) return;
+      changes.push({
+        id: round.id,
+        baseRevision: known ? known.revision : 0,
+        updatedAt: round.updatedAt,
+        deletedAt: null,
+        round: self.getPayload(round)
+      });
+    });
+    data.tombstones.forEach(function (tombstone) {
+      var known = records[tombstone.id];
+      if (held[tombstone.id] || !known || known.updatedAt === tombstone.deletedAt) return;
+      changes.push({ id: tombstone.id, baseRevision: known.revision, updatedAt: null, deletedAt: tombstone.deletedAt, round: null });
+    });
+    return changes;
+  },
+
+  /**
+   * Bring server entries into the device data (see the rules at the top of this file).
+   * @param {{rounds: Array<Object>, tombstones: Array<Object>, state: Object}} data - Device data
+   * @param {Array<Object>} entries - Server entries {id, revision, updatedAt, deletedAt, round}
+   * @param {number} [cursor] - Newest server revision pulled; omit for the entries of a push response
+   * @returns {{rounds: Array<Object>, tombstones: Array<Object>, state: Object, applied: number}}
+   *   New device data; applied counts the server versions taken over
+   */
+  reconcile: function (data, entries, cursor) {
+    var self = this;
+    var work = this.index(data);
+    var applied = 0;
+    entries.forEach(function (entry) {
+      var known = work.records[entry.id];
+      if (known && known.revision >= entry.revision) return;
+      var round = work.rounds[entry.id] || null;
+      var tombstone = work.tombstones[entry.id] || null;
+      var stamp = round ? round.updatedAt : tombstone ? tombstone.deletedAt : null;
+      var changedHere = stamp !== null && (!known || known.updatedAt !== stamp);
+      var remoteStamp = entry.deletedAt || entry.updatedAt;
+      delete work.conflicts[entry.id];
+      if (!changedHere || (tombstone && entry.deletedAt) || (round && !entry.deletedAt && self.sameContent(round, entry.round))) {
+        if (!self.sameContent(round, entry.deletedAt ? null : entry.round)) applied++;
+        self.take(work, entry);
+      } else if (round && entry.deletedAt) {
+        // Edited here, deleted there: the edit is pushed on top of the deletion
+        work.records[entry.id] = { revision: entry.revision, updatedAt: remoteStamp };
+      } else if (tombstone) {
+        // Deleted here, edited there: the edit comes back
+        applied++;
+        self.take(work, entry);
+      } else {
+        work.conflicts[entry.id] = { id: entry.id, remote: entry };
+      }
+    });
+    var result = this.collect(work, data.state);
+    if (cursor !== undefined) result.state.cursor = Math.max(data.state.cursor, cursor);
+    result.applied = applied;
+    return result;
+  },
+
+  /**
+   * Record the changes the server accepted.
+   * @param {{rounds: Array<Object>, tombstones: Array<Object>, state: Object}} data - Device data
+   * @param {Array<{id: string, revision: number, updatedAt: string}>} accepted - Accepted changes with the stamps pushed
+   * @returns {{rounds: Array<Object>, tombstones: Array<Object>, state: Object}} New device data
+   */
+  acknowledge: function (data, accepted) {
+    var records = Object.assign({}, data.state.records);
+    accepted.forEach(function (change) {
+      var known = records[change.id];
+      if (!known || known.revision <= change.revision) {
+        records[change.id] = { revision: change.revision, updatedAt: change.updatedAt };
+      }
+    });
+    return {
+      rounds: data.rounds,
+      tombstones: data.tombstones,
+      state: Object.assign({}, data.state, { records: records })
+    };
+  },
+
+  /**
+   * Settle a round both sides edited.
+   * @param {{rounds: Array<Object>, tombstones: Array<Object>, state: Object}} data - Device data
+   * @param {string} id - Round id
+   * @param {string} choice - "local" keeps this device's version, "remote" takes the server's
+   * @param {string} now - Current time (ISO 8601); a kept local version is stamped with it
+   * @returns {{rounds: Array<Object>, tombstones: Array<Object>, state: Object}} New device data
+   */
+  resolveConflict: function (data, id, choice, now) {
+    var work = this.index(data);
+    var conflict = work.conflicts[id];
+    if (!conflict) return this.collect(work, data.state);
+    delete work.conflicts[id];
+    var entry = conflict.remote;
+    if (choice === "remote") {
+      this.take(work, entry);
+    } else {
+      work.records[id] = { revision: entry.revision, updatedAt: entry.deletedAt || entry.updatedAt };
+      if (work.rounds[id]) work.rounds[id] = Object.assign({}, work.rounds[id], { updatedAt: now });
+      if (work.tombstones[id]) work.tombstones[id] = { id: id, deletedAt: now };
+    }
+    return this.collect(work, data.state);
+  },
+
+  /**
+   * Copy device data into maps by round id for reconciling.
+   * @param {{rounds: Array<Object>, tombstones: Array<Object>, state: Object}} data - Device data
+   * @returns {{rounds: Object, tombstones: Object, records: Object, conflicts: Object}}
+   */
+  index: function (data) {
+    var work = { rounds: {}, tombstones: {}, records: Object.assign({}, data.state.records), conflicts: {} };
+    data.rounds.forEach(function (round) {
+      work.rounds[round.id] = round;
+    });
+    data.tombstones.forEach(function (tombstone) {
+      work.tombstones[tombstone.id] = tombstone;
+    });
+    data.state.conflicts.forEach(function (conflict) {
+      work.conflicts[conflict.id] = conflict;
+    });
+    return work;
+  },
+
+  /**
+   * Turn maps by round id back into device data.
+   * @param {Object} work - Maps (see index)
+   * @param {Object} state - Previous state; fields other than records and conflicts are kept
+   * @returns {{rounds: Array<Object>, tombstones: Array<Object>, state: Object}}
+   */
+  collect: function (work, state) {
+    var values = function (map) {
+      return Object.keys(map).map(function (key) {
+        return map[key];
+      });
+    };
+    return {
+      rounds: values(work.rounds),
+      tombstones: values(work.tombstones),
+      state: Object.assign({}, state, { records: work.records, conflicts: values(work.conflicts) })
+    };
+  },
+
+  /**
+   * Take over the server's version of a round.
+   * @param {Object} work - Maps (see index)
+   * @param {Object} entry - Server entry
+   */
+  take: function (work, entry) {
+    if (entry.deletedAt) {
+      delete work.rounds[entry.id];
+      work.tombstones[entry.id] = { id: entry.id, deletedAt: entry.deletedAt };
+    } else {
+      work.rounds[entry.id] = Object.assign({}, entry.round, { id: entry.id, updatedAt: entry.updatedAt });
+      delete work.tombstones[entry.id];
+    }
+    work.records[entry.id] = { revision: entry.revision, updatedAt: entry.deletedAt || entry.updatedAt };
+  },
+
+  /**
+   * Server side: apply pushed changes to the entries stored under one sync key.
+   * @param {{revision: number, entries: Object<string, Object>}} collection - Stored entries by round id
+   * @param {Array<Object>} changes - Pushed changes (see collectChanges)
+   * @returns {{collection: Object, accepted: Array<Object>, conflicts: Array<Object>}}
+   *   New collection; accepted lists {id, revision, updatedAt} with the stamps pushed, conflicts the stored entries
+   */
+  applyChanges: function (collection, changes) {
+    var self = this;
+    var revision = collection.revision;
+    var entries = Object.assign({}, collection.entries);
+    var accepted = [];
+    var conflicts = [];
+    changes.forEach(function (change) {
+      var current = entries[change.id];
+      var round = change.deletedAt ? null : change.round;
+      var stamp = change.deletedAt || change.updatedAt;
+      if (current && self.sameContent(current.deletedAt ? null : current.round, round)) {
+        accepted.push({ id: change.id, revision: current.revision, updatedAt: stamp });
+        return;
+      }
+      if (current && current.revision !== change.baseRevision) {
+        conflicts.push(current);
+        return;
+      }
+      revision++;
+      entries[change.id] = {
+        id: change.id,
+        revision: revision,
+        updatedAt: change.deletedAt ? null : change.updatedAt,
+        deletedAt: change.deletedAt || null,
+        round: round
+      };
+      accepted.push({ id: change.id, revision: revision, updatedAt: stamp });
+    });
+    return { collection: { revision: revision, entries: entries }, accepted: accepted, conflicts: conflicts };
+  },
+
+  /**
+   * Server side: entries changed after a revision, oldest change first.
+   * @param {{revision: number, entries: Object<string, Object>}} collection - Stored entries by round id
+   * @param {number} since - Revision the device has already pulled
+   * @returns {Array<Object>} Entries
+   */
+  getChangesSince: function (collection, since) {
+    return Object.keys(collection.entries).map(function (id) {
+      return collection.entries[id];
+    }).filter(function (entry) {
+      return entry.revision > since;
+    }).sort(function (a, b) {
+      return a.revision - b.revision;
+    });
+  },
+
+  /**
+   * Check the shape of a pushed change before the server stores it.
+   * @param {*} change - Change as received
+   * @returns {boolean} True if the change can be applied
+   */
+  isValidChange: function (change) {
+    if (!change || typeof change !== "object" || typeof change.id !== "string" || change.id === "") return false;
+    if (typeof change.baseRevision !== "number" || change.baseRevision < 0) return false;
+    if (change.deletedAt) return typeof change.deletedAt === "string";
+    return typeof change.updatedAt === "string" && !!change.round && typeof change.round === "object" && change.round.id === change.id;
+  }
+};
+
+export { SYNC_CONFIG, SyncEngine };
@@ -0,0 +1,192 @@
+/**
+ * Golf Handicap – reference sync server
+ * A minimal backend for the app's optional sync, for running at home or at the club. It keeps
+ * every sync key's rounds in one JSON file and has no dependencies besides Node (18 or later):
+ *
+ *   node sync-server.mjs [--port 8787] [--data sync-data.json]
+ *
+ * Then enter http://<this computer>:8787 as the server on every device and choose the same
+ * sync key on each of them. There are no accounts: anyone who can reach the server and knows
+ * a sync key can read and change its rounds, so keep it on a network you trust.
+ *
+ * Importing the module starts nothing: createSyncServer(dataFile) returns an http.Server to
+ * listen on, e.g. from a test or a script that runs it next to other services.
+ *
+ * API (JSON; see sync-engine.mjs for the entries and changes):
+ * - GET  /records/<key>?since=<revision>  -> {cursor, changes: [entry]}
+ * - POST /records/<key>  {changes: [change]} -> {accepted: [{id, revision, updatedAt}], conflicts: [entry]}
+ *   Rounds are checked like the app checks its own (ValidationService.validateRound); a push
+ *   with an invalid one is refused with 400 and nothing of it is stored.
+ */
+
+import { createServer } from "node:http";
+import { existsSync, readFileSync, renameSync, writeFileSync } from "node:fs";
+import { pathToFileURL } from "node:url";
+import { SyncEngine } from "./sync-engine.mjs";
+import { ValidationService } from "./whs-engine.mjs";
+
+var SERVER_CONFIG = {
+  DEFAULT_PORT: 8787,
+  DEFAULT_DATA_FILE: "sync-data.json",
+  MAX_BODY_BYTES: 5 * 1024 * 1024,
+  KEY_PATTERN: /^[A-Za-z0-9_-]{1,64}$/
+};
+
+/**
+ * Read a command line option.
+ * @param {string} name - Option name without dashes
+ * @param {string} fallback - Value if the option is missing
+ * @returns {string} Option value
+ */
+function readOption(name, fallback) {
+  var position = process.argv.indexOf("--" + name);
+  return position !== -1 && process.argv[position + 1] ? process.argv[position + 1] : fallback;
+}
+
+/**
+ * Load the stored collections, or start empty.
+ * @param {string} file - Data file
+ * @returns {Object<string, {revision: number, entries: Object}>} Collections by sync key
+ */
+function loadData(file) {
+  if (!existsSync(file)) return {};
+  return JSON.parse(readFileSync(file, "utf8"));
+}
+
+/**
+ * Save the collections; written to a temporary file first so a crash never leaves half a file.
+ * @param {string} file - Data file
+ * @param {Object} data - Collections by sync key
+ */
+function saveData(file, data) {
+  writeFileSync(file + ".tmp", JSON.stringify(data));
+  renameSync(file + ".tmp", file);
+}
+
+/**
+ * Send a JSON response. The app may be served from another origin, so CORS is open.
+ * @param {import("node:http").ServerResponse} response - Response
+ * @param {number} status - HTTP status
+ * @param {Object|null} body - Body, or null for none
+ */
+function send(response, status, body) {
+  response.writeHead(status, {
+    "Content-Type": "application/json",
+    "Cache-Control": "no-store",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type, X-Golf-Handicap-Sync"
+  });
+  response.end(body === null ? "" : JSON.stringify(body));
+}
+
+/**
+ * Check a pushed change: its shape, and the round it carries unless it is a deletion.
+ * @param {*} change - Change as received
+ * @returns {string|null} Why the change is refused, or null if it can be applied
+ */
+function checkChange(change) {
+  if (!SyncEngine.isValidChange(change)) return "Expected {changes: [...]} with valid changes.";
+  if (change.deletedAt) return null;
+  var validation = ValidationService.validateRound(change.round);
+  return validation.valid ? null : "Round " + change.id + " is invalid: " + validation.error;
+}
+
+/**
+ * Read a request body as JSON. A body over MAX_BODY_BYTES is read to the end but not kept,
+ * so the client still gets an answer.
+ * @param {import("node:http").IncomingMessage} request - Request
+ * @returns {Promise<*>} Parsed body; rejects with an error whose status is the HTTP status to answer
+ */
+function readJson(request) {
+  return new Promise(function (resolve, reject) {
+    var chunks = [];
+    var size = 0;
+    request.on("data", function (chunk) {
+      size += chunk.length;
+      if (size > SERVER_CONFIG.MAX_BODY_BYTES) {
+        chunks = [];
+        return;
+      }
+      chunks.push(chunk);
+    });
+    request.on("end", function () {
+      if (size > SERVER_CONFIG.MAX_BODY_BYTES) {
+        var error = new Error("Request body too large.");
+        error.status = 413;
+        reject(error);
+        return;
+      }
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString("utf8")));
+      } catch (e) {
+        reject(new Error("Request body is not valid JSON."));
+      }
+    });
+    request.on("error", reject);
+  });
+}
+
+/**
+ * Create the sync server. The stored collections are loaded now and saved after every push.
+ * @param {string} dataFile - Data file
+ * @returns {import("node:http").Server} Server, not listening yet
+ */
+function createSyncServer(dataFile) {
+  var data = loadData(dataFile);
+  return createServer(function (request, response) {
+    var url = new URL(request.url, "http://localhost");
+    var match = /^\/records\/([^/]+)$/.exec(url.pathname);
+    if (request.method === "OPTIONS") {
+      send(response, 204, null);
+      return;
+    }
+    if (!match || !SERVER_CONFIG.KEY_PATTERN.test(match[1])) {
+      send(response, 404, { error: "Not found." });
+      return;
+    }
+    var key = match[1];
+    var collection = data[key] || { revision: 0, entries: {} };
+
+    if (request.method === "GET") {
+      var since = Number(url.searchParams.get("since")) || 0;
+      send(response, 200, { cursor: collection.revision, changes: SyncEngine.getChangesSince(collection, since) });
+      return;
+    }
+    if (request.method !== "POST") {
+      send(response, 405, { error: "Method not allowed." });
+      return;
+    }
+    readJson(request).then(function (body) {
+      if (!body || !Array.isArray(body.changes)) {
+        send(response, 400, { error: "Expected {changes: [...]} with valid changes." });
+        return;
+      }
+      for (var i = 0; i < body.changes.length; i++) {
+        var error = checkChange(body.changes[i]);
+        if (error) {
+          send(response, 400, { error: error });
+          return;
+        }
+      }
+      // Applying and saving run without a break, so concurrent pushes cannot interleave
+      var result = SyncEngine.applyChanges(data[key] || { revision: 0, entries: {} }, body.changes);
+      data[key] = result.collection;
+      saveData(dataFile, data);
+      send(response, 200, { accepted: result.accepted, conflicts: result.conflicts });
+    }).catch(function (e) {
+      send(response, e.status || 400, { error: e.message });
+    });
+  });
+}
+
+// Listen only when run as a script, not when imported
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  var port = Number(readOption("port", String(SERVER_CONFIG.DEFAULT_PORT)));
+  var dataFile = readOption("data", SERVER_CONFIG.DEFAULT_DATA_FILE);
+  createSyncServer(dataFile).listen(port, function () {
+    console.log("Golf Handicap sync server on http://localhost:" + port + " (data: " + dataFile + ")");
+  });
+}
+
+export { SERVER_CONFIG, createSyncServer };
@@ -0,0 +1,90 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { QRCode } from "../qr-code.mjs";
+
+/**
+ * Read the format information next to the top-left finder pattern.
+ * @param {Array<Array<boolean>>} modules - Symbol
+ * @returns {{level: number, mask: number}} Error correction level bits and mask pattern
+ */
+function readFormat(modules) {
+  var positions = [[0, 8], [1, 8], [2, 8], [3, 8], [4, 8], [5, 8], [7, 8], [8, 8], [8, 7],
+    [8, 5], [8, 4], [8, 3], [8, 2], [8, 1], [8, 0]];
+  var bits = 0;
+  positions.forEach(function (position, i) {
+    if (modules[position[0]][position[1]]) bits |= 1 << i;
+  });
+  var data = (bits ^ 0x5412) >>> 10;
+  return { level: data >>> 3, mask: data & 7 };
+}
+
+describe("QRCode", function () {
+  it("uses the smallest version that holds the text", function () {
+    assert.equal(QRCode.encode("A").version, 1);
+    assert.equal(QRCode.encode("A").size, 21);
+    assert.equal(QRCode.encode("x".repeat(14)).version, 1);
+    assert.equal(QRCode.encode("x".repeat(15)).version, 2);
+    assert.equal(QRCode.encode("x".repeat(15), "L").version, 1);
+    assert.equal(QRCode.encode("x".repeat(300)).version, 13);
+  });
+
+  it("counts UTF-8 bytes, not characters", function () {
+    assert.deepEqual(QRCode.toUtf8("é✓"), [0xc3, 0xa9, 0xe2, 0x9c, 0x93]);
+  });
+
+  it("draws the finder and timing patterns", function () {
+    var qr = QRCode.encode("https://example.org/#verify=1");
+    var last = qr.size - 1;
+    [[0, 0], [0, last - 6], [last - 6, 0]].forEach(function (corner) {
+      for (var i = 0; i < 7; i++) {
+        assert.equal(qr.modules[corner[0]][corner[1] + i], true);
+        assert.equal(qr.modules[corner[0] + 6][corner[1] + i], true);
+        assert.equal(qr.modules[corner[0] + i][corner[1]], true);
+      }
+      assert.equal(qr.modules[corner[0] + 1][corner[1] + 1], false);
+      assert.equal(qr.modules[corner[0] + 3][corner[1] + 3], true);
+    });
+    for (var x = 8; x < qr.size - 8; x++) {
+      assert.equal(qr.modules[6][x], x % 2 === 0);
+      assert.equal(qr.modules[x][6], x % 2 === 0);
+    }
+  });
+
+  it("records the error correction level in the format information", function () {
+    assert.equal(readFormat(QRCode.encode("Golf", "M").modules).level, 0);
+    assert.equal(readFormat(QRCode.encode("Golf", "L").modules).level, 1);
+    assert.equal(readFormat(QRCode.encode("Golf", "H").modules).level, 2);
+    var format = readFormat(QRCode.encode("Golf", "Q").modules);
+    assert.equal(format.level, 3);
+    assert.ok(format.mask >= 0 && format.mask < 8);
+  });
+
+  it("knows the data capacity of each version", function () {
+    assert.equal(QRCode.getDataCodewords(1, "M"), 16);
+    assert.equal(QRCode.getDataCodewords(10, "M"), 216);
+    assert.equal(QRCode.getDataCodewords(40, "L"), 2956);
+    assert.equal(QRCode.getDataCodewords(40, "H"), 1276);
+  });
+
+  it("rejects text that does not fit and unknown levels", function () {
+    assert.throws(function () {
+      QRCode.encode("x".repeat(3000));
+    }, /too long/);
+    assert.throws(function () {
+      QRCode.encode("Golf", "X");
+    }, /Unknown error correction level/);
+  });
+
+  it("draws one unit square per dark module", function () {
+    var qr = QRCode.encode("Golf");
+    var dark = 0;
+    qr.modules.forEach(function (row) {
+      row.forEach(function (module) {
+        if (module) dark++;
+      });
+    });
+    var path = QRCode.toSvgPath(qr, 2);
+    assert.equal(path.split("z").length - 1, dark);
+    assert.ok(path.indexOf("M2,2h1v1h-1z") === 0);
+  });
+});
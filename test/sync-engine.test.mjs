@@ -0,0 +1,234 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { SyncEngine } from "../sync-engine.mjs";
+
+var EARLIER = "2025-03-01T10:00:00.000Z";
+var LATER = "2025-03-02T10:00:00.000Z";
+var NOW = "2025-03-03T10:00:00.000Z";
+
+/**
+ * Build a saved round.
+ * @param {string} id - Round id
+ * @param {number} score - Gross score
+ * @param {string} updatedAt - Stamp of the last change
+ * @returns {Object} Round
+ */
+function round(id, score, updatedAt) {
+  return { id: id, date: "2025-03-01", score: score, courseRating: 72, slope: 113, differential: score - 72, profileId: "p1", updatedAt: updatedAt };
+}
+
+/**
+ * Device data with every round and tombstone in sync at revision 1.
+ * @param {Array<Object>} rounds - Rounds
+ * @param {Array<Object>} [tombstones] - Tombstones
+ * @returns {{rounds: Array<Object>, tombstones: Array<Object>, state: Object}}
+ */
+function synced(rounds, tombstones) {
+  var state = SyncEngine.createState();
+  rounds.forEach(function (r) {
+    state.records[r.id] = { revision: 1, updatedAt: r.updatedAt };
+  });
+  (tombstones || []).forEach(function (t) {
+    state.records[t.id] = { revision: 1, updatedAt: t.deletedAt };
+  });
+  state.cursor = 1;
+  return { rounds: rounds, tombstones: tombstones || [], state: state };
+}
+
+/**
+ * Server entry for a round.
+ * @param {Object} r - Round
+ * @param {number} revision - Revision
+ * @returns {Object} Entry
+ */
+function entry(r, revision) {
+  return { id: r.id, revision: revision, updatedAt: r.updatedAt, deletedAt: null, round: SyncEngine.getPayload(r) };
+}
+
+describe("SyncEngine.stampRounds", function () {
+  it("keeps the stamp of unchanged rounds and stamps new and edited ones", function () {
+    var previous = [round("a", 90, EARLIER), round("b", 85, EARLIER)];
+    var result = SyncEngine.stampRounds(previous, [
+      Object.assign({}, previous[0], { esrAdjustments: [{ triggerId: "c", reduction: -1 }] }),
+      Object.assign({}, previous[1], { score: 84 }),
+      { id: "c", date: "2025-03-02", score: 70, courseRating: 72, slope: 113, differential: -2 }
+    ], NOW);
+    assert.deepEqual(result.rounds.map(function (r) {
+      return r.updatedAt;
+    }), [EARLIER, NOW, NOW]);
+    assert.deepEqual(result.deletedIds, []);
+  });
+
+  it("keeps the stamp a round brings along and reports deleted rounds", function () {
+    var previous = [round("a", 90, EARLIER), round("b", 85, EARLIER)];
+    var result = SyncEngine.stampRounds(previous, [round("a", 88, LATER)], NOW);
+    assert.equal(result.rounds[0].updatedAt, LATER);
+    assert.deepEqual(result.deletedIds, ["b"]);
+  });
+
+  it("ignores the differential of 9-hole rounds, which depends on other rounds", function () {
+    var nine = Object.assign(round("a", 45, EARLIER), { holesPlayed: 9, nineHoleDifferential: 9, differential: null });
+    var combined = Object.assign({}, nine, { differential: 19.4, nineHole: { method: "expected" } });
+    assert.equal(SyncEngine.stampRounds([nine], [combined], NOW).rounds[0].updatedAt, EARLIER);
+  });
+});
+
+describe("SyncEngine.collectChanges", function () {
+  it("pushes rounds and tombstones changed since the last sync", function () {
+    var data = synced([round("a", 90, EARLIER), round("b", 85, EARLIER)], [{ id: "c", deletedAt: EARLIER }]);
+    data.rounds = [round("a", 90, EARLIER), round("b", 84, NOW), round("d", 80, NOW)];
+    data.tombstones = [{ id: "c", deletedAt: EARLIER }, { id: "e", deletedAt: NOW }, { id: "f", deletedAt: NOW }];
+    data.state.records.e = { revision: 3, updatedAt: EARLIER };
+    var changes = SyncEngine.collectChanges(data);
+    assert.deepEqual(changes.map(function (c) {
+      return [c.id, c.baseRevision, c.deletedAt];
+    }), [["b", 1, null], ["d", 0, null], ["e", 3, NOW]]);
+    assert.equal(changes[0].round.profileId, undefined);
+    assert.equal(changes[0].round.updatedAt, undefined);
+  });
+
+  it("holds back rounds waiting for a manual decision", function () {
+    var data = synced([round("a", 90, EARLIER)]);
+    data.rounds = [round("a", 91, NOW)];
+    data.state.conflicts = [{ id: "a", remote: entry(round("a", 92, LATER), 2) }];
+    assert.deepEqual(SyncEngine.collectChanges(data), []);
+  });
+});
+
+describe("SyncEngine.reconcile", function () {
+  it("takes server changes to rounds not changed on the device", function () {
+    var data = synced([round("a", 90, EARLIER), round("b", 85, EARLIER)]);
+    var result = SyncEngine.reconcile(data, [
+      entry(round("a", 88, LATER), 2),
+      { id: "b", revision: 3, updatedAt: null, deletedAt: LATER, round: null },
+      entry(round("c", 80, LATER), 4)
+    ], 4);
+    var byId = {};
+    result.rounds.forEach(function (r) {
+      byId[r.id] = r;
+    });
+    assert.equal(byId.a.score, 88);
+    assert.equal(byId.a.updatedAt, LATER);
+    assert.equal(byId.b, undefined);
+    assert.equal(byId.c.score, 80);
+    assert.deepEqual(result.tombstones, [{ id: "b", deletedAt: LATER }]);
+    assert.equal(result.state.cursor, 4);
+    assert.equal(result.applied, 3);
+    assert.deepEqual(SyncEngine.collectChanges(result), []);
+  });
+
+  it("skips the device's own changes coming back", function () {
+    var data = synced([round("a", 90, EARLIER)]);
+    var result = SyncEngine.reconcile(data, [entry(round("a", 90, EARLIER), 1)], 1);
+    assert.equal(result.applied, 0);
+    assert.deepEqual(result.state.conflicts, []);
+  });
+
+  it("keeps an edit over a deletion on the other side, whichever side made it", function () {
+    var editedHere = synced([round("a", 90, EARLIER)]);
+    editedHere.rounds = [round("a", 91, NOW)];
+    var kept = SyncEngine.reconcile(editedHere, [{ id: "a", revision: 2, updatedAt: null, deletedAt: LATER, round: null }], 2);
+    assert.equal(kept.rounds[0].score, 91);
+    assert.deepEqual(SyncEngine.collectChanges(kept).map(function (c) {
+      return [c.id, c.baseRevision];
+    }), [["a", 2]]);
+
+    var deletedHere = synced([round("a", 90, EARLIER)]);
+    deletedHere.rounds = [];
+    deletedHere.tombstones = [{ id: "a", deletedAt: NOW }];
+    var restored = SyncEngine.reconcile(deletedHere, [entry(round("a", 92, LATER), 2)], 2);
+    assert.equal(restored.rounds[0].score, 92);
+    assert.deepEqual(restored.tombstones, []);
+    assert.deepEqual(SyncEngine.collectChanges(restored), []);
+  });
+
+  it("agrees without a conflict when both sides made the same change", function () {
+    var data = synced([round("a", 90, EARLIER)]);
+    data.rounds = [round("a", 91, NOW)];
+    var result = SyncEngine.reconcile(data, [entry(round("a", 91, LATER), 2)], 2);
+    assert.deepEqual(result.state.conflicts, []);
+    assert.deepEqual(SyncEngine.collectChanges(result), []);
+  });
+
+  it("asks for a decision when both sides edited a round differently", function () {
+    var data = synced([round("a", 90, EARLIER)]);
+    data.rounds = [round("a", 91, NOW)];
+    var remote = entry(round("a", 92, LATER), 2);
+    var result = SyncEngine.reconcile(data, [remote], 2);
+    assert.equal(result.rounds[0].score, 91);
+    assert.deepEqual(result.state.conflicts, [{ id: "a", remote: remote }]);
+    assert.equal(result.state.records.a.revision, 1);
+
+    var keepLocal = SyncEngine.resolveConflict(result, "a", "local", NOW.replace("03T", "04T"));
+    assert.deepEqual(keepLocal.state.conflicts, []);
+    var changes = SyncEngine.collectChanges(keepLocal);
+    assert.equal(changes.length, 1);
+    assert.equal(changes[0].baseRevision, 2);
+    assert.equal(changes[0].round.score, 91);
+
+    var useRemote = SyncEngine.resolveConflict(result, "a", "remote", NOW);
+    assert.equal(useRemote.rounds[0].score, 92);
+    assert.deepEqual(SyncEngine.collectChanges(useRemote), []);
+  });
+
+  it("gives the same result whatever order the entries of different rounds arrive in", function () {
+    var data = synced([round("a", 90, EARLIER), round("b", 85, EARLIER)]);
+    data.rounds = [round("a", 91, NOW), round("b", 85, EARLIER)];
+    var entries = [entry(round("a", 92, LATER), 2), entry(round("b", 86, LATER), 3)];
+    var forward = SyncEngine.reconcile(data, entries, 3);
+    var backward = SyncEngine.reconcile(data, entries.slice().reverse(), 3);
+    var sortById = function (list) {
+      return list.slice().sort(function (x, y) {
+        return x.id.localeCompare(y.id);
+      });
+    };
+    assert.deepEqual(sortById(forward.rounds), sortById(backward.rounds));
+    assert.deepEqual(forward.state.records, backward.state.records);
+    assert.deepEqual(forward.state.conflicts, backward.state.conflicts);
+  });
+});
+
+describe("SyncEngine.applyChanges", function () {
+  var empty = { revision: 0, entries: {} };
+
+  it("numbers accepted changes and lists them after a revision", function () {
+    var first = SyncEngine.applyChanges(empty, [
+      { id: "a", baseRevision: 0, updatedAt: EARLIER, deletedAt: null, round: SyncEngine.getPayload(round("a", 90, EARLIER)) },
+      { id: "b", baseRevision: 0, updatedAt: EARLIER, deletedAt: null, round: SyncEngine.getPayload(round("b", 85, EARLIER)) }
+    ]);
+    assert.deepEqual(first.accepted, [{ id: "a", revision: 1, updatedAt: EARLIER }, { id: "b", revision: 2, updatedAt: EARLIER }]);
+    var second = SyncEngine.applyChanges(first.collection, [{ id: "a", baseRevision: 1, updatedAt: null, deletedAt: LATER, round: null }]);
+    assert.equal(second.collection.revision, 3);
+    assert.deepEqual(SyncEngine.getChangesSince(second.collection, 1).map(function (e) {
+      return [e.id, e.revision, e.deletedAt];
+    }), [["b", 2, null], ["a", 3, LATER]]);
+  });
+
+  it("answers a change based on an old revision with the stored entry", function () {
+    var stored = SyncEngine.applyChanges(empty, [
+      { id: "a", baseRevision: 0, updatedAt: EARLIER, deletedAt: null, round: SyncEngine.getPayload(round("a", 90, EARLIER)) }
+    ]).collection;
+    var result = SyncEngine.applyChanges(stored, [
+      { id: "a", baseRevision: 0, updatedAt: LATER, deletedAt: null, round: SyncEngine.getPayload(round("a", 95, LATER)) }
+    ]);
+    assert.deepEqual(result.accepted, []);
+    assert.equal(result.conflicts[0].revision, 1);
+    assert.equal(result.collection.revision, 1);
+  });
+
+  it("accepts a change it already holds again, so a replayed push is harmless", function () {
+    var change = { id: "a", baseRevision: 0, updatedAt: EARLIER, deletedAt: null, round: SyncEngine.getPayload(round("a", 90, EARLIER)) };
+    var stored = SyncEngine.applyChanges(empty, [change]).collection;
+    var replayed = SyncEngine.applyChanges(stored, [change]);
+    assert.deepEqual(replayed.accepted, [{ id: "a", revision: 1, updatedAt: EARLIER }]);
+    assert.equal(replayed.collection.revision, 1);
+  });
+
+  it("checks the shape of pushed changes", function () {
+    assert.equal(SyncEngine.isValidChange({ id: "a", baseRevision: 0, updatedAt: EARLIER, round: { id: "a" } }), true);
+    assert.equal(SyncEngine.isValidChange({ id: "a", baseRevision: 2, deletedAt: EARLIER }), true);
+    assert.equal(SyncEngine.isValidChange({ id: "a", baseRevision: 0, updatedAt: EARLIER, round: { id: "b" } }), false);
+    assert.equal(SyncEngine.isValidChange({ id: "a", updatedAt: EARLIER, round: { id: "a" } }), false);
+    assert.equal(SyncEngine.isValidChange(null), false);
+  });
+});
@@ -0,0 +1,106 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, readFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { SERVER_CONFIG, createSyncServer } from "../sync-server.mjs";
+
+var UPDATED_AT = "2025-03-01T10:00:00.000Z";
+
+/**
+ * Build a change that adds a round.
+ * @param {string} id - Round id
+ * @param {number} score - Gross score
+ * @returns {Object} Change
+ */
+function change(id, score) {
+  return {
+    id: id,
+    baseRevision: 0,
+    updatedAt: UPDATED_AT,
+    round: { id: id, date: "2025-03-01", score: score, courseRating: 72, slope: 113, differential: score - 72, profileId: "p1", updatedAt: UPDATED_AT }
+  };
+}
+
+describe("sync server", function () {
+  var directory = mkdtempSync(join(tmpdir(), "golf-handicap-sync-"));
+  var dataFile = join(directory, "sync-data.json");
+  var server = createSyncServer(dataFile);
+  var base = "";
+
+  before(function () {
+    return new Promise(function (resolve) {
+      server.listen(0, "127.0.0.1", function () {
+        base = "http://127.0.0.1:" + server.address().port + "/records/club";
+        resolve();
+      });
+    });
+  });
+
+  after(function () {
+    return new Promise(function (resolve) {
+      server.close(function () {
+        rmSync(directory, { recursive: true, force: true });
+        resolve();
+      });
+    });
+  });
+
+  /**
+   * Push changes to the test collection.
+   * @param {Array<Object>} changes - Changes
+   * @returns {Promise<{status: number, body: Object}>}
+   */
+  function push(changes) {
+    return fetch(base, { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify({ changes: changes }) })
+      .then(function (response) {
+        return response.json().then(function (body) {
+          return { status: response.status, body: body };
+        });
+      });
+  }
+
+  it("stores valid rounds and returns them on a pull", function () {
+    return push([change("r1", 90)]).then(function (result) {
+      assert.equal(result.status, 200);
+      assert.deepEqual(result.body.accepted.map(function (entry) {
+        return entry.id;
+      }), ["r1"]);
+      return fetch(base + "?since=0").then(function (response) {
+        return response.json();
+      });
+    }).then(function (body) {
+      assert.equal(body.changes.length, 1);
+      assert.equal(body.changes[0].round.score, 90);
+    });
+  });
+
+  it("refuses a push with an invalid round and stores none of it", function () {
+    var invalid = change("r3", 90);
+    invalid.round.date = "01/03/2025";
+    return push([change("r2", 88), invalid]).then(function (result) {
+      assert.equal(result.status, 400);
+      assert.match(result.body.error, /^Round r3 is invalid: /);
+      var stored = JSON.parse(readFileSync(dataFile, "utf8")).club.entries;
+      assert.deepEqual(Object.keys(stored), ["r1"]);
+    });
+  });
+
+  it("answers 413 to a push over the size limit", function () {
+    var padding = "x".repeat(SERVER_CONFIG.MAX_BODY_BYTES);
+    return fetch(base, { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify({ changes: [], padding: padding }) })
+      .then(function (response) {
+        assert.equal(response.status, 413);
+        return response.json();
+      }).then(function (body) {
+        assert.equal(body.error, "Request body too large.");
+      });
+  });
+
+  it("accepts deletions without a round", function () {
+    return push([{ id: "r1", baseRevision: 1, deletedAt: UPDATED_AT }]).then(function (result) {
+      assert.equal(result.status, 200);
+      assert.equal(result.body.conflicts.length, 0);
+    });
+  });
+});
@@ -0,0 +1,819 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { CONFIG, ValidationService, WHSService } from "../whs-engine.mjs";
+
+/**
+ * Build a scoring record from differentials listed oldest first, one round per day.
+ * @param {Array<number>} differentials - Differentials, oldest first
+ * @param {string} [startDate] - Date of the first round (YYYY-MM-DD)
+ * @returns {Array<Object>} Rounds, newest first (as the app stores them)
+ */
+function buildRounds(differentials, startDate) {
+  var start = Date.parse((startDate || "2024-01-01") + "T00:00:00Z");
+  return differentials.map(function (differential, index) {
+    return {
+      id: "r" + (index + 1),
+      date: new Date(start + index * 86400000).toISOString().slice(0, 10),
+      score: 90,
+      courseRating: 72,
+      slope: 113,
+      differential: differential
+    };
+  }).reverse();
+}
+
+/**
+ * Repeat a value.
+ * @param {number} value - Value
+ * @param {number} count - Number of copies
+ * @returns {Array<number>}
+ */
+function repeat(value, count) {
+  var values = [];
+  for (var i = 0; i < count; i++) values.push(value);
+  return values;
+}
+
+describe("getWHSCalculationParams", function () {
+  // Full sliding scale: [round count, best differentials used, adjustment]
+  var scale = [
+    [1, 1, -2.0], [2, 1, -2.0], [3, 1, -2.0], [4, 1, -1.0], [5, 1, 0],
+    [6, 2, -1.0], [7, 2, 0], [8, 2, 0], [9, 3, 0], [10, 3, 0], [11, 3, 0],
+    [12, 4, 0], [13, 4, 0], [14, 4, 0], [15, 5, 0], [16, 5, 0], [17, 6, 0],
+    [18, 6, 0], [19, 7, 0], [20, 8, 0]
+  ];
+
+  scale.forEach(function (row) {
+    it("uses the best " + row[1] + " with adjustment " + row[2] + " for " + row[0] + " rounds", function () {
+      assert.deepEqual(WHSService.getWHSCalculationParams(row[0]), { countToUse: row[1], adjustment: row[2] });
+    });
+  });
+
+  it("returns no rounds to use without scores", function () {
+    assert.deepEqual(WHSService.getWHSCalculationParams(0), { countToUse: 0, adjustment: 0 });
+    assert.deepEqual(WHSService.getWHSCalculationParams(-1), { countToUse: 0, adjustment: 0 });
+  });
+
+  it("keeps using the best 8 above 20 rounds", function () {
+    assert.deepEqual(WHSService.getWHSCalculationParams(21), { countToUse: 8, adjustment: 0 });
+    assert.deepEqual(WHSService.getWHSCalculationParams(500), { countToUse: 8, adjustment: 0 });
+  });
+});
+
+describe("calculateScoreDifferential", function () {
+  it("applies the WHS formula and rounds to one decimal", function () {
+    assert.equal(WHSService.calculateScoreDifferential(90, 72, 113), 18);
+    assert.equal(WHSService.calculateScoreDifferential(85, 71.3, 131), 11.8);
+  });
+
+  it("returns negative differentials for scores below the rating", function () {
+    assert.equal(WHSService.calculateScoreDifferential(68, 72, 113), -4);
+  });
+
+  it("subtracts the PCC, halved for 9 holes", function () {
+    assert.equal(WHSService.calculateScoreDifferential(90, 72, 113, 2), 16);
+    assert.equal(WHSService.calculateScoreDifferential(45, 36, 113, 2, CONFIG.NINE_HOLES), 8);
+    assert.equal(WHSService.calculateScoreDifferential(90, 72, 113, -1), 19);
+  });
+});
+
+describe("calculateCourseHandicap", function () {
+  it("scales the index by slope and adds rating minus par", function () {
+    assert.equal(WHSService.calculateCourseHandicap(14.2, 72.5, 128, 72), 17);
+    assert.equal(WHSService.calculateCourseHandicap(0, 70.4, 113, 72), -2);
+  });
+
+  it("supports plus handicaps", function () {
+    assert.equal(WHSService.calculateCourseHandicap(-2.0, 72, 130, 72), -2);
+  });
+
+  it("uses half the index for 9 holes", function () {
+    assert.equal(WHSService.calculateCourseHandicap(20, 36, 113, 36, CONFIG.NINE_HOLES), 10);
+  });
+});
+
+describe("calculatePlayingHandicap", function () {
+  it("applies the allowance of individual formats", function () {
+    assert.equal(WHSService.calculatePlayingHandicap(20, "stroke-play").playingHandicap, 19);
+    assert.equal(WHSService.calculatePlayingHandicap(20, "four-ball").playingHandicap, 17);
+  });
+
+  it("combines partners in foursomes", function () {
+    assert.equal(WHSService.calculatePlayingHandicap(10, "foursomes", 15).playingHandicap, 13);
+  });
+
+  it("gives the difference in match play", function () {
+    var result = WHSService.calculatePlayingHandicap(8, "match-play", 15);
+    assert.equal(result.strokesReceived, 0);
+    assert.equal(result.opponentStrokes, 7);
+  });
+
+  it("returns null for an unknown format", function () {
+    assert.equal(WHSService.calculatePlayingHandicap(10, "skins"), null);
+  });
+});
+
+describe("stroke allocation and adjusted gross score", function () {
+  var layout = [];
+  for (var i = 0; i < 18; i++) layout.push({ par: 4, strokeIndex: i + 1, strokes: 4 });
+
+  it("gives a second stroke on the hardest holes above 18", function () {
+    var strokes = WHSService.getStrokesReceived(20, layout);
+    assert.deepEqual(strokes.slice(0, 3), [2, 2, 1]);
+    assert.equal(strokes[17], 1);
+  });
+
+  it("gives strokes back on the easiest holes for a plus handicap", function () {
+    var strokes = WHSService.getStrokesReceived(-2, layout);
+    assert.deepEqual(strokes.slice(15), [0, -1, -1]);
+  });
+
+  it("caps each hole at net double bogey", function () {
+    var holes = layout.map(function (hole) {
+      return Object.assign({}, hole);
+    });
+    holes[0].strokes = 10;
+    holes[17].strokes = 9;
+    var result = WHSService.calculateAdjustedGrossScore(holes, 1);
+    assert.equal(result.grossScore, 83);
+    // Hole 1 (SI 1) receives a stroke: cap 7; hole 18 receives none: cap 6
+    assert.equal(result.adjustedScore, 64 + 7 + 6);
+  });
+
+  it("caps at par + 5 without an index", function () {
+    var holes = layout.map(function (hole) {
+      return Object.assign({}, hole);
+    });
+    holes[0].strokes = 12;
+    assert.equal(WHSService.calculateAdjustedGrossScore(holes, null).adjustedScore, 68 + 9);
+  });
+});
+
+describe("calculateCompetitionResult", function () {
+  /**
+   * Par-72 card (par 4 everywhere) with the given strokes per hole, stroke index = hole number.
+   * @param {Array<number>} strokes - Strokes per hole
+   * @returns {Array<Object>}
+   */
+  function card(strokes) {
+    return strokes.map(function (count, index) {
+      return { par: 4, strokeIndex: index + 1, strokes: count };
+    });
+  }
+
+  it("scores Stableford points from net strokes", function () {
+    // Playing handicap 18 (95% of 19): one stroke per hole, so net par everywhere is 36 points
+    var result = WHSService.calculateCompetitionResult(card(repeat(5, 18)), 19, "stableford");
+    assert.equal(result.playingHandicap, 18);
+    assert.equal(result.points, 36);
+    assert.equal(result.netScore, 72);
+  });
+
+  it("never gives negative Stableford points", function () {
+    var strokes = repeat(4, 18);
+    strokes[0] = 12;
+    strokes[1] = 2;
+    var result = WHSService.calculateCompetitionResult(card(strokes), 0, "stableford");
+    // 16 net pars (32) + a blob (0) + an eagle (4)
+    assert.equal(result.points, 36);
+  });
+
+  it("counts par/bogey holes won minus holes lost", function () {
+    var strokes = repeat(4, 18);
+    strokes[0] = 3;
+    strokes[1] = 3;
+    strokes[2] = 6;
+    assert.equal(WHSService.calculateCompetitionResult(card(strokes), 0, "par-bogey").parBogey, 1);
+  });
+
+  it("subtracts the playing handicap for net stroke play", function () {
+    var result = WHSService.calculateCompetitionResult(card(repeat(5, 18)), 10, "stroke-play");
+    assert.equal(result.playingHandicap, 10);
+    assert.equal(result.netScore, 80);
+  });
+
+  it("returns null for formats that cannot score a single card", function () {
+    assert.equal(WHSService.calculateCompetitionResult(card(repeat(4, 18)), 10, "foursomes"), null);
+  });
+});
+
+describe("group rounds", function () {
+  var holes = [];
+  for (var i = 0; i < 18; i++) holes.push({ par: 4, strokeIndex: i + 1 });
+
+  /**
+   * Scores for the first holes of a round; later holes are not entered yet.
+   * @param {Array<number>} played - Strokes on the holes played so far
+   * @returns {Array<number|null>}
+   */
+  function scoresFor(played) {
+    return holes.map(function (hole, index) {
+      return index < played.length ? played[index] : null;
+    });
+  }
+
+  it("gives singles the full difference, four-ball match play 90% off the lowest and best ball 85%", function () {
+    assert.deepEqual(WHSService.getGroupStrokes([10, 14], "match-play").map(function (player) {
+      return player.strokes;
+    }), [0, 4]);
+    assert.deepEqual(WHSService.getGroupStrokes([10, 14, 20, 4], "match-play").map(function (player) {
+      return player.strokes;
+    }), [5, 9, 14, 0]);
+    assert.deepEqual(WHSService.getGroupStrokes([10, 20], "best-ball").map(function (player) {
+      return player.strokes;
+    }), [9, 17]);
+  });
+
+  it("tracks a singles match hole by hole", function () {
+    var scores = [scoresFor([4, 4, 5, 4]), scoresFor([5, 4, 5, 6, 4])];
+    // Player 2 receives a stroke on stroke index 1: hole 1 halved, hole 4 won by player 1
+    var status = WHSService.calculateMatchStatus(holes, scores, [0, 1]);
+    assert.equal(status.holesPlayed, 4);
+    assert.equal(status.lead, 1);
+    assert.equal(status.finished, false);
+  });
+
+  it("uses the better ball of each side in four-ball", function () {
+    var scores = [scoresFor([5, 4]), scoresFor([4, 6]), scoresFor([5, 5]), scoresFor([5, 3])];
+    var status = WHSService.calculateMatchStatus(holes, scores, [0, 0, 0, 0]);
+    assert.equal(status.holesPlayed, 2);
+    assert.equal(status.lead, 0);
+  });
+
+  it("ends the match once the lead exceeds the holes remaining", function () {
+    // Player 1 wins the first five holes and halves the rest: 5 up with 4 to play after 14
+    var played = repeat(3, 5).concat(repeat(4, 11));
+    var status = WHSService.calculateMatchStatus(holes, [scoresFor(played), scoresFor(repeat(4, 16))], [0, 0]);
+    assert.equal(status.holesPlayed, 14);
+    assert.equal(status.lead, 5);
+    assert.equal(status.holesRemaining, 4);
+    assert.equal(status.finished, true);
+  });
+
+  it("totals the best net score per hole for best ball", function () {
+    var scores = [scoresFor([5, 4, 6]), scoresFor([6, 5, 4])];
+    var result = WHSService.calculateBestBall(holes, scores, [0, 2]);
+    // Net: hole 1 min(5, 5) = 5, hole 2 min(4, 4) = 4, hole 3 min(6, 4) = 4
+    assert.deepEqual(result, { holesPlayed: 3, netScore: 13, toPar: 1 });
+  });
+});
+
+describe("calculateHandicapIndex", function () {
+  it("has no index without rounds", function () {
+    var info = WHSService.calculateHandicapIndex([]);
+    assert.equal(info.handicap, null);
+    assert.equal(info.roundsUsed, 0);
+  });
+
+  it("applies the -2.0 adjustment to a single round", function () {
+    assert.equal(WHSService.calculateHandicapIndex(buildRounds([20])).handicap, 18);
+  });
+
+  it("uses the best of the first three rounds", function () {
+    assert.equal(WHSService.calculateHandicapIndex(buildRounds([20, 15.5, 18])).handicap, 13.5);
+  });
+
+  it("averages the best 2 of 6 with -1.0", function () {
+    var info = WHSService.calculateHandicapIndex(buildRounds([20, 12, 18, 13, 19, 25]));
+    assert.equal(info.handicap, 11.5);
+    assert.equal(info.bestRoundsUsed, 2);
+    assert.equal(info.adjustment, -1);
+  });
+
+  it("averages the best 8 of 20", function () {
+    var differentials = repeat(20, 12).concat([10, 11, 12, 13, 14, 15, 16, 17]);
+    var info = WHSService.calculateHandicapIndex(buildRounds(differentials));
+    assert.equal(info.handicap, 13.5);
+    assert.equal(info.roundsUsed, 20);
+  });
+
+  it("only considers the most recent 20 rounds", function () {
+    var differentials = repeat(5, 5).concat(repeat(15, 20));
+    var info = WHSService.calculateHandicapIndex(buildRounds(differentials));
+    assert.equal(info.roundsUsed, 20);
+    // The early 5.0s still set the Low Handicap Index, so only the uncapped value is 15.0
+    assert.equal(info.uncappedHandicap, 15);
+  });
+
+  it("ignores rounds without an 18-hole differential", function () {
+    var rounds = buildRounds([20, 16]);
+    rounds.unshift({
+      id: "nine",
+      date: "2024-02-01",
+      holesPlayed: CONFIG.NINE_HOLES,
+      differential: null,
+      nineHoleDifferential: 3,
+      nineHole: { method: "pending" }
+    });
+    assert.equal(WHSService.calculateHandicapIndex(rounds).handicap, 14);
+  });
+});
+
+describe("getHandicapIndexOnDate", function () {
+  it("leaves out rounds played on or after the day", function () {
+    var rounds = buildRounds([20, 18, 6, 5, 4], "2024-03-01");
+    assert.equal(WHSService.getHandicapIndexOnDate(rounds, "2024-03-03"), 16);
+    assert.equal(WHSService.getHandicapIndexOnDate(rounds, "2024-03-02"), 18);
+    assert.equal(WHSService.calculateHandicapIndex(rounds).handicap, 4);
+  });
+
+  it("has no index before the first round", function () {
+    assert.equal(WHSService.getHandicapIndexOnDate(buildRounds([20]), "2024-01-01"), null);
+  });
+
+  it("re-scores an edited scorecard round as it was posted, whatever was played after it", function () {
+    var layout = [];
+    for (var i = 0; i < 18; i++) layout.push({ par: 4, strokeIndex: i + 1, strokes: i < 2 ? 10 : 6 });
+    var score = function (others) {
+      var courseHandicap = WHSService.calculateCourseHandicap(WHSService.getHandicapIndexOnDate(others, "2024-01-02"), 72, 113, 72);
+      var adjustedScore = WHSService.calculateAdjustedGrossScore(layout, courseHandicap).adjustedScore;
+      return { adjustedScore: adjustedScore, differential: WHSService.calculateScoreDifferential(adjustedScore, 72, 113) };
+    };
+    var before = buildRounds([38, 38, 38], "2023-12-01");
+    var posted = score(before);
+    // Five March rounds bring the index down to 2.0; a notes-only edit then scores the round again
+    var edited = score(buildRounds(repeat(2, 5), "2024-03-01").concat(before));
+    assert.deepEqual(posted, { adjustedScore: 112, differential: 40 });
+    assert.deepEqual(edited, posted);
+  });
+});
+
+describe("getCountingRoundIds", function () {
+  it("returns the rounds behind the best 8 of 20", function () {
+    var differentials = repeat(20, 12).concat([10, 11, 12, 13, 14, 15, 16, 17]);
+    var ids = WHSService.getCountingRoundIds(buildRounds(differentials));
+    assert.deepEqual(ids, ["r13", "r14", "r15", "r16", "r17", "r18", "r19", "r20"]);
+  });
+
+  it("follows the sliding scale and ignores rounds outside the last 20", function () {
+    assert.deepEqual(WHSService.getCountingRoundIds(buildRounds([20, 15.5, 18])), ["r2"]);
+    var ids = WHSService.getCountingRoundIds(buildRounds(repeat(5, 2).concat(repeat(15, 20))));
+    assert.equal(ids.length, 8);
+    assert.equal(ids.indexOf("r1"), -1);
+    assert.equal(ids.indexOf("r2"), -1);
+  });
+
+  it("prefers the more recent round on equal differentials", function () {
+    assert.deepEqual(WHSService.getCountingRoundIds(buildRounds([12, 12, 20])), ["r2"]);
+  });
+});
+
+describe("what-if planning", function () {
+  var project = function (rounds, differential) {
+    return WHSService.projectHandicapIndex(rounds, [{ id: "next", date: "2024-12-31", differential: differential }]).handicap;
+  };
+
+  it("names the oldest of the last 20 scores as the next to drop", function () {
+    assert.equal(WHSService.getNextRoundToDrop(buildRounds(repeat(15, 19))), null);
+    assert.equal(WHSService.getNextRoundToDrop(buildRounds(repeat(15, 20))).id, "r1");
+    assert.equal(WHSService.getNextRoundToDrop(buildRounds(repeat(15, 25))).id, "r6");
+  });
+
+  it("projects the index with hypothetical rounds", function () {
+    var rounds = buildRounds([20, 18]);
+    assert.equal(WHSService.calculateHandicapIndex(rounds).handicap, 16);
+    assert.equal(project(rounds, 12), 10);
+    assert.equal(rounds.length, 2);
+  });
+
+  it("finds the differentials that lower, keep and raise the index", function () {
+    // The oldest score is a counting 10.0, so the next score has to replace it
+    var rounds = buildRounds([10].concat(repeat(20, 19)));
+    var targets = WHSService.getDifferentialTargets(rounds, "2024-12-31");
+    assert.equal(targets.handicap, 18.8);
+    assert.ok(project(rounds, targets.lower) < targets.handicap);
+    assert.ok(project(rounds, Math.round(targets.lower * 10 + 1) / 10) >= targets.handicap);
+    assert.ok(project(rounds, targets.keep) <= targets.handicap);
+    assert.ok(project(rounds, targets.raise) > targets.handicap);
+    assert.equal(targets.raise, Math.round(targets.keep * 10 + 1) / 10);
+  });
+
+  it("reports that no score raises the index when a non-counting score drops out", function () {
+    var rounds = buildRounds(repeat(20, 12).concat([10, 11, 12, 13, 14, 15, 16, 17]));
+    var targets = WHSService.getDifferentialTargets(rounds, "2024-12-31");
+    assert.equal(targets.keep, CONFIG.SIMULATION_MAX_DIFFERENTIAL);
+    assert.equal(targets.raise, null);
+  });
+
+  it("has no targets without an index", function () {
+    assert.deepEqual(WHSService.getDifferentialTargets([], "2024-12-31"), { handicap: null, lower: null, keep: null, raise: null });
+  });
+
+  it("converts a target differential into the highest gross score", function () {
+    assert.equal(WHSService.calculateMaxScoreForDifferential(14, 72, 113), 86);
+    assert.equal(WHSService.calculateMaxScoreForDifferential(12, 71.5, 130), 85);
+    assert.equal(WHSService.calculateScoreDifferential(85, 71.5, 130), 11.7);
+    assert.equal(WHSService.calculateMaxScoreForDifferential(12, 71.5, 130, 2), 87);
+    assert.equal(WHSService.calculateMaxScoreForDifferential(-80, 72, 113), null);
+  });
+});
+
+describe("goals and reminders", function () {
+  it("flags counting rounds about to drop out of the last 20", function () {
+    // r1 (oldest) and r3 are among the best 8, r2 is not
+    var rounds = buildRounds([5, 30, 6].concat(repeat(20, 17)));
+    assert.deepEqual(WHSService.getCountingRoundsAboutToDrop(rounds).map(function (entry) {
+      return [entry.round.id, entry.scoresLeft];
+    }), [["r1", 1], ["r3", 3]]);
+    assert.deepEqual(WHSService.getCountingRoundsAboutToDrop(rounds, 2).map(function (entry) {
+      return entry.round.id;
+    }), ["r1"]);
+  });
+
+  it("flags nothing below 20 scores", function () {
+    assert.deepEqual(WHSService.getCountingRoundsAboutToDrop(buildRounds([5].concat(repeat(20, 18)))), []);
+  });
+
+  it("fits the index trend over the last year", function () {
+    var improving = buildRounds([30, 28, 26, 24, 22, 20, 18, 16], "2024-03-01");
+    assert.ok(WHSService.getIndexTrend(improving, "2024-03-20") < 0);
+    var worsening = buildRounds([10, 12, 14, 16, 18, 20, 22, 24], "2024-03-01");
+    assert.ok(WHSService.getIndexTrend(worsening, "2024-03-20") > 0);
+  });
+
+  it("has no trend without revisions on two days in the period", function () {
+    assert.equal(WHSService.getIndexTrend(buildRounds([20]), "2024-01-10"), null);
+    assert.equal(WHSService.getIndexTrend(buildRounds([30, 28, 26], "2022-01-01"), "2024-01-10"), null);
+  });
+
+  it("projects the date the trend reaches the target", function () {
+    var rounds = buildRounds([30, 28, 26, 24, 22, 20, 18, 16], "2024-03-01");
+    var goal = WHSService.projectGoal(rounds, 9.9, "2024-03-20");
+    var trend = WHSService.getIndexTrend(rounds, "2024-03-20");
+    assert.equal(goal.handicap, WHSService.calculateHandicapIndex(rounds).handicap);
+    assert.equal(goal.remaining, Math.round((goal.handicap - 9.9) * 10) / 10);
+    assert.equal(goal.reached, false);
+    assert.equal(goal.projectedDate, WHSService.addDays("2024-03-20", Math.ceil(goal.remaining / -trend)));
+    assert.ok(goal.projectedDate > "2024-03-20");
+  });
+
+  it("projects no date once reached, without progress or too far ahead", function () {
+    var improving = buildRounds([30, 28, 26, 24, 22, 20, 18, 16], "2024-03-01");
+    var reached = WHSService.projectGoal(improving, 20, "2024-03-20");
+    assert.equal(reached.reached, true);
+    assert.equal(reached.remaining, 0);
+    assert.equal(reached.projectedDate, null);
+    var worsening = WHSService.projectGoal(buildRounds([10, 12, 14, 16, 18, 20, 22, 24], "2024-03-01"), 5, "2024-03-20");
+    assert.equal(worsening.projectedDate, null);
+    // A full record of 20s, then a slightly better score every month: the target is years away
+    var slow = buildRounds([19.9, 19.8, 19.7, 19.6, 19.5, 19.4, 19.3, 19.2, 19.1, 19.0]).map(function (round, index) {
+      return Object.assign({}, round, { id: "m" + index, date: WHSService.addDays("2024-10-01", -30 * index) });
+    }).concat(buildRounds(repeat(20, 20), "2022-01-01"));
+    var distant = WHSService.projectGoal(slow, 9.9, "2024-10-01");
+    assert.ok(distant.trend < 0);
+    assert.equal(distant.projectedDate, null);
+    assert.deepEqual(WHSService.projectGoal([], 9.9, "2024-03-20"), { handicap: null, remaining: null, reached: false, trend: null, projectedDate: null });
+  });
+
+  it("adds days across months and leap years", function () {
+    assert.equal(WHSService.addDays("2024-02-28", 1), "2024-02-29");
+    assert.equal(WHSService.addDays("2024-12-31", 1), "2025-01-01");
+    assert.equal(WHSService.addDays("2024-03-01", -1), "2024-02-29");
+  });
+});
+
+describe("soft and hard cap", function () {
+  it("limits increases against the Low Handicap Index", function () {
+    assert.deepEqual(WHSService.applyCaps(13, 10), { handicap: 13, cap: null });
+    assert.deepEqual(WHSService.applyCaps(15, 10), { handicap: 14, cap: "soft" });
+    assert.deepEqual(WHSService.applyCaps(25, 10), { handicap: 15, cap: "hard" });
+    assert.deepEqual(WHSService.applyCaps(25, null), { handicap: 25, cap: null });
+  });
+
+  it("applies the hard cap when the record deteriorates within a year", function () {
+    var info = WHSService.calculateHandicapIndex(buildRounds(repeat(10, 20).concat(repeat(30, 20))));
+    assert.equal(info.lowHandicapIndex, 10);
+    assert.equal(info.uncappedHandicap, 30);
+    assert.equal(info.handicap, 15);
+    assert.equal(info.cap, "hard");
+  });
+
+  it("forgets a Low Handicap Index older than 365 days", function () {
+    /**
+     * Low Handicap Index in effect for the first round after a block of 20 rounds of 10.0.
+     * @param {string} laterDate - Date of that round
+     * @returns {number|null}
+     */
+    function lowIndexOn(laterDate) {
+      var rounds = buildRounds(repeat(10, 20));
+      rounds.unshift({ id: "later", date: laterDate, score: 100, courseRating: 72, slope: 113, differential: 30 });
+      var revisions = WHSService.buildIndexHistory(rounds);
+      return revisions[revisions.length - 1].lowHandicapIndex;
+    }
+    assert.equal(lowIndexOn("2024-06-01"), 10);
+    assert.equal(lowIndexOn("2026-01-01"), null);
+  });
+});
+
+describe("exceptional score reduction", function () {
+  it("uses the 7.0 and 10.0 thresholds", function () {
+    assert.equal(WHSService.getExceptionalScoreReduction(13.1, 20), 0);
+    assert.equal(WHSService.getExceptionalScoreReduction(13, 20), -1);
+    assert.equal(WHSService.getExceptionalScoreReduction(10.1, 20), -1);
+    assert.equal(WHSService.getExceptionalScoreReduction(10, 20), -2);
+    assert.equal(WHSService.getExceptionalScoreReduction(0, null), 0);
+  });
+
+  it("reduces the triggering round and the ones before it when replaying", function () {
+    var rounds = WHSService.recalculateAdjustments(buildRounds(repeat(20, 5).concat([8])));
+    assert.equal(rounds[0].esr.reduction, -2);
+    rounds.forEach(function (round) {
+      assert.equal(round.esrAdjustments.length, 1);
+    });
+    // Index before: best 1 of 5 = 20. After: best 2 of 6 (6 and 18) - 1.0
+    assert.equal(WHSService.calculateHandicapIndex(rounds).handicap, 11);
+  });
+
+  it("is undone when the triggering round is removed", function () {
+    var rounds = WHSService.recalculateAdjustments(buildRounds(repeat(20, 5).concat([8])));
+    var remaining = WHSService.recalculateAdjustments(rounds.slice(1));
+    remaining.forEach(function (round) {
+      assert.equal(round.esrAdjustments, undefined);
+    });
+    assert.equal(WHSService.calculateHandicapIndex(remaining).handicap, 20);
+  });
+});
+
+describe("nine-hole rounds", function () {
+  it("computes the expected 9-hole differential from the index", function () {
+    assert.equal(WHSService.calculateExpectedNineHoleDifferential(15), 9);
+    assert.equal(WHSService.calculateExpectedNineHoleDifferential(0), 1.2);
+  });
+
+  /**
+   * A 9-hole round as the app saves it, before recalculateAdjustments combines it.
+   * @param {string} id - Round id
+   * @param {string} date - Date (YYYY-MM-DD)
+   * @param {number} nineHoleDifferential - 9-hole score differential
+   * @returns {Object} Round
+   */
+  function nineHoleRound(id, date, nineHoleDifferential) {
+    return { id: id, date: date, holesPlayed: CONFIG.NINE_HOLES, differential: null, nineHoleDifferential: nineHoleDifferential };
+  }
+
+  it("pairs two 9-hole rounds while there is no index", function () {
+    var rounds = WHSService.recalculateAdjustments([nineHoleRound("b", "2024-01-02", 5), nineHoleRound("a", "2024-01-01", 4)]);
+    assert.equal(rounds[0].differential, 9);
+    assert.deepEqual(rounds[0].nineHole, { method: "combined", pairedWith: "a" });
+    assert.equal(rounds[1].differential, null);
+    assert.deepEqual(rounds[1].nineHole, { method: "combined", pairedWith: "b" });
+    // The combined 18-hole score is the first score of the record: 9.0 - 2.0
+    assert.equal(WHSService.calculateHandicapIndex(rounds).handicap, 7);
+  });
+
+  it("adds the expected score for the other nine once there is an index", function () {
+    var rounds = WHSService.recalculateAdjustments([nineHoleRound("nine", "2024-01-03", 3)].concat(buildRounds([9, 11])));
+    // Index 7.0 before the round: expected 9-hole differential 7.0 * 0.52 + 1.2 = 4.8
+    assert.equal(rounds[0].differential, 7.8);
+    assert.deepEqual(rounds[0].nineHole, { method: "expected", expectedDifferential: 4.8, indexUsed: 7 });
+    assert.equal(WHSService.calculateHandicapIndex(rounds).handicap, 5.8);
+  });
+
+  it("turns a 9-hole differential of 6.0 into 10.8 at index 7.0", function () {
+    var rounds = WHSService.recalculateAdjustments([nineHoleRound("nine", "2024-01-02", 6)].concat(buildRounds([9])));
+    assert.equal(rounds[0].differential, 10.8);
+  });
+});
+
+describe("round categories", function () {
+  /**
+   * Mark the rounds at the given positions (newest first) with a category and flag.
+   * @param {Array<Object>} rounds - Rounds, newest first
+   * @param {Array<number>} positions - Positions to change
+   * @param {Object} fields - Category and acceptability fields
+   * @returns {Array<Object>} Rounds with the changes applied
+   */
+  function mark(rounds, positions, fields) {
+    return rounds.map(function (round, position) {
+      return positions.indexOf(position) < 0 ? round : Object.assign({}, round, fields);
+    });
+  }
+
+  it("treats rounds without a category as acceptable general play", function () {
+    assert.equal(WHSService.isAcceptable({ differential: 10 }), true);
+    assert.equal(WHSService.isAcceptable({ category: "penalty" }), true);
+    assert.equal(WHSService.isAcceptable({ category: "competition", acceptable: false }), false);
+    assert.equal(WHSService.isAcceptable({ category: "practice", acceptable: true }), false);
+  });
+
+  it("leaves practice rounds and rounds that are not acceptable out of the index", function () {
+    var rounds = buildRounds([20, 12, 18]);
+    assert.equal(WHSService.calculateHandicapIndex(rounds).handicap, 10);
+    assert.equal(WHSService.calculateHandicapIndex(mark(rounds, [1], { category: "practice" })).handicap, 16);
+    var excluded = mark(rounds, [1], { category: "general-play", acceptable: false });
+    assert.equal(WHSService.calculateHandicapIndex(excluded).handicap, 16);
+    assert.equal(WHSService.calculateHandicapIndex(excluded).roundsUsed, 2);
+    assert.deepEqual(WHSService.getCountingRoundIds(excluded), ["r3"]);
+  });
+
+  it("keeps excluded rounds out of exceptional score reductions and 9-hole pairing", function () {
+    var rounds = mark(buildRounds(repeat(20, 5).concat([8])), [0], { category: "practice", acceptable: false });
+    var replayed = WHSService.recalculateAdjustments(rounds);
+    assert.equal(replayed[0].esr, undefined);
+    assert.equal(replayed[1].esrAdjustments, undefined);
+    assert.equal(WHSService.calculateHandicapIndex(replayed).handicap, 20);
+
+    var nine = function (id, date, fields) {
+      return Object.assign({ id: id, date: date, score: 45, courseRating: 36, slope: 113, holesPlayed: CONFIG.NINE_HOLES,
+        differential: null, nineHoleDifferential: 9 }, fields);
+    };
+    var pair = WHSService.recalculateAdjustments([nine("b", "2024-01-02", { category: "practice" }), nine("a", "2024-01-01")]);
+    assert.deepEqual(pair[0].nineHole, { method: "excluded" });
+    assert.equal(pair[0].differential, null);
+    assert.deepEqual(pair[1].nineHole, { method: "pending" });
+    assert.equal(ValidationService.validateRound(pair[0]).valid, true);
+  });
+
+  it("averages the differentials of acceptable competition rounds", function () {
+    var rounds = mark(buildRounds([20, 12, 18, 16]), [0, 2], { category: "competition" });
+    assert.deepEqual(WHSService.calculateCompetitionAverage(rounds), { average: 14, roundsUsed: 2 });
+    var info = WHSService.getHandicapInfo(mark(rounds, [0], { acceptable: false }));
+    assert.equal(info.competitionAverage, 12);
+    assert.equal(info.competitionRoundsUsed, 1);
+    assert.equal(WHSService.getHandicapInfo(buildRounds([20])).competitionAverage, null);
+  });
+
+  it("validates the category and flag of a stored round", function () {
+    var round = buildRounds([18])[0];
+    assert.equal(ValidationService.validateRound(Object.assign({}, round, { category: "competition", acceptable: true })).valid, true);
+    assert.equal(ValidationService.validateRound(Object.assign({}, round, { category: "friendly" })).valid, false);
+    assert.equal(ValidationService.validateRound(Object.assign({}, round, { acceptable: "yes" })).valid, false);
+  });
+});
+
+describe("index from differentials", function () {
+  it("lists the effective differentials of the most recent 20 scores, newest first", function () {
+    var rounds = WHSService.recalculateAdjustments(buildRounds(repeat(30, 20).concat([20, 8])));
+    var differentials = WHSService.getRecentDifferentials(rounds);
+    assert.equal(differentials.length, 20);
+    assert.deepEqual(differentials.slice(0, 3), [6, 16, 26]);
+    assert.deepEqual(WHSService.getRecentDifferentials([]), []);
+  });
+
+  it("lists the most recent 20 acceptable scores, newest first", function () {
+    var rounds = buildRounds(repeat(15, 22));
+    rounds[1].category = "practice";
+    var ids = WHSService.getRecentScores(rounds).map(function (round) {
+      return round.id;
+    });
+    assert.equal(ids.length, 20);
+    assert.deepEqual(ids.slice(0, 3), ["r22", "r20", "r19"]);
+    assert.equal(ids[19], "r2");
+  });
+
+  it("gives the same index as the full record, including caps", function () {
+    [
+      buildRounds([18, 12, 20]),
+      WHSService.recalculateAdjustments(buildRounds(repeat(20, 5).concat([8]))),
+      buildRounds(repeat(10, 20).concat(repeat(30, 20)))
+    ].forEach(function (rounds) {
+      var info = WHSService.calculateHandicapIndex(rounds);
+      var shared = WHSService.calculateIndexFromDifferentials(WHSService.getRecentDifferentials(rounds), info.lowHandicapIndex);
+      assert.equal(shared.handicap, info.handicap);
+      assert.equal(shared.cap, info.cap);
+    });
+  });
+
+  it("marks the counting differentials by position, best first", function () {
+    var result = WHSService.calculateIndexFromDifferentials([20, 12, 18, 12, 25, 16]);
+    assert.equal(result.handicap, 11);
+    assert.deepEqual(result.countingPositions, [1, 3]);
+    assert.equal(WHSService.calculateIndexFromDifferentials([]).handicap, null);
+  });
+});
+
+describe("calculatePCC", function () {
+  /**
+   * Field of players who each scored the given strokes above their expected score.
+   * @param {number} size - Number of players
+   * @param {number} excess - Strokes above expectation
+   * @returns {Array<{handicapIndex: number, score: number}>}
+   */
+  function field(size, excess) {
+    var scores = [];
+    for (var i = 0; i < size; i++) {
+      var index = 10 + i;
+      scores.push({ handicapIndex: index, score: 72 + index + CONFIG.PCC_EXPECTED_OFFSET + excess });
+    }
+    return scores;
+  }
+
+  it("needs a minimum field size", function () {
+    assert.equal(WHSService.calculatePCC(field(CONFIG.PCC_MIN_FIELD_SIZE - 1, 2), 72, 113).valid, false);
+  });
+
+  it("rounds the average excess and clamps it", function () {
+    assert.equal(WHSService.calculatePCC(field(10, 2), 72, 113).value.pcc, 2);
+    assert.equal(WHSService.calculatePCC(field(10, 6), 72, 113).value.pcc, CONFIG.PCC_MAX);
+    assert.equal(WHSService.calculatePCC(field(10, -4), 72, 113).value.pcc, CONFIG.PCC_MIN);
+  });
+
+  it("makes no adjustment below the threshold", function () {
+    assert.equal(WHSService.calculatePCC(field(10, 0.5), 72, 113).value.pcc, 0);
+  });
+});
+
+describe("ValidationService", function () {
+  it("accepts gross scores from 1 to 200 as whole numbers", function () {
+    assert.equal(ValidationService.validateScore("1").value, 1);
+    assert.equal(ValidationService.validateScore(200).value, 200);
+    assert.equal(ValidationService.validateScore(0).valid, false);
+    assert.equal(ValidationService.validateScore(201).valid, false);
+    assert.equal(ValidationService.validateScore("85.5").valid, false);
+    assert.equal(ValidationService.validateScore("abc").valid, false);
+    assert.equal(ValidationService.validateScore("").valid, false);
+  });
+
+  it("checks course ratings against the 18- or 9-hole range", function () {
+    assert.equal(ValidationService.validateCourseRating("72.5").value, 72.5);
+    assert.equal(ValidationService.validateCourseRating(49.9).valid, false);
+    assert.equal(ValidationService.validateCourseRating(80.1).valid, false);
+    assert.equal(ValidationService.validateCourseRating(35.2, CONFIG.NINE_HOLES).value, 35.2);
+    assert.equal(ValidationService.validateCourseRating(72, CONFIG.NINE_HOLES).valid, false);
+  });
+
+  it("accepts a decimal comma in numeric input", function () {
+    assert.equal(ValidationService.validateCourseRating("72,5").value, 72.5);
+    assert.equal(ValidationService.validateHandicapIndex(" -2,4 ").value, -2.4);
+    assert.equal(ValidationService.validateScore("85,5").valid, false);
+    assert.equal(ValidationService.validateCourseRating("1.072,5").valid, false);
+    assert.equal(ValidationService.toNumber("7,2,5"), 7);
+  });
+
+  it("accepts slopes from 55 to 155", function () {
+    assert.equal(ValidationService.validateSlope(55).valid, true);
+    assert.equal(ValidationService.validateSlope(155).valid, true);
+    assert.equal(ValidationService.validateSlope(54).valid, false);
+    assert.equal(ValidationService.validateSlope(156).valid, false);
+    assert.equal(ValidationService.validateSlope(120.5).valid, false);
+  });
+
+  it("rejects malformed and future dates", function () {
+    assert.equal(ValidationService.validateDate("2024-03-01").valid, true);
+    assert.equal(ValidationService.validateDate("01/03/2024").valid, false);
+    assert.equal(ValidationService.validateDate("").valid, false);
+    var tomorrow = new Date();
+    tomorrow.setDate(tomorrow.getDate() + 1);
+    var iso = tomorrow.getFullYear() + "-" + String(tomorrow.getMonth() + 1).padStart(2, "0") + "-" +
+      String(tomorrow.getDate()).padStart(2, "0");
+    assert.equal(ValidationService.validateDate(iso).valid, false);
+  });
+
+  it("limits PCC to whole numbers from -1 to +3", function () {
+    assert.equal(ValidationService.validatePCC("").value, 0);
+    assert.equal(ValidationService.validatePCC("3").value, 3);
+    assert.equal(ValidationService.validatePCC(-2).valid, false);
+    assert.equal(ValidationService.validatePCC(1.5).valid, false);
+  });
+
+  it("accepts plus handicaps and rounds the index to one decimal", function () {
+    assert.equal(ValidationService.validateHandicapIndex("-2.5").value, -2.5);
+    assert.equal(ValidationService.validateHandicapIndex(14.24).value, 14.2);
+    assert.equal(ValidationService.validateHandicapIndex(54.1).valid, false);
+  });
+
+  it("requires the core fields of a stored round", function () {
+    var round = buildRounds([18])[0];
+    assert.equal(ValidationService.validateRound(round).valid, true);
+    assert.equal(ValidationService.validateRound(Object.assign({}, round, { date: "bad" })).valid, false);
+    var missing = Object.assign({}, round);
+    delete missing.slope;
+    assert.equal(ValidationService.validateRound(missing).valid, false);
+    assert.equal(ValidationService.validateRound(Object.assign({}, round, { holesPlayed: 12 })).valid, false);
+  });
+
+  it("accepts the modification time a round is stamped with", function () {
+    var round = buildRounds([18])[0];
+    assert.equal(ValidationService.validateRound(Object.assign({}, round, { updatedAt: "2025-03-01T10:00:00.000Z" })).valid, true);
+    assert.equal(ValidationService.validateRound(Object.assign({}, round, { updatedAt: "yesterday" })).valid, false);
+    assert.equal(ValidationService.validateRound(Object.assign({}, round, { updatedAt: 0 })).valid, false);
+  });
+
+  it("accepts short round notes", function () {
+    assert.equal(ValidationService.validateNotes("  Windy  ").value, "Windy");
+    assert.equal(ValidationService.validateNotes(undefined).value, "");
+    assert.equal(ValidationService.validateNotes(new Array(502).join("x")).valid, false);
+    var round = buildRounds([18])[0];
+    assert.equal(ValidationService.validateRound(Object.assign({}, round, { notes: "Windy, temporary greens" })).valid, true);
+    assert.equal(ValidationService.validateRound(Object.assign({}, round, { notes: 12 })).valid, false);
+    assert.equal(ValidationService.validateRound(Object.assign({}, round, { notes: new Array(502).join("x") })).valid, false);
+  });
+
+  it("requires a scorecard and a result for a competition format", function () {
+    var round = buildRounds([18])[0];
+    var competition = { playingHandicap: 15, netScore: 75, points: 33, parBogey: -2 };
+    assert.equal(ValidationService.validateRound(Object.assign({}, round, { format: "stableford", competition: competition })).valid, false);
+    var holes = [];
+    for (var i = 0; i < 18; i++) holes.push({ par: 4, strokeIndex: i + 1, strokes: 5 });
+    var scored = Object.assign({}, round, { holes: holes, format: "stableford", competition: competition });
+    assert.equal(ValidationService.validateRound(scored).valid, true);
+    assert.equal(ValidationService.validateRound(Object.assign({}, scored, { format: "skins" })).valid, false);
+    assert.equal(ValidationService.validateRound(Object.assign({}, scored, { competition: {} })).valid, false);
+  });
+
+  it("only accepts known tee rating sets for a profile", function () {
+    var profile = { id: "p1", name: "Alex", gender: "women", homeCourseId: null, settings: {} };
+    assert.equal(ValidationService.validateProfile(profile).valid, true);
+    assert.equal(ValidationService.validateProfile(Object.assign({}, profile, { gender: "juniors" })).valid, false);
+  });
+});
@@ -0,0 +1,1610 @@
+/**
+ * Golf Handicap – WHS engine
+ * World Handicap System calculations and input validation without any DOM or storage
+ * dependencies. The app imports it from script.js; club scripts can use the same code:
+ *
+ *   // Browser or Node (ES module)
+ *   import { WHSService, ValidationService } from "./whs-engine.mjs";
+ *
+ *   // Node (CommonJS)
+ *   const { WHSService } = await import("./whs-engine.mjs");
+ *
+ * Stable API (rounds are plain objects; lists of rounds are ordered newest first):
+ * - WHSService.calculateScoreDifferential(score, courseRating, slope, pcc?, holesPlayed?)
+ * - WHSService.calculateHandicapIndex(rounds) / getHandicapInfo(rounds)
+ * - WHSService.getHandicapIndexOnDate(rounds, date): the index in effect on the day a round was played
+ * - WHSService.getCountingRoundIds(rounds): the rounds whose differentials make up the index
+ * - WHSService.isAcceptable(round): whether a round counts at all (see CONFIG.ROUND_CATEGORIES);
+ *   rounds that are not acceptable are left out of every index calculation
+ * - WHSService.calculateCompetitionAverage(rounds): average differential of competition rounds
+ * - WHSService.getRecentScores(rounds): the most recent 20 scores the index is calculated from
+ * - WHSService.getRecentDifferentials(rounds) and calculateIndexFromDifferentials(differentials,
+ *   lowHandicapIndex?): the index from the differentials alone, to verify a shared record
+ * - WHSService.getNextRoundToDrop(rounds), projectHandicapIndex(rounds, hypotheticalRounds),
+ *   getDifferentialTargets(rounds, date) and calculateMaxScoreForDifferential(...) for what-if planning
+ * - WHSService.projectGoal(rounds, target, today), getIndexTrend(rounds, today) and
+ *   getCountingRoundsAboutToDrop(rounds, within?) for goals and reminders
+ * - WHSService.buildIndexHistory(rounds) and recalculateAdjustments(rounds)
+ * - WHSService.calculateCourseHandicap(handicapIndex, courseRating, slope, par, holesPlayed?)
+ * - WHSService.calculatePlayingHandicap(courseHandicap, formatKey, otherCourseHandicap?)
+ * - WHSService.calculateAdjustedGrossScore(holes, courseHandicap) and getStrokesReceived(courseHandicap, holes)
+ * - WHSService.calculatePCC(fieldScores, courseRating, slope, holesPlayed?)
+ * - WHSService.calculateCompetitionResult(holes, courseHandicap, formatKey)
+ * - WHSService.getGroupStrokes(courseHandicaps, mode), calculateMatchStatus(holes, scores, strokes)
+ *   and calculateBestBall(holes, scores, strokes) for group rounds
+ * - WHSService.getWHSCalculationParams(roundCount)
+ * - ValidationService.validate*(value): {valid, error, value} results with user-facing messages
+ *   in English (the app translates them for display); numeric strings may use a decimal comma
+ * - CONFIG: the WHS constants used by the calculations (treat as read-only)
+ *
+ * Tests: node --test test/
+ */
+
+// ============================================================================
+// CONFIGURATION (WHS constants)
+// ============================================================================
+
+var CONFIG = {
+  MAX_ROUNDS_FOR_HANDICAP: 20,
+  BEST_ROUNDS_COUNT: 8,
+  WHS_MULTIPLIER: 0.96,
+  CONSTANT_SLOPE: 113,
+  HOLES_PER_ROUND: 18,
+  NET_DOUBLE_BOGEY_OVER_PAR: 2,
+  MAX_OVER_PAR_WITHOUT_INDEX: 5,
+  MAX_NOTES_LENGTH: 500,
+  LOW_INDEX_PERIOD_DAYS: 365,
+  SOFT_CAP_THRESHOLD: 3.0,
+  SOFT_CAP_FACTOR: 0.5,
+  HARD_CAP_LIMIT: 5.0,
+  ESR_THRESHOLD: 7.0,
+  ESR_LARGE_THRESHOLD: 10.0,
+  NINE_HOLES: 9,
+  NINE_HOLE_EXPECTED_FACTOR: 0.52,
+  NINE_HOLE_EXPECTED_CONSTANT: 1.2,
+  PCC_MIN: -1,
+  PCC_MAX: 3,
+  // Playing Conditions Calculation from a field of scores: only players up to this index
+  // count, a minimum field size is needed, and players are expected to score this many
+  // strokes above their index on a normal day.
+  PCC_MAX_FIELD_INDEX: 36.0,
+  PCC_MIN_FIELD_SIZE: 8,
+  PCC_EXPECTED_OFFSET: 3.0,
+  PCC_THRESHOLD: 1.0,
+  // Differentials the what-if simulator searches for the next score
+  SIMULATION_MIN_DIFFERENTIAL: -10.0,
+  SIMULATION_MAX_DIFFERENTIAL: 60.0,
+  // Goals: the index trend is fitted over this many days of history, and a date further
+  // out than the maximum is not projected. Counting rounds are flagged this many scores
+  // before they drop out of the last 20.
+  GOAL_TREND_DAYS: 365,
+  GOAL_MAX_PROJECTION_DAYS: 1095,
+  DROP_WARNING_SCORES: 3,
+  // Alternative tee rating sets a tee or a player profile can refer to
+  RATING_SETS: ["men", "women"],
+  // Handicap allowances per competition format. "partner" marks formats that need a second
+  // course handicap: foursomes uses the combined handicap, match play the difference.
+  PLAYING_FORMATS: {
+    "stroke-play": { label: "Individual stroke play", allowance: 0.95 },
+    "stableford": { label: "Individual Stableford", allowance: 0.95 },
+    "par-bogey": { label: "Individual par/bogey", allowance: 0.95 },
+    "four-ball": { label: "Four-ball stroke play", allowance: 0.85 },
+    "four-ball-match-play": { label: "Four-ball match play", allowance: 0.9 },
+    "foursomes": { label: "Foursomes", allowance: 0.5, partner: "combined" },
+    "match-play": { label: "Singles match play", allowance: 1.0, partner: "difference" }
+  },
+  // Competition formats a round can be scored in; keys match PLAYING_FORMATS for the allowance
+  SCORING_FORMATS: {
+    "stroke-play": { label: "Net stroke play" },
+    "stableford": { label: "Stableford" },
+    "par-bogey": { label: "Par/bogey" }
+  },
+  STABLEFORD_POINTS_FOR_PAR: 2,
+  // Kinds of round a player can record. "acceptable" is the default of a round's acceptability
+  // flag; practice rounds are never acceptable for handicap purposes. Rounds saved before
+  // categories existed are general play.
+  ROUND_CATEGORIES: {
+    "general-play": { label: "General play", acceptable: true },
+    "competition": { label: "Competition", acceptable: true },
+    "practice": { label: "Practice", acceptable: false },
+    "penalty": { label: "Penalty score", acceptable: true }
+  },
+  DEFAULT_ROUND_CATEGORY: "general-play"
+};
+
+// ============================================================================
+// VALIDATION SERVICE
+// ============================================================================
+
+var ValidationService = {
+  /**
+   * Validates a date string (YYYY-MM-DD format).
+   * @param {string} dateString - Date string
+   * @returns {{valid: boolean, error: string|null}}
+   */
+  validateDate: function (dateString) {
+    if (!dateString || typeof dateString !== "string") {
+      return { valid: false, error: "Please provide a valid date." };
+    }
+    var trimmed = dateString.trim();
+    if (!trimmed) {
+      return { valid: false, error: "Please provide a date." };
+    }
+    var regex = /^\d{4}-\d{2}-\d{2}$/;
+    if (!regex.test(trimmed)) {
+      return { valid: false, error: "Invalid date format. Please use YYYY-MM-DD." };
+    }
+    var dateObj = new Date(trimmed + "T00:00:00");
+    if (isNaN(dateObj.getTime())) {
+      return { valid: false, error: "Invalid date." };
+    }
+    var today = new Date();
+    today.setHours(0, 0, 0, 0);
+    if (dateObj > today) {
+      return { valid: false, error: "The date cannot be in the future." };
+    }
+    return { valid: true, error: null };
+  },
+
+  /**
+   * Validates gross score input.
+   * @param {string|number} score - Score value
+   * @returns {{valid: boolean, error: string|null, value: number|null}}
+   */
+  validateScore: function (score) {
+    if (score === "" || score === null || score === undefined) {
+      return { valid: false, error: "Please enter a gross score.", value: null };
+    }
+    var num = this.toNumber(score);
+    if (isNaN(num) || !isFinite(num)) {
+      return { valid: false, error: "Gross score must be a valid number.", value: null };
+    }
+    if (num < 1 || num > 200) {
+      return { valid: false, error: "Gross score must be between 1 and 200.", value: null };
+    }
+    if (num !== Math.floor(num)) {
+      return { valid: false, error: "Gross score must be a whole number.", value: null };
+    }
+    return { valid: true, error: null, value: num };
+  },
+
+  /**
+   * Validates course rating input.
+   * @param {string|number} courseRating - Course rating value
+   * @param {number} [holesPlayed] - 9 for a 9-hole rating, otherwise 18
+   * @returns {{valid: boolean, error: string|null, value: number|null}}
+   */
+  validateCourseRating: function (courseRating, holesPlayed) {
+    if (courseRating === "" || courseRating === null || courseRating === undefined) {
+      return { valid: false, error: "Please enter a course rating.", value: null };
+    }
+    var num = this.toNumber(courseRating);
+    if (isNaN(num) || !isFinite(num)) {
+      return { valid: false, error: "Course rating must be a valid number.", value: null };
+    }
+    if (holesPlayed === CONFIG.NINE_HOLES) {
+      if (num < 25 || num > 40) {
+        return { valid: false, error: "9-hole course rating must be between 25 and 40.", value: null };
+      }
+      return { valid: true, error: null, value: num };
+    }
+    if (num < 50 || num > 80) {
+      return { valid: false, error: "Course rating must be between 50 and 80.", value: null };
+    }
+    return { valid: true, error: null, value: num };
+  },
+
+  /**
+   * Validates the number of holes played.
+   * @param {string|number} holesPlayed - 9 or 18
+   * @returns {{valid: boolean, error: string|null, value: number|null}}
+   */
+  validateHolesPlayed: function (holesPlayed) {
+    var num = typeof holesPlayed === "string" ? parseInt(holesPlayed, 10) : Number(holesPlayed);
+    if (num !== CONFIG.NINE_HOLES && num !== CONFIG.HOLES_PER_ROUND) {
+      return { valid: false, error: "A round must be 9 or 18 holes.", value: null };
+    }
+    return { valid: true, error: null, value: num };
+  },
+
+  /**
+   * Validates slope rating input.
+   * @param {string|number} slope - Slope rating value
+   * @returns {{valid: boolean, error: string|null, value: number|null}}
+   */
+  validateSlope: function (slope) {
+    if (slope === "" || slope === null || slope === undefined) {
+      return { valid: false, error: "Please enter a slope rating.", value: null };
+    }
+    var num = this.toNumber(slope);
+    if (isNaN(num) || !isFinite(num)) {
+      return { valid: false, error: "Slope rating must be a valid number.", value: null };
+    }
+    if (num < 55 || num > 155) {
+      return { valid: false, error: "Slope rating must be between 55 and 155.", value: null };
+    }
+    if (num !== Math.floor(num)) {
+      return { valid: false, error: "Slope rating must be a whole number.", value: null };
+    }
+    return { valid: true, error: null, value: num };
+  },
+
+  /**
+   * Validates a Playing Conditions Calculation adjustment.
+   * @param {string|number} pcc - PCC value (empty means no adjustment)
+   * @returns {{valid: boolean, error: string|null, value: number|null}}
+   */
+  validatePCC: function (pcc) {
+    if (pcc === undefined || pcc === null || String(pcc).trim() === "") {
+      return { valid: true, error: null, value: 0 };
+    }
+    var value = this.toNumber(pcc);
+    if (isNaN(value) || !this.isWholeNumber(value) || value < CONFIG.PCC_MIN || value > CONFIG.PCC_MAX) {
+      return { valid: false, error: "PCC must be a whole number between " + CONFIG.PCC_MIN + " and +" + CONFIG.PCC_MAX + ".", value: null };
+    }
+    return { valid: true, error: null, value: value };
+  },
+
+  /**
+   * Validates par input for a tee.
+   * @param {string|number} par - Par value
+   * @returns {{valid: boolean, error: string|null, value: number|null}}
+   */
+  validatePar: function (par) {
+    if (par === "" || par === null || par === undefined) {
+      return { valid: false, error: "Please enter the par.", value: null };
+    }
+    var num = this.toNumber(par);
+    if (isNaN(num) || !isFinite(num)) {
+      return { valid: false, error: "Par must be a valid number.", value: null };
+    }
+    if (num < 54 || num > 80) {
+      return { valid: false, error: "Par must be between 54 and 80.", value: null };
+    }
+    if (num !== Math.floor(num)) {
+      return { valid: false, error: "Par must be a whole number.", value: null };
+    }
+    return { valid: true, error: null, value: num };
+  },
+
+  /**
+   * Validates a course or tee name.
+   * @param {string} name - Name value
+   * @param {string} label - Field label used in the error message (e.g. "Course name")
+   * @returns {{valid: boolean, error: string|null, value: string|null}}
+   */
+  validateName: function (name, label) {
+    var trimmed = typeof name === "string" ? name.trim() : "";
+    if (!trimmed) {
+      return { valid: false, error: "Please enter a " + label.toLowerCase() + ".", value: null };
+    }
+    if (trimmed.length > 80) {
+      return { valid: false, error: label + " must be at most 80 characters.", value: null };
+    }
+    return { valid: true, error: null, value: trimmed };
+  },
+
+  /**
+   * Validates a player profile (from storage or the profile editor).
+   * @param {Object} profile - Profile with id, name, gender, homeCourseId and settings
+   * @returns {{valid: boolean, error: string|null}}
+   */
+  validateProfile: function (profile) {
+    if (!profile || typeof profile !== "object") {
+      return { valid: false, error: "Invalid profile object." };
+    }
+    if (typeof profile.id !== "string" || profile.id === "") {
+      return { valid: false, error: "Profile is missing an id." };
+    }
+    var nameValidation = this.validateName(profile.name, "Player name");
+    if (!nameValidation.valid) return { valid: false, error: nameValidation.error };
+    if (profile.gender !== "" && CONFIG.RATING_SETS.indexOf(profile.gender) === -1) {
+      return { valid: false, error: "Invalid gender for tee ratings." };
+    }
+    if (profile.homeCourseId !== null && typeof profile.homeCourseId !== "string") {
+      return { valid: false, error: "Invalid home course." };
+    }
+    if (!profile.settings || typeof profile.settings !== "object") {
+      return { valid: false, error: "Invalid profile settings." };
+    }
+    return { valid: true, error: null };
+  },
+
+  /**
+   * Validates a set of ratings (course rating, slope, par) for a tee.
+   * @param {{courseRating: string|number, slope: string|number, par: string|number}} ratings - Raw ratings
+   * @param {string} [prefix] - Prefix for error messages (e.g. "White tee: ")
+   * @returns {{valid: boolean, error: string|null, value: {courseRating: number, slope: number, par: number}|null}}
+   */
+  validateTeeRatings: function (ratings, prefix) {
+    prefix = prefix || "";
+    if (!ratings || typeof ratings !== "object") {
+      return { valid: false, error: prefix + "Invalid ratings.", value: null };
+    }
+    var courseRatingValidation = this.validateCourseRating(ratings.courseRating);
+    if (!courseRatingValidation.valid) {
+      return { valid: false, error: prefix + courseRatingValidation.error, value: null };
+    }
+    var slopeValidation = this.validateSlope(ratings.slope);
+    if (!slopeValidation.valid) {
+      return { valid: false, error: prefix + slopeValidation.error, value: null };
+    }
+    var parValidation = this.validatePar(ratings.par);
+    if (!parValidation.valid) {
+      return { valid: false, error: prefix + parValidation.error, value: null };
+    }
+    return {
+      valid: true,
+      error: null,
+      value: {
+        courseRating: courseRatingValidation.value,
+        slope: slopeValidation.value,
+        par: parValidation.value
+      }
+    };
+  },
+
+  /**
+   * Validates a course object (from storage or the course editor).
+   * @param {Object} course - Course object with name and tees
+   * @returns {{valid: boolean, error: string|null}}
+   */
+  validateCourse: function (course) {
+    if (!course || typeof course !== "object") {
+      return { valid: false, error: "Invalid course object." };
+    }
+    if (!course.id) {
+      return { valid: false, error: "Course object is missing a required field: id." };
+    }
+    var nameValidation = this.validateName(course.name, "Course name");
+    if (!nameValidation.valid) {
+      return { valid: false, error: nameValidation.error };
+    }
+    if (!Array.isArray(course.tees) || course.tees.length === 0) {
+      return { valid: false, error: "A course needs at least one tee." };
+    }
+    for (var i = 0; i < course.tees.length; i++) {
+      var tee = course.tees[i];
+      if (!tee || !tee.id) {
+        return { valid: false, error: "Tee " + (i + 1) + " is missing an id." };
+      }
+      var teeNameValidation = this.validateName(tee.name, "Tee name");
+      if (!teeNameValidation.valid) {
+        return { valid: false, error: "Tee " + (i + 1) + ": " + teeNameValidation.error };
+      }
+      var prefix = tee.name + " tee: ";
+      var ratingsValidation = this.validateTeeRatings(tee, prefix);
+      if (!ratingsValidation.valid) {
+        return { valid: false, error: ratingsValidation.error };
+      }
+      if (tee.holes !== undefined && tee.holes !== null) {
+        var layoutValidation = this.validateHoleLayout(tee.holes);
+        if (!layoutValidation.valid) {
+          return { valid: false, error: prefix + layoutValidation.error };
+        }
+      }
+      var genders = CONFIG.RATING_SETS;
+      for (var g = 0; g < genders.length; g++) {
+        if (tee[genders[g]]) {
+          var genderValidation = this.validateTeeRatings(tee[genders[g]], prefix + (genders[g] === "men" ? "men's" : "women's") + " ratings: ");
+          if (!genderValidation.valid) {
+            return { valid: false, error: genderValidation.error };
+          }
+        }
+      }
+    }
+    return { valid: true, error: null };
+  },
+
+  /**
+   * Validates a hole layout (par and stroke index per hole).
+   * @param {Array<{par: string|number, strokeIndex: string|number}>} holes - Holes in playing order
+   * @param {number} [holeCount] - Expected number of holes (18 if omitted)
+   * @returns {{valid: boolean, error: string|null, value: Array<{par: number, strokeIndex: number}>|null}}
+   */
+  validateHoleLayout: function (holes, holeCount) {
+    holeCount = holeCount || CONFIG.HOLES_PER_ROUND;
+    if (!Array.isArray(holes) || holes.length !== holeCount) {
+      return { valid: false, error: "A scorecard must contain " + holeCount + " holes.", value: null };
+    }
+    var seenStrokeIndexes = {};
+    var normalized = [];
+    for (var i = 0; i < holes.length; i++) {
+      var hole = holes[i] || {};
+      var label = "Hole " + (i + 1) + ": ";
+      var par = this.toNumber(hole.par);
+      if (!this.isWholeNumber(par) || par < 3 || par > 6) {
+        return { valid: false, error: label + "par must be a whole number between 3 and 6.", value: null };
+      }
+      var strokeIndex = this.toNumber(hole.strokeIndex);
+      if (!this.isWholeNumber(strokeIndex) || strokeIndex < 1 || strokeIndex > CONFIG.HOLES_PER_ROUND) {
+        return { valid: false, error: label + "stroke index must be a whole number between 1 and " + CONFIG.HOLES_PER_ROUND + ".", value: null };
+      }
+      if (seenStrokeIndexes[strokeIndex]) {
+        return { valid: false, error: label + "stroke index " + strokeIndex + " is used more than once.", value: null };
+      }
+      seenStrokeIndexes[strokeIndex] = true;
+      normalized.push({ par: par, strokeIndex: strokeIndex });
+    }
+    return { valid: true, error: null, value: normalized };
+  },
+
+  /**
+   * Validates hole-by-hole scorecard input (par, stroke index and strokes per hole).
+   * @param {Array<{par: string|number, strokeIndex: string|number, strokes: string|number}>} holes - Holes in playing order
+   * @param {number} [holeCount] - Expected number of holes (18 if omitted)
+   * @returns {{valid: boolean, error: string|null, value: Array<{par: number, strokeIndex: number, strokes: number}>|null}}
+   */
+  validateHoles: function (holes, holeCount) {
+    var layoutValidation = this.validateHoleLayout(holes, holeCount);
+    if (!layoutValidation.valid) {
+      return layoutValidation;
+    }
+    var normalized = [];
+    for (var i = 0; i < holes.length; i++) {
+      var label = "Hole " + (i + 1) + ": ";
+      var strokes = this.toNumber(holes[i].strokes);
+      if (isNaN(strokes)) {
+        return { valid: false, error: label + "please enter the number of strokes.", value: null };
+      }
+      if (!this.isWholeNumber(strokes) || strokes < 1 || strokes > 20) {
+        return { valid: false, error: label + "strokes must be a whole number between 1 and 20.", value: null };
+      }
+      normalized.push({
+        par: layoutValidation.value[i].par,
+        strokeIndex: layoutValidation.value[i].strokeIndex,
+        strokes: strokes
+      });
+    }
+    return { valid: true, error: null, value: normalized };
+  },
+
+  /**
+   * Validates the free-text notes of a round.
+   * @param {string} notes - Notes as typed (optional)
+   * @returns {{valid: boolean, error: string|null, value: string|null}} Trimmed notes, "" when empty
+   */
+  validateNotes: function (notes) {
+    var text = notes === null || notes === undefined ? "" : String(notes).trim();
+    if (text.length > CONFIG.MAX_NOTES_LENGTH) {
+      return { valid: false, error: "Notes can be at most " + CONFIG.MAX_NOTES_LENGTH + " characters.", value: null };
+    }
+    return { valid: true, error: null, value: text };
+  },
+
+  /**
+   * Validates a Handicap Index input.
+   * @param {string|number} handicapIndex - Handicap index value (plus handicaps are negative)
+   * @returns {{valid: boolean, error: string|null, value: number|null}}
+   */
+  validateHandicapIndex: function (handicapIndex) {
+    if (handicapIndex === "" || handicapIndex === null || handicapIndex === undefined) {
+      return { valid: false, error: "Please enter a Handicap Index.", value: null };
+    }
+    var num = this.toNumber(handicapIndex);
+    if (isNaN(num) || !isFinite(num)) {
+      return { valid: false, error: "Handicap Index must be a valid number.", value: null };
+    }
+    if (num < -10 || num > 54) {
+      return { valid: false, error: "Handicap Index must be between +10 and 54.", value: null };
+    }
+    return { valid: true, error: null, value: Math.round(num * 10) / 10 };
+  },
+
+  /**
+   * Validates a course handicap input (e.g. an opponent's or partner's).
+   * @param {string|number} courseHandicap - Course handicap value
+   * @returns {{valid: boolean, error: string|null, value: number|null}}
+   */
+  validateCourseHandicap: function (courseHandicap) {
+    if (courseHandicap === "" || courseHandicap === null || courseHandicap === undefined) {
+      return { valid: false, error: "Please enter the other player's course handicap.", value: null };
+    }
+    var num = this.toNumber(courseHandicap);
+    if (!this.isWholeNumber(num)) {
+      return { valid: false, error: "Course handicap must be a whole number.", value: null };
+    }
+    if (num < -15 || num > 72) {
+      return { valid: false, error: "Course handicap must be between +15 and 72.", value: null };
+    }
+    return { valid: true, error: null, value: num };
+  },
+
+  /**
+   * Convert raw input to a number (NaN for empty input). Strings may use a decimal comma
+   * ("72,5") as typed in German or French.
+   * @param {string|number} raw - Raw value
+   * @returns {number} Parsed number or NaN
+   */
+  toNumber: function (raw) {
+    if (raw === "" || raw === null || raw === undefined) return NaN;
+    if (typeof raw !== "string") return Number(raw);
+    return parseFloat(/^\s*[+-]?\d*,\d+\s*$/.test(raw) ? raw.replace(",", ".") : raw);
+  },
+
+  /**
+   * Check whether a value is a finite whole number.
+   * @param {number} num - Value
+   * @returns {boolean} True for whole numbers
+   */
+  isWholeNumber: function (num) {
+    return !isNaN(num) && isFinite(num) && num === Math.floor(num);
+  },
+
+  /**
+   * Validates a round object (from storage).
+   * @param {Object} round - Round object
+   * @returns {{valid: boolean, error: string|null}}
+   */
+  validateRound: function (round) {
+    if (!round || typeof round !== "object") {
+      return { valid: false, error: "Invalid round object." };
+    }
+    var required = ["id", "date", "score", "courseRating", "slope", "differential"];
+    for (var i = 0; i < required.length; i++) {
+      if (!(required[i] in round)) {
+        return { valid: false, error: "Round object is missing a required field: " + required[i] + "." };
+      }
+    }
+    if (typeof round.id !== "string" || round.id === "") {
+      return { valid: false, error: "Invalid round id." };
+    }
+    if (typeof round.date !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(round.date)) {
+      return { valid: false, error: "Invalid round date." };
+    }
+    var isNineHole = round.holesPlayed === CONFIG.NINE_HOLES;
+    if ("holesPlayed" in round && !isNineHole && round.holesPlayed !== CONFIG.HOLES_PER_ROUND) {
+      return { valid: false, error: "Invalid number of holes played." };
+    }
+    if (isNineHole && round.differential === null) {
+      var method = round.nineHole && round.nineHole.method;
+      if (method !== "pending" && method !== "combined" && method !== "excluded") {
+        return { valid: false, error: "A 9-hole round without a differential must be pending, combined or excluded." };
+      }
+    } else if (typeof round.differential !== "number" || isNaN(round.differential)) {
+      return { valid: false, error: "Invalid differential value." };
+    }
+    if (isNineHole && (typeof round.nineHoleDifferential !== "number" || isNaN(round.nineHoleDifferential))) {
+      return { valid: false, error: "Invalid 9-hole differential value." };
+    }
+    if ("pcc" in round && (!this.validatePCC(round.pcc).valid || typeof round.pcc !== "number")) {
+      return { valid: false, error: "Invalid PCC adjustment." };
+    }
+    if ("editHistory" in round) {
+      var validHistory = Array.isArray(round.editHistory) && round.editHistory.every(function (entry) {
+        return entry && typeof entry.changedAt === "string" && !!entry.changes && typeof entry.changes === "object";
+      });
+      if (!validHistory) {
+        return { valid: false, error: "Invalid edit history." };
+      }
+    }
+    if ("format" in round) {
+      if (!CONFIG.SCORING_FORMATS[round.format] || !round.holes) {
+        return { valid: false, error: "Invalid competition format." };
+      }
+      var competition = round.competition;
+      var validCompetition = !!competition && typeof competition === "object" &&
+        ["playingHandicap", "netScore", "points", "parBogey"].every(function (field) {
+          return typeof competition[field] === "number" && !isNaN(competition[field]);
+        });
+      if (!validCompetition) {
+        return { valid: false, error: "Invalid competition result." };
+      }
+    }
+    if ("category" in round && !CONFIG.ROUND_CATEGORIES[round.category]) {
+      return { valid: false, error: "Invalid round category." };
+    }
+    if ("acceptable" in round && typeof round.acceptable !== "boolean") {
+      return { valid: false, error: "Invalid acceptability flag." };
+    }
+    if ("notes" in round && (typeof round.notes !== "string" || round.notes.length > CONFIG.MAX_NOTES_LENGTH)) {
+      return { valid: false, error: "Invalid round notes." };
+    }
+    if ("adjustedScore" in round && (typeof round.adjustedScore !== "number" || isNaN(round.adjustedScore))) {
+      return { valid: false, error: "Invalid adjusted gross score." };
+    }
+    if ("updatedAt" in round && (typeof round.updatedAt !== "string" || isNaN(Date.parse(round.updatedAt)))) {
+      return { valid: false, error: "Invalid modification time." };
+    }
+    if (round.esr !== undefined && round.esr !== null) {
+      if (typeof round.esr !== "object" || typeof round.esr.reduction !== "number" || typeof round.esr.indexBefore !== "number") {
+        return { valid: false, error: "Invalid exceptional score reduction." };
+      }
+    }
+    if (round.esrAdjustments !== undefined) {
+      if (!Array.isArray(round.esrAdjustments)) {
+        return { valid: false, error: "Invalid exceptional score adjustments." };
+      }
+      for (var j = 0; j < round.esrAdjustments.length; j++) {
+        var adjustment = round.esrAdjustments[j];
+        if (!adjustment || typeof adjustment.triggerId !== "string" || typeof adjustment.reduction !== "number") {
+          return { valid: false, error: "Invalid exceptional score adjustment." };
+        }
+      }
+    }
+    if (round.holes !== undefined && round.holes !== null) {
+      var holesValidation = this.validateHoles(round.holes, isNineHole ? CONFIG.NINE_HOLES : CONFIG.HOLES_PER_ROUND);
+      if (!holesValidation.valid) {
+        return { valid: false, error: holesValidation.error };
+      }
+    }
+    return { valid: true, error: null };
+  }
+};
+
+// ============================================================================
+// WHS SERVICE (World Handicap System calculations)
+// ============================================================================
+
+var WHSService = {
+  /**
+   * Calculate score differential using WHS formula.
+   * Formula: (113 / Slope) * (Score - Course Rating - PCC)
+   * A 9-hole score uses half the PCC.
+   * @param {number} score - Gross score
+   * @param {number} courseRating - Course rating
+   * @param {number} slope - Slope rating
+   * @param {number} [pcc] - Playing Conditions Calculation adjustment (default 0)
+   * @param {number} [holesPlayed] - 9 or 18 (default 18)
+   * @returns {number} Score differential rounded to one decimal place
+   */
+  calculateScoreDifferential: function (score, courseRating, slope, pcc, holesPlayed) {
+    var adjustment = (pcc || 0) * (holesPlayed === CONFIG.NINE_HOLES ? 0.5 : 1);
+    var scoreDifferential = (CONFIG.CONSTANT_SLOPE / slope) * (score - courseRating - adjustment);
+    return Math.round(scoreDifferential * 10) / 10;
+  },
+
+  /**
+   * Highest gross score whose differential does not exceed a target (inverse of calculateScoreDifferential).
+   * @param {number} differential - Target differential
+   * @param {number} courseRating - Course rating
+   * @param {number} slope - Slope rating
+   * @param {number} [pcc] - Playing Conditions Calculation adjustment (default 0)
+   * @param {number} [holesPlayed] - 9 or 18 (default 18)
+   * @returns {number|null} Whole score, or null if no score of at least 1 reaches the target
+   */
+  calculateMaxScoreForDifferential: function (differential, courseRating, slope, pcc, holesPlayed) {
+    var adjustment = (pcc || 0) * (holesPlayed === CONFIG.NINE_HOLES ? 0.5 : 1);
+    var score = Math.ceil(differential * slope / CONFIG.CONSTANT_SLOPE + courseRating + adjustment) + 1;
+    while (score >= 1 && this.calculateScoreDifferential(score, courseRating, slope, pcc, holesPlayed) > differential) {
+      score--;
+    }
+    return score >= 1 ? score : null;
+  },
+
+  /**
+   * Calculate the PCC for a day from the scores of the whole field (expected-score method).
+   * Every eligible player's differential is compared with the differential expected from
+   * their index; the average excess, in whole strokes, becomes the adjustment when it is
+   * at least PCC_THRESHOLD and is limited to PCC_MIN..PCC_MAX.
+   * @param {Array<{handicapIndex: number, score: number}>} fieldScores - Index and adjusted gross score per player
+   * @param {number} courseRating - Course rating the field played off
+   * @param {number} slope - Slope rating
+   * @param {number} [holesPlayed] - 9 or 18 (default 18)
+   * @returns {{valid: boolean, error: string|null, value: {pcc: number, fieldSize: number, averageExcess: number}|null}}
+   */
+  calculatePCC: function (fieldScores, courseRating, slope, holesPlayed) {
+    var scale = holesPlayed === CONFIG.NINE_HOLES ? 0.5 : 1;
+    var eligible = fieldScores.filter(function (entry) {
+      return entry.handicapIndex <= CONFIG.PCC_MAX_FIELD_INDEX;
+    });
+    if (eligible.length < CONFIG.PCC_MIN_FIELD_SIZE) {
+      return {
+        valid: false,
+        error: "At least " + CONFIG.PCC_MIN_FIELD_SIZE + " scores from players with an index up to " +
+          CONFIG.PCC_MAX_FIELD_INDEX + " are needed (" + eligible.length + " found).",
+        value: null
+      };
+    }
+    var self = this;
+    var totalExcess = eligible.reduce(function (acc, entry) {
+      var differential = self.calculateScoreDifferential(entry.score, courseRating, slope);
+      var expected = (entry.handicapIndex + CONFIG.PCC_EXPECTED_OFFSET) * scale;
+      return acc + (differential - expected) / scale;
+    }, 0);
+    var averageExcess = Math.round((totalExcess / eligible.length) * 10) / 10;
+    var pcc = 0;
+    if (Math.abs(averageExcess) >= CONFIG.PCC_THRESHOLD) {
+      pcc = Math.max(CONFIG.PCC_MIN, Math.min(CONFIG.PCC_MAX, Math.round(averageExcess)));
+    }
+    return { valid: true, error: null, value: { pcc: pcc, fieldSize: eligible.length, averageExcess: averageExcess } };
+  },
+
+  /**
+   * Calculate course handicap for a tee.
+   * Formula: Handicap Index * (Slope / 113) + (Course Rating - Par)
+   * For 9 holes half the Handicap Index is used with the 9-hole rating and par.
+   * @param {number} handicapIndex - Handicap index
+   * @param {number} courseRating - Course rating
+   * @param {number} slope - Slope rating
+   * @param {number} par - Par of the course
+   * @param {number} [holesPlayed] - 9 or 18 (default)
+   * @returns {number} Course handicap rounded to a whole number
+   */
+  calculateCourseHandicap: function (handicapIndex, courseRating, slope, par, holesPlayed) {
+    var index = holesPlayed === CONFIG.NINE_HOLES ? handicapIndex / 2 : handicapIndex;
+    var courseHandicap = index * (slope / CONFIG.CONSTANT_SLOPE) + (courseRating - par);
+    return Math.round(courseHandicap);
+  },
+
+  /**
+   * Calculate the playing handicap for a competition format.
+   * Individual formats apply the allowance to the course handicap; foursomes applies it to the
+   * combined course handicap of both partners; match play gives the difference between the players.
+   * @param {number} courseHandicap - Player's course handicap
+   * @param {string} formatKey - Key of CONFIG.PLAYING_FORMATS
+   * @param {number} [otherCourseHandicap] - Partner's (foursomes) or opponent's (match play) course handicap
+   * @returns {{playingHandicap: number, strokesReceived: number, opponentStrokes: number, allowance: number}|null} Null for an unknown format
+   */
+  calculatePlayingHandicap: function (courseHandicap, formatKey, otherCourseHandicap) {
+    var format = CONFIG.PLAYING_FORMATS[formatKey];
+    if (!format) return null;
+    if (format.partner === "combined") {
+      var teamHandicap = Math.round((courseHandicap + otherCourseHandicap) * format.allowance);
+      return { playingHandicap: teamHandicap, strokesReceived: teamHandicap, opponentStrokes: 0, allowance: format.allowance };
+    }
+    var playingHandicap = Math.round(courseHandicap * format.allowance);
+    if (format.partner === "difference") {
+      var opponentHandicap = Math.round(otherCourseHandicap * format.allowance);
+      return {
+        playingHandicap: playingHandicap,
+        strokesReceived: Math.max(0, playingHandicap - opponentHandicap),
+        opponentStrokes: Math.max(0, opponentHandicap - playingHandicap),
+        allowance: format.allowance
+      };
+    }
+    return { playingHandicap: playingHandicap, strokesReceived: playingHandicap, opponentStrokes: 0, allowance: format.allowance };
+  },
+
+  /**
+   * Expected 9-hole score differential for a player, used to turn a 9-hole score into an 18-hole differential.
+   * Formula: Handicap Index * 0.52 + 1.2
+   * @param {number} handicapIndex - Handicap index
+   * @returns {number} Expected differential rounded to one decimal place
+   */
+  calculateExpectedNineHoleDifferential: function (handicapIndex) {
+    var expected = handicapIndex * CONFIG.NINE_HOLE_EXPECTED_FACTOR + CONFIG.NINE_HOLE_EXPECTED_CONSTANT;
+    return Math.round(expected * 10) / 10;
+  },
+
+  /**
+   * Distribute handicap strokes over the holes by stroke index.
+   * Hardest holes (lowest stroke index) receive strokes first; a plus handicap
+   * gives strokes back starting from the easiest holes.
+   * @param {number} courseHandicap - Course (or playing) handicap
+   * @param {Array<{strokeIndex: number}>} holes - Holes in playing order
+   * @returns {Array<number>} Strokes received per hole, in playing order
+   */
+  getStrokesReceived: function (courseHandicap, holes) {
+    var holeCount = holes.length;
+    var ranked = holes.map(function (hole, index) {
+      return { index: index, strokeIndex: hole.strokeIndex };
+    }).sort(function (a, b) {
+      return a.strokeIndex - b.strokeIndex;
+    });
+    var strokes = holes.map(function () { return 0; });
+    var remaining = Math.abs(courseHandicap);
+    var base = Math.floor(remaining / holeCount);
+    var extra = remaining % holeCount;
+    var sign = courseHandicap < 0 ? -1 : 1;
+    ranked.forEach(function (hole, rank) {
+      var position = sign > 0 ? rank : holeCount - 1 - rank;
+      var count = base + (position < extra ? 1 : 0);
+      // Avoid -0 on holes without strokes when a plus handicap gives strokes back
+      strokes[hole.index] = count === 0 ? 0 : sign * count;
+    });
+    return strokes;
+  },
+
+  /**
+   * Calculate the Adjusted Gross Score from a hole-by-hole scorecard.
+   * Each hole is capped at net double bogey (par + 2 + strokes received).
+   * Without a course handicap the cap is par + 5.
+   * @param {Array<{par: number, strokeIndex: number, strokes: number}>} holes - Validated holes
+   * @param {number|null} courseHandicap - Course handicap, or null if the player has no index yet
+   * @returns {{grossScore: number, adjustedScore: number, par: number, holes: Array<Object>}}
+   */
+  calculateAdjustedGrossScore: function (holes, courseHandicap) {
+    var received = courseHandicap === null ? null : this.getStrokesReceived(courseHandicap, holes);
+    var grossScore = 0;
+    var adjustedScore = 0;
+    var par = 0;
+    var adjustedHoles = holes.map(function (hole, index) {
+      var maxScore = received === null
+        ? hole.par + CONFIG.MAX_OVER_PAR_WITHOUT_INDEX
+        : hole.par + CONFIG.NET_DOUBLE_BOGEY_OVER_PAR + received[index];
+      var adjustedStrokes = Math.min(hole.strokes, maxScore);
+      grossScore += hole.strokes;
+      adjustedScore += adjustedStrokes;
+      par += hole.par;
+      return {
+        par: hole.par,
+        strokeIndex: hole.strokeIndex,
+        strokes: hole.strokes,
+        adjustedStrokes: adjustedStrokes
+      };
+    });
+    return { grossScore: grossScore, adjustedScore: adjustedScore, par: par, holes: adjustedHoles };
+  },
+
+  /**
+   * Score a round in a competition format from its hole-by-hole strokes.
+   * Strokes are allocated by stroke index from the playing handicap of the format.
+   * - Stableford: 2 points for a net par, one more per stroke better, one fewer per stroke worse (never below 0).
+   * - Par/bogey: each hole is won (net below par), halved or lost against par; the result is holes won minus holes lost.
+   * - Net stroke play: gross score minus playing handicap.
+   * The score differential is not affected; it always uses the adjusted gross score.
+   * @param {Array<{par: number, strokeIndex: number, strokes: number}>} holes - Validated holes
+   * @param {number} courseHandicap - Course handicap for the tee played
+   * @param {string} formatKey - Key of CONFIG.SCORING_FORMATS
+   * @returns {{playingHandicap: number, netScore: number, points: number, parBogey: number}|null} Null for an unknown format
+   */
+  calculateCompetitionResult: function (holes, courseHandicap, formatKey) {
+    if (!CONFIG.SCORING_FORMATS[formatKey]) return null;
+    var playing = this.calculatePlayingHandicap(courseHandicap, formatKey);
+    if (!playing) return null;
+    var received = this.getStrokesReceived(playing.playingHandicap, holes);
+    var grossScore = 0;
+    var points = 0;
+    var parBogey = 0;
+    holes.forEach(function (hole, index) {
+      var netStrokes = hole.strokes - received[index];
+      grossScore += hole.strokes;
+      points += Math.max(0, hole.par - netStrokes + CONFIG.STABLEFORD_POINTS_FOR_PAR);
+      if (netStrokes < hole.par) parBogey++;
+      if (netStrokes > hole.par) parBogey--;
+    });
+    return {
+      playingHandicap: playing.playingHandicap,
+      netScore: grossScore - playing.playingHandicap,
+      points: points,
+      parBogey: parBogey
+    };
+  },
+
+  /**
+   * Handicap strokes for each player of a group.
+   * - Match play: two players play singles (full difference); four players play four-ball
+   *   match play (90% each) with strokes taken off the lowest playing handicap.
+   * - Best ball: every player receives their full four-ball stroke play playing handicap (85%).
+   * @param {Array<number>} courseHandicaps - Course handicap per player
+   * @param {string} mode - "match-play" or "best-ball"
+   * @returns {Array<{playingHandicap: number, strokes: number}>} Per player, in the same order
+   */
+  getGroupStrokes: function (courseHandicaps, mode) {
+    var self = this;
+    var formatKey = mode !== "match-play" ? "four-ball" : courseHandicaps.length === 2 ? "match-play" : "four-ball-match-play";
+    var playingHandicaps = courseHandicaps.map(function (courseHandicap) {
+      return self.calculatePlayingHandicap(courseHandicap, formatKey).playingHandicap;
+    });
+    var lowest = Math.min.apply(null, playingHandicaps);
+    return playingHandicaps.map(function (playingHandicap) {
+      return {
+        playingHandicap: playingHandicap,
+        strokes: mode === "match-play" ? playingHandicap - lowest : playingHandicap
+      };
+    });
+  },
+
+  /**
+   * Net score of every player on every hole.
+   * @param {Array<{par: number, strokeIndex: number}>} holes - Hole layout
+   * @param {Array<Array<number|null>>} scores - Strokes per player and hole (null while not entered)
+   * @param {Array<number>} strokes - Handicap strokes per player (see getGroupStrokes)
+   * @returns {Array<Array<number|null>>} Net strokes per player and hole
+   */
+  getNetScores: function (holes, scores, strokes) {
+    var self = this;
+    return scores.map(function (playerScores, player) {
+      var received = self.getStrokesReceived(strokes[player], holes);
+      return playerScores.map(function (score, hole) {
+        return typeof score === "number" ? score - received[hole] : null;
+      });
+    });
+  },
+
+  /**
+   * Number of holes, from the first, on which every player has a score.
+   * @param {Array<Array<number|null>>} scores - Strokes per player and hole
+   * @param {number} holeCount - Holes in the round
+   * @returns {number} Holes completed by the whole group
+   */
+  countCompletedHoles: function (scores, holeCount) {
+    for (var hole = 0; hole < holeCount; hole++) {
+      for (var player = 0; player < scores.length; player++) {
+        if (typeof scores[player][hole] !== "number") return hole;
+      }
+    }
+    return holeCount;
+  },
+
+  /**
+   * Match status of a singles (two players) or four-ball (players 1 and 2 against 3 and 4) match.
+   * Each side's best net score wins the hole. The match ends once a side leads by more holes than remain.
+   * @param {Array<{par: number, strokeIndex: number}>} holes - Hole layout
+   * @param {Array<Array<number|null>>} scores - Strokes per player and hole
+   * @param {Array<number>} strokes - Handicap strokes per player (see getGroupStrokes)
+   * @returns {{holesPlayed: number, lead: number, holesRemaining: number, finished: boolean}} lead is positive when the first side is ahead
+   */
+  calculateMatchStatus: function (holes, scores, strokes) {
+    var net = this.getNetScores(holes, scores, strokes);
+    var sides = scores.length === 2 ? [[0], [1]] : [[0, 1], [2, 3]];
+    var completed = this.countCompletedHoles(scores, holes.length);
+    var lead = 0;
+    var played = 0;
+    var best = function (side, hole) {
+      return Math.min.apply(null, side.map(function (player) {
+        return net[player][hole];
+      }));
+    };
+    while (played < completed) {
+      var first = best(sides[0], played);
+      var second = best(sides[1], played);
+      if (first < second) lead++;
+      if (first > second) lead--;
+      played++;
+      if (Math.abs(lead) > holes.length - played) break;
+    }
+    var remaining = holes.length - played;
+    return {
+      holesPlayed: played,
+      lead: lead,
+      holesRemaining: remaining,
+      finished: remaining === 0 || Math.abs(lead) > remaining
+    };
+  },
+
+  /**
+   * Best-ball stroke play: the group's best net score on each completed hole.
+   * @param {Array<{par: number, strokeIndex: number}>} holes - Hole layout
+   * @param {Array<Array<number|null>>} scores - Strokes per player and hole
+   * @param {Array<number>} strokes - Handicap strokes per player (see getGroupStrokes)
+   * @returns {{holesPlayed: number, netScore: number, toPar: number}}
+   */
+  calculateBestBall: function (holes, scores, strokes) {
+    var net = this.getNetScores(holes, scores, strokes);
+    var completed = this.countCompletedHoles(scores, holes.length);
+    var total = 0;
+    var par = 0;
+    for (var hole = 0; hole < completed; hole++) {
+      total += Math.min.apply(null, net.map(function (playerNet) {
+        return playerNet[hole];
+      }));
+      par += holes[hole].par;
+    }
+    return { holesPlayed: completed, netScore: total, toPar: total - par };
+  },
+
+  /**
+   * Get WHS calculation parameters based on number of rounds.
+   * Implements the official WHS sliding scale.
+   * @param {number} roundCount - Number of rounds available
+   * @returns {{countToUse: number, adjustment: number}} Number of best rounds to use and adjustment to apply
+   */
+  getWHSCalculationParams: function (roundCount) {
+    if (roundCount <= 0) {
+      return { countToUse: 0, adjustment: 0 };
+    }
+    if (roundCount >= 1 && roundCount <= 3) {
+      return { countToUse: 1, adjustment: -2.0 };
+    }
+    if (roundCount === 4) {
+      return { countToUse: 1, adjustment: -1.0 };
+    }
+    if (roundCount === 5) {
+      return { countToUse: 1, adjustment: 0 };
+    }
+    if (roundCount === 6) {
+      return { countToUse: 2, adjustment: -1.0 };
+    }
+    if (roundCount >= 7 && roundCount <= 8) {
+      return { countToUse: 2, adjustment: 0 };
+    }
+    if (roundCount >= 9 && roundCount <= 11) {
+      return { countToUse: 3, adjustment: 0 };
+    }
+    if (roundCount >= 12 && roundCount <= 14) {
+      return { countToUse: 4, adjustment: 0 };
+    }
+    if (roundCount >= 15 && roundCount <= 16) {
+      return { countToUse: 5, adjustment: 0 };
+    }
+    if (roundCount >= 17 && roundCount <= 18) {
+      return { countToUse: 6, adjustment: 0 };
+    }
+    if (roundCount === 19) {
+      return { countToUse: 7, adjustment: 0 };
+    }
+    // 20 or more rounds
+    return { countToUse: 8, adjustment: 0 };
+  },
+
+  /**
+   * Differential of a round including exceptional score reductions.
+   * @param {Object} round - Round
+   * @param {Object<string, boolean>} [postedIds] - Only count reductions triggered by these rounds (all if omitted)
+   * @returns {number} Effective differential rounded to one decimal place
+   */
+  getEffectiveDifferential: function (round, postedIds) {
+    var differential = round.differential;
+    (round.esrAdjustments || []).forEach(function (adjustment) {
+      if (!postedIds || postedIds[adjustment.triggerId]) {
+        differential += adjustment.reduction;
+      }
+    });
+    return Math.round(differential * 10) / 10;
+  },
+
+  /**
+   * Exceptional Score Reduction for a newly posted differential.
+   * @param {number} differential - Differential of the new round
+   * @param {number|null} indexBefore - Handicap index before the round was posted
+   * @returns {number} 0, -1 (7.0 to 9.9 below the index) or -2 (10.0 or more below)
+   */
+  getExceptionalScoreReduction: function (differential, indexBefore) {
+    if (indexBefore === null || indexBefore === undefined) return 0;
+    var margin = Math.round((indexBefore - differential) * 10) / 10;
+    if (margin >= CONFIG.ESR_LARGE_THRESHOLD) return -2;
+    if (margin >= CONFIG.ESR_THRESHOLD) return -1;
+    return 0;
+  },
+
+  /**
+   * Average the best differentials using the official WHS sliding scale (no caps applied).
+   * Only considers the most recent 20 rounds if more than 20 are available.
+   * @param {Array<Object>} rounds - All rounds (newest first)
+   * @param {Object<string, boolean>} [postedIds] - Rounds whose exceptional score reductions count (all if omitted)
+   * @returns {{handicap: number|null, roundsUsed: number, bestRoundsUsed: number, adjustment: number}}
+   */
+  calculateAverageOfBest: function (rounds, postedIds) {
+    if (!rounds || rounds.length === 0) {
+      return { handicap: null, roundsUsed: 0, bestRoundsUsed: 0, adjustment: 0 };
+    }
+    
+    // Take only the most recent 20 rounds
+    var roundsToConsider = rounds.slice(0, CONFIG.MAX_ROUNDS_FOR_HANDICAP);
+    var roundsUsed = roundsToConsider.length;
+    
+    // Get WHS calculation parameters based on number of rounds
+    var params = this.getWHSCalculationParams(roundsUsed);
+    
+    if (params.countToUse === 0) {
+      return { handicap: null, roundsUsed: roundsUsed, bestRoundsUsed: 0, adjustment: 0 };
+    }
+    
+    // Sort by differential (ascending = best first)
+    var self = this;
+    var differentials = roundsToConsider.map(function (r) {
+      return self.getEffectiveDifferential(r, postedIds);
+    }).sort(function (a, b) {
+      return a - b;
+    });
+    
+    // Take the best rounds
+    var bestDifferentials = differentials.slice(0, params.countToUse);
+    
+    // Calculate average
+    var sum = bestDifferentials.reduce(function (acc, differential) {
+      return acc + differential;
+    }, 0);
+    var average = sum / params.countToUse;
+    
+    // Apply adjustment
+    var adjustedAverage = average + params.adjustment;
+    
+    // Round to one decimal place
+    var handicapIndex = Math.round(adjustedAverage * 10) / 10;
+    
+    return {
+      handicap: handicapIndex,
+      roundsUsed: roundsUsed,
+      bestRoundsUsed: params.countToUse,
+      adjustment: params.adjustment
+    };
+  },
+
+  /**
+   * Limit an increase of the index relative to the Low Handicap Index.
+   * Soft cap: 50% of any increase above 3.0 is suppressed. Hard cap: increase never exceeds 5.0.
+   * @param {number} handicap - Uncapped handicap index
+   * @param {number|null} lowHandicapIndex - Low Handicap Index, or null if not yet established
+   * @returns {{handicap: number, cap: string|null}} Capped index and the cap that applied ("soft", "hard" or null)
+   */
+  applyCaps: function (handicap, lowHandicapIndex) {
+    if (lowHandicapIndex === null || handicap - lowHandicapIndex <= CONFIG.SOFT_CAP_THRESHOLD) {
+      return { handicap: handicap, cap: null };
+    }
+    var softCapped = lowHandicapIndex + CONFIG.SOFT_CAP_THRESHOLD +
+      (handicap - lowHandicapIndex - CONFIG.SOFT_CAP_THRESHOLD) * CONFIG.SOFT_CAP_FACTOR;
+    var hardCapped = lowHandicapIndex + CONFIG.HARD_CAP_LIMIT;
+    if (softCapped >= hardCapped) {
+      return { handicap: Math.round(hardCapped * 10) / 10, cap: "hard" };
+    }
+    return { handicap: Math.round(softCapped * 10) / 10, cap: "soft" };
+  },
+
+  /**
+   * Number of days between two YYYY-MM-DD dates.
+   * @param {string} fromDate - Earlier date
+   * @param {string} toDate - Later date
+   * @returns {number} Whole days from fromDate to toDate
+   */
+  daysBetween: function (fromDate, toDate) {
+    var from = fromDate.split("-");
+    var to = toDate.split("-");
+    var fromTime = Date.UTC(Number(from[0]), Number(from[1]) - 1, Number(from[2]));
+    var toTime = Date.UTC(Number(to[0]), Number(to[1]) - 1, Number(to[2]));
+    return Math.round((toTime - fromTime) / 86400000);
+  },
+
+  /**
+   * Sort rounds chronologically (oldest first). Rounds on the same day keep their posting order.
+   * @param {Array<Object>} rounds - All rounds (newest first)
+   * @returns {Array<Object>} New array sorted oldest first
+   */
+  sortChronologically: function (rounds) {
+    return rounds.slice().reverse().sort(function (a, b) {
+      return a.date.localeCompare(b.date);
+    });
+  },
+
+  /**
+   * Compute the index revision after the round at position i of a chronological record.
+   * The Low Handicap Index is the lowest index issued from a record of at least 20 scores
+   * during the 365 days before the round; the soft/hard cap is applied against it.
+   * @param {Array<Object>} ordered - Rounds, oldest first
+   * @param {number} i - Position of the round just posted
+   * @param {Array<Object>} revisions - Revisions for positions 0 to i - 1
+   * @param {Object<string, boolean>} postedIds - Ids of rounds posted so far (including position i)
+   * @returns {{roundId: string, date: string, handicap: number|null, uncappedHandicap: number|null, lowHandicapIndex: number|null, cap: string|null, roundsUsed: number, bestRoundsUsed: number, adjustment: number, scoreCount: number}}
+   */
+  computeRevision: function (ordered, i, revisions, postedIds) {
+    var recentRounds = ordered.slice(Math.max(0, i + 1 - CONFIG.MAX_ROUNDS_FOR_HANDICAP), i + 1).reverse();
+    var average = this.calculateAverageOfBest(recentRounds, postedIds);
+    var lowHandicapIndex = null;
+    if (i >= CONFIG.MAX_ROUNDS_FOR_HANDICAP) {
+      for (var j = revisions.length - 1; j >= 0; j--) {
+        if (this.daysBetween(revisions[j].date, ordered[i].date) > CONFIG.LOW_INDEX_PERIOD_DAYS) break;
+        if (revisions[j].scoreCount < CONFIG.MAX_ROUNDS_FOR_HANDICAP || revisions[j].handicap === null) continue;
+        if (lowHandicapIndex === null || revisions[j].handicap < lowHandicapIndex) {
+          lowHandicapIndex = revisions[j].handicap;
+        }
+      }
+    }
+    var capped = average.handicap === null
+      ? { handicap: null, cap: null }
+      : this.applyCaps(average.handicap, lowHandicapIndex);
+    return {
+      roundId: ordered[i].id,
+      date: ordered[i].date,
+      handicap: capped.handicap,
+      uncappedHandicap: average.handicap,
+      lowHandicapIndex: lowHandicapIndex,
+      cap: capped.cap,
+      roundsUsed: average.roundsUsed,
+      bestRoundsUsed: average.bestRoundsUsed,
+      adjustment: average.adjustment,
+      scoreCount: i + 1
+    };
+  },
+
+  /**
+   * Whether a round is acceptable for handicap purposes: its acceptability flag is set (the
+   * default) and its category allows it. Practice rounds never are.
+   * @param {Object} round - Round
+   * @returns {boolean} True if the round may count towards the index
+   */
+  isAcceptable: function (round) {
+    var category = CONFIG.ROUND_CATEGORIES[round.category || CONFIG.DEFAULT_ROUND_CATEGORY];
+    return round.acceptable !== false && (!category || category.acceptable);
+  },
+
+  /**
+   * Acceptable rounds that carry an 18-hole differential (9-hole rounds still pending or
+   * already combined into their partner are left out).
+   * @param {Array<Object>} rounds - All rounds
+   * @returns {Array<Object>} Rounds that count towards the index, in the same order
+   */
+  getScoringRecord: function (rounds) {
+    var self = this;
+    return rounds.filter(function (round) {
+      return typeof round.differential === "number" && self.isAcceptable(round);
+    });
+  },
+
+  /**
+   * Replay the scoring record and compute the index revision after each round.
+   * @param {Array<Object>} rounds - All rounds (newest first)
+   * @returns {Array<Object>} Revisions (see computeRevision), oldest first
+   */
+  buildIndexHistory: function (rounds) {
+    var ordered = this.sortChronologically(this.getScoringRecord(rounds || []));
+    var revisions = [];
+    var postedIds = {};
+    for (var i = 0; i < ordered.length; i++) {
+      postedIds[ordered[i].id] = true;
+      revisions.push(this.computeRevision(ordered, i, revisions, postedIds));
+    }
+    return revisions;
+  },
+
+  /**
+   * Re-evaluate everything that depends on the index at posting time by replaying the record.
+   * - 9-hole rounds: a 9-hole round following another pending one is combined with it;
+   *   otherwise the expected 9-hole differential for the current index is added; without
+   *   an index the round waits for a second 9-hole round.
+   * - Exceptional Score Reduction: a round 7.0+ below the index at the time it was posted
+   *   reduces itself and the 19 rounds before it by 1 (or by 2 when 10.0+ below).
+   * Rounds that are not acceptable take no part: they keep their own differential (a 9-hole
+   * round is marked "excluded") but are neither combined nor adjusted.
+   * Replaying from scratch means that deleting or editing a round also undoes its effects.
+   * @param {Array<Object>} rounds - All rounds (newest first)
+   * @returns {Array<Object>} Copies of the rounds with derived fields refreshed (newest first)
+   */
+  recalculateAdjustments: function (rounds) {
+    var self = this;
+    var ordered = this.sortChronologically(rounds || []).map(function (round) {
+      var copy = Object.assign({}, round);
+      delete copy.esr;
+      delete copy.esrAdjustments;
+      if (copy.holesPlayed === CONFIG.NINE_HOLES) {
+        delete copy.nineHole;
+        copy.differential = null;
+      }
+      return copy;
+    });
+    var record = [];
+    var revisions = [];
+    var postedIds = {};
+    var pendingNineHole = null;
+    ordered.forEach(function (round) {
+      var indexBefore = revisions.length > 0 ? revisions[revisions.length - 1].handicap : null;
+      if (!self.isAcceptable(round)) {
+        if (round.holesPlayed === CONFIG.NINE_HOLES) round.nineHole = { method: "excluded" };
+        return;
+      }
+      if (round.holesPlayed === CONFIG.NINE_HOLES) {
+        if (pendingNineHole) {
+          round.differential = Math.round((pendingNineHole.nineHoleDifferential + round.nineHoleDifferential) * 10) / 10;
+          round.nineHole = { method: "combined", pairedWith: pendingNineHole.id };
+          pendingNineHole.nineHole = { method: "combined", pairedWith: round.id };
+          pendingNineHole = null;
+        } else if (indexBefore !== null) {
+          var expected = self.calculateExpectedNineHoleDifferential(indexBefore);
+          round.differential = Math.round((round.nineHoleDifferential + expected) * 10) / 10;
+          round.nineHole = { method: "expected", expectedDifferential: expected, indexUsed: indexBefore };
+        } else {
+          round.nineHole = { method: "pending" };
+          pendingNineHole = round;
+        }
+      }
+      if (round.differential === null) return;
+
+      record.push(round);
+      var reduction = self.getExceptionalScoreReduction(round.differential, indexBefore);
+      if (reduction !== 0) {
+        round.esr = { reduction: reduction, indexBefore: indexBefore };
+        for (var k = Math.max(0, record.length - CONFIG.MAX_ROUNDS_FOR_HANDICAP); k < record.length; k++) {
+          record[k].esrAdjustments = (record[k].esrAdjustments || []).concat({
+            triggerId: round.id,
+            reduction: reduction
+          });
+        }
+      }
+      postedIds[round.id] = true;
+      revisions.push(self.computeRevision(record, record.length - 1, revisions, postedIds));
+    });
+    return ordered.reverse();
+  },
+
+  /**
+   * Calculate handicap index using official WHS sliding scale, including the soft and hard cap.
+   * Only considers the most recent 20 rounds if more than 20 are available.
+   * @param {Array<Object>} rounds - All rounds (newest first)
+   * @returns {{handicap: number|null, uncappedHandicap: number|null, lowHandicapIndex: number|null, cap: string|null, roundsUsed: number, bestRoundsUsed: number, adjustment: number}}
+   */
+  calculateHandicapIndex: function (rounds) {
+    var revisions = this.buildIndexHistory(rounds);
+    if (revisions.length === 0) {
+      return {
+        handicap: null,
+        uncappedHandicap: null,
+        lowHandicapIndex: null,
+        cap: null,
+        roundsUsed: 0,
+        bestRoundsUsed: 0,
+        adjustment: 0
+      };
+    }
+    var latest = revisions[revisions.length - 1];
+    return {
+      handicap: latest.handicap,
+      uncappedHandicap: latest.uncappedHandicap,
+      lowHandicapIndex: latest.lowHandicapIndex,
+      cap: latest.cap,
+      roundsUsed: latest.roundsUsed,
+      bestRoundsUsed: latest.bestRoundsUsed,
+      adjustment: latest.adjustment
+    };
+  },
+
+  /**
+   * Handicap Index in effect on a day: calculated from the rounds played before it, as net
+   * double bogey on a round played that day is capped with it (a back-dated round never uses
+   * scores played after it).
+   * @param {Array<Object>} rounds - All rounds (newest first)
+   * @param {string} date - Day played (YYYY-MM-DD)
+   * @returns {number|null} Handicap Index, or null without earlier rounds
+   */
+  getHandicapIndexOnDate: function (rounds, date) {
+    return this.calculateHandicapIndex((rounds || []).filter(function (round) {
+      return round.date < date;
+    })).handicap;
+  },
+
+  /**
+   * Ids of the rounds whose differentials make up the current index: the best of the most
+   * recent 20 scores per the sliding scale. On equal differentials the more recent round counts.
+   * @param {Array<Object>} rounds - All rounds (newest first)
+   * @returns {Array<string>} Round ids, best differential first
+   */
+  getCountingRoundIds: function (rounds) {
+    var self = this;
+    var recent = this.sortChronologically(this.getScoringRecord(rounds || [])).reverse()
+      .slice(0, CONFIG.MAX_ROUNDS_FOR_HANDICAP);
+    var params = this.getWHSCalculationParams(recent.length);
+    return recent.map(function (round, position) {
+      return { id: round.id, differential: self.getEffectiveDifferential(round), position: position };
+    }).sort(function (a, b) {
+      return a.differential - b.differential || a.position - b.position;
+    }).slice(0, params.countToUse).map(function (entry) {
+      return entry.id;
+    });
+  },
+
+  /**
+   * The score that leaves the 20-score window when the next score is posted.
+   * @param {Array<Object>} rounds - All rounds (newest first)
+   * @returns {Object|null} Oldest of the most recent 20 scores, or null while the record has fewer than 20
+   */
+  getNextRoundToDrop: function (rounds) {
+    var record = this.sortChronologically(this.getScoringRecord(rounds || []));
+    if (record.length < CONFIG.MAX_ROUNDS_FOR_HANDICAP) return null;
+    return record[record.length - CONFIG.MAX_ROUNDS_FOR_HANDICAP];
+  },
+
+  /**
+   * Index after posting hypothetical rounds on top of the saved ones. The hypothetical rounds
+   * go through the same recalculation as posted rounds (9-hole combination, ESR, caps).
+   * @param {Array<Object>} rounds - Saved rounds (newest first)
+   * @param {Array<Object>} hypotheticalRounds - Rounds to add (newest first), dated on or after the latest saved round
+   * @returns {Object} Index info (see calculateHandicapIndex)
+   */
+  projectHandicapIndex: function (rounds, hypotheticalRounds) {
+    return this.calculateHandicapIndex(this.recalculateAdjustments((hypotheticalRounds || []).concat(rounds || [])));
+  },
+
+  /**
+   * Differentials for the next score that lower, keep or raise the index. The projected index
+   * never falls as the differential rises, so each target is found by bisection over tenths.
+   * @param {Array<Object>} rounds - All rounds (newest first)
+   * @param {string} date - Date of the next score (YYYY-MM-DD, on or after the latest round)
+   * @returns {{handicap: number|null, lower: number|null, keep: number|null, raise: number|null}}
+   *   lower/keep: highest differential that lowers/does not raise the index (null if none does);
+   *   raise: lowest differential that raises it (null if none does). All null without an index.
+   */
+  getDifferentialTargets: function (rounds, date) {
+    var self = this;
+    var current = this.calculateHandicapIndex(rounds).handicap;
+    if (current === null) return { handicap: null, lower: null, keep: null, raise: null };
+    var project = function (tenths) {
+      return self.projectHandicapIndex(rounds, [{ id: "what-if", date: date, differential: tenths / 10 }]).handicap;
+    };
+    var minimum = Math.round(CONFIG.SIMULATION_MIN_DIFFERENTIAL * 10);
+    var maximum = Math.round(CONFIG.SIMULATION_MAX_DIFFERENTIAL * 10);
+    var highestWhere = function (test) {
+      if (!test(minimum)) return null;
+      var low = minimum;
+      var high = maximum;
+      while (low < high) {
+        var middle = Math.ceil((low + high) / 2);
+        if (test(middle)) {
+          low = middle;
+        } else {
+          high = middle - 1;
+        }
+      }
+      return low;
+    };
+    var lower = highestWhere(function (tenths) {
+      return project(tenths) < current;
+    });
+    var keep = highestWhere(function (tenths) {
+      return project(tenths) <= current;
+    });
+    var raise = keep === null ? minimum : keep + 1;
+    return {
+      handicap: current,
+      lower: lower === null ? null : lower / 10,
+      keep: keep === null ? null : keep / 10,
+      raise: raise > maximum ? null : raise / 10
+    };
+  },
+
+  /**
+   * Counting rounds that leave the 20-score window within the next few scores, i.e. the strong
+   * rounds the index is about to lose.
+   * @param {Array<Object>} rounds - All rounds (newest first)
+   * @param {number} [within] - Upcoming scores to look at (default CONFIG.DROP_WARNING_SCORES)
+   * @returns {Array<{round: Object, scoresLeft: number}>} Soonest first; scoresLeft is the number
+   *   of new scores that pushes the round out (1: the next one). Empty below 20 scores.
+   */
+  getCountingRoundsAboutToDrop: function (rounds, within) {
+    var recent = this.getRecentScores(rounds).reverse();
+    if (recent.length < CONFIG.MAX_ROUNDS_FOR_HANDICAP) return [];
+    var counting = this.getCountingRoundIds(rounds);
+    return recent.slice(0, within === undefined ? CONFIG.DROP_WARNING_SCORES : within).map(function (round, position) {
+      return { round: round, scoresLeft: position + 1 };
+    }).filter(function (entry) {
+      return counting.indexOf(entry.round.id) !== -1;
+    });
+  },
+
+  /**
+   * Trend of the index: the slope of the least-squares line through the index revisions of
+   * the last CONFIG.GOAL_TREND_DAYS days.
+   * @param {Array<Object>} rounds - All rounds (newest first)
+   * @param {string} today - Current date (YYYY-MM-DD)
+   * @returns {number|null} Change of the index per day (negative while improving), or null
+   *   while the revisions in that period fall on fewer than two days
+   */
+  getIndexTrend: function (rounds, today) {
+    var self = this;
+    var points = this.buildIndexHistory(rounds).filter(function (revision) {
+      var age = self.daysBetween(revision.date, today);
+      return revision.handicap !== null && age >= 0 && age <= CONFIG.GOAL_TREND_DAYS;
+    }).map(function (revision) {
+      return { x: -self.daysBetween(revision.date, today), y: revision.handicap };
+    });
+    var meanX = 0;
+    var meanY = 0;
+    points.forEach(function (point) {
+      meanX += point.x / points.length;
+      meanY += point.y / points.length;
+    });
+    var sumXX = 0;
+    var sumXY = 0;
+    points.forEach(function (point) {
+      sumXX += (point.x - meanX) * (point.x - meanX);
+      sumXY += (point.x - meanX) * (point.y - meanY);
+    });
+    return sumXX > 0 ? sumXY / sumXX : null;
+  },
+
+  /**
+   * Progress toward a target index, and the date the current trend reaches it.
+   * @param {Array<Object>} rounds - All rounds (newest first)
+   * @param {number} target - Target Handicap Index
+   * @param {string} today - Current date (YYYY-MM-DD)
+   * @returns {{handicap: number|null, remaining: number|null, reached: boolean, trend: number|null, projectedDate: string|null}}
+   *   remaining: index still to lose; trend: see getIndexTrend; projectedDate: null once reached,
+   *   without an improving trend, or when it lies more than CONFIG.GOAL_MAX_PROJECTION_DAYS ahead
+   */
+  projectGoal: function (rounds, target, today) {
+    var handicap = this.calculateHandicapIndex(rounds).handicap;
+    if (handicap === null) return { handicap: null, remaining: null, reached: false, trend: null, projectedDate: null };
+    var remaining = Math.max(0, Math.round((handicap - target) * 10) / 10);
+    var trend = this.getIndexTrend(rounds, today);
+    var projectedDate = null;
+    if (remaining > 0 && trend !== null && trend < 0) {
+      var days = Math.ceil(remaining / -trend);
+      if (days <= CONFIG.GOAL_MAX_PROJECTION_DAYS) projectedDate = this.addDays(today, days);
+    }
+    return { handicap: handicap, remaining: remaining, reached: remaining === 0, trend: trend, projectedDate: projectedDate };
+  },
+
+  /**
+   * Date a number of days after another.
+   * @param {string} date - Date (YYYY-MM-DD)
+   * @param {number} days - Days to add (negative to go back)
+   * @returns {string} YYYY-MM-DD
+   */
+  addDays: function (date, days) {
+    var parts = date.split("-");
+    return new Date(Date.UTC(Number(parts[0]), Number(parts[1]) - 1, Number(parts[2]) + days)).toISOString().slice(0, 10);
+  },
+
+  /**
+   * Scores the current index is calculated from: the most recent 20 of the scoring record.
+   * @param {Array<Object>} rounds - All rounds (newest first)
+   * @returns {Array<Object>} Rounds, newest first
+   */
+  getRecentScores: function (rounds) {
+    return this.sortChronologically(this.getScoringRecord(rounds || [])).reverse()
+      .slice(0, CONFIG.MAX_ROUNDS_FOR_HANDICAP);
+  },
+
+  /**
+   * Differentials the current index is calculated from: the most recent 20 scores, newest
+   * first, with exceptional score reductions applied.
+   * @param {Array<Object>} rounds - All rounds (newest first)
+   * @returns {Array<number>} Effective differentials, newest first
+   */
+  getRecentDifferentials: function (rounds) {
+    var self = this;
+    return this.getRecentScores(rounds).map(function (round) {
+      return self.getEffectiveDifferential(round);
+    });
+  },
+
+  /**
+   * Index from a list of differentials alone, e.g. those of a shared record. Together with the
+   * Low Handicap Index (for the caps) this gives the same index as the full record.
+   * @param {Array<number>} differentials - Effective differentials, newest first (see getRecentDifferentials)
+   * @param {number|null} [lowHandicapIndex] - Low Handicap Index, or null if not yet established
+   * @returns {{handicap: number|null, uncappedHandicap: number|null, lowHandicapIndex: number|null, cap: string|null, roundsUsed: number, bestRoundsUsed: number, adjustment: number, countingPositions: Array<number>}}
+   *   countingPositions lists the positions of the counting differentials, best first
+   */
+  calculateIndexFromDifferentials: function (differentials, lowHandicapIndex) {
+    var low = lowHandicapIndex === undefined ? null : lowHandicapIndex;
+    var recent = differentials.slice(0, CONFIG.MAX_ROUNDS_FOR_HANDICAP);
+    var average = this.calculateAverageOfBest(recent.map(function (differential) {
+      return { differential: differential };
+    }));
+    var capped = average.handicap === null
+      ? { handicap: null, cap: null }
+      : this.applyCaps(average.handicap, low);
+    var countingPositions = recent.map(function (differential, position) {
+      return { differential: differential, position: position };
+    }).sort(function (a, b) {
+      return a.differential - b.differential || a.position - b.position;
+    }).slice(0, average.bestRoundsUsed).map(function (entry) {
+      return entry.position;
+    });
+    return {
+      handicap: capped.handicap,
+      uncappedHandicap: average.handicap,
+      lowHandicapIndex: low,
+      cap: capped.cap,
+      roundsUsed: average.roundsUsed,
+      bestRoundsUsed: average.bestRoundsUsed,
+      adjustment: average.adjustment,
+      countingPositions: countingPositions
+    };
+  },
+
+  /**
+   * Average differential of the most recent acceptable competition rounds (up to 20), for
+   * selection committees that judge competition form only. Exceptional score reductions
+   * are included as in the index.
+   * @param {Array<Object>} rounds - All rounds (newest first)
+   * @returns {{average: number|null, roundsUsed: number}} Average, or null without competition rounds
+   */
+  calculateCompetitionAverage: function (rounds) {
+    var self = this;
+    var recent = this.sortChronologically(this.getScoringRecord(rounds || [])).reverse().filter(function (round) {
+      return round.category === "competition";
+    }).slice(0, CONFIG.MAX_ROUNDS_FOR_HANDICAP);
+    if (recent.length === 0) return { average: null, roundsUsed: 0 };
+    var sum = recent.reduce(function (acc, round) {
+      return acc + self.getEffectiveDifferential(round);
+    }, 0);
+    return { average: Math.round((sum / recent.length) * 10) / 10, roundsUsed: recent.length };
+  },
+
+  /**
+   * Return handicap calculation info for display: the index (see calculateHandicapIndex)
+   * plus the competition-only average.
+   * @param {Array<Object>} rounds - All rounds (newest first)
+   * @returns {{handicap: number|null, uncappedHandicap: number|null, lowHandicapIndex: number|null, cap: string|null, roundsUsed: number, bestRoundsUsed: number, adjustment: number, competitionAverage: number|null, competitionRoundsUsed: number}}
+   */
+  getHandicapInfo: function (rounds) {
+    var competition = this.calculateCompetitionAverage(rounds);
+    return Object.assign(this.calculateHandicapIndex(rounds), {
+      competitionAverage: competition.average,
+      competitionRoundsUsed: competition.roundsUsed
+    });
+  }
+};
+
+export { CONFIG, ValidationService, WHSService };